@@ -0,0 +1,618 @@
+// accessibility-audit.js
+/**
+ * ♿ Rule-Based Accessibility Audit
+ *
+ * One page.evaluate checks the page against a fixed set of rules and reports every element that fails one:
+ *
+ * { url, capturedAt, durationMs, rules: { [ruleId]: { checked, violationCount, byScope, violations: [{ target, element, scope, message }] } } }
+ *
+ * target is a CSS selector that finds the element again; element is the one-line description the
+ * analyzers' evidence uses (tag#id.class[data-test="x"] "text"). The audit walks the same scopes as
+ * DomSnapshot: the top document, open shadow roots and same-origin frame documents. scope names the
+ * element's one by its chain of hosts ("document", "checkout-form#checkout", "iframe#payment >> card-input"),
+ * target is prefixed with its host's the same way, and byScope counts a rule's violations per scope.
+ * checked is how many elements the rule
+ * looked at, so a rule with nothing to check (no form fields, no headings) can be told apart from one
+ * that passed. Only the first MAX_VIOLATIONS_PER_RULE violations of a rule are kept; violationCount has them all.
+ *
+ * The rules follow WCAG 2.1 AA and WAI-ARIA 1.2 as far as the DOM and computed styles can tell without a
+ * screen reader: accessible names are computed from aria-labelledby, aria-label, <label>, content, title
+ * and placeholder, and color contrast only sees backgrounds painted by the element's ancestors.
+ * Hidden elements (display: none, visibility: hidden, hidden, aria-hidden="true") are skipped.
+ * Ids are looked up within the element's own scope. A frame document is a page of its own: heading order
+ * starts over in it, and the main landmark and region rules cover the top document and its shadow roots.
+ */
+
+// A page with hundreds of failures needs only a few examples of each
+const MAX_VIOLATIONS_PER_RULE = 25;
+
+// Rule catalogue: impact follows the usual critical > serious > moderate > minor scale
+const AUDIT_RULES = {
+  'input-name': { impact: 'critical', description: 'Form fields have an accessible name' },
+  'button-name': { impact: 'critical', description: 'Buttons have an accessible name' },
+  'aria-roles': { impact: 'critical', description: 'role attributes name a valid WAI-ARIA role' },
+  'aria-valid-attr': { impact: 'critical', description: 'aria-* attributes exist and have an allowed value' },
+  'aria-labelledby-ids': { impact: 'serious', description: 'aria-labelledby references ids that exist exactly once' },
+  'heading-order': { impact: 'moderate', description: 'Heading levels increase by one at a time' },
+  'landmark-main': { impact: 'moderate', description: 'The page has exactly one main landmark' },
+  'region': { impact: 'moderate', description: 'All content is contained in a landmark' },
+  'color-contrast': { impact: 'serious', description: 'Text contrast is at least 4.5:1 (3:1 for large text)' }
+};
+
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+// Rules scored together by the rubric's accessibilityAudit and accessibleNames metrics
+const RULE_GROUPS = {
+  names: ['input-name', 'button-name'],
+  aria: ['aria-roles', 'aria-valid-attr', 'aria-labelledby-ids'],
+  headingOrder: ['heading-order'],
+  landmarks: ['landmark-main', 'region'],
+  contrast: ['color-contrast']
+};
+
+// WAI-ARIA 1.2 concrete roles; doc-* (DPUB) and graphics-* roles are accepted by prefix
+const ARIA_ROLES = [
+  'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell', 'checkbox',
+  'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion', 'dialog', 'directory',
+  'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img',
+  'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'marquee', 'math', 'menu', 'menubar', 'menuitem',
+  'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option', 'paragraph', 'presentation',
+  'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox',
+  'separator', 'slider', 'spinbutton', 'status', 'strong', 'subscript', 'superscript', 'switch', 'tab', 'table',
+  'tablist', 'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+];
+
+// WAI-ARIA 1.2 states and properties, with the values an enumerated or numeric one allows
+// (null: any string, an id reference or a list of them)
+const TRUE_FALSE = ['true', 'false'];
+const TRUE_FALSE_UNDEFINED = ['true', 'false', 'undefined'];
+const TRISTATE = ['true', 'false', 'mixed', 'undefined'];
+const ARIA_ATTRIBUTES = {
+  'aria-activedescendant': null,
+  'aria-atomic': TRUE_FALSE,
+  'aria-autocomplete': ['inline', 'list', 'both', 'none'],
+  'aria-braillelabel': null,
+  'aria-brailleroledescription': null,
+  'aria-busy': TRUE_FALSE,
+  'aria-checked': TRISTATE,
+  'aria-colcount': 'integer',
+  'aria-colindex': 'integer',
+  'aria-colindextext': null,
+  'aria-colspan': 'integer',
+  'aria-controls': null,
+  'aria-current': ['page', 'step', 'location', 'date', 'time', 'true', 'false'],
+  'aria-describedby': null,
+  'aria-description': null,
+  'aria-details': null,
+  'aria-disabled': TRUE_FALSE,
+  'aria-dropeffect': null,
+  'aria-errormessage': null,
+  'aria-expanded': TRUE_FALSE_UNDEFINED,
+  'aria-flowto': null,
+  'aria-grabbed': TRUE_FALSE_UNDEFINED,
+  'aria-haspopup': ['false', 'true', 'menu', 'listbox', 'tree', 'grid', 'dialog'],
+  'aria-hidden': TRUE_FALSE_UNDEFINED,
+  'aria-invalid': ['grammar', 'false', 'spelling', 'true'],
+  'aria-keyshortcuts': null,
+  'aria-label': null,
+  'aria-labelledby': null,
+  'aria-level': 'integer',
+  'aria-live': ['assertive', 'off', 'polite'],
+  'aria-modal': TRUE_FALSE,
+  'aria-multiline': TRUE_FALSE,
+  'aria-multiselectable': TRUE_FALSE,
+  'aria-orientation': ['horizontal', 'undefined', 'vertical'],
+  'aria-owns': null,
+  'aria-placeholder': null,
+  'aria-posinset': 'integer',
+  'aria-pressed': TRISTATE,
+  'aria-readonly': TRUE_FALSE,
+  'aria-relevant': null,
+  'aria-required': TRUE_FALSE,
+  'aria-roledescription': null,
+  'aria-rowcount': 'integer',
+  'aria-rowindex': 'integer',
+  'aria-rowindextext': null,
+  'aria-rowspan': 'integer',
+  'aria-selected': TRUE_FALSE_UNDEFINED,
+  'aria-setsize': 'integer',
+  'aria-sort': ['ascending', 'descending', 'none', 'other'],
+  'aria-valuemax': 'number',
+  'aria-valuemin': 'number',
+  'aria-valuenow': 'number',
+  'aria-valuetext': null
+};
+
+class AccessibilityAudit {
+  /**
+   * @param {Object} data - A serialized audit, as produced by AccessibilityAudit.run
+   */
+  constructor(data) {
+    Object.assign(this, data);
+  }
+
+  /**
+   * ♿ Audit the page in one evaluate
+   * @param {import('@playwright/test').Page} page
+   * @returns {Promise<AccessibilityAudit>}
+   */
+  static async run(page) {
+    const started = Date.now();
+    const data = await page.evaluate(auditPage, {
+      roles: ARIA_ROLES,
+      attributes: ARIA_ATTRIBUTES,
+      maxViolations: MAX_VIOLATIONS_PER_RULE
+    });
+    return new AccessibilityAudit({ ...data, durationMs: Date.now() - started });
+  }
+
+  /**
+   * 📋 One rule's catalogue entry and results
+   * @param {string} id - A key of AUDIT_RULES
+   * @returns {{ id: string, impact: string, description: string, checked: number, violationCount: number, violations: Object[] }}
+   */
+  rule(id) {
+    const result = this.rules[id] || { checked: 0, violationCount: 0, byScope: {}, violations: [] };
+    return { id, ...AUDIT_RULES[id], ...result };
+  }
+
+  /**
+   * 🚫 Every kept violation, each tagged with its rule and impact, most severe first
+   */
+  get violations() {
+    return Object.keys(AUDIT_RULES)
+      .map(id => this.rule(id))
+      .sort((a, b) => IMPACTS.indexOf(a.impact) - IMPACTS.indexOf(b.impact))
+      .flatMap(({ id, impact, violations }) => violations.map(violation => ({ rule: id, impact, ...violation })));
+  }
+
+  /**
+   * ✅ Share of the elements the rules checked that violate none of them; null when they checked nothing
+   * @param {string[]} ruleIds
+   */
+  passRatio(ruleIds) {
+    const rules = ruleIds.map(id => this.rule(id));
+    const checked = rules.reduce((sum, rule) => sum + rule.checked, 0);
+    const violating = rules.reduce((sum, rule) => sum + rule.violationCount, 0);
+    return checked > 0 ? Math.max(0, 1 - violating / checked) : null;
+  }
+
+  /**
+   * ❓ Whether none of the rules found a violation
+   * @param {string[]} ruleIds
+   */
+  passed(ruleIds) {
+    return ruleIds.every(id => this.rule(id).violationCount === 0);
+  }
+
+  /**
+   * 🔎 A rule's violation count and first few violations, in the evidence shape of DomSnapshot.sample
+   * @returns {{ selector: string, count: number, samples: string[] }}
+   */
+  sample(id, limit = 3) {
+    const { violationCount, violations, byScope = {} } = this.rule(id);
+    const found = {
+      selector: id,
+      count: violationCount,
+      samples: violations.slice(0, limit).map(({ element, scope, message }) =>
+        `${scope && scope !== 'document' ? `${scope} >> ` : ''}${element}: ${message}`)
+    };
+    if (Object.keys(byScope).some(scope => scope !== 'document')) found.byScope = byScope;
+    return found;
+  }
+
+  /**
+   * 🔎 Samples of the violated rules among ruleIds, keyed by rule id (for an evidence entry's matched)
+   */
+  samples(ruleIds, limit = 3) {
+    return Object.fromEntries(ruleIds
+      .filter(id => this.rule(id).violationCount > 0)
+      .map(id => [id, this.sample(id, limit)]));
+  }
+
+  /**
+   * 📐 Values for the rubric metrics the audit feeds
+   * accessibleNames (observability) is the share of form fields and buttons a getByRole(..., { name }) can
+   * find, or null on a page without any. accessibilityAudit (explainability) scores each rule group;
+   * a group with nothing to check has nothing to fix, so its ratio is 1.
+   */
+  metricValues() {
+    return {
+      accessibleNames: this.passRatio(RULE_GROUPS.names),
+      accessibilityAudit: {
+        names: this.passRatio(RULE_GROUPS.names) ?? 1,
+        aria: this.passRatio(RULE_GROUPS.aria) ?? 1,
+        headingOrder: this.passed(RULE_GROUPS.headingOrder),
+        landmarks: this.passed(RULE_GROUPS.landmarks),
+        contrast: this.passRatio(RULE_GROUPS.contrast) ?? 1
+      }
+    };
+  }
+
+  /**
+   * 📊 Violation counts overall, per impact and per rule
+   */
+  summary() {
+    const rules = Object.keys(AUDIT_RULES).map(id => this.rule(id));
+    const byImpact = Object.fromEntries(IMPACTS.map(impact => [impact, 0]));
+    rules.forEach(rule => { byImpact[rule.impact] += rule.violationCount; });
+
+    return {
+      violations: rules.reduce((sum, rule) => sum + rule.violationCount, 0),
+      failedRules: rules.filter(rule => rule.violationCount > 0).map(rule => rule.id),
+      byImpact,
+      byRule: Object.fromEntries(rules.map(rule => [rule.id, rule.violationCount]))
+    };
+  }
+
+  /**
+   * 💾 What a results file keeps: the summary and every rule with its kept violations
+   */
+  toJSON() {
+    return {
+      url: this.url,
+      capturedAt: this.capturedAt,
+      durationMs: this.durationMs,
+      summary: this.summary(),
+      rules: Object.keys(AUDIT_RULES).map(id => this.rule(id))
+    };
+  }
+}
+
+/**
+ * In-page audit passed to page.evaluate; it must not reference anything outside itself
+ */
+function auditPage({ roles, attributes, maxViolations }) {
+  const validRoles = new Set(roles);
+  const results = {};
+  const report = (ruleId, checked) => {
+    results[ruleId] = results[ruleId] || { checked: 0, violationCount: 0, byScope: {}, violations: [] };
+    results[ruleId].checked += checked;
+    return results[ruleId];
+  };
+
+  const text = value => (value || '').replace(/\s+/g, ' ').trim();
+  const styleOf = new Map();
+  const computed = el => {
+    if (!styleOf.has(el)) styleOf.set(el, el.ownerDocument.defaultView.getComputedStyle(el));
+    return styleOf.get(el);
+  };
+
+  const hiddenCache = new Map();
+  const isHidden = el => {
+    if (!hiddenCache.has(el)) {
+      const style = computed(el);
+      hiddenCache.set(el, el.hidden || el.getAttribute('aria-hidden') === 'true' ||
+        style.display === 'none' || style.visibility === 'hidden' ||
+        (parentOf(el) ? isHidden(parentOf(el)) : false));
+    }
+    return hiddenCache.get(el);
+  };
+
+  const escape = window.CSS && CSS.escape ? CSS.escape : value => value.replace(/([^\w-])/g, '\\$1');
+
+  // Every element in document order, entering open shadow roots and same-origin frames like DomSnapshot
+  const all = [];
+  const collect = root => {
+    Array.from(root.querySelectorAll('*')).forEach(el => {
+      all.push(el);
+      if (el.shadowRoot) collect(el.shadowRoot);
+      if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+        let frameDocument = null;
+        try {
+          frameDocument = el.contentDocument;
+        } catch (error) {
+          // Cross-origin frames cannot be read
+        }
+        if (frameDocument && frameDocument.documentElement) collect(frameDocument);
+      }
+    });
+  };
+  collect(document);
+
+  // Ids per scope (document, shadow root or frame document), since that is where references resolve
+  const idCounts = new Map();
+  all.forEach(el => {
+    if (!el.id) return;
+    const root = el.getRootNode();
+    if (!idCounts.has(root)) idCounts.set(root, new Map());
+    idCounts.get(root).set(el.id, (idCounts.get(root).get(el.id) || 0) + 1);
+  });
+  const idCount = (root, id) => (idCounts.get(root) && idCounts.get(root).get(id)) || 0;
+
+  // The shadow host or <iframe> an element's scope hangs from, or null in the top document
+  const hostOf = el => el.getRootNode().host || el.ownerDocument.defaultView.frameElement;
+  // Past the top of a shadow tree or frame document, hiding and backgrounds come from the host
+  const parentOf = el => el.parentElement || hostOf(el) || null;
+
+  // Selector that finds the element again: its id when unique, else nth-of-type steps up to one that is;
+  // elements in a shadow root or frame are prefixed with their host's
+  const targetOf = el => {
+    const steps = [];
+    for (let node = el; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+      if (node.id && idCount(node.getRootNode(), node.id) === 1) {
+        steps.unshift(`#${escape(node.id)}`);
+        break;
+      }
+      const tag = node.tagName.toLowerCase();
+      const siblings = node.parentElement
+        ? Array.from(node.parentElement.children).filter(sibling => sibling.tagName === node.tagName)
+        : [node];
+      steps.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+    }
+    const path = steps.join(' > ');
+    const host = hostOf(el);
+    return host ? `${targetOf(host)} >> ${path}` : path;
+  };
+
+  const label = el => {
+    const tag = el.tagName.toLowerCase();
+    const className = typeof el.className === 'string' ? el.className.trim() : '';
+    const classes = className ? '.' + className.split(/\s+/).slice(0, 2).join('.') : '';
+    const dataTest = el.getAttribute('data-test');
+    return `${tag}${el.id ? `#${el.id}` : ''}${classes}${dataTest ? `[data-test="${dataTest}"]` : ''}`;
+  };
+
+  const describe = el => {
+    // Page-level violations are reported on <html>, whose text would be the whole page
+    const content = ['html', 'body'].includes(el.tagName.toLowerCase()) ? '' : text(el.textContent).slice(0, 40);
+    return `${label(el)}${content ? ` "${content}"` : ''}`;
+  };
+
+  // Scope name as DomSnapshot.scopeLabel gives it: "document", or the chain of hosts
+  const scopeOf = el => {
+    const host = hostOf(el);
+    if (!host) return 'document';
+    const parent = scopeOf(host);
+    return parent === 'document' ? label(host) : `${parent} >> ${label(host)}`;
+  };
+
+  const violate = (ruleId, el, message) => {
+    const result = results[ruleId];
+    const scope = scopeOf(el);
+    result.violationCount++;
+    result.byScope[scope] = (result.byScope[scope] || 0) + 1;
+    if (result.violations.length < maxViolations) {
+      result.violations.push({ target: targetOf(el), element: describe(el), scope, message });
+    }
+  };
+
+  // ---- Accessible names (a subset of the accname algorithm) ----
+  const nameFromIds = (ids, root) => text(ids.split(/\s+/)
+    .map(id => root.getElementById(id))
+    .filter(Boolean)
+    .map(ref => ref.getAttribute('aria-label') || ref.textContent)
+    .join(' '));
+
+  const nameFromContent = el => text(Array.from(el.childNodes).map(node => {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+    if (node.nodeType !== Node.ELEMENT_NODE || isHidden(node)) return '';
+    if (node.getAttribute('aria-label')) return node.getAttribute('aria-label');
+    if (node.tagName === 'IMG') return node.getAttribute('alt') || '';
+    return nameFromContent(node);
+  }).join(' '));
+
+  const accessibleName = el => {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    const fromIds = labelledBy ? nameFromIds(labelledBy, el.getRootNode()) : '';
+    if (fromIds) return fromIds;
+
+    const ariaLabel = text(el.getAttribute('aria-label'));
+    if (ariaLabel) return ariaLabel;
+
+    const tag = el.tagName.toLowerCase();
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    if (el.labels && el.labels.length > 0) {
+      const fromLabels = text(Array.from(el.labels).map(label => label.textContent).join(' '));
+      if (fromLabels) return fromLabels;
+    }
+    if (tag === 'input' && ['button', 'submit', 'reset'].includes(type)) {
+      // Browsers name submit and reset buttons without a value "Submit" and "Reset"
+      return text(el.getAttribute('value')) || { submit: 'Submit', reset: 'Reset' }[type] || text(el.getAttribute('title'));
+    }
+    if (tag === 'input' && type === 'image') {
+      return text(el.getAttribute('alt')) || text(el.getAttribute('title'));
+    }
+    if (tag === 'button' || el.getAttribute('role') === 'button') {
+      return nameFromContent(el) || text(el.getAttribute('title'));
+    }
+    return text(el.getAttribute('title')) || text(el.getAttribute('placeholder'));
+  };
+
+  const visible = selector => all.filter(el => el.matches(selector) && !isHidden(el));
+
+  // input-name
+  const fields = visible([
+    'input:not([type="hidden" i]):not([type="button" i]):not([type="submit" i]):not([type="reset" i]):not([type="image" i])',
+    'select', 'textarea',
+    '[role="textbox"]', '[role="searchbox"]', '[role="combobox"]', '[role="checkbox"]', '[role="radio"]',
+    '[role="switch"]', '[role="slider"]', '[role="spinbutton"]'
+  ].join(', '));
+  report('input-name', fields.length);
+  fields.forEach(el => {
+    if (!accessibleName(el)) {
+      violate('input-name', el, 'Form field has no accessible name (no label, aria-label, aria-labelledby, title or placeholder)');
+    }
+  });
+
+  // button-name
+  const buttons = visible('button, input[type="button" i], input[type="submit" i], input[type="reset" i], input[type="image" i], [role="button"]');
+  report('button-name', buttons.length);
+  buttons.forEach(el => {
+    if (!accessibleName(el)) {
+      violate('button-name', el, 'Button has no accessible name (no text, aria-label, aria-labelledby, alt or title)');
+    }
+  });
+
+  // aria-roles: browsers fall back through a space-separated role list, so one valid token is enough
+  const withRole = all.filter(el => text(el.getAttribute('role')) && !isHidden(el));
+  report('aria-roles', withRole.length);
+  withRole.forEach(el => {
+    const tokens = text(el.getAttribute('role')).toLowerCase().split(' ');
+    const valid = tokens.some(token => validRoles.has(token) || /^(doc|graphics)-[a-z]+$/.test(token));
+    if (!valid) violate('aria-roles', el, `role="${el.getAttribute('role')}" is not a WAI-ARIA role`);
+  });
+
+  // aria-valid-attr
+  const withAria = all.filter(el => Array.from(el.attributes).some(({ name }) => name.startsWith('aria-')));
+  report('aria-valid-attr', withAria.length);
+  withAria.forEach(el => {
+    const problems = [];
+    Array.from(el.attributes).filter(({ name }) => name.startsWith('aria-')).forEach(({ name, value }) => {
+      if (!Object.prototype.hasOwnProperty.call(attributes, name)) {
+        problems.push(`${name} is not an ARIA attribute`);
+        return;
+      }
+      const allowed = attributes[name];
+      const trimmed = value.trim().toLowerCase();
+      if (allowed === 'integer' ? !/^-?\d+$/.test(trimmed)
+        : allowed === 'number' ? trimmed === '' || isNaN(Number(trimmed))
+          : Array.isArray(allowed) && !allowed.includes(trimmed)) {
+        problems.push(`${name}="${value}" is not allowed`);
+      }
+    });
+    if (problems.length > 0) violate('aria-valid-attr', el, problems.join('; '));
+  });
+
+  // aria-labelledby-ids
+  const labelledBy = all.filter(el => text(el.getAttribute('aria-labelledby')));
+  report('aria-labelledby-ids', labelledBy.length);
+  labelledBy.forEach(el => {
+    const problems = text(el.getAttribute('aria-labelledby')).split(' ').flatMap(id => {
+      const count = idCount(el.getRootNode(), id);
+      if (count === 0) return [`references missing id "${id}"`];
+      if (count > 1) return [`references id "${id}", which ${count} elements share`];
+      return [];
+    });
+    if (problems.length > 0) violate('aria-labelledby-ids', el, `aria-labelledby ${problems.join(', ')}`);
+  });
+
+  // heading-order
+  const headings = visible('h1, h2, h3, h4, h5, h6, [role="heading"]')
+    .map(el => {
+      const level = el.getAttribute('role') === 'heading'
+        ? parseInt(el.getAttribute('aria-level'), 10) || 2
+        : Number(el.tagName[1]);
+      return { el, level };
+    });
+  report('heading-order', headings.length);
+  // Shadow trees render inline, so their headings continue the document's; a frame document starts over
+  const lastLevel = new Map();
+  headings.forEach(({ el, level }) => {
+    const previous = lastLevel.has(el.ownerDocument) ? lastLevel.get(el.ownerDocument) : null;
+    if (previous !== null && level > previous + 1) {
+      violate('heading-order', el, `Heading level ${level} follows level ${previous}`);
+    }
+    lastLevel.set(el.ownerDocument, level);
+  });
+
+  // landmark-main: a frame document is a page of its own, so only the top document and its shadow roots count
+  const inTopDocument = el => el.ownerDocument === document;
+  const mains = visible('main, [role="main"]').filter(inTopDocument);
+  report('landmark-main', 1);
+  if (mains.length !== 1) {
+    violate('landmark-main', document.documentElement,
+      mains.length === 0 ? 'The page has no main landmark' : `The page has ${mains.length} main landmarks`);
+  }
+
+  // region: walk down from <body> until a landmark, and flag content reached before one
+  const LANDMARKS = 'header, footer, nav, main, aside, [role="banner"], [role="contentinfo"], [role="navigation"], ' +
+    '[role="main"], [role="complementary"], [role="region"], [role="search"], [role="form"], [role="dialog"], [role="alertdialog"]';
+  const IGNORED = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'LINK', 'META'];
+  const isContent = el => ['IMG', 'INPUT', 'SELECT', 'TEXTAREA', 'BUTTON', 'VIDEO', 'CANVAS', 'SVG', 'IFRAME'].includes(el.tagName.toUpperCase()) ||
+    Array.from(el.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+  const region = report('region', 0);
+  const walk = el => {
+    [...el.children, ...(el.shadowRoot ? el.shadowRoot.children : [])].forEach(child => {
+      if (IGNORED.includes(child.tagName) || isHidden(child)) return;
+      if (child.matches(LANDMARKS)) {
+        region.checked++;
+      } else if (isContent(child)) {
+        region.checked++;
+        violate('region', child, 'Content is not inside a landmark (header, nav, main, aside, footer or a region role)');
+      } else {
+        walk(child);
+      }
+    });
+  };
+  if (document.body) walk(document.body);
+
+  // color-contrast
+  const parseColor = value => {
+    if (!value || value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+    const match = value.match(/rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+)(%?))?\s*\)/);
+    if (!match) return null;
+    const alpha = match[4] === undefined ? 1 : Number(match[4]) / (match[5] ? 100 : 1);
+    return { r: Number(match[1]), g: Number(match[2]), b: Number(match[3]), a: alpha };
+  };
+  const blend = (top, below) => ({
+    r: top.r * top.a + below.r * (1 - top.a),
+    g: top.g * top.a + below.g * (1 - top.a),
+    b: top.b * top.a + below.b * (1 - top.a),
+    a: 1
+  });
+  const luminance = ({ r, g, b }) => {
+    const [R, G, B] = [r, g, b].map(channel => {
+      const c = channel / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+  };
+  const hex = ({ r, g, b }) => '#' + [r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('');
+
+  // Background behind an element's text: its own and its ancestors' colors composited over white.
+  // null when a background image is in the way, since what is under the text cannot be known.
+  const backgroundOf = el => {
+    const layers = [];
+    for (let node = el; node; node = parentOf(node)) {
+      const style = computed(node);
+      if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+      const color = parseColor(style.backgroundColor);
+      if (color && color.a > 0) {
+        layers.push(color);
+        if (color.a >= 1) break;
+      }
+    }
+    return layers.reduceRight((below, layer) => blend(layer, below), { r: 255, g: 255, b: 255, a: 1 });
+  };
+
+  const NO_TEXT = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TITLE', 'OPTION', 'OPTGROUP'];
+  const texts = all.filter(el => !NO_TEXT.includes(el.tagName.toUpperCase()) &&
+    Array.from(el.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim()) &&
+    !isHidden(el) &&
+    !el.closest(':disabled, [aria-disabled="true"]'));
+  const contrast = report('color-contrast', 0);
+  texts.forEach(el => {
+    const style = computed(el);
+    const background = backgroundOf(el);
+    const foreground = parseColor(style.color);
+    // Fully transparent text is not read by anyone; unparsable colors (color(), color-mix()) are not judged
+    if (!background || !foreground || foreground.a === 0) return;
+
+    contrast.checked++;
+    const color = foreground.a < 1 ? blend(foreground, background) : foreground;
+    const [lighter, darker] = [luminance(color), luminance(background)].sort((a, b) => b - a);
+    const ratio = Math.round(((lighter + 0.05) / (darker + 0.05)) * 100) / 100;
+
+    const size = parseFloat(style.fontSize) || 16;
+    const weight = style.fontWeight === 'bold' ? 700 : parseInt(style.fontWeight, 10) || 400;
+    const large = size >= 24 || (size >= 18.66 && weight >= 700);
+    const required = large ? 3 : 4.5;
+    if (ratio < required) {
+      violate('color-contrast', el, `Contrast ${ratio}:1 is below ${required}:1 (${hex(color)} on ${hex(background)}, ${size}px)`);
+    }
+  });
+
+  return {
+    url: window.location.href,
+    capturedAt: new Date().toISOString(),
+    rules: results
+  };
+}
+
+module.exports = {
+  AccessibilityAudit,
+  AUDIT_RULES,
+  RULE_GROUPS,
+  MAX_VIOLATIONS_PER_RULE
+};
@@ -4,6 +4,29 @@
  * This module provides advanced debugging capabilities using AI insights
  */
 
+// Console prefix the init script uses to hand unhandled promise rejections back to Node
+const REJECTION_MARKER = '[ai-debugger:unhandledrejection]';
+
+// Requests taking at least this long (ms) are reported as slow
+const SLOW_REQUEST_MS = 1000;
+
+// Pages that already run the rejection init script; every session on the page reads the same console line
+const reportingRejections = new WeakSet();
+
+function domainOf(url) {
+  try {
+    return new URL(url).hostname || url.split(':')[0];
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
 class AIDebugger {
   constructor() {
     this.debugSessions = new Map();
@@ -27,31 +50,117 @@ class AIDebugger {
       events: [],
       screenshots: [],
       networkRequests: [],
-      consoleMessages: []
+      consoleMessages: [],
+      navigations: []
     };
 
-    // Listen to page events for AI analysis
-    page.on('console', (msg) => {
+    // Report unhandled promise rejections from every document the page loads (once per page, however
+    // many sessions watch it). preventDefault stops the browser reporting them a second time as a page error.
+    if (!reportingRejections.has(page)) {
+      reportingRejections.add(page);
+      await page.addInitScript((marker) => {
+        window.addEventListener('unhandledrejection', (event) => {
+          const reason = event.reason instanceof Error ? event.reason.message : String(event.reason);
+          event.preventDefault();
+          console.error(`${marker} ${reason}`);
+        });
+      }, REJECTION_MARKER);
+    }
+
+    // Listen to page events for AI analysis; endDebugSession removes these handlers again
+    const requestEntries = new WeakMap();
+    session.listeners = {};
+    const listen = (event, handler) => {
+      session.listeners[event] = handler;
+      page.on(event, handler);
+    };
+
+    listen('console', (msg) => {
+      const text = msg.text();
+      if (text.startsWith(REJECTION_MARKER)) {
+        session.events.push({
+          type: 'unhandledrejection',
+          message: text.slice(REJECTION_MARKER.length).trim(),
+          url: page.url(),
+          timestamp: Date.now()
+        });
+        return;
+      }
+      
       session.consoleMessages.push({
         type: msg.type(),
-        text: msg.text(),
+        text,
+        url: page.url(),
         timestamp: Date.now()
       });
     });
 
-    page.on('response', (response) => {
-      session.networkRequests.push({
-        url: response.url(),
-        status: response.status(),
+    listen('framenavigated', (frame) => {
+      if (frame === page.mainFrame()) {
+        session.navigations.push({ url: frame.url(), timestamp: Date.now() });
+      }
+    });
+
+    // Follow every request from start to finish (or failure)
+    listen('request', (request) => {
+      const redirectedFrom = request.redirectedFrom();
+      const entry = {
+        url: request.url(),
+        method: request.method(),
+        resourceType: request.resourceType(),
+        domain: domainOf(request.url()),
+        status: null,
+        startTime: Date.now(),
+        endTime: null,
+        duration: null,
+        transferSize: null,
+        failure: null,
+        redirectedFrom: redirectedFrom ? redirectedFrom.url() : null,
         timestamp: Date.now()
-      });
+      };
+      if (redirectedFrom && requestEntries.has(redirectedFrom)) {
+        requestEntries.get(redirectedFrom).redirectedTo = entry.url;
+      }
+      requestEntries.set(request, entry);
+      session.networkRequests.push(entry);
     });
 
-    page.on('pageerror', (error) => {
+    listen('response', (response) => {
+      const entry = requestEntries.get(response.request());
+      if (entry) {
+        entry.status = response.status();
+      }
+    });
+
+    listen('requestfinished', (request) => {
+      const entry = requestEntries.get(request);
+      if (!entry) return;
+
+      const timing = request.timing();
+      entry.endTime = Date.now();
+      entry.duration = timing && timing.responseEnd >= 0
+        ? Math.round(timing.responseEnd)
+        : entry.endTime - entry.startTime;
+      request.sizes()
+        .then(sizes => { entry.transferSize = sizes.responseHeadersSize + sizes.responseBodySize; })
+        .catch(() => {});
+    });
+
+    listen('requestfailed', (request) => {
+      const entry = requestEntries.get(request);
+      if (!entry) return;
+
+      entry.endTime = Date.now();
+      entry.duration = entry.endTime - entry.startTime;
+      entry.failure = request.failure()?.errorText || 'unknown failure';
+    });
+
+    listen('pageerror', (error) => {
       session.events.push({
         type: 'error',
         message: error.message,
         stack: error.stack,
+        url: page.url(),
         timestamp: Date.now()
       });
     });
@@ -196,7 +305,7 @@ class AIDebugger {
     const patterns = [];
     
     // Check for repeated network failures
-    const failedRequests = session.networkRequests.filter(req => req.status >= 400);
+    const failedRequests = session.networkRequests.filter(req => this.isFailedRequest(req));
     if (failedRequests.length > 2) {
       patterns.push(`Multiple network failures detected (${failedRequests.length} requests)`);
     }
@@ -234,10 +343,12 @@ class AIDebugger {
 
     // Add network requests
     session.networkRequests.forEach(req => {
+      const outcome = req.failure ? `failed (${req.failure})` : req.status;
+      const duration = req.duration !== null ? ` in ${req.duration}ms` : '';
       timeline.push({
-        time: req.timestamp - session.startTime,
+        time: req.startTime - session.startTime,
         type: 'network',
-        description: `${req.status} ${req.url}`
+        description: `${req.method} ${req.url} → ${outcome}${duration}`
       });
     });
 
@@ -253,24 +364,73 @@ class AIDebugger {
    */
   analyzeNetworkRequests(requests) {
     const issues = [];
+    const summary = this.summarizeNetworkRequests(requests);
     
-    const failedRequests = requests.filter(req => req.status >= 400);
-    if (failedRequests.length > 0) {
-      issues.push(`${failedRequests.length} failed network requests`);
+    if (summary.failed.length > 0) {
+      issues.push(`${summary.failed.length} failed network requests`);
+      summary.failed.slice(0, 5).forEach(req => {
+        issues.push(`  ${req.method} ${req.url} → ${req.failure || req.status}`);
+      });
     }
 
-    const slowRequests = requests.filter(req => {
-      // This is a simplified check - in real implementation, you'd track request duration
-      return req.url.includes('slow') || req.status === 504;
-    });
-    
-    if (slowRequests.length > 0) {
-      issues.push(`${slowRequests.length} potentially slow requests`);
+    if (summary.slow.length > 0) {
+      issues.push(`${summary.slow.length} slow requests (≥ ${SLOW_REQUEST_MS}ms), slowest ${summary.slow[0].duration}ms: ${summary.slow[0].url}`);
+    }
+
+    if (summary.redirects > 0) {
+      issues.push(`${summary.redirects} redirected requests`);
     }
 
     return issues;
   }
 
+  /**
+   * A request failed if it never completed or the server answered 4xx/5xx
+   * @param {Object} request 
+   */
+  isFailedRequest(request) {
+    return !!request.failure || request.status >= 400;
+  }
+
+  /**
+   * Summarize captured requests: failures, slow requests, duration percentiles and per-domain breakdown
+   * @param {Array} requests 
+   * @param {number} [slowThresholdMs] 
+   */
+  summarizeNetworkRequests(requests, slowThresholdMs = SLOW_REQUEST_MS) {
+    const timed = requests.filter(req => req.duration !== null && req.duration !== undefined);
+    const durations = timed.map(req => req.duration).sort((a, b) => a - b);
+    const byDomain = {};
+
+    requests.forEach(req => {
+      const domain = byDomain[req.domain] || (byDomain[req.domain] = { requests: 0, failed: 0, transferSize: 0, totalDuration: 0 });
+      domain.requests++;
+      domain.failed += this.isFailedRequest(req) ? 1 : 0;
+      domain.transferSize += req.transferSize || 0;
+      domain.totalDuration += req.duration || 0;
+    });
+
+    return {
+      total: requests.length,
+      completed: requests.filter(req => req.status !== null && !req.failure).length,
+      failed: requests.filter(req => this.isFailedRequest(req)),
+      slow: timed.filter(req => req.duration >= slowThresholdMs).sort((a, b) => b.duration - a.duration),
+      redirects: requests.filter(req => req.redirectedFrom).length,
+      transferSize: requests.reduce((sum, req) => sum + (req.transferSize || 0), 0),
+      percentiles: {
+        p50: percentile(durations, 50),
+        p90: percentile(durations, 90),
+        p95: percentile(durations, 95)
+      },
+      byDomain: Object.fromEntries(Object.entries(byDomain).map(([domain, stats]) => [domain, {
+        requests: stats.requests,
+        failed: stats.failed,
+        transferSize: stats.transferSize,
+        avgDuration: Math.round(stats.totalDuration / stats.requests)
+      }]))
+    };
+  }
+
   /**
    * Filter critical console messages
    * @param {Array} messages 
@@ -290,10 +450,19 @@ class AIDebugger {
     const session = this.debugSessions.get(sessionId);
     if (!session) return;
 
+    const network = this.summarizeNetworkRequests(session.networkRequests);
     const insights = {
       testDuration: Date.now() - session.startTime,
       networkRequestCount: session.networkRequests.length,
       errorCount: session.consoleMessages.filter(m => m.type === 'error').length,
+      network: {
+        failedRequests: network.failed.length,
+        slowRequests: network.slow.length,
+        redirects: network.redirects,
+        transferSize: network.transferSize,
+        percentiles: network.percentiles,
+        byDomain: network.byDomain
+      },
       recommendations: []
     };
 
@@ -309,14 +478,80 @@ class AIDebugger {
       insights.recommendations.push('Browser console errors should be investigated');
     }
 
+    if (network.failed.length > 0) {
+      insights.recommendations.push(`${network.failed.length} requests failed - check ${network.failed[0].url}`);
+    }
+
+    if (network.slow.length > 0) {
+      insights.recommendations.push(`${network.slow.length} requests took ${SLOW_REQUEST_MS}ms or more (p95 ${network.percentiles.p95}ms)`);
+    }
+
     return insights;
   }
 
+  /**
+   * Count console errors, uncaught exceptions and unhandled rejections
+   * Pass a URL to count only what happened while the page was at that URL.
+   * errorRate is errors per page load, so reloading a page does not inflate it.
+   * @param {string} sessionId 
+   * @param {string} [url] 
+   */
+  getErrorStats(sessionId, url = null) {
+    const session = this.debugSessions.get(sessionId);
+    if (!session) return null;
+
+    const onPage = entry => !url || entry.url === url;
+    const messages = session.consoleMessages.filter(onPage);
+    const events = session.events.filter(onPage);
+    const consoleErrors = messages.filter(msg => msg.type === 'error');
+    const uncaught = events.filter(event => event.type === 'error');
+    const rejections = events.filter(event => event.type === 'unhandledrejection');
+    const pageLoads = session.navigations.filter(onPage).length;
+    const totalErrors = consoleErrors.length + uncaught.length + rejections.length;
+
+    return {
+      url,
+      pageLoads,
+      consoleErrors: consoleErrors.length,
+      consoleWarnings: messages.filter(msg => msg.type === 'warning').length,
+      uncaughtExceptions: uncaught.length,
+      unhandledRejections: rejections.length,
+      totalErrors,
+      errorRate: Math.round((totalErrors / Math.max(pageLoads, 1)) * 100) / 100,
+      samples: [
+        ...uncaught.map(event => `uncaught: ${event.message}`),
+        ...rejections.map(event => `rejection: ${event.message}`),
+        ...consoleErrors.map(msg => `console: ${msg.text}`)
+      ].slice(0, 5)
+    };
+  }
+
+  /**
+   * Error stats for every URL the session visited
+   * @param {string} sessionId 
+   */
+  getErrorStatsByPage(sessionId) {
+    const session = this.debugSessions.get(sessionId);
+    if (!session) return {};
+
+    const urls = new Set([
+      ...session.navigations.map(nav => nav.url),
+      ...session.consoleMessages.map(msg => msg.url),
+      ...session.events.map(event => event.url)
+    ].filter(Boolean));
+
+    return Object.fromEntries([...urls].map(url => [url, this.getErrorStats(sessionId, url)]));
+  }
+
   /**
    * Clean up debug session
    * @param {string} sessionId 
    */
   endDebugSession(sessionId) {
+    const session = this.debugSessions.get(sessionId);
+    if (session) {
+      Object.entries(session.listeners).forEach(([event, handler]) => session.page.off(event, handler));
+    }
     this.debugSessions.delete(sessionId);
   }
 }
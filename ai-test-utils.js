@@ -96,6 +96,70 @@ class AITestUtils {
     }, { timeout });
   }
 
+  /**
+   * Run a probe that reloads or types on a copy of the page, leaving the page itself untouched
+   * The copy is a new context of the same browser, seeded with the page's cookies and localStorage
+   * and opened at the page's URL. sessionStorage and unsaved in-page state (a half-filled form) are
+   * not carried over, so the probe measures the page as a fresh visit would see it.
+   * Playwright cannot read a context's options back, so the copy takes the page's viewport, userAgent
+   * and locale from the page itself; pass contextOptions (e.g. contextOptionsFromProject() from
+   * parallel-users.js) for the rest, such as isMobile, httpCredentials or extraHTTPHeaders.
+   * @param {import('@playwright/test').Page} page
+   * @param {(copy: import('@playwright/test').Page) => Promise<*>} probe
+   * @param {Object} [contextOptions] - browser.newContext() options for the copy, over those read from the page
+   * @returns {Promise<{ result?: *, notAssessed?: string }>} The probe's result, or why no copy could be made
+   */
+  static async onClonedPage(page, probe, contextOptions = {}) {
+    const url = page.url();
+    const browser = page.context().browser();
+
+    if (!/^https?:/.test(url)) {
+      return { notAssessed: `read-only mode: ${url} cannot be reopened in a copy` };
+    }
+    if (!browser) {
+      return { notAssessed: 'read-only mode: a persistent context cannot be copied' };
+    }
+
+    let context;
+    let copy;
+    try {
+      context = await browser.newContext({
+        ...(await AITestUtils.pageContextOptions(page)),
+        ...contextOptions,
+        storageState: await page.context().storageState()
+      });
+      copy = await context.newPage();
+      await copy.goto(url, { waitUntil: 'load' });
+    } catch (error) {
+      if (context) await context.close();
+      return { notAssessed: `read-only mode: copy of ${url} failed to open (${error.message})` };
+    }
+
+    try {
+      return { result: await probe(copy) };
+    } finally {
+      await context.close();
+    }
+  }
+
+  /**
+   * The emulation settings a page reveals about its context: viewport, userAgent and locale
+   * @param {import('@playwright/test').Page} page
+   * @returns {Promise<Object>} browser.newContext() options
+   */
+  static async pageContextOptions(page) {
+    const { userAgent, locale } = await page.evaluate(() => ({
+      userAgent: navigator.userAgent,
+      locale: navigator.language
+    })).catch(() => ({}));
+
+    return {
+      viewport: page.viewportSize(),
+      ...(userAgent ? { userAgent } : {}),
+      ...(locale ? { locale } : {})
+    };
+  }
+
   /**
    * AI-enhanced screenshot with automatic naming and metadata
    * @param {import('@playwright/test').Page} page 
@@ -0,0 +1,144 @@
+// calibration-corpus.js
+/**
+ * 🎯 Calibration Corpus for the Testability Scorers
+ * A set of small fixture pages (./calibration/pages), each built to score one principle strongly or
+ * weakly, and the score range both scorers are expected to give that principle on it
+ * (./calibration/corpus.json). tests/calibration-corpus.spec.js scores every page with
+ * ComprehensiveTestabilityAnalyzer and AITestabilityScorer and fails when a score leaves its range,
+ * so a change to a metric's cutoffs or to an analyzer's selectors cannot silently shift every number.
+ *
+ * The pages are served to the browser by route() under CALIBRATION_ORIGIN, so they load over HTTP
+ * (reloads, network capture and storage behave as on a real site) without a server.
+ *
+ * corpus.json:
+ * { pages: [{ page, principle, strength: 'strong' | 'weak', description, expected: { comprehensive: [min, max], ai: [min, max] } }] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PRINCIPLES } = require('./scoring-rubric');
+
+const CALIBRATION_DIR = path.join(__dirname, 'calibration');
+const DEFAULT_CORPUS_PATH = path.join(CALIBRATION_DIR, 'corpus.json');
+const CALIBRATION_ORIGIN = 'http://calibration.test';
+
+// Scorers a corpus entry gives an expected range for
+const SCORERS = ['comprehensive', 'ai'];
+const STRENGTHS = ['strong', 'weak'];
+
+class CalibrationCorpus {
+  /**
+   * @param {Object} definition - Parsed corpus JSON
+   * @param {string} source - File the corpus was loaded from; pages are resolved against its pages/ directory
+   */
+  constructor(definition, source = DEFAULT_CORPUS_PATH) {
+    this.source = source;
+    this.description = definition.description || '';
+    this.pagesDir = path.join(path.dirname(source), 'pages');
+    this.pages = definition.pages || [];
+
+    this.validate();
+  }
+
+  /**
+   * Fail fast on entries without a page file, an unknown principle or an impossible range
+   */
+  validate() {
+    const problems = [];
+
+    if (this.pages.length === 0) problems.push('"pages" must list at least one page');
+
+    this.pages.forEach((entry, index) => {
+      const where = `page ${index + 1} (${entry.page || 'unnamed'})`;
+
+      if (!entry.page || !fs.existsSync(path.join(this.pagesDir, entry.page))) {
+        problems.push(`${where}: file not found in ${this.pagesDir}`);
+      }
+      if (!PRINCIPLES.includes(entry.principle)) {
+        problems.push(`${where}: unknown principle "${entry.principle}"`);
+      }
+      if (!STRENGTHS.includes(entry.strength)) {
+        problems.push(`${where}: "strength" must be one of ${STRENGTHS.join(', ')}`);
+      }
+
+      SCORERS.forEach(scorer => {
+        const range = (entry.expected || {})[scorer];
+        const valid = Array.isArray(range) && range.length === 2 &&
+          range.every(bound => typeof bound === 'number' && bound >= 0 && bound <= 100) &&
+          range[0] <= range[1];
+        if (!valid) {
+          problems.push(`${where}: "expected.${scorer}" must be a [min, max] range within 0-100`);
+        }
+      });
+    });
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid calibration corpus (${this.source}): ${problems.join('; ')}`);
+    }
+  }
+
+  /**
+   * URL a corpus page is served at once route() is installed
+   * @param {Object} entry - One of this.pages
+   */
+  urlFor(entry) {
+    return `${CALIBRATION_ORIGIN}/${entry.page}`;
+  }
+
+  /**
+   * 🌐 Serve the corpus pages under CALIBRATION_ORIGIN; any other path on it answers 404
+   * @param {import('@playwright/test').BrowserContext | import('@playwright/test').Page} target
+   */
+  async route(target) {
+    await target.route(`${CALIBRATION_ORIGIN}/**`, async route => {
+      const { pathname } = new URL(route.request().url());
+      const page = this.pages.find(entry => `/${entry.page}` === pathname);
+
+      if (!page) {
+        await route.fulfill({ status: 404, contentType: 'text/plain', body: 'Not Found' });
+        return;
+      }
+
+      await route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', path: path.join(this.pagesDir, page.page) });
+    });
+  }
+
+  /**
+   * 📏 Scores that left their expected range
+   * @param {Object} entry - One of this.pages
+   * @param {Object<string, number|null>} scores - The entry's principle score per scorer ({ comprehensive, ai })
+   * @returns {Array<{ page: string, principle: string, scorer: string, score: number|null, expected: number[] }>}
+   */
+  findDrift(entry, scores) {
+    return SCORERS
+      .filter(scorer => {
+        const [min, max] = entry.expected[scorer];
+        const score = scores[scorer];
+        return typeof score !== 'number' || score < min || score > max;
+      })
+      .map(scorer => ({
+        page: entry.page,
+        principle: entry.principle,
+        scorer,
+        score: scores[scorer] ?? null,
+        expected: entry.expected[scorer]
+      }));
+  }
+}
+
+/**
+ * Load a calibration corpus from a JSON file (defaults to the bundled ./calibration/corpus.json)
+ * @param {string} [corpusPath]
+ * @returns {CalibrationCorpus}
+ */
+function loadCalibrationCorpus(corpusPath = DEFAULT_CORPUS_PATH) {
+  const resolvedPath = path.resolve(corpusPath);
+
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Calibration corpus not found: ${resolvedPath}`);
+  }
+
+  return new CalibrationCorpus(JSON.parse(fs.readFileSync(resolvedPath, 'utf8')), resolvedPath);
+}
+
+module.exports = { CalibrationCorpus, loadCalibrationCorpus, CALIBRATION_ORIGIN, DEFAULT_CORPUS_PATH, SCORERS };
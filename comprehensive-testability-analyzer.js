@@ -1,13 +1,19 @@
 const { test, expect } = require('@playwright/test');
 const { AITestUtils } = require('./ai-test-utils');
 const { aiDebugger } = require('./ai-debug-config');
+const { loadTargetProfile } = require('./target-profile');
+const { loadScoringRubric } = require('./scoring-rubric');
+const { DomSnapshot } = require('./dom-snapshot');
+const { AccessibilityAudit, RULE_GROUPS } = require('./accessibility-audit');
+const { KeyboardNavigation } = require('./keyboard-navigation');
 const fs = require('fs');
 const path = require('path');
 
 /**
  * 🤖 Comprehensive 10-Principle Testability Analysis with AI Enhancement
  * 
- * This suite evaluates ALL 10 principles of Intrinsic Testability for each SauceDemo user type:
+ * This suite evaluates ALL 10 principles of Intrinsic Testability for each user type of a
+ * target profile (SauceDemo by default, see ./profiles):
  * 1. Observability - Can we see what's happening?
  * 2. Controllability - Can we control the application precisely?
  * 3. Algorithmic Simplicity - Are behaviors simple and predictable?
@@ -23,7 +29,27 @@ const path = require('path');
  */
 
 class ComprehensiveTestabilityAnalyzer {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {import('./target-profile').TargetProfile} [options.profile] - Application to analyze (defaults to $TESTABILITY_PROFILE or SauceDemo)
+   * @param {import('./scoring-rubric').ScoringRubric} [options.rubric] - Point allocations and weights (defaults to $TESTABILITY_RUBRIC or ./testability-rubric.json)
+   * @param {Object<string, number>} [options.weights] - Principle weight overrides (on top of the profile's scoring.weights)
+   * @param {string[]} [options.notAssessed] - Principles excluded from the overall score (replaces the profile's scoring.notAssessed)
+   * @param {boolean} [options.readOnly] - Never reload or type into the analyzed page: those probes run on a copy
+   *   of it, or are marked not assessed when no copy can be made (defaults to $TESTABILITY_READ_ONLY=true)
+   * @param {Object} [options.contextOptions] - browser.newContext() options for that copy, e.g. contextOptionsFromProject()
+   */
+  constructor(options = {}) {
+    this.profile = options.profile || loadTargetProfile();
+    this.rubric = options.rubric || loadScoringRubric();
+    this.weighting = {
+      weights: { ...this.profile.scoring.weights, ...options.weights },
+      notAssessed: options.notAssessed || this.profile.scoring.notAssessed
+    };
+    this.readOnly = options.readOnly ?? process.env.TESTABILITY_READ_ONLY === 'true';
+    this.contextOptions = options.contextOptions || {};
+    // Why the debug session's error and network counts cannot be trusted, while one is started mid-analysis
+    this.lateSession = null;
     this.timestamp = new Date().toISOString();
     this.aiInsights = {};
     
@@ -42,7 +68,98 @@ class ComprehensiveTestabilityAnalyzer {
     };
     
     this.detailedMetrics = {};
+    this.detailedEvidence = {};
     this.aiRecommendations = [];
+    
+    // DOM snapshot and accessibility audit shared by the principle analyzers during one analyzeAllPrinciples pass
+    this.dom = null;
+    this.audit = null;
+  }
+
+  /**
+   * 🗂️ The DOM snapshot to analyze: the current pass's, or a fresh one for an analyzer called on its own
+   * @returns {Promise<DomSnapshot>}
+   */
+  async domSnapshot(page) {
+    return this.dom || DomSnapshot.capture(page);
+  }
+
+  /**
+   * ♿ The accessibility audit to score: the current pass's, or a fresh one for an analyzer called on its own
+   * @returns {Promise<AccessibilityAudit|null>} null when the audit cannot run, so its metrics get their "unknown" points
+   */
+  async accessibilityAudit(page) {
+    if (this.audit) return this.audit;
+    
+    try {
+      return await AccessibilityAudit.run(page);
+    } catch (error) {
+      console.log(`⚠️ Accessibility audit failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 🔎 Count the elements matching a selector and describe the first few (from the DOM snapshot)
+   * @returns {Promise<{ selector: string, count: number, samples: string[] }>}
+   */
+  async sampleElements(page, selector, limit = 3) {
+    return (await this.domSnapshot(page)).sample(selector, limit);
+  }
+
+  /**
+   * 🧾 Score one sub-metric and keep the evidence behind it
+   * Observations (selector, count, samples, raw values) are stored next to the
+   * rubric's explanation of which threshold applied and why points were withheld.
+   * @returns {number} points awarded
+   */
+  recordMetric(principle, metric, value, observations = {}) {
+    const explanation = this.rubric.explainMetric(principle, metric, value);
+    this.detailedEvidence[principle] = this.detailedEvidence[principle] || {};
+    this.detailedEvidence[principle][metric] = { ...observations, ...explanation };
+    return explanation.points;
+  }
+
+  /**
+   * 🧪 Score a sub-metric whose probe reloads the page or types into it
+   * In read-only mode the probe runs on a copy of the page (AITestUtils.onClonedPage). When no copy can
+   * be made the sub-metric gets null points and its evidence says why, so it counts towards nothing.
+   * @param {Object<string, number|null>} metrics - The principle's metric points, updated in place
+   * @param {(page) => Promise<{ value: *, observed?: Object }>} probe
+   */
+  async recordProbedMetric(metrics, principle, metric, page, probe, observations = {}) {
+    const outcome = this.readOnly
+      ? await AITestUtils.onClonedPage(page, probe, this.contextOptions)
+      : { result: await probe(page) };
+    
+    if (outcome.notAssessed) {
+      this.recordUnassessedMetric(metrics, principle, metric, outcome.notAssessed, observations);
+      return;
+    }
+    
+    const { value, observed = {} } = outcome.result;
+    metrics[metric] = this.recordMetric(principle, metric, value, {
+      ...observations,
+      observed: this.readOnly ? { ...observed, probedOn: 'copy' } : observed
+    });
+  }
+
+  /**
+   * ⏭️ Record a sub-metric as not assessed: null points, so it counts towards nothing, and the reason in its evidence
+   * @param {Object<string, number|null>} metrics - The principle's metric points, updated in place
+   * @param {string} reason
+   */
+  recordUnassessedMetric(metrics, principle, metric, reason, observations = {}) {
+    console.log(`    ⏭️ ${metric} not assessed: ${reason}`);
+    this.detailedEvidence[principle] = this.detailedEvidence[principle] || {};
+    this.detailedEvidence[principle][metric] = {
+      ...observations,
+      points: null,
+      maxPoints: this.rubric.maxPoints(principle, metric),
+      value: null,
+      notAssessed: reason
+    };
+    metrics[metric] = null;
   }
 
   /**
@@ -55,59 +172,56 @@ class ComprehensiveTestabilityAnalyzer {
     const metrics = {};
     
     try {
-      // State Visibility (25 points)
-      const stateData = await page.evaluate(() => ({
-        url: window.location.href,
-        title: document.title,
-        localStorage: Object.keys(localStorage || {}).length,
-        sessionStorage: Object.keys(sessionStorage || {}).length,
-        cookies: document.cookie.length > 0,
-        readyState: document.readyState
-      }));
-      
-      let stateScore = 0;
-      if (stateData.localStorage > 0) stateScore += 8;
-      if (stateData.sessionStorage > 0) stateScore += 7;
-      if (stateData.cookies) stateScore += 5;
-      if (stateData.readyState === 'complete') stateScore += 5;
-      metrics.stateVisibility = stateScore;
-      score += stateScore;
-      
-      // Data-Test Attributes (25 points)
-      const dataTestElements = await page.locator('[data-test]').count();
-      const dataTestScore = Math.min(25, Math.floor(dataTestElements * 2.5));
-      metrics.dataTestAttributes = dataTestScore;
-      score += dataTestScore;
-      
-      // Error Visibility (20 points)
-      const errorElements = await page.locator('[data-test*="error"], .error, [class*="error"]').count();
-      const errorScore = errorElements > 0 ? 20 : 10;
-      metrics.errorVisibility = errorScore;
-      score += errorScore;
-      
-      // Visual Element Observability (15 points)
-      const visualElements = await page.locator('img, svg, canvas').count();
-      const visualScore = Math.min(15, visualElements * 2);
-      metrics.visualObservability = visualScore;
-      score += visualScore;
-      
-      // Network Observability (15 points) - Using AI debugger
-      let networkScore = 5;
-      if (debugSessionId) {
-        const session = aiDebugger.debugSessions?.get(debugSessionId);
-        if (session && session.networkRequests.length > 0) {
-          networkScore = 15;
+      // State Visibility
+      const dom = await this.domSnapshot(page);
+      const { storage, readyState } = dom;
+      
+      metrics.stateVisibility = this.recordMetric('observability', 'stateVisibility', {
+        localStorage: storage.localStorage > 0,
+        sessionStorage: storage.sessionStorage > 0,
+        cookies: storage.cookies,
+        readyComplete: readyState === 'complete'
+      }, { observed: { localStorageKeys: storage.localStorage, sessionStorageKeys: storage.sessionStorage, cookies: storage.cookies, readyState } });
+      
+      // Data-Test Attributes
+      const dataTestElements = await this.sampleElements(page, '[data-test]');
+      metrics.dataTestAttributes = this.recordMetric('observability', 'dataTestAttributes', dataTestElements.count, dataTestElements);
+      
+      // Error Visibility
+      const errorElements = await this.sampleElements(page, '[data-test*="error"], .error, [class*="error"]');
+      metrics.errorVisibility = this.recordMetric('observability', 'errorVisibility', errorElements.count > 0, errorElements);
+      
+      // Visual Element Observability
+      const visualElements = await this.sampleElements(page, 'img, svg, canvas');
+      metrics.visualObservability = this.recordMetric('observability', 'visualObservability', visualElements.count, visualElements);
+      
+      // Network Observability - Using AI debugger
+      if (this.lateSession) {
+        this.recordUnassessedMetric(metrics, 'observability', 'networkObservability', this.lateSession);
+      } else {
+        let responsesCaptured = 0;
+        if (debugSessionId) {
+          const session = aiDebugger.debugSessions?.get(debugSessionId);
+          responsesCaptured = session ? session.networkRequests.filter(request => request.status !== null).length : 0;
         }
+        metrics.networkObservability = this.recordMetric('observability', 'networkObservability', responsesCaptured > 0, { observed: { responsesCaptured } });
       }
-      metrics.networkObservability = networkScore;
-      score += networkScore;
+      
+      // Accessible Names - what getByRole(role, { name }) can find
+      const audit = await this.accessibilityAudit(page);
+      metrics.accessibleNames = this.recordMetric('observability', 'accessibleNames', audit ? audit.metricValues().accessibleNames : null, audit ? {
+        matched: audit.samples(RULE_GROUPS.names),
+        observed: { fields: audit.rule('input-name').checked, buttons: audit.rule('button-name').checked }
+      } : {});
+      
+      score = this.rubric.scorePrinciple('observability', metrics);
       
       console.log(`  ✅ Observability: ${score}/100`);
-      console.log(`    State: ${stateScore}/25, Data-test: ${dataTestScore}/25, Errors: ${errorScore}/20, Visual: ${visualScore}/15, Network: ${networkScore}/15`);
+      console.log(`    ${this.rubric.describe('observability', metrics)}`);
       
     } catch (error) {
       console.log(`  ❌ Observability analysis failed: ${error.message}`);
-      score = 20; // Fallback score
+      score = null; // Not assessed, so it stays out of the overall score
     }
     
     this.detailedMetrics.observability = metrics;
@@ -124,52 +238,68 @@ class ComprehensiveTestabilityAnalyzer {
     const metrics = {};
     
     try {
-      // Input Precision (30 points)
-      const inputFields = await page.locator('input, textarea, select').all();
-      let inputScore = 0;
+      // Input Precision
+      const inputSample = await this.sampleElements(page, 'input, textarea, select', 1);
+      // Fields inside the same-origin frames the snapshot entered (locators already enter open shadow roots)
+      const dom = await this.domSnapshot(page);
+      const readableFrames = new Set(dom.scopes.filter(scope => scope.kind === 'frame' && !scope.crossOrigin).map(scope => scope.url));
+      await this.recordProbedMetric(metrics, 'controllability', 'inputPrecision', page, async probePage => {
+        const frames = probePage.frames().filter(frame => frame === probePage.mainFrame() || readableFrames.has(frame.url()));
+        const inputFields = (await Promise.all(frames.map(frame => frame.locator('input, textarea, select').all()))).flat();
+        let inputOutcome = 'absent';
+        
+        if (inputFields.length > 0) {
+          try {
+            const testField = inputFields[0];
+            const testValue = `test_${Date.now()}`;
+            await testField.fill(testValue);
+            const actualValue = await testField.inputValue();
+            inputOutcome = actualValue === testValue ? 'exact' : 'partial';
+            await testField.clear(); // Clean up
+          } catch (error) {
+            inputOutcome = 'error';
+          }
+        }
+        return { value: inputOutcome, observed: { fieldTested: inputSample.samples[0] || null } };
+      }, inputSample);
+      
+      // State Control
+      const interactiveElements = await this.sampleElements(page, 'button, input, select, a[href]');
+      metrics.stateControl = this.recordMetric('controllability', 'stateControl', interactiveElements.count, interactiveElements);
+      
+      // Determinism
+      await this.recordProbedMetric(metrics, 'controllability', 'determinism', page, async probePage => {
+        const url1 = probePage.url();
+        await probePage.reload({ waitUntil: 'load' });
+        const url2 = probePage.url();
+        return { value: url1 === url2, observed: { urlBeforeReload: url1, urlAfterReload: url2 } };
+      });
+      
+      // Interaction Reliability
+      const buttonsAndLinks = await this.sampleElements(page, 'button, a[href]');
+      metrics.interactionReliability = this.recordMetric('controllability', 'interactionReliability', buttonsAndLinks.count, buttonsAndLinks);
       
-      if (inputFields.length > 0) {
+      // Keyboard Navigation - walk the tab order with real Tab presses
+      await this.recordProbedMetric(metrics, 'controllability', 'keyboardNavigation', page, async probePage => {
         try {
-          const testField = inputFields[0];
-          const testValue = `test_${Date.now()}`;
-          await testField.fill(testValue);
-          const actualValue = await testField.inputValue();
-          inputScore = actualValue === testValue ? 30 : 15;
-          await testField.clear(); // Clean up
+          const keyboard = await KeyboardNavigation.probe(probePage);
+          return {
+            value: keyboard.metricValue(),
+            observed: { ...keyboard.summary(), focusSequence: keyboard.sequence.map(stop => stop.element), findings: keyboard.findings }
+          };
         } catch (error) {
-          inputScore = 10;
+          return { value: null, observed: { error: error.message } };
         }
-      }
-      metrics.inputPrecision = inputScore;
-      score += inputScore;
-      
-      // State Control (25 points)
-      const interactiveElements = await page.locator('button, input, select, a[href]').count();
-      const stateScore = Math.min(25, interactiveElements * 2);
-      metrics.stateControl = stateScore;
-      score += stateScore;
-      
-      // Determinism (25 points)
-      const url1 = page.url();
-      await page.reload({ waitUntil: 'load' });
-      const url2 = page.url();
-      const determinismScore = url1 === url2 ? 25 : 15;
-      metrics.determinism = determinismScore;
-      score += determinismScore;
-      
-      // Interaction Reliability (20 points)
-      const buttons = await page.locator('button').count();
-      const links = await page.locator('a[href]').count();
-      const reliabilityScore = Math.min(20, (buttons + links) * 1.5);
-      metrics.interactionReliability = reliabilityScore;
-      score += reliabilityScore;
+      });
+      
+      score = this.rubric.scorePrinciple('controllability', metrics);
       
       console.log(`  ✅ Controllability: ${score}/100`);
-      console.log(`    Input: ${inputScore}/30, State: ${stateScore}/25, Determinism: ${determinismScore}/25, Reliability: ${reliabilityScore}/20`);
+      console.log(`    ${this.rubric.describe('controllability', metrics)}`);
       
     } catch (error) {
       console.log(`  ❌ Controllability analysis failed: ${error.message}`);
-      score = 25;
+      score = null; // Not assessed, so it stays out of the overall score
     }
     
     this.detailedMetrics.controllability = metrics;
@@ -186,37 +316,27 @@ class ComprehensiveTestabilityAnalyzer {
     const metrics = {};
     
     try {
-      // Input-Output Clarity (35 points)
-      const totalElements = await page.locator('*').count();
-      let clarityScore = 35;
-      if (totalElements > 1000) clarityScore = 15;
-      else if (totalElements > 500) clarityScore = 25;
-      else if (totalElements > 200) clarityScore = 30;
-      
-      metrics.inputOutputClarity = clarityScore;
-      score += clarityScore;
-      
-      // Operation Complexity (35 points)
-      const forms = await page.locator('form').count();
-      const buttons = await page.locator('button').count();
-      const complexity = forms + buttons;
-      const complexityScore = complexity < 10 ? 35 : complexity < 20 ? 25 : 15;
-      metrics.operationComplexity = complexityScore;
-      score += complexityScore;
-      
-      // Behavior Predictability (30 points)
-      const headings = await page.locator('h1, h2, h3, h4, h5, h6').count();
-      const navigation = await page.locator('nav, [role="navigation"]').count();
-      const predictabilityScore = Math.min(30, (headings * 3) + (navigation * 10));
-      metrics.behaviorPredictability = predictabilityScore;
-      score += predictabilityScore;
+      // Input-Output Clarity
+      const totalElements = (await this.domSnapshot(page)).elements.length;
+      metrics.inputOutputClarity = this.recordMetric('algorithmicSimplicity', 'inputOutputClarity', totalElements, { selector: '*', count: totalElements });
+      
+      // Operation Complexity
+      const operations = await this.sampleElements(page, 'form, button');
+      metrics.operationComplexity = this.recordMetric('algorithmicSimplicity', 'operationComplexity', operations.count, operations);
+      
+      // Behavior Predictability
+      const headings = await this.sampleElements(page, 'h1, h2, h3, h4, h5, h6');
+      const navigation = await this.sampleElements(page, 'nav, [role="navigation"]');
+      metrics.behaviorPredictability = this.recordMetric('algorithmicSimplicity', 'behaviorPredictability', { headings: headings.count, navigation: navigation.count }, { matched: { headings, navigation } });
+      
+      score = this.rubric.scorePrinciple('algorithmicSimplicity', metrics);
       
       console.log(`  ✅ Algorithmic Simplicity: ${score}/100`);
-      console.log(`    Clarity: ${clarityScore}/35, Complexity: ${complexityScore}/35, Predictability: ${predictabilityScore}/30`);
+      console.log(`    ${this.rubric.describe('algorithmicSimplicity', metrics)}`);
       
     } catch (error) {
       console.log(`  ❌ Algorithmic Simplicity analysis failed: ${error.message}`);
-      score = 30;
+      score = null; // Not assessed, so it stays out of the overall score
     }
     
     this.detailedMetrics.algorithmicSimplicity = metrics;
@@ -227,46 +347,37 @@ class ComprehensiveTestabilityAnalyzer {
    * 🔬 Principle 4: Algorithmic Transparency Analysis (0-100 points)
    * Can we understand what the system is doing and how?
    */
-  async analyzeAlgorithmicTransparency(page, userType) {
+  async analyzeAlgorithmicTransparency(page, userType, debugSessionId) {
     console.log('🔬 Analyzing Algorithmic Transparency...');
     let score = 0;
     const metrics = {};
     
     try {
-      // Behavior Visibility (40 points)
-      const visibleFeedback = await page.locator('[class*="loading"], [class*="success"], [class*="error"], [aria-live]').count();
-      const visibilityScore = Math.min(40, visibleFeedback * 8);
-      metrics.behaviorVisibility = visibilityScore;
-      score += visibilityScore;
-      
-      // Process Understanding (35 points)
-      const labels = await page.locator('label').count();
-      const tooltips = await page.locator('[title], [aria-describedby]').count();
-      const understandingScore = Math.min(35, (labels * 3) + (tooltips * 2));
-      metrics.processUnderstanding = understandingScore;
-      score += understandingScore;
-      
-      // Black Box Reduction (25 points)
-      const consoleErrors = await page.evaluate(() => {
-        const errors = [];
-        const originalError = console.error;
-        console.error = (...args) => {
-          errors.push(args.join(' '));
-          originalError.apply(console, args);
-        };
-        return errors.length;
-      });
+      // Behavior Visibility
+      const visibleFeedback = await this.sampleElements(page, '[class*="loading"], [class*="success"], [class*="error"], [aria-live]');
+      metrics.behaviorVisibility = this.recordMetric('algorithmicTransparency', 'behaviorVisibility', visibleFeedback.count, visibleFeedback);
+      
+      // Process Understanding
+      const labels = await this.sampleElements(page, 'label');
+      const tooltips = await this.sampleElements(page, '[title], [aria-describedby]');
+      metrics.processUnderstanding = this.recordMetric('algorithmicTransparency', 'processUnderstanding', { labels: labels.count, tooltips: tooltips.count }, { matched: { labels, tooltips } });
+      
+      // Black Box Reduction - console errors the AI debugger saw on this page
+      if (this.lateSession) {
+        this.recordUnassessedMetric(metrics, 'algorithmicTransparency', 'blackBoxReduction', this.lateSession);
+      } else {
+        const errorStats = aiDebugger.getErrorStats(debugSessionId, page.url());
+        metrics.blackBoxReduction = this.recordMetric('algorithmicTransparency', 'blackBoxReduction', errorStats ? errorStats.consoleErrors : null, { observed: errorStats });
+      }
       
-      const blackBoxScore = consoleErrors === 0 ? 25 : consoleErrors < 3 ? 15 : 5;
-      metrics.blackBoxReduction = blackBoxScore;
-      score += blackBoxScore;
+      score = this.rubric.scorePrinciple('algorithmicTransparency', metrics);
       
       console.log(`  ✅ Algorithmic Transparency: ${score}/100`);
-      console.log(`    Visibility: ${visibilityScore}/40, Understanding: ${understandingScore}/35, BlackBox: ${blackBoxScore}/25`);
+      console.log(`    ${this.rubric.describe('algorithmicTransparency', metrics)}`);
       
     } catch (error) {
       console.log(`  ❌ Algorithmic Transparency analysis failed: ${error.message}`);
-      score = 35;
+      score = null; // Not assessed, so it stays out of the overall score
     }
     
     this.detailedMetrics.algorithmicTransparency = metrics;
@@ -283,43 +394,42 @@ class ComprehensiveTestabilityAnalyzer {
     const metrics = {};
     
     try {
-      // Change Resilience (35 points)
-      const initialElementCount = await page.locator('[data-test]').count();
-      await page.reload({ waitUntil: 'load' });
-      await AITestUtils.waitForPageReady(page);
-      const reloadElementCount = await page.locator('[data-test]').count();
-      
-      const resilienceScore = initialElementCount === reloadElementCount ? 35 : 20;
-      metrics.changeResilience = resilienceScore;
-      score += resilienceScore;
-      
-      // Test Maintainability (35 points)
-      const dataTestQuality = await page.evaluate(() => {
-        const elements = document.querySelectorAll('[data-test]');
-        let qualityScore = 0;
-        elements.forEach(el => {
-          const testId = el.getAttribute('data-test');
-          if (testId.includes('-') || testId.includes('_')) qualityScore += 2;
-          if (testId.length > 5) qualityScore += 1;
-        });
-        return Math.min(35, qualityScore);
+      // Change Resilience
+      await this.recordProbedMetric(metrics, 'algorithmicStability', 'changeResilience', page, async probePage => {
+        const initialElementCount = (await DomSnapshot.capture(probePage)).count('[data-test]');
+        await probePage.reload({ waitUntil: 'load' });
+        await AITestUtils.waitForPageReady(probePage);
+        const reloadElementCount = (await DomSnapshot.capture(probePage)).count('[data-test]');
+        return {
+          value: initialElementCount === reloadElementCount,
+          observed: { countBeforeReload: initialElementCount, countAfterReload: reloadElementCount }
+        };
+      }, { selector: '[data-test]' });
+      
+      // Test Maintainability
+      const testIds = (await this.domSnapshot(page)).query('[data-test]').map(el => el.attributes['data-test']);
+      const weakIds = testIds.filter(testId => !(testId.includes('-') || testId.includes('_')) || testId.length <= 5);
+      
+      metrics.testMaintainability = this.recordMetric('algorithmicStability', 'testMaintainability', {
+        separatedIds: testIds.filter(testId => testId.includes('-') || testId.includes('_')).length,
+        descriptiveIds: testIds.filter(testId => testId.length > 5).length
+      }, {
+        selector: '[data-test]',
+        observed: { undescriptiveTestIds: weakIds.slice(0, 5) }
       });
       
-      metrics.testMaintainability = dataTestQuality;
-      score += dataTestQuality;
+      // Behavior Consistency
+      const consistentElements = await this.sampleElements(page, 'button[data-test], input[data-test], select[data-test]');
+      metrics.behaviorConsistency = this.recordMetric('algorithmicStability', 'behaviorConsistency', consistentElements.count, consistentElements);
       
-      // Behavior Consistency (30 points)
-      const consistentElements = await page.locator('button[data-test], input[data-test], select[data-test]').count();
-      const consistencyScore = Math.min(30, consistentElements * 5);
-      metrics.behaviorConsistency = consistencyScore;
-      score += consistencyScore;
+      score = this.rubric.scorePrinciple('algorithmicStability', metrics);
       
       console.log(`  ✅ Algorithmic Stability: ${score}/100`);
-      console.log(`    Resilience: ${resilienceScore}/35, Maintainability: ${dataTestQuality}/35, Consistency: ${consistencyScore}/30`);
+      console.log(`    ${this.rubric.describe('algorithmicStability', metrics)}`);
       
     } catch (error) {
       console.log(`  ❌ Algorithmic Stability analysis failed: ${error.message}`);
-      score = 40;
+      score = null; // Not assessed, so it stays out of the overall score
     }
     
     this.detailedMetrics.algorithmicStability = metrics;
@@ -336,37 +446,40 @@ class ComprehensiveTestabilityAnalyzer {
     const metrics = {};
     
     try {
-      // Code Clarity (35 points)
-      const semanticElements = await page.locator('nav, main, section, article, aside, header, footer').count();
-      const clarityScore = Math.min(35, semanticElements * 5);
-      metrics.codeClarity = clarityScore;
-      score += clarityScore;
-      
-      // Documentation Quality (35 points)
-      const labeledInputs = await page.locator('input').count();
-      const actualLabels = await page.locator('label').count();
-      const altTexts = await page.locator('img[alt]').count();
-      const totalImages = await page.locator('img').count();
-      
-      let docScore = 0;
-      docScore += Math.min(20, actualLabels * 4);
-      docScore += totalImages > 0 ? Math.min(15, (altTexts / totalImages) * 15) : 0;
-      
-      metrics.documentationQuality = docScore;
-      score += docScore;
-      
-      // Semantic Structure (30 points)
-      const ariaElements = await page.locator('[aria-label], [role], [aria-describedby]').count();
-      const structureScore = Math.min(30, ariaElements * 3);
-      metrics.semanticStructure = structureScore;
-      score += structureScore;
+      // Code Clarity
+      const semanticElements = await this.sampleElements(page, 'nav, main, section, article, aside, header, footer');
+      metrics.codeClarity = this.recordMetric('explainability', 'codeClarity', semanticElements.count, semanticElements);
+      
+      // Documentation Quality
+      const actualLabels = await this.sampleElements(page, 'label');
+      const altTexts = (await this.domSnapshot(page)).count('img[alt]');
+      const missingAlt = await this.sampleElements(page, 'img:not([alt])');
+      const totalImages = altTexts + missingAlt.count;
+      
+      metrics.documentationQuality = this.recordMetric('explainability', 'documentationQuality', {
+        labels: actualLabels.count,
+        altCoverage: totalImages > 0 ? altTexts / totalImages : 0
+      }, { matched: { labels: actualLabels, imagesMissingAlt: missingAlt } });
+      
+      // Semantic Structure
+      const ariaElements = await this.sampleElements(page, '[aria-label], [role], [aria-describedby]');
+      metrics.semanticStructure = this.recordMetric('explainability', 'semanticStructure', ariaElements.count, ariaElements);
+      
+      // Accessibility Audit
+      const audit = await this.accessibilityAudit(page);
+      metrics.accessibilityAudit = this.recordMetric('explainability', 'accessibilityAudit', audit ? audit.metricValues().accessibilityAudit : null, audit ? {
+        matched: audit.samples(Object.values(RULE_GROUPS).flat()),
+        observed: audit.summary().byRule
+      } : {});
+      
+      score = this.rubric.scorePrinciple('explainability', metrics);
       
       console.log(`  ✅ Explainability: ${score}/100`);
-      console.log(`    Clarity: ${clarityScore}/35, Documentation: ${docScore}/35, Structure: ${structureScore}/30`);
+      console.log(`    ${this.rubric.describe('explainability', metrics)}`);
       
     } catch (error) {
       console.log(`  ❌ Explainability analysis failed: ${error.message}`);
-      score = 25;
+      score = null; // Not assessed, so it stays out of the overall score
     }
     
     this.detailedMetrics.explainability = metrics;
@@ -377,60 +490,43 @@ class ComprehensiveTestabilityAnalyzer {
    * 🐛 Principle 7: Unbugginess Analysis (0-100 points)
    * How error-free and robust is the application?
    */
-  async analyzeUnbugginess(page, userType) {
+  async analyzeUnbugginess(page, userType, debugSessionId) {
     console.log('🐛 Analyzing Unbugginess...');
-    let score = 100; // Start with perfect score and deduct for issues
+    let score = 0;
     const metrics = {};
     
     try {
-      // Error Rate (40 points)
-      const jsErrors = await page.evaluate(() => {
-        const errors = [];
-        window.addEventListener('error', (e) => errors.push(e.message));
-        return errors.length;
-      });
+      // Error Rate - uncaught exceptions, unhandled rejections and console errors per load of this page
+      if (this.lateSession) {
+        this.recordUnassessedMetric(metrics, 'unbugginess', 'errorRate', this.lateSession);
+      } else {
+        const errorStats = aiDebugger.getErrorStats(debugSessionId, page.url());
+        metrics.errorRate = this.recordMetric('unbugginess', 'errorRate', errorStats ? errorStats.errorRate : null, { observed: errorStats });
+      }
       
-      const consoleErrors = await page.evaluate(() => {
-        let errorCount = 0;
-        const originalError = console.error;
-        console.error = (...args) => {
-          errorCount++;
-          originalError.apply(console, args);
-        };
-        return errorCount;
-      });
+      // Error Handling
+      const errorElements = await this.sampleElements(page, '[data-test*="error"], .error, [class*="error"]');
+      metrics.errorHandling = this.recordMetric('unbugginess', 'errorHandling', errorElements.count > 0, errorElements);
       
-      const errorDeduction = Math.min(40, (jsErrors + consoleErrors) * 5);
-      const errorScore = 40 - errorDeduction;
-      metrics.errorRate = errorScore;
-      
-      // Error Handling (35 points)
-      const errorElements = await page.locator('[data-test*="error"], .error, [class*="error"]').count();
-      const handlingScore = errorElements > 0 ? 35 : 20;
-      metrics.errorHandling = handlingScore;
-      
-      // Robustness (25 points)
-      const brokenImages = await page.evaluate(() => {
-        const images = document.querySelectorAll('img');
-        let broken = 0;
-        images.forEach(img => {
-          if (!img.complete || img.naturalHeight === 0) broken++;
-        });
-        return broken;
-      });
+      // Robustness
+      const brokenImages = (await this.domSnapshot(page)).query('img')
+        .filter(img => !img.properties.complete || img.properties.naturalHeight === 0)
+        .map(img => img.attributes.src || '(no src)');
       
-      const robustnessScore = 25 - Math.min(25, brokenImages * 5);
-      metrics.robustness = robustnessScore;
+      metrics.robustness = this.recordMetric('unbugginess', 'robustness', brokenImages.length, {
+        selector: 'img',
+        count: brokenImages.length,
+        samples: brokenImages.slice(0, 5)
+      });
       
-      const totalScore = errorScore + handlingScore + robustnessScore;
-      score = Math.max(0, totalScore);
+      score = this.rubric.scorePrinciple('unbugginess', metrics);
       
       console.log(`  ✅ Unbugginess: ${score}/100`);
-      console.log(`    Errors: ${errorScore}/40, Handling: ${handlingScore}/35, Robustness: ${robustnessScore}/25`);
+      console.log(`    ${this.rubric.describe('unbugginess', metrics)}`);
       
     } catch (error) {
       console.log(`  ❌ Unbugginess analysis failed: ${error.message}`);
-      score = 60;
+      score = null; // Not assessed, so it stays out of the overall score
     }
     
     this.detailedMetrics.unbugginess = metrics;
@@ -447,39 +543,26 @@ class ComprehensiveTestabilityAnalyzer {
     const metrics = {};
     
     try {
-      // Component Size (40 points)
-      const totalElements = await page.locator('*').count();
-      let sizeScore = 40;
-      if (totalElements > 1000) sizeScore = 10;
-      else if (totalElements > 500) sizeScore = 20;
-      else if (totalElements > 200) sizeScore = 30;
-      
-      metrics.componentSize = sizeScore;
-      score += sizeScore;
-      
-      // Test Scope (35 points)
-      const testableElements = await page.locator('[data-test]').count();
-      const scopeScore = Math.min(35, testableElements * 3);
-      metrics.testScope = scopeScore;
-      score += scopeScore;
-      
-      // Output Manageability (25 points)
-      const pageContent = await page.content();
-      const contentSize = pageContent.length;
-      let managementScore = 25;
-      if (contentSize > 100000) managementScore = 10;
-      else if (contentSize > 50000) managementScore = 15;
-      else if (contentSize > 20000) managementScore = 20;
-      
-      metrics.outputManageability = managementScore;
-      score += managementScore;
+      // Component Size
+      const dom = await this.domSnapshot(page);
+      const totalElements = dom.elements.length;
+      metrics.componentSize = this.recordMetric('smallness', 'componentSize', totalElements, { selector: '*', count: totalElements });
+      
+      // Test Scope
+      const testableElements = await this.sampleElements(page, '[data-test]');
+      metrics.testScope = this.recordMetric('smallness', 'testScope', testableElements.count, testableElements);
+      
+      // Output Manageability
+      metrics.outputManageability = this.recordMetric('smallness', 'outputManageability', dom.htmlCharacters, { observed: { htmlCharacters: dom.htmlCharacters } });
+      
+      score = this.rubric.scorePrinciple('smallness', metrics);
       
       console.log(`  ✅ Smallness: ${score}/100`);
-      console.log(`    Size: ${sizeScore}/40, Scope: ${scopeScore}/35, Management: ${managementScore}/25`);
+      console.log(`    ${this.rubric.describe('smallness', metrics)}`);
       
     } catch (error) {
       console.log(`  ❌ Smallness analysis failed: ${error.message}`);
-      score = 45;
+      score = null; // Not assessed, so it stays out of the overall score
     }
     
     this.detailedMetrics.smallness = metrics;
@@ -496,31 +579,27 @@ class ComprehensiveTestabilityAnalyzer {
     const metrics = {};
     
     try {
-      // Component Separation (40 points)
-      const containers = await page.locator('div[class], section, article, nav').count();
-      const separationScore = Math.min(40, containers * 2);
-      metrics.componentSeparation = separationScore;
-      score += separationScore;
-      
-      // Isolated Testing (35 points)
-      const isolatedElements = await page.locator('[data-test]').count();
-      const forms = await page.locator('form').count();
-      const isolationScore = Math.min(35, (isolatedElements * 2) + (forms * 5));
-      metrics.isolatedTesting = isolationScore;
-      score += isolationScore;
-      
-      // Modular Design (25 points)
-      const modules = await page.locator('[id], [class*="component"], [class*="module"]').count();
-      const modularScore = Math.min(25, Math.floor(modules / 3));
-      metrics.modularDesign = modularScore;
-      score += modularScore;
+      // Component Separation
+      const containers = await this.sampleElements(page, 'div[class], section, article, nav');
+      metrics.componentSeparation = this.recordMetric('decomposability', 'componentSeparation', containers.count, containers);
+      
+      // Isolated Testing
+      const isolatedElements = await this.sampleElements(page, '[data-test]');
+      const forms = await this.sampleElements(page, 'form');
+      metrics.isolatedTesting = this.recordMetric('decomposability', 'isolatedTesting', { dataTest: isolatedElements.count, forms: forms.count }, { matched: { dataTest: isolatedElements, forms } });
+      
+      // Modular Design
+      const modules = await this.sampleElements(page, '[id], [class*="component"], [class*="module"]');
+      metrics.modularDesign = this.recordMetric('decomposability', 'modularDesign', modules.count, modules);
+      
+      score = this.rubric.scorePrinciple('decomposability', metrics);
       
       console.log(`  ✅ Decomposability: ${score}/100`);
-      console.log(`    Separation: ${separationScore}/40, Isolation: ${isolationScore}/35, Modular: ${modularScore}/25`);
+      console.log(`    ${this.rubric.describe('decomposability', metrics)}`);
       
     } catch (error) {
       console.log(`  ❌ Decomposability analysis failed: ${error.message}`);
-      score = 50;
+      score = null; // Not assessed, so it stays out of the overall score
     }
     
     this.detailedMetrics.decomposability = metrics;
@@ -537,70 +616,45 @@ class ComprehensiveTestabilityAnalyzer {
     const metrics = {};
     
     try {
-      // Standard Patterns (40 points)
-      const standardElements = await page.evaluate(() => {
-        const patterns = {
-          buttons: document.querySelectorAll('button, input[type="button"], input[type="submit"]').length,
-          forms: document.querySelectorAll('form').length,
-          navigation: document.querySelectorAll('nav, [role="navigation"]').length,
-          headings: document.querySelectorAll('h1, h2, h3, h4, h5, h6').length
-        };
-        return patterns;
-      });
+      // Standard Patterns
+      const dom = await this.domSnapshot(page);
+      const standardElements = {
+        buttons: dom.count('button, input[type="button"], input[type="submit"]'),
+        forms: dom.count('form'),
+        navigation: dom.count('nav, [role="navigation"]'),
+        headings: dom.count('h1, h2, h3, h4, h5, h6')
+      };
       
-      const patternScore = Math.min(40, 
-        (standardElements.buttons * 2) + 
-        (standardElements.forms * 5) + 
-        (standardElements.navigation * 8) + 
-        (standardElements.headings * 1)
-      );
-      metrics.standardPatterns = patternScore;
-      score += patternScore;
-      
-      // Familiar Technology (35 points)
-      const familiarTech = await page.evaluate(() => {
-        return {
-          html5: document.doctype && document.doctype.name === 'html',
-          css: document.querySelectorAll('link[rel="stylesheet"], style').length > 0,
-          javascript: document.querySelectorAll('script').length > 0,
-          forms: document.querySelectorAll('input, textarea, select').length > 0
-        };
-      });
+      metrics.standardPatterns = this.recordMetric('similarity', 'standardPatterns', standardElements, { observed: standardElements });
       
-      let techScore = 0;
-      if (familiarTech.html5) techScore += 10;
-      if (familiarTech.css) techScore += 8;
-      if (familiarTech.javascript) techScore += 7;
-      if (familiarTech.forms) techScore += 10;
+      // Familiar Technology
+      const familiarTech = {
+        html5: dom.doctype === 'html',
+        css: dom.has('link[rel="stylesheet"], style'),
+        javascript: dom.has('script'),
+        forms: dom.has('input, textarea, select')
+      };
       
-      metrics.familiarTechnology = techScore;
-      score += techScore;
+      metrics.familiarTechnology = this.recordMetric('similarity', 'familiarTechnology', familiarTech, { observed: familiarTech });
       
-      // Conventional Design (25 points)
-      const conventions = await page.evaluate(() => {
-        return {
-          header: document.querySelectorAll('header, .header').length > 0,
-          footer: document.querySelectorAll('footer, .footer').length > 0,
-          main: document.querySelectorAll('main, .main, .content').length > 0,
-          breadcrumbs: document.querySelectorAll('.breadcrumb, nav[aria-label*="breadcrumb"]').length > 0
-        };
-      });
+      // Conventional Design
+      const conventions = {
+        header: dom.has('header, .header'),
+        footer: dom.has('footer, .footer'),
+        main: dom.has('main, .main, .content'),
+        breadcrumbs: dom.has('.breadcrumb, nav[aria-label*="breadcrumb"]')
+      };
       
-      let conventionScore = 0;
-      if (conventions.header) conventionScore += 7;
-      if (conventions.footer) conventionScore += 5;
-      if (conventions.main) conventionScore += 8;
-      if (conventions.breadcrumbs) conventionScore += 5;
+      metrics.conventionalDesign = this.recordMetric('similarity', 'conventionalDesign', conventions, { observed: conventions });
       
-      metrics.conventionalDesign = conventionScore;
-      score += conventionScore;
+      score = this.rubric.scorePrinciple('similarity', metrics);
       
       console.log(`  ✅ Similarity: ${score}/100`);
-      console.log(`    Patterns: ${patternScore}/40, Technology: ${techScore}/35, Conventions: ${conventionScore}/25`);
+      console.log(`    ${this.rubric.describe('similarity', metrics)}`);
       
     } catch (error) {
       console.log(`  ❌ Similarity analysis failed: ${error.message}`);
-      score = 55;
+      score = null; // Not assessed, so it stays out of the overall score
     }
     
     this.detailedMetrics.similarity = metrics;
@@ -614,6 +668,8 @@ class ComprehensiveTestabilityAnalyzer {
     const recommendations = [];
     
     Object.entries(this.principles).forEach(([principle, score]) => {
+      if (this.weighting.notAssessed.includes(principle) || score === null) return;
+
       if (score < 60) {
         let suggestion = '';
         let priority = score < 40 ? 'Critical' : score < 50 ? 'High' : 'Medium';
@@ -665,27 +721,98 @@ class ComprehensiveTestabilityAnalyzer {
     return recommendations;
   }
 
+  /**
+   * 🧮 Run all 10 principle analyzers against the page as it currently is
+   * Updates this.principles / this.detailedMetrics / this.detailedEvidence and returns a snapshot of them.
+   */
+  async analyzeAllPrinciples(page, userType, debugSessionId) {
+    this.detailedMetrics = {};
+    this.detailedEvidence = {};
+    
+    // One DOM snapshot for all 10 analyzers; only the reload and typing probes go back to the page.
+    // If it fails, each analyzer tries its own capture and is not assessed if that fails too.
+    try {
+      this.dom = await DomSnapshot.capture(page);
+      console.log(`🗂️ DOM snapshot: ${this.dom.elements.length} elements in ${this.dom.durationMs}ms${this.describeScopes(this.dom)}`);
+    } catch (error) {
+      console.log(`⚠️ DOM snapshot failed: ${error.message}`);
+    }
+    
+    this.audit = await this.accessibilityAudit(page);
+    const { dom, audit } = this;
+    if (audit) {
+      console.log(`♿ Accessibility audit: ${audit.summary().violations} violations in ${audit.durationMs}ms`);
+    }
+    
+    try {
+      this.principles.observability = await this.analyzeObservability(page, userType, debugSessionId);
+      this.principles.controllability = await this.analyzeControllability(page, userType);
+      this.principles.algorithmicSimplicity = await this.analyzeAlgorithmicSimplicity(page, userType);
+      this.principles.algorithmicTransparency = await this.analyzeAlgorithmicTransparency(page, userType, debugSessionId);
+      this.principles.algorithmicStability = await this.analyzeAlgorithmicStability(page, userType);
+      this.principles.explainability = await this.analyzeExplainability(page, userType);
+      this.principles.unbugginess = await this.analyzeUnbugginess(page, userType, debugSessionId);
+      this.principles.smallness = await this.analyzeSmallness(page, userType);
+      this.principles.decomposability = await this.analyzeDecomposability(page, userType);
+      this.principles.similarity = await this.analyzeSimilarity(page, userType);
+    } finally {
+      this.dom = null;
+      this.audit = null;
+    }
+    
+    return {
+      ...this.weighPrinciples(this.principles),
+      principleScores: { ...this.principles },
+      detailedMetrics: { ...this.detailedMetrics },
+      evidence: { ...this.detailedEvidence },
+      accessibility: audit ? audit.toJSON() : null,
+      scopes: dom ? dom.scopeSummary() : null
+    };
+  }
+
+  /**
+   * 🗺️ Log suffix naming the shadow roots and frames the snapshot entered (empty for a plain page)
+   */
+  describeScopes(dom) {
+    const scopes = dom.scopeSummary().slice(1);
+    if (scopes.length === 0) return '';
+    
+    const shadowRoots = scopes.filter(scope => scope.kind === 'shadow').length;
+    const frames = scopes.filter(scope => scope.kind === 'frame' && !scope.crossOrigin).length;
+    const crossOrigin = scopes.length - shadowRoots - frames;
+    return ` (${shadowRoots} shadow roots, ${frames} frames${crossOrigin ? `, ${crossOrigin} cross-origin frames skipped` : ''})`;
+  }
+
+  /**
+   * ⚖️ Weigh principle scores with the rubric's weights, the project's overrides and its not-assessed list
+   * @returns {{ overallScore: number, appliedWeights: Object<string, number>, notAssessed: string[] }}
+   */
+  weighPrinciples(principleScores) {
+    return this.rubric.weighPrinciples(principleScores, this.weighting);
+  }
+
+  /**
+   * 📐 Overall score: weighted average of the assessed principles
+   */
+  calculateOverallScore(principleScores) {
+    return this.weighPrinciples(principleScores).overallScore;
+  }
+
   /**
    * 🎯 Run Complete 10-Principle Analysis
+   * Logs in through the target profile, then scores the page it lands on.
    */
   async runCompleteAnalysis(page, userType) {
     console.log(`\n🤖 COMPREHENSIVE 10-PRINCIPLE ANALYSIS: ${userType}`);
     console.log('=' .repeat(80));
     
+    let debugSessionId = null;
     try {
       // Start AI debugging session
-      const debugSessionId = await aiDebugger.startDebugSession(`10-principle-${userType}`, page);
-      
-      // Navigate and login
-      await page.goto('https://www.saucedemo.com/', { timeout: 30000 });
-      await AITestUtils.waitForPageReady(page);
+      debugSessionId = await aiDebugger.startDebugSession(`10-principle-${userType}`, page);
       
-      await page.locator('[data-test="username"]').fill(userType);
-      await page.locator('[data-test="password"]').fill('secret_sauce');
-      await page.locator('[data-test="login-button"]').click();
-      
-      // Check login success
-      const loginSuccess = await page.locator('[data-test="inventory-container"]').isVisible({ timeout: 10000 }).catch(() => false);
+      // Navigate and login using the target profile
+      const loginSuccess = await this.profile.performLogin(page, userType);
       
       if (!loginSuccess) {
         console.log(`⚠️ ${userType}: Login failed or blocked`);
@@ -694,22 +821,42 @@ class ComprehensiveTestabilityAnalyzer {
       
       console.log(`✅ ${userType}: Successfully logged in, analyzing all 10 principles...`);
       
-      // Analyze ALL 10 principles
-      this.principles.observability = await this.analyzeObservability(page, userType, debugSessionId);
-      this.principles.controllability = await this.analyzeControllability(page, userType);
-      this.principles.algorithmicSimplicity = await this.analyzeAlgorithmicSimplicity(page, userType);
-      this.principles.algorithmicTransparency = await this.analyzeAlgorithmicTransparency(page, userType);
-      this.principles.algorithmicStability = await this.analyzeAlgorithmicStability(page, userType);
-      this.principles.explainability = await this.analyzeExplainability(page, userType);
-      this.principles.unbugginess = await this.analyzeUnbugginess(page, userType);
-      this.principles.smallness = await this.analyzeSmallness(page, userType);
-      this.principles.decomposability = await this.analyzeDecomposability(page, userType);
-      this.principles.similarity = await this.analyzeSimilarity(page, userType);
+      return await this.analyzeCurrentPage(page, userType, { debugSessionId });
       
-      // Calculate overall score
-      const overallScore = Math.round(
-        Object.values(this.principles).reduce((sum, score) => sum + score, 0) / 10
-      );
+    } catch (error) {
+      console.log(`❌ Complete analysis error for ${userType}: ${error.message}`);
+      return { userType, error: error.message, scores: {} };
+    } finally {
+      // Clean up
+      if (debugSessionId) {
+        aiDebugger.endDebugSession(debugSessionId);
+      }
+    }
+  }
+
+  /**
+   * 📍 Score All 10 Principles on the Page as It Is
+   * No navigation and no login: the caller gets the app into the state to assess first
+   * (its own SSO flow, a storageState session, a half-finished checkout, ...). Construct the analyzer with
+   * readOnly: true when that state must survive the analysis.
+   * @param {import('@playwright/test').Page} page
+   * @param {string} userType - Recorded on the result
+   * @param {Object} [options]
+   * @param {string} [options.debugSessionId] - An aiDebugger session opened before the page loaded; without one,
+   *   a session is started for the analysis and ended afterwards. That session has missed the page's load, so
+   *   the error and network sub-metrics (errorRate, blackBoxReduction, networkObservability) are not assessed
+   * @returns {Promise<Object>} The same result shape as runCompleteAnalysis, plus url
+   */
+  async analyzeCurrentPage(page, userType, { debugSessionId = null } = {}) {
+    const ownSession = !debugSessionId;
+    const sessionId = debugSessionId || await aiDebugger.startDebugSession(`current-page-${userType}`, page);
+    if (ownSession) {
+      this.lateSession = 'no debug session was watching the page before the analysis started';
+    }
+    
+    try {
+      // Analyze ALL 10 principles
+      const { overallScore, appliedWeights, notAssessed, accessibility, scopes } = await this.analyzeAllPrinciples(page, userType, sessionId);
       
       // Generate AI recommendations
       const recommendations = this.generateAIRecommendations();
@@ -725,28 +872,577 @@ class ComprehensiveTestabilityAnalyzer {
       };
       
       console.log(`\n🎯 OVERALL SCORE for ${userType}: ${overallScore}/100`);
+      console.log(`⚖️ ${this.describeWeights(appliedWeights, notAssessed)}`);
       console.log(`🤖 AI Recommendations: ${recommendations.length} suggestions generated`);
       console.log('=' .repeat(80));
       
-      // Clean up
-      aiDebugger.endDebugSession(debugSessionId);
-      
       return {
         userType,
         timestamp: this.timestamp,
+        url: page.url(),
         overallScore,
         principleScores: { ...this.principles },
+        appliedWeights,
+        notAssessed,
         detailedMetrics: { ...this.detailedMetrics },
+        evidence: { ...this.detailedEvidence },
+        accessibility,
+        scopes,
+        // A session started here has seen none of the page's load, so it has no counts to report
+        errorStats: ownSession ? null : aiDebugger.getErrorStatsByPage(sessionId),
         aiRecommendations: recommendations,
         grade: this.getGrade(overallScore)
       };
-      
+    } finally {
+      if (ownSession) {
+        this.lateSession = null;
+        aiDebugger.endDebugSession(sessionId);
+      }
+    }
+  }
+
+  /**
+   * 🕸️ Run Multi-Page Crawl Analysis
+   * Logs in, then follows same-origin links and buttons breadth-first from the landing page,
+   * scoring all 10 principles on every page reached and rolling them up into site scores.
+   * @param {Object} [options] - Overrides for the profile's crawl settings (maxDepth, maxPages, ignoreQuery, exclude)
+   */
+  async runCrawlAnalysis(page, userType, options = {}) {
+    // Exclude patterns passed in code add to the profile's; they never lift its safety defaults
+    const crawl = { ...this.profile.crawl, ...options, exclude: [...this.profile.crawl.exclude, ...(options.exclude || [])] };
+
+    console.log(`\n🕸️ MULTI-PAGE CRAWL ANALYSIS: ${userType} (depth ≤ ${crawl.maxDepth}, pages ≤ ${crawl.maxPages})`);
+    console.log('=' .repeat(80));
+
+    let debugSessionId = null;
+    try {
+      debugSessionId = await aiDebugger.startDebugSession(`10-principle-crawl-${userType}`, page);
+
+      const loginSuccess = await this.profile.performLogin(page, userType);
+
+      if (!loginSuccess) {
+        console.log(`⚠️ ${userType}: Login failed or blocked`);
+        return { userType, mode: 'crawl', error: 'Login failed', scores: {} };
+      }
+
+      const startUrl = page.url();
+      const queue = [{ url: startUrl, depth: 0, discoveredFrom: null, via: 'login' }];
+      const seen = new Set([this.normalizeCrawlUrl(startUrl, crawl)]);
+      const pages = [];
+
+      while (queue.length > 0 && pages.length < crawl.maxPages) {
+        const target = queue.shift();
+        const pageResult = await this.analyzeCrawledPage(page, userType, debugSessionId, target);
+        pages.push(pageResult);
+
+        if (pageResult.error || target.depth >= crawl.maxDepth) continue;
+
+        const discovered = await this.discoverCrawlTargets(page, target.url, crawl);
+        discovered.forEach(({ url, via }) => {
+          const key = this.normalizeCrawlUrl(url, crawl);
+          if (seen.has(key)) return;
+
+          seen.add(key);
+          queue.push({ url, depth: target.depth + 1, discoveredFrom: target.url, via });
+        });
+      }
+
+      const analyzedPages = pages.filter(p => !p.error);
+      if (analyzedPages.length === 0) {
+        return { userType, mode: 'crawl', error: 'No pages could be analyzed', pages, scores: {} };
+      }
+
+      // Site roll-up: every principle averaged over the pages that assessed it
+      const siteScores = {};
+      Object.keys(this.principles).forEach(principle => {
+        siteScores[principle] = averageScore(analyzedPages.map(p => p.principleScores[principle]));
+      });
+      const { overallScore, appliedWeights, notAssessed } = this.weighPrinciples(siteScores);
+
+      this.principles = { ...siteScores };
+      const recommendations = this.generateAIRecommendations();
+      const weakestPage = analyzedPages.reduce((worst, current) => current.overallScore < worst.overallScore ? current : worst);
+
+      this.aiInsights = {
+        userType,
+        overallScore,
+        principleBreakdown: { ...siteScores },
+        recommendations,
+        analysisTimestamp: this.timestamp
+      };
+
+      console.log(`\n🕸️ Crawled ${analyzedPages.length}/${pages.length} pages for ${userType}`);
+      console.log(`🎯 SITE SCORE for ${userType}: ${overallScore}/100 (weakest: ${weakestPage.path} at ${weakestPage.overallScore}/100)`);
+      console.log('=' .repeat(80));
+
+      return {
+        userType,
+        mode: 'crawl',
+        timestamp: this.timestamp,
+        overallScore,
+        principleScores: siteScores,
+        appliedWeights,
+        notAssessed,
+        aiRecommendations: recommendations,
+        grade: this.getGrade(overallScore),
+        crawl: {
+          startUrl,
+          maxDepth: crawl.maxDepth,
+          maxPages: crawl.maxPages,
+          pagesAnalyzed: analyzedPages.length,
+          pagesFailed: pages.length - analyzedPages.length,
+          budgetExhausted: queue.length > 0,
+          weakestPage: weakestPage.path
+        },
+        pages
+      };
+
     } catch (error) {
-      console.log(`❌ Complete analysis error for ${userType}: ${error.message}`);
-      return { userType, error: error.message, scores: {} };
+      console.log(`❌ Crawl analysis error for ${userType}: ${error.message}`);
+      return { userType, mode: 'crawl', error: error.message, scores: {} };
+    } finally {
+      if (debugSessionId) {
+        aiDebugger.endDebugSession(debugSessionId);
+      }
+    }
+  }
+
+  /**
+   * 📄 Score a single crawled page with all 10 principles
+   */
+  async analyzeCrawledPage(page, userType, debugSessionId, target) {
+    const { pathname, search } = new URL(target.url);
+    const pageInfo = {
+      url: target.url,
+      path: pathname + search,
+      depth: target.depth,
+      discoveredFrom: target.discoveredFrom,
+      via: target.via
+    };
+
+    console.log(`\n📄 [depth ${target.depth}] ${pageInfo.path}`);
+
+    try {
+      if (page.url() !== target.url) {
+        await page.goto(target.url, { timeout: 30000 });
+      }
+      await AITestUtils.waitForPageReady(page);
+
+      const title = await page.title();
+      const snapshot = await this.analyzeAllPrinciples(page, userType, debugSessionId);
+
+      return {
+        ...pageInfo,
+        title,
+        overallScore: snapshot.overallScore,
+        principleScores: snapshot.principleScores,
+        detailedMetrics: snapshot.detailedMetrics,
+        evidence: snapshot.evidence,
+        accessibility: snapshot.accessibility,
+        scopes: snapshot.scopes,
+        grade: this.getGrade(snapshot.overallScore)
+      };
+    } catch (error) {
+      console.log(`  ❌ Page analysis failed: ${error.message}`);
+      return { ...pageInfo, error: error.message };
     }
   }
 
+  /**
+   * 🔗 Discover same-origin pages reachable from the current page
+   * Links with a real href are read directly. With crawl.clickButtons, buttons and href-less links are
+   * also clicked (from a fresh load of the source page) and kept if they navigate somewhere same-origin.
+   * Nothing whose label matches crawl.exclude is followed or clicked.
+   */
+  async discoverCrawlTargets(page, sourceUrl, crawl) {
+    const origin = new URL(sourceUrl).origin;
+    const exclude = (crawl.exclude || []).map(pattern => pattern.toLowerCase());
+    const isExcluded = label => {
+      const lowered = label.toLowerCase();
+      return exclude.some(pattern => lowered.includes(pattern));
+    };
+    const discovered = [];
+
+    try {
+      const candidates = await page.evaluate(() => {
+        const isVisible = el => !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+        const selectorFor = el => {
+          if (el.getAttribute('data-test')) return `[data-test="${el.getAttribute('data-test')}"]`;
+          if (el.id) return `#${CSS.escape(el.id)}`;
+          return null;
+        };
+        const labelFor = el => [el.textContent, el.getAttribute('data-test'), el.id, el.getAttribute('href')]
+          .filter(Boolean).join(' ').trim();
+
+        const links = Array.from(document.querySelectorAll('a[href]'))
+          .map(el => ({ href: el.href, rawHref: el.getAttribute('href'), label: labelFor(el) }))
+          .filter(link => link.rawHref && !link.rawHref.startsWith('#') && !link.rawHref.startsWith('javascript:'));
+
+        const clickables = Array.from(document.querySelectorAll(
+          'button, a:not([href]), a[href="#"], [role="button"], [role="link"]'
+        ))
+          .filter(el => isVisible(el) && !el.disabled)
+          .map(el => ({ selector: selectorFor(el), label: labelFor(el) }))
+          .filter(item => item.selector);
+
+        return { links, clickables };
+      });
+
+      candidates.links.forEach(link => {
+        const url = new URL(link.href);
+        url.hash = '';
+        if (url.origin === origin && !isExcluded(link.label)) {
+          discovered.push({ url: url.toString(), via: `link: ${link.label.slice(0, 60)}` });
+        }
+      });
+
+      // Clicking can submit forms or change data, so it is opt-in per profile
+      const clickables = crawl.clickButtons ? candidates.clickables : [];
+      for (const clickable of clickables) {
+        if (isExcluded(clickable.label)) continue;
+
+        try {
+          if (page.url() !== sourceUrl) {
+            await page.goto(sourceUrl, { timeout: 30000 });
+            await AITestUtils.waitForPageReady(page);
+          }
+
+          await page.locator(clickable.selector).first().click({ timeout: 3000 });
+          await page.waitForLoadState('domcontentloaded', { timeout: 5000 }).catch(() => {});
+
+          const landed = new URL(page.url());
+          landed.hash = '';
+          if (landed.origin === origin && landed.toString() !== sourceUrl) {
+            discovered.push({ url: landed.toString(), via: `click: ${clickable.selector}` });
+          }
+        } catch (error) {
+          // Not clickable right now (covered, animating, detached) - skip it
+        }
+      }
+
+      // Leave the browser where the crawl expects it
+      if (page.url() !== sourceUrl) {
+        await page.goto(sourceUrl, { timeout: 30000 });
+      }
+
+      console.log(`  🔗 Discovered ${discovered.length} candidate navigations`);
+    } catch (error) {
+      console.log(`  ⚠️ Link discovery failed: ${error.message}`);
+    }
+
+    return discovered;
+  }
+
+  /**
+   * 🧭 Key used to de-duplicate crawled URLs (hash always ignored, query optionally)
+   */
+  normalizeCrawlUrl(url, crawl = this.profile.crawl) {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    if (crawl.ignoreQuery) parsed.search = '';
+    return parsed.toString();
+  }
+
+  /**
+   * 🕸️ Generate Per-Page Crawl Report
+   */
+  generateCrawlReport(results) {
+    const crawlResults = results.filter(r => r.mode === 'crawl' && !r.error);
+
+    if (crawlResults.length === 0) {
+      return 'No successful crawl analyses to report.';
+    }
+
+    let report = `\n🕸️ MULTI-PAGE CRAWL TESTABILITY REPORT\n`;
+    report += `Generated: ${this.timestamp}\n`;
+    report += '=' .repeat(120) + '\n';
+
+    crawlResults.forEach(result => {
+      report += `\n👤 ${result.userType}: site score ${result.overallScore}/100 ${result.grade}`;
+      report += ` (${result.crawl.pagesAnalyzed} pages, max depth ${result.crawl.maxDepth}`;
+      report += result.crawl.budgetExhausted ? ', page budget exhausted)\n' : ')\n';
+      report += '-' .repeat(120) + '\n';
+      report += 'PAGE                                   | DEPTH | OVERALL | OBS | CTL | SMP | TRA | STA | EXP | UNB | SMA | DEC | SIM\n';
+      report += '-' .repeat(120) + '\n';
+
+      result.pages.forEach(p => {
+        const line = `${p.path.slice(0, 38).padEnd(38)} | ${p.depth.toString().padStart(5)} | `;
+        if (p.error) {
+          report += line + `ERROR: ${p.error}\n`;
+          return;
+        }
+
+        const scores = Object.values(p.principleScores).map(score => scoreCell(score)).join(' | ');
+        report += line + `${p.overallScore.toString().padStart(7)} | ${scores}\n`;
+      });
+
+      report += `Weakest page: ${result.crawl.weakestPage}\n`;
+    });
+
+    return report;
+  }
+
+  /**
+   * 🧭 Run Scripted User-Journey Analysis
+   * Logs in, then performs the journey step by step, capturing all 10 principle scores
+   * after login and after every step so drops along the flow become visible.
+   * A failed step is still scored (the page it left behind is usually the interesting one),
+   * and the remaining steps are skipped.
+   * Snapshots always probe read-only, so the next step finds the page as the last one left it.
+   * @param {string|Object} journey - Journey name from the target profile, or an inline { name, steps } definition
+   * @param {Object} [options]
+   * @param {number} [options.dropThreshold=10] - Minimum point loss between snapshots reported as a drop
+   */
+  async runJourneyAnalysis(page, userType, journey, options = {}) {
+    const dropThreshold = options.dropThreshold ?? 10;
+    let journeyName = typeof journey === 'string' ? journey : journey.name || 'inline-journey';
+    let debugSessionId = null;
+
+    try {
+      // An unknown journey name becomes an { error } result like any other failure
+      const definition = typeof journey === 'string' ? this.profile.getJourney(journey) : journey;
+      journeyName = definition.name || 'inline-journey';
+
+      console.log(`\n🧭 USER-JOURNEY ANALYSIS: ${userType} → ${journeyName} (${definition.steps.length} steps)`);
+      console.log('=' .repeat(80));
+
+      debugSessionId = await aiDebugger.startDebugSession(`10-principle-journey-${userType}`, page);
+
+      const loginSuccess = await this.profile.performLogin(page, userType);
+
+      if (!loginSuccess) {
+        console.log(`⚠️ ${userType}: Login failed or blocked`);
+        return { userType, mode: 'journey', journey: journeyName, error: 'Login failed', scores: {} };
+      }
+
+      const user = this.profile.getUser(userType);
+      const steps = [await this.captureJourneySnapshot(page, userType, debugSessionId, { index: 0, name: 'Logged in', status: 'passed' })];
+      let failedStep = null;
+
+      for (const [position, step] of definition.steps.entries()) {
+        const stepInfo = { index: position + 1, name: step.name || `Step ${position + 1}` };
+
+        if (failedStep) {
+          steps.push({ ...stepInfo, status: 'skipped' });
+          continue;
+        }
+
+        console.log(`\n👣 Step ${stepInfo.index}: ${stepInfo.name}`);
+
+        try {
+          for (const action of step.actions) {
+            await this.performJourneyAction(page, action, user);
+          }
+          await AITestUtils.waitForPageReady(page);
+
+          if (step.expect && !(await this.checkJourneyExpectation(page, step.expect))) {
+            throw new Error(`Expectation not met: ${JSON.stringify(step.expect)}`);
+          }
+
+          steps.push(await this.captureJourneySnapshot(page, userType, debugSessionId, { ...stepInfo, status: 'passed' }));
+        } catch (error) {
+          console.log(`  ❌ Step failed: ${error.message}`);
+          failedStep = stepInfo.name;
+          steps.push(await this.captureJourneySnapshot(page, userType, debugSessionId, { ...stepInfo, status: 'failed', error: error.message }));
+        }
+      }
+
+      // Per-step deltas against the previous scored snapshot, and the drops worth calling out.
+      // A principle either snapshot did not assess has a null delta.
+      const drops = [];
+      let previous = null;
+      steps.filter(step => step.principleScores).forEach(step => {
+        if (previous) {
+          step.deltas = {};
+          Object.entries(step.principleScores).forEach(([principle, score]) => {
+            const before = previous.principleScores[principle];
+            const delta = typeof score === 'number' && typeof before === 'number' ? score - before : null;
+            step.deltas[principle] = delta;
+            if (delta !== null && delta <= -dropThreshold) {
+              drops.push({ step: step.name, stepIndex: step.index, path: step.path, principle, from: before, to: score, delta });
+            }
+          });
+        }
+        previous = step;
+      });
+      drops.sort((a, b) => a.delta - b.delta);
+
+      // Journey roll-up: every principle averaged over the snapshots that assessed it
+      const scoredSteps = steps.filter(step => step.principleScores);
+      const journeyScores = {};
+      Object.keys(this.principles).forEach(principle => {
+        journeyScores[principle] = averageScore(scoredSteps.map(step => step.principleScores[principle]));
+      });
+      const { overallScore, appliedWeights, notAssessed } = this.weighPrinciples(journeyScores);
+
+      this.principles = { ...journeyScores };
+      const recommendations = this.generateAIRecommendations();
+
+      console.log(`\n🧭 Journey ${failedStep ? `stopped at "${failedStep}"` : 'completed'} for ${userType}`);
+      drops.forEach(drop => console.log(`  📉 ${drop.principle} ${drop.from} → ${drop.to} at "${drop.step}"`));
+      console.log(`🎯 JOURNEY SCORE for ${userType}: ${overallScore}/100`);
+      console.log('=' .repeat(80));
+
+      return {
+        userType,
+        mode: 'journey',
+        journey: journeyName,
+        timestamp: this.timestamp,
+        completed: !failedStep,
+        failedStep,
+        overallScore,
+        principleScores: journeyScores,
+        appliedWeights,
+        notAssessed,
+        aiRecommendations: recommendations,
+        grade: this.getGrade(overallScore),
+        dropThreshold,
+        drops,
+        steps
+      };
+
+    } catch (error) {
+      console.log(`❌ Journey analysis error for ${userType}: ${error.message}`);
+      return { userType, mode: 'journey', journey: journeyName, error: error.message, scores: {} };
+    } finally {
+      if (debugSessionId) {
+        aiDebugger.endDebugSession(debugSessionId);
+      }
+    }
+  }
+
+  /**
+   * 📸 Score the page as a journey step left it
+   */
+  async captureJourneySnapshot(page, userType, debugSessionId, stepInfo) {
+    // The journey carries on from this page, so the reload and typing probes must run on a copy of it
+    const readOnly = this.readOnly;
+    this.readOnly = true;
+
+    try {
+      const { pathname, search } = new URL(page.url());
+      const snapshot = await this.analyzeAllPrinciples(page, userType, debugSessionId);
+
+      return {
+        ...stepInfo,
+        url: page.url(),
+        path: pathname + search,
+        overallScore: snapshot.overallScore,
+        principleScores: snapshot.principleScores,
+        detailedMetrics: snapshot.detailedMetrics,
+        evidence: snapshot.evidence,
+        accessibility: snapshot.accessibility,
+        scopes: snapshot.scopes,
+        grade: this.getGrade(snapshot.overallScore)
+      };
+    } catch (error) {
+      console.log(`  ⚠️ Snapshot failed: ${error.message}`);
+      return { ...stepInfo, snapshotError: error.message };
+    } finally {
+      this.readOnly = readOnly;
+    }
+  }
+
+  /**
+   * 👆 Perform one journey action via AITestUtils (selector or natural-language target)
+   */
+  async performJourneyAction(page, action, user) {
+    const value = action.value !== undefined ? this.profile.expand(String(action.value), user) : null;
+
+    if (action.action === 'goto') {
+      await page.goto(this.profile.resolveUrl(value || action.path || '/'), { timeout: 30000 });
+      return;
+    }
+
+    if (action.action === 'wait') {
+      await page.waitForTimeout(Number(value) || 500);
+      return;
+    }
+
+    const locator = action.selector
+      ? page.locator(action.selector).first()
+      : AITestUtils.smartLocator(page, action.target).first();
+
+    if (action.action === 'press') {
+      await locator.press(value);
+      return;
+    }
+
+    await AITestUtils.smartInteract(locator, action.action, value);
+  }
+
+  /**
+   * ✅ Check a journey step's expected outcome (urlIncludes, selector + optional state)
+   */
+  async checkJourneyExpectation(page, expectation) {
+    const timeout = expectation.timeout || 5000;
+
+    try {
+      if (expectation.urlIncludes) {
+        await page.waitForURL(url => url.toString().includes(expectation.urlIncludes), { timeout });
+      }
+
+      if (expectation.selector) {
+        await page.locator(expectation.selector).first().waitFor({ state: expectation.state || 'visible', timeout });
+      }
+
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 🧭 Generate Per-Step Journey Report
+   */
+  generateJourneyReport(results) {
+    const journeyResults = results.filter(r => r.mode === 'journey' && !r.error);
+
+    if (journeyResults.length === 0) {
+      return 'No successful journey analyses to report.';
+    }
+
+    let report = `\n🧭 USER-JOURNEY TESTABILITY REPORT\n`;
+    report += `Generated: ${this.timestamp}\n`;
+    report += '=' .repeat(120) + '\n';
+
+    journeyResults.forEach(result => {
+      report += `\n👤 ${result.userType} → ${result.journey}: ${result.overallScore}/100 ${result.grade}`;
+      report += result.completed ? ' (completed)\n' : ` (stopped at "${result.failedStep}")\n`;
+      report += '-' .repeat(120) + '\n';
+      report += 'STEP                             | STATUS  | OVERALL | OBS | CTL | SMP | TRA | STA | EXP | UNB | SMA | DEC | SIM\n';
+      report += '-' .repeat(120) + '\n';
+
+      result.steps.forEach(step => {
+        const line = `${`${step.index}. ${step.name}`.slice(0, 32).padEnd(32)} | ${step.status.padEnd(7)} | `;
+        if (!step.principleScores) {
+          report += line + (step.snapshotError ? `SNAPSHOT ERROR: ${step.snapshotError}` : '-') + '\n';
+          return;
+        }
+
+        const scores = Object.values(step.principleScores).map(score => scoreCell(score)).join(' | ');
+        report += line + `${step.overallScore.toString().padStart(7)} | ${scores}\n`;
+      });
+
+      if (result.drops.length > 0) {
+        report += `\n📉 Drops of ${result.dropThreshold}+ points:\n`;
+        result.drops.forEach(drop => {
+          report += `  • ${drop.principle.padEnd(25)} ${drop.from.toString().padStart(3)} → ${drop.to.toString().padStart(3)} at step ${drop.stepIndex} "${drop.step}" (${drop.path})\n`;
+        });
+      }
+    });
+
+    return report;
+  }
+
+  /**
+   * ⚖️ One-line summary of the weights behind an overall score
+   */
+  describeWeights(appliedWeights, notAssessed = []) {
+    const weights = Object.entries(appliedWeights).map(([principle, weight]) => `${principle} ×${weight}`).join(', ');
+    return `Weights: ${weights}${notAssessed.length > 0 ? ` | Not assessed: ${notAssessed.join(', ')}` : ''}`;
+  }
+
   /**
    * 🎓 Grade Assignment
    */
@@ -774,38 +1470,42 @@ class ComprehensiveTestabilityAnalyzer {
     report += '=' .repeat(120) + '\n\n';
     
     // Detailed results table
-    report += 'USER TYPE        | OVERALL | OBS | CTL | SIM | TRA | STA | EXP | UNB | SMA | DEC | SIM | GRADE\n';
+    report += 'USER TYPE        | OVERALL | OBS | CTL | SMP | TRA | STA | EXP | UNB | SMA | DEC | SIM | GRADE\n';
     report += '-' .repeat(120) + '\n';
     
     successfulResults.forEach(result => {
       const s = result.principleScores;
       const line = `${result.userType.padEnd(16)} | ${result.overallScore.toString().padStart(7)} | `;
       const scores = [
-        s.observability.toString().padStart(3),
-        s.controllability.toString().padStart(3),
-        s.algorithmicSimplicity.toString().padStart(3),
-        s.algorithmicTransparency.toString().padStart(3),
-        s.algorithmicStability.toString().padStart(3),
-        s.explainability.toString().padStart(3),
-        s.unbugginess.toString().padStart(3),
-        s.smallness.toString().padStart(3),
-        s.decomposability.toString().padStart(3),
-        s.similarity.toString().padStart(3)
+        scoreCell(s.observability),
+        scoreCell(s.controllability),
+        scoreCell(s.algorithmicSimplicity),
+        scoreCell(s.algorithmicTransparency),
+        scoreCell(s.algorithmicStability),
+        scoreCell(s.explainability),
+        scoreCell(s.unbugginess),
+        scoreCell(s.smallness),
+        scoreCell(s.decomposability),
+        scoreCell(s.similarity)
       ].join(' | ');
       report += line + scores + ` | ${result.grade}\n`;
     });
     
     // Analysis summary
-    const averageScore = Math.round(successfulResults.reduce((sum, r) => sum + r.overallScore, 0) / successfulResults.length);
+    const averageOverall = Math.round(successfulResults.reduce((sum, r) => sum + r.overallScore, 0) / successfulResults.length);
     const bestUser = successfulResults.reduce((best, current) => current.overallScore > best.overallScore ? current : best);
     const worstUser = successfulResults.reduce((worst, current) => current.overallScore < worst.overallScore ? current : worst);
     
     report += '\n🤖 AI COMPREHENSIVE ANALYSIS:\n';
     report += '-' .repeat(60) + '\n';
-    report += `Average Testability Score: ${averageScore}/100\n`;
+    report += `Average Testability Score: ${averageOverall}/100\n`;
     report += `Best Performance: ${bestUser.userType} (${bestUser.overallScore}/100)\n`;
     report += `Needs Improvement: ${worstUser.userType} (${worstUser.overallScore}/100)\n`;
-    report += `Score Variance: ${bestUser.overallScore - worstUser.overallScore} points\n\n`;
+    report += `Score Variance: ${bestUser.overallScore - worstUser.overallScore} points\n`;
+    if (successfulResults[0].appliedWeights) {
+      report += `${this.describeWeights(successfulResults[0].appliedWeights, successfulResults[0].notAssessed)}\n`;
+    }
+    report += '\n';
     
     // Principle analysis across all users
     const principleNames = ['observability', 'controllability', 'algorithmicSimplicity', 'algorithmicTransparency', 
@@ -814,11 +1514,11 @@ class ComprehensiveTestabilityAnalyzer {
     report += '🎯 PRINCIPLE STRENGTH ANALYSIS (Average Scores):\n';
     report += '-' .repeat(60) + '\n';
     
+    // Principles no user had assessed are left out
     const principleAverages = {};
     principleNames.forEach(principle => {
-      principleAverages[principle] = Math.round(
-        successfulResults.reduce((sum, r) => sum + r.principleScores[principle], 0) / successfulResults.length
-      );
+      const average = averageScore(successfulResults.map(r => r.principleScores[principle]));
+      if (average !== null) principleAverages[principle] = average;
     });
     
     Object.entries(principleAverages)
@@ -856,5 +1556,21 @@ class ComprehensiveTestabilityAnalyzer {
   }
 }
 
+/**
+ * Rounded mean of the numeric scores; null when there is none, so a principle assessed nowhere stays unscored
+ * @param {Array<number|null>} scores
+ */
+function averageScore(scores) {
+  const numeric = scores.filter(score => typeof score === 'number');
+  return numeric.length > 0 ? Math.round(numeric.reduce((sum, score) => sum + score, 0) / numeric.length) : null;
+}
+
+/**
+ * A principle score as a fixed-width text table cell, "-" when it was not assessed (as in the AI scorer's table)
+ */
+function scoreCell(score, width = 3) {
+  return (typeof score === 'number' ? score.toString() : '-').padStart(width);
+}
+
 // Export for use in other modules
 module.exports = { ComprehensiveTestabilityAnalyzer };
\ No newline at end of file
@@ -0,0 +1,471 @@
+// dom-snapshot.js
+/**
+ * 🗂️ Single-Pass DOM Snapshot for the Principle Analyzers
+ *
+ * One page.evaluate walks every element and serializes what the analyzers need:
+ *
+ * { url, title, lang, doctype, readyState, htmlCharacters, storage, customState, historyState, capturedAt, durationMs,
+ *   scopes: [{ kind, host, url, crossOrigin }],
+ *   elements: [{ tag, attributes, role, text, depth, parent, scope, visible, box: { x, y, width, height }, properties }] }
+ *
+ * The walk enters open shadow roots and same-origin iframes, so web components and micro-frontends are
+ * counted like the rest of the page. Each shadow root or frame document is a scope: scopes[0] is the
+ * top document, the others name their host element (the shadow host, or the <iframe>). Elements are in
+ * document order, with a host's shadow tree or frame document right after the host; parent is the index
+ * of the parent element (-1 for <html>), and the top-level elements of a scope have their host as parent.
+ * Cross-origin frames are listed as scopes with crossOrigin: true and no elements; closed shadow roots
+ * cannot be seen at all. Boxes are in top-document coordinates.
+ * properties only carries live DOM state that attributes do not show: an input's effective type,
+ * disabled, whether a form control has a <label>, and an image's load state.
+ *
+ * The analyzers then count and sample from the snapshot in Node instead of issuing one
+ * page.locator(...).count() round-trip per selector. query() understands selector lists of compound
+ * selectors: tag, *, #id, .class, [attr], [attr=v], [attr*=v], [attr^=v], [attr$=v], [attr~=v],
+ * [attr|=v] (with an optional i flag) and :not(...). Combinators and other pseudo-classes are rejected.
+ */
+
+// Attribute values are cut to this length; long ones (inline styles, data: URLs, SVG paths) only bloat the snapshot
+const MAX_ATTRIBUTE_LENGTH = 500;
+
+class DomSnapshot {
+  /**
+   * @param {Object} data - A serialized snapshot, as produced by DomSnapshot.capture
+   */
+  constructor(data) {
+    Object.assign(this, data);
+    this.scopes = this.scopes || [{ kind: 'document', host: -1, url: this.url }];
+    this.selectorCache = new Map();
+  }
+
+  /**
+   * 📸 Serialize the page's DOM in one evaluate
+   * @param {import('@playwright/test').Page} page
+   * @returns {Promise<DomSnapshot>}
+   */
+  static async capture(page) {
+    const started = Date.now();
+    const data = await page.evaluate(collectDom, MAX_ATTRIBUTE_LENGTH);
+    return new DomSnapshot({ ...data, durationMs: Date.now() - started });
+  }
+
+  /**
+   * 🔍 Elements matching a selector list, in document order
+   * @param {string} selector
+   * @returns {Object[]}
+   */
+  query(selector) {
+    const compounds = this.parse(selector);
+    return this.elements.filter(element => compounds.some(compound => matchesCompound(element, compound)));
+  }
+
+  /**
+   * 🔢 Number of elements matching a selector list
+   */
+  count(selector) {
+    return this.query(selector).length;
+  }
+
+  /**
+   * ❓ Whether any element matches a selector list
+   */
+  has(selector) {
+    const compounds = this.parse(selector);
+    return this.elements.some(element => compounds.some(compound => matchesCompound(element, compound)));
+  }
+
+  /**
+   * 🔎 Count the elements matching a selector and describe the first few
+   * @returns {{ selector: string, count: number, samples: string[] }}
+   */
+  sample(selector, limit = 3) {
+    const matches = this.query(selector);
+    const found = { selector, count: matches.length, samples: matches.slice(0, limit).map(element => this.describe(element)) };
+    // Only attributed when some matches live in a shadow root or frame, so plain pages keep their evidence
+    if (matches.some(element => element.scope)) found.byScope = this.tally(matches);
+    return found;
+  }
+
+  /**
+   * 🏷️ An element's one-line description, prefixed with its shadow host or frame when it has one
+   */
+  describe(element) {
+    return element.scope ? `${this.scopeLabel(element.scope)} >> ${describeElement(element)}` : describeElement(element);
+  }
+
+  /**
+   * 🧭 Name a scope by its chain of hosts: "document", "checkout-form", "iframe#payment >> card-input"
+   * @param {number} scopeIndex
+   */
+  scopeLabel(scopeIndex) {
+    const scope = this.scopes[scopeIndex];
+    if (!scope || scope.host === -1) return 'document';
+
+    const host = this.elements[scope.host];
+    const label = describeElement({ ...host, text: '' });
+    return host.scope ? `${this.scopeLabel(host.scope)} >> ${label}` : label;
+  }
+
+  /**
+   * 🧮 Number of elements matching a selector list per scope, e.g. { document: 3, 'checkout-form': 5 }
+   * @returns {Object<string, number>} Only scopes with matches, in document order
+   */
+  countByScope(selector) {
+    return this.tally(this.query(selector));
+  }
+
+  /**
+   * 🗺️ Every scope the walk found, with its element count: where the page's elements come from
+   * @returns {{ scope: string, kind: string, url: string|null, crossOrigin: boolean, elements: number }[]}
+   */
+  scopeSummary() {
+    const counts = new Array(this.scopes.length).fill(0);
+    this.elements.forEach(element => counts[element.scope || 0]++);
+    return this.scopes.map((scope, index) => ({
+      scope: this.scopeLabel(index),
+      kind: scope.kind,
+      url: scope.url || null,
+      crossOrigin: !!scope.crossOrigin,
+      elements: counts[index]
+    }));
+  }
+
+  tally(elements) {
+    const counts = new Map();
+    elements.forEach(element => counts.set(element.scope || 0, (counts.get(element.scope || 0) || 0) + 1));
+    return Object.fromEntries(Array.from(counts.keys()).sort((a, b) => a - b).map(index => [this.scopeLabel(index), counts.get(index)]));
+  }
+
+  /**
+   * 🌳 Elements inside an element (at any depth) that match a selector list
+   * @param {Object} ancestor - An element of this snapshot
+   * @param {string} selector
+   */
+  within(ancestor, selector) {
+    const ancestorIndex = this.elements.indexOf(ancestor);
+    return this.query(selector).filter(element => {
+      for (let parent = element.parent; parent !== -1; parent = this.elements[parent].parent) {
+        if (parent === ancestorIndex) return true;
+      }
+      return false;
+    });
+  }
+
+  /**
+   * 📏 Deepest element nesting level (<html> is level 0)
+   */
+  maxDepth() {
+    return this.elements.reduce((max, element) => Math.max(max, element.depth), 0);
+  }
+
+  parse(selector) {
+    if (!this.selectorCache.has(selector)) {
+      this.selectorCache.set(selector, parseSelectorList(selector));
+    }
+    return this.selectorCache.get(selector);
+  }
+}
+
+/**
+ * In-page collector passed to page.evaluate; it must not reference anything outside itself
+ */
+function collectDom(maxAttributeLength) {
+  const IMPLICIT_ROLES = {
+    a: el => (el.hasAttribute('href') ? 'link' : null),
+    article: () => 'article',
+    aside: () => 'complementary',
+    button: () => 'button',
+    dialog: () => 'dialog',
+    footer: () => 'contentinfo',
+    form: () => 'form',
+    h1: () => 'heading', h2: () => 'heading', h3: () => 'heading', h4: () => 'heading', h5: () => 'heading', h6: () => 'heading',
+    header: () => 'banner',
+    img: el => (el.getAttribute('alt') === '' ? 'presentation' : 'img'),
+    input: el => ({ checkbox: 'checkbox', radio: 'radio', range: 'slider', search: 'searchbox', button: 'button', submit: 'button', reset: 'button', image: 'button', hidden: null }[el.type] ?? 'textbox'),
+    li: () => 'listitem',
+    main: () => 'main',
+    nav: () => 'navigation',
+    ol: () => 'list',
+    section: () => 'region',
+    select: el => (el.multiple || el.size > 1 ? 'listbox' : 'combobox'),
+    table: () => 'table',
+    textarea: () => 'textbox',
+    ul: () => 'list'
+  };
+
+  // Opaque origins (about:blank, data: URLs) can refuse storage and cookie access
+  const safely = (read, fallback) => {
+    try {
+      return read();
+    } catch (error) {
+      return fallback;
+    }
+  };
+
+  const elements = [];
+  const scopes = [{ kind: 'document', host: -1, url: window.location.href }];
+
+  // frame: where the element's document sits in the top viewport, and whether its <iframe> is visible
+  const serialize = (el, parent, scope, frame) => {
+    const tag = el.tagName.toLowerCase();
+
+    const attributes = {};
+    for (const { name, value } of Array.from(el.attributes)) {
+      attributes[name] = value.length > maxAttributeLength ? value.slice(0, maxAttributeLength) : value;
+    }
+
+    const rect = el.getBoundingClientRect();
+    const style = el.ownerDocument.defaultView.getComputedStyle(el);
+    const visible = frame.visible && rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden';
+
+    const properties = {};
+    if (['input', 'button', 'select', 'textarea'].includes(tag)) {
+      properties.type = el.type;
+      properties.disabled = el.matches(':disabled');
+      properties.labelled = !!(el.labels && el.labels.length > 0);
+    }
+    if (tag === 'img') {
+      properties.complete = el.complete;
+      properties.naturalWidth = el.naturalWidth;
+      properties.naturalHeight = el.naturalHeight;
+    }
+
+    const explicitRole = (el.getAttribute('role') || '').trim().split(/\s+/)[0];
+    return {
+      tag,
+      attributes,
+      role: explicitRole || (Object.prototype.hasOwnProperty.call(IMPLICIT_ROLES, tag) ? IMPLICIT_ROLES[tag](el) : null),
+      text: (el.textContent || '').trimStart().slice(0, 200).replace(/\s+/g, ' ').trim().slice(0, 40),
+      depth: parent === -1 ? 0 : elements[parent].depth + 1,
+      parent,
+      scope,
+      visible,
+      box: {
+        x: Math.round(rect.x + frame.x + window.scrollX),
+        y: Math.round(rect.y + frame.y + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      },
+      properties
+    };
+  };
+
+  // Depth-first in document order: the element, its open shadow tree, the document of a same-origin
+  // frame, then its light-DOM children
+  const visit = (el, parent, scope, frame) => {
+    const index = elements.push(serialize(el, parent, scope, frame)) - 1;
+
+    if (el.shadowRoot) {
+      const shadowScope = scopes.push({ kind: 'shadow', host: index }) - 1;
+      Array.from(el.shadowRoot.children).forEach(child => visit(child, index, shadowScope, frame));
+    }
+
+    if (elements[index].tag === 'iframe' || elements[index].tag === 'frame') {
+      const frameDocument = safely(() => el.contentDocument, null);
+      if (frameDocument && frameDocument.documentElement) {
+        const rect = el.getBoundingClientRect();
+        const frameScope = scopes.push({ kind: 'frame', host: index, url: frameDocument.location.href }) - 1;
+        visit(frameDocument.documentElement, index, frameScope, {
+          x: frame.x + rect.x + el.clientLeft,
+          y: frame.y + rect.y + el.clientTop,
+          visible: elements[index].visible
+        });
+      } else {
+        scopes.push({ kind: 'frame', host: index, url: el.src || null, crossOrigin: true });
+      }
+    }
+
+    Array.from(el.children).forEach(child => visit(child, index, scope, frame));
+  };
+  visit(document.documentElement, -1, 0, { x: 0, y: 0, visible: true });
+
+  const doctype = document.doctype ? new XMLSerializer().serializeToString(document.doctype) : '';
+  return {
+    url: window.location.href,
+    title: document.title,
+    lang: document.documentElement.lang || '',
+    doctype: document.doctype ? document.doctype.name : null,
+    readyState: document.readyState,
+    // Same length page.content() would report, without shipping the markup back
+    htmlCharacters: doctype.length + document.documentElement.outerHTML.length,
+    storage: {
+      localStorage: safely(() => Object.keys(localStorage).length, null),
+      sessionStorage: safely(() => Object.keys(sessionStorage).length, null),
+      cookies: safely(() => document.cookie.length > 0, false)
+    },
+    customState: !!(window.appState || window.store || window.state),
+    historyState: safely(() => history.state !== null, false),
+    capturedAt: new Date().toISOString(),
+    scopes,
+    elements
+  };
+}
+
+/**
+ * Same one-line description sampleElements has always produced: tag#id.class[data-test="x"] "text"
+ */
+function describeElement(element) {
+  const { id, class: className, 'data-test': dataTest } = element.attributes;
+  const classes = className && className.trim()
+    ? '.' + className.trim().split(/\s+/).slice(0, 2).join('.')
+    : '';
+  return `${element.tag}${id ? `#${id}` : ''}${classes}${dataTest ? `[data-test="${dataTest}"]` : ''}${element.text ? ` "${element.text}"` : ''}`;
+}
+
+function matchesCompound(element, compound) {
+  const { attributes } = element;
+
+  if (compound.tag && compound.tag !== element.tag) return false;
+  if (compound.ids.some(id => attributes.id !== id)) return false;
+  if (compound.classes.length > 0) {
+    const classes = (attributes.class || '').split(/\s+/);
+    if (!compound.classes.every(name => classes.includes(name))) return false;
+  }
+  if (!compound.attributes.every(condition => matchesAttribute(attributes[condition.name], condition))) return false;
+  return compound.not.every(list => !list.some(inner => matchesCompound(element, inner)));
+}
+
+function matchesAttribute(actual, { operator, value, insensitive }) {
+  if (actual === undefined) return false;
+  if (!operator) return true;
+
+  const have = insensitive ? actual.toLowerCase() : actual;
+  const want = insensitive ? value.toLowerCase() : value;
+  switch (operator) {
+    case '=': return have === want;
+    case '*=': return want !== '' && have.includes(want);
+    case '^=': return want !== '' && have.startsWith(want);
+    case '$=': return want !== '' && have.endsWith(want);
+    case '~=': return have.split(/\s+/).includes(want);
+    case '|=': return have === want || have.startsWith(`${want}-`);
+  }
+  return false;
+}
+
+/**
+ * Parse "a, b:not(c)" into compound selectors
+ * @param {string} selector
+ * @returns {{ tag: string|null, ids: string[], classes: string[], attributes: Object[], not: Object[][] }[]}
+ */
+function parseSelectorList(selector) {
+  const parser = { source: selector, position: 0 };
+  const list = readSelectorList(parser);
+  if (parser.position < selector.length) {
+    throw new Error(`Unsupported selector "${selector}": unexpected "${selector.slice(parser.position)}"`);
+  }
+  return list;
+}
+
+function readSelectorList(parser) {
+  const list = [];
+  for (;;) {
+    skipSpaces(parser);
+    list.push(readCompound(parser));
+    skipSpaces(parser);
+    if (parser.source[parser.position] !== ',') return list;
+    parser.position++;
+  }
+}
+
+function readCompound(parser) {
+  const { source } = parser;
+  const compound = { tag: null, ids: [], classes: [], attributes: [], not: [] };
+  const start = parser.position;
+
+  if (source[parser.position] === '*') {
+    parser.position++;
+  } else if (/[a-zA-Z]/.test(source[parser.position] || '')) {
+    compound.tag = readIdentifier(parser).toLowerCase();
+  }
+
+  for (;;) {
+    const char = source[parser.position];
+    if (char === '#') {
+      parser.position++;
+      compound.ids.push(readIdentifier(parser));
+    } else if (char === '.') {
+      parser.position++;
+      compound.classes.push(readIdentifier(parser));
+    } else if (char === '[') {
+      compound.attributes.push(readAttribute(parser));
+    } else if (source.startsWith(':not(', parser.position)) {
+      parser.position += ':not('.length;
+      compound.not.push(readSelectorList(parser));
+      consume(parser, ')');
+    } else {
+      break;
+    }
+  }
+
+  if (parser.position === start) {
+    throw new Error(`Unsupported selector "${source}": expected a selector at "${source.slice(start)}"`);
+  }
+  if (/^\s*[^\s,)]/.test(source.slice(parser.position))) {
+    throw new Error(`Unsupported selector "${source}": combinators and pseudo-classes other than :not() are not supported`);
+  }
+  return compound;
+}
+
+function readAttribute(parser) {
+  consume(parser, '[');
+  skipSpaces(parser);
+  const name = readIdentifier(parser).toLowerCase();
+  skipSpaces(parser);
+
+  const operator = (parser.source.slice(parser.position).match(/^[*^$~|]?=/) || [null])[0];
+  if (!operator) {
+    consume(parser, ']');
+    return { name, operator: null };
+  }
+  parser.position += operator.length;
+  skipSpaces(parser);
+
+  let value;
+  const quote = parser.source[parser.position];
+  if (quote === '"' || quote === "'") {
+    const end = parser.source.indexOf(quote, parser.position + 1);
+    if (end === -1) throw new Error(`Unsupported selector "${parser.source}": unterminated string`);
+    value = parser.source.slice(parser.position + 1, end);
+    parser.position = end + 1;
+  } else {
+    const bare = parser.source.slice(parser.position).match(/^[\w-]+/);
+    if (!bare) throw new Error(`Unsupported selector "${parser.source}": expected a value at "${parser.source.slice(parser.position)}"`);
+    value = bare[0];
+    parser.position += value.length;
+  }
+  skipSpaces(parser);
+
+  const insensitive = /^[iI]\b/.test(parser.source.slice(parser.position));
+  if (insensitive) {
+    parser.position++;
+    skipSpaces(parser);
+  }
+  consume(parser, ']');
+  return { name, operator, value, insensitive };
+}
+
+function readIdentifier(parser) {
+  const match = parser.source.slice(parser.position).match(/^-?[a-zA-Z_][\w-]*/);
+  if (!match) {
+    throw new Error(`Unsupported selector "${parser.source}": expected a name at "${parser.source.slice(parser.position)}"`);
+  }
+  parser.position += match[0].length;
+  return match[0];
+}
+
+function skipSpaces(parser) {
+  while (/\s/.test(parser.source[parser.position] || '')) parser.position++;
+}
+
+function consume(parser, token) {
+  if (parser.source[parser.position] !== token) {
+    throw new Error(`Unsupported selector "${parser.source}": expected "${token}" at "${parser.source.slice(parser.position)}"`);
+  }
+  parser.position++;
+}
+
+module.exports = {
+  DomSnapshot,
+  describeElement,
+  parseSelectorList,
+  MAX_ATTRIBUTE_LENGTH
+};
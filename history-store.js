@@ -0,0 +1,223 @@
+// history-store.js
+/**
+ * Append-only Score History for Testability Runs
+ * One JSON object per line in tests/reports/testability-history.jsonl (override with $TESTABILITY_HISTORY):
+ *
+ * { recordedAt, timestamp, target, kind, userType, browser, commit, overallScore,
+ *   principleScores: { <principle>: number | null }, sourceFile }
+ *
+ * Scored runs are appended by writeResults(..., { recordHistory: true }); results files written
+ * without it can be imported with `node run-testability-scorer.js history:import`.
+ * Lines are never rewritten, so the file can be kept in CI artifacts and concatenated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { DEFAULT_PROFILE } = require('./target-profile');
+
+const HISTORY_FILE = 'testability-history.jsonl';
+
+// Failure-analysis and impact-matrix files are teaching material, not score history
+const HISTORY_KINDS = ['complete', 'ai', 'quick', 'scorer', 'crawl', 'journey', 'reporter', 'user-comparison'];
+
+// A principle dropping by at least this many points between two runs counts as a regression
+const REGRESSION_THRESHOLD = 5;
+
+class HistoryStore {
+  /**
+   * @param {string} [filePath] - Defaults to $TESTABILITY_HISTORY, then tests/reports/testability-history.jsonl
+   */
+  constructor(filePath = process.env.TESTABILITY_HISTORY || path.join(process.cwd(), 'tests', 'reports', HISTORY_FILE)) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * 📂 The store that sits next to a reports directory (unless $TESTABILITY_HISTORY points elsewhere)
+   * @param {string} reportsDir
+   * @returns {HistoryStore}
+   */
+  static beside(reportsDir) {
+    return new HistoryStore(process.env.TESTABILITY_HISTORY || path.join(reportsDir, HISTORY_FILE));
+  }
+
+  /**
+   * ➕ Append entries as JSON lines
+   * @param {Object[]} entries
+   */
+  append(entries) {
+    if (entries.length === 0) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+  }
+
+  /**
+   * 📖 Entries in run order, optionally filtered by any entry field
+   * Lines that cannot be parsed are skipped with a warning.
+   * @param {{ target?: string, kind?: string, userType?: string, browser?: string }} [filter]
+   * @returns {Object[]}
+   */
+  read(filter = {}) {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    return fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .map((line, index) => {
+        if (!line.trim()) return null;
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          console.log(`⚠️ Skipping history line ${index + 1}: ${error.message}`);
+          return null;
+        }
+      })
+      .filter(entry => entry && Object.entries(filter).every(([field, value]) => value === undefined || entry[field] === value))
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  }
+
+  /**
+   * 🔎 Whether a results file's run is already in the history
+   * Matches the serialized fields line by line instead of parsing every entry.
+   * @param {string} sourceFile
+   * @param {string} timestamp
+   * @returns {boolean}
+   */
+  hasRecorded(sourceFile, timestamp) {
+    if (!fs.existsSync(this.filePath)) {
+      return false;
+    }
+
+    // append() writes entries with JSON.stringify, so the fields appear exactly like this
+    const sourceField = `"sourceFile":${JSON.stringify(sourceFile)}`;
+    const timestampField = `"timestamp":${JSON.stringify(timestamp)}`;
+    return fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .some(line => line.includes(sourceField) && line.includes(timestampField));
+  }
+
+  /**
+   * 📝 Record the scored results of one results document
+   * Documents of non-history kinds, and runs already recorded from the same file, add nothing.
+   * @param {Object} document - A results document (see results-schema.js)
+   * @param {{ sourceFile?: string, commit?: string|null }} [options]
+   * @returns {Object[]} the entries appended
+   */
+  recordResults(document, { sourceFile = null, commit = currentCommit() } = {}) {
+    if (!HISTORY_KINDS.includes(document.kind) || (sourceFile && this.hasRecorded(sourceFile, document.timestamp))) {
+      return [];
+    }
+
+    const entries = historyEntries(document, { sourceFile, commit });
+    this.append(entries);
+    return entries;
+  }
+
+  /**
+   * 📈 Entries grouped into one series per target, kind, user type and browser
+   * @param {Object} [filter] - See read()
+   * @returns {{ key: string, target: string, kind: string, userType: string, browser: string|null, entries: Object[] }[]}
+   */
+  series(filter = {}) {
+    const grouped = new Map();
+
+    this.read(filter).forEach(entry => {
+      const key = [entry.target, entry.kind, entry.userType, entry.browser || 'unknown'].join(' | ');
+      if (!grouped.has(key)) {
+        grouped.set(key, { key, target: entry.target, kind: entry.kind, userType: entry.userType, browser: entry.browser, entries: [] });
+      }
+      grouped.get(key).entries.push(entry);
+    });
+
+    return Array.from(grouped.values());
+  }
+
+  /**
+   * 📉 Overall and principle drops between the last two runs of each series
+   * @param {Object} [filter] - See read()
+   * @param {number} [threshold]
+   * @returns {{ series: string, target: string, principle: string, from: number, to: number, change: number,
+   *   fromCommit: string|null, toCommit: string|null, timestamp: string }[]}
+   */
+  regressions(filter = {}, threshold = REGRESSION_THRESHOLD) {
+    return this.series(filter).flatMap(({ key, target, entries }) => {
+      if (entries.length < 2) return [];
+
+      const [previous, latest] = entries.slice(-2);
+      const pairs = [['overall', previous.overallScore, latest.overallScore]]
+        .concat(Object.keys(latest.principleScores)
+          .map(principle => [principle, previous.principleScores[principle], latest.principleScores[principle]]));
+
+      return pairs
+        .filter(([, from, to]) => typeof from === 'number' && typeof to === 'number' && from - to >= threshold)
+        .map(([principle, from, to]) => ({
+          series: key,
+          target,
+          principle,
+          from,
+          to,
+          change: to - from,
+          fromCommit: previous.commit,
+          toCommit: latest.commit,
+          timestamp: latest.timestamp
+        }));
+    });
+  }
+}
+
+/**
+ * One history entry per scored result in a results document
+ * @param {Object} document
+ * @param {{ sourceFile?: string|null, commit?: string|null }} [options]
+ * @returns {Object[]}
+ */
+function historyEntries(document, { sourceFile = null, commit = null } = {}) {
+  if (!HISTORY_KINDS.includes(document.kind)) {
+    return [];
+  }
+
+  const recordedAt = new Date().toISOString();
+  return document.results
+    .filter(result => !result.error && typeof result.overallScore === 'number')
+    .map(result => ({
+      recordedAt,
+      timestamp: document.timestamp,
+      // Results written without a target profile come from the SauceDemo-only suites
+      target: document.target || DEFAULT_PROFILE,
+      kind: document.kind,
+      userType: result.userType,
+      // A reporter run can mix projects, so a result's own browser wins
+      browser: result.browser || document.browser,
+      commit,
+      overallScore: result.overallScore,
+      principleScores: result.principleScores,
+      sourceFile
+    }));
+}
+
+/**
+ * The commit under assessment: CI variables first, then the local git checkout
+ * @returns {string|null}
+ */
+function currentCommit() {
+  const fromEnv = process.env.TESTABILITY_COMMIT || process.env.GITHUB_SHA || process.env.CI_COMMIT_SHA || process.env.GIT_COMMIT;
+  if (fromEnv) {
+    return fromEnv.slice(0, 12);
+  }
+
+  try {
+    return execSync('git rev-parse --short=12 HEAD', { stdio: ['ignore', 'pipe', 'ignore'], timeout: 5000 }).toString().trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  HistoryStore,
+  historyEntries,
+  currentCommit,
+  HISTORY_FILE,
+  HISTORY_KINDS,
+  REGRESSION_THRESHOLD
+};
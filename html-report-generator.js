@@ -1,6 +1,25 @@
 const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
+const { SVGCharts } = require('./svg-charts');
+
+/**
+ * Escape page-derived text (element samples, selectors) before it is written into the report
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * A principle score for a table cell; N/A when the principle was not assessed
+ */
+function formatScore(score) {
+  return typeof score === 'number' ? score : 'N/A';
+}
 
 /**
  * 🎨 HTML Report Generator for 10-Principle Testability Analysis
@@ -11,6 +30,9 @@ const { spawn } = require('child_process');
  * - AI recommendations with priority indicators
  * - Comparative analysis tables
  * - Interactive drill-down capabilities
+ * 
+ * Charts are rendered server-side as inline SVG, so every report is a single
+ * self-contained file that displays fully offline.
  */
 
 class TestabilityHTMLReportGenerator {
@@ -64,13 +86,12 @@ class TestabilityHTMLReportGenerator {
     // Calculate averages and statistics
     const principleAverages = {};
     principleNames.forEach(principle => {
-      if (successfulResults.length > 0) {
-        principleAverages[principle] = Math.round(
-          successfulResults.reduce((sum, r) => sum + (r.principleScores?.[principle] || 0), 0) / successfulResults.length
-        );
-      } else {
-        principleAverages[principle] = 0;
-      }
+      // Principles a scorer did not assess carry no numeric score and stay out of the average;
+      // a principle no result assessed averages to null
+      const assessed = successfulResults.filter(r => typeof r.principleScores?.[principle] === 'number');
+      principleAverages[principle] = assessed.length > 0
+        ? Math.round(assessed.reduce((sum, r) => sum + r.principleScores[principle], 0) / assessed.length)
+        : null;
     });
 
     const overallAverage = successfulResults.length > 0 ? 
@@ -96,6 +117,7 @@ class TestabilityHTMLReportGenerator {
       results: successfulResults,
       failedResults,
       principleAverages,
+      weighting: successfulResults.find(r => r.appliedWeights) || null,
       recommendations: {
         all: allRecommendations,
         critical: criticalRecommendations,
@@ -114,7 +136,6 @@ class TestabilityHTMLReportGenerator {
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>🎯 10-Principle Testability Analysis Report</title>
-    <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
     <style>
         ${this.getCSS()}
     </style>
@@ -124,7 +145,10 @@ class TestabilityHTMLReportGenerator {
         ${this.buildHeader()}
         ${this.buildSummarySection()}
         ${this.buildPrincipleAnalysisSection()}
+        ${this.buildWeightsSection()}
         ${this.buildDetailedResultsSection()}
+        ${this.buildCrawlPagesSection()}
+        ${this.buildJourneySection()}
         ${this.buildRecommendationsSection()}
         ${this.buildChartsSection()}
         ${this.buildFooter()}
@@ -380,6 +404,25 @@ class TestabilityHTMLReportGenerator {
             border-radius: 5px;
         }
         
+        .evidence-item {
+            margin: 8px 0;
+            padding: 8px 10px;
+            background: white;
+            border-left: 3px solid #667eea;
+            border-radius: 3px;
+            font-size: 0.85rem;
+        }
+        
+        .evidence-item code {
+            background: #edf2f7;
+            padding: 1px 4px;
+            border-radius: 3px;
+        }
+        
+        .evidence-withheld {
+            color: #c53030;
+        }
+        
         .emoji {
             font-size: 1.2em;
             margin-right: 8px;
@@ -477,8 +520,9 @@ class TestabilityHTMLReportGenerator {
     
     const principleCards = Object.entries(principleAverages).map(([principle, score]) => {
       const info = principleInfo[principle];
-      const scoreClass = score >= 80 ? 'score-excellent' : score >= 60 ? 'score-good' : score >= 40 ? 'score-average' : 'score-poor';
-      const progressClass = score >= 80 ? 'score-excellent' : score >= 60 ? 'score-good' : score >= 40 ? 'score-average' : 'score-poor';
+      const assessed = typeof score === 'number';
+      const scoreClass = !assessed ? '' : score >= 80 ? 'score-excellent' : score >= 60 ? 'score-good' : score >= 40 ? 'score-average' : 'score-poor';
+      const progressClass = scoreClass;
       
       return `
         <div class="principle-card">
@@ -486,10 +530,10 @@ class TestabilityHTMLReportGenerator {
                 <div class="principle-title">
                     <span class="emoji">${info.emoji}</span>${info.name}
                 </div>
-                <div class="principle-score ${scoreClass}">${score}/100</div>
+                <div class="principle-score ${scoreClass}">${assessed ? `${score}/100` : 'N/A'}</div>
             </div>
             <div class="progress-bar">
-                <div class="progress-fill ${progressClass}" style="width: ${score}%"></div>
+                <div class="progress-fill ${progressClass}" style="width: ${assessed ? score : 0}%"></div>
             </div>
             <p style="color: #718096; font-size: 0.9rem;">${info.description}</p>
             
@@ -515,6 +559,55 @@ class TestabilityHTMLReportGenerator {
     `;
   }
 
+  /**
+   * ⚖️ Build Applied Weights Section (principle weights behind the overall score)
+   */
+  buildWeightsSection() {
+    const { weighting } = this.reportData;
+    
+    if (!weighting) {
+      return '';
+    }
+    
+    const totalWeight = Object.values(weighting.appliedWeights).reduce((sum, weight) => sum + weight, 0);
+    const weightRows = Object.entries(weighting.appliedWeights).map(([principle, weight]) => `
+        <tr>
+            <td><strong>${principle}</strong></td>
+            <td>${weight}</td>
+            <td>${totalWeight > 0 ? Math.round((weight / totalWeight) * 100) : 0}%</td>
+        </tr>
+    `).join('');
+    const excludedRows = (weighting.notAssessed || []).map(principle => `
+        <tr style="color: #a0aec0;">
+            <td><strong>${principle}</strong></td>
+            <td>—</td>
+            <td>Not assessed (excluded)</td>
+        </tr>
+    `).join('');
+    
+    return `
+        <div class="section">
+            <h2><span class="emoji">⚖️</span>Applied Principle Weights</h2>
+            <p style="color: #718096;">Overall scores are the weighted average of the assessed principles.</p>
+            <div style="overflow-x: auto;">
+                <table class="results-table">
+                    <thead>
+                        <tr>
+                            <th>Principle</th>
+                            <th>Weight</th>
+                            <th>Share of Overall</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${weightRows}
+                        ${excludedRows}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+  }
+
   /**
    * 📝 Build Principle Details
    */
@@ -522,7 +615,8 @@ class TestabilityHTMLReportGenerator {
     const userScores = this.reportData.results.map(result => ({
       user: result.userType,
       score: result.principleScores?.[principle] || 0,
-      metrics: result.detailedMetrics?.[principle] || {}
+      metrics: result.detailedMetrics?.[principle] || {},
+      evidence: result.evidence?.[principle] || {}
     }));
     
     const scoresHtml = userScores.map(({ user, score }) => 
@@ -531,10 +625,47 @@ class TestabilityHTMLReportGenerator {
       </div>`
     ).join('');
     
+    const evidenceHtml = userScores
+      .filter(({ evidence }) => Object.keys(evidence).length > 0)
+      .map(({ user, evidence }) => `
+        <h5 style="margin-top: 12px;">${user}</h5>
+        ${Object.entries(evidence).map(([metric, item]) => this.buildEvidenceItem(metric, item)).join('')}
+      `).join('');
+    
     return `
         <div>
             <h4>User Scores:</h4>
             ${scoresHtml}
+            ${evidenceHtml ? `<h4 style="margin-top: 15px;">Evidence:</h4>${evidenceHtml}` : ''}
+        </div>
+    `;
+  }
+
+  /**
+   * 🧾 Build one sub-metric's evidence: points, the threshold that applied, what was matched
+   */
+  buildEvidenceItem(metric, item) {
+    const matched = item.matched
+      ? Object.values(item.matched)
+      : item.selector ? [item] : [];
+    const matchedHtml = matched.map(({ selector, count, samples = [] }) => `
+        <div>
+            <code>${escapeHtml(selector)}</code> matched ${count}
+            ${samples.length > 0 ? `— ${samples.map(sample => `<code>${escapeHtml(sample)}</code>`).join(' ')}` : ''}
+        </div>
+    `).join('');
+    const observedHtml = item.observed
+      ? `<div>Observed: <code>${escapeHtml(JSON.stringify(item.observed))}</code></div>`
+      : '';
+    
+    return `
+        <div class="evidence-item">
+            <div><strong>${metric}</strong>: ${item.notAssessed
+              ? `not assessed — ${escapeHtml(item.notAssessed)}`
+              : `${item.points}/${item.maxPoints} — ${escapeHtml(item.applied)}`}</div>
+            ${matchedHtml}
+            ${observedHtml}
+            ${item.withheld ? `<div class="evidence-withheld">${escapeHtml(item.withheld)}</div>` : ''}
         </div>
     `;
   }
@@ -551,16 +682,16 @@ class TestabilityHTMLReportGenerator {
         <tr>
             <td><strong>${result.userType}</strong></td>
             <td><strong>${result.overallScore}/100</strong></td>
-            <td>${scores.observability || 0}</td>
-            <td>${scores.controllability || 0}</td>
-            <td>${scores.algorithmicSimplicity || 0}</td>
-            <td>${scores.algorithmicTransparency || 0}</td>
-            <td>${scores.algorithmicStability || 0}</td>
-            <td>${scores.explainability || 0}</td>
-            <td>${scores.unbugginess || 0}</td>
-            <td>${scores.smallness || 0}</td>
-            <td>${scores.decomposability || 0}</td>
-            <td>${scores.similarity || 0}</td>
+            <td>${formatScore(scores.observability)}</td>
+            <td>${formatScore(scores.controllability)}</td>
+            <td>${formatScore(scores.algorithmicSimplicity)}</td>
+            <td>${formatScore(scores.algorithmicTransparency)}</td>
+            <td>${formatScore(scores.algorithmicStability)}</td>
+            <td>${formatScore(scores.explainability)}</td>
+            <td>${formatScore(scores.unbugginess)}</td>
+            <td>${formatScore(scores.smallness)}</td>
+            <td>${formatScore(scores.decomposability)}</td>
+            <td>${formatScore(scores.similarity)}</td>
             <td>${result.grade || 'N/A'}</td>
         </tr>
       `;
@@ -577,7 +708,7 @@ class TestabilityHTMLReportGenerator {
                             <th>Overall</th>
                             <th>🔍 OBS</th>
                             <th>🎮 CTL</th>
-                            <th>🧩 SIM</th>
+                            <th>🧩 SMP</th>
                             <th>🔬 TRA</th>
                             <th>⚖️ STA</th>
                             <th>📖 EXP</th>
@@ -597,6 +728,170 @@ class TestabilityHTMLReportGenerator {
     `;
   }
 
+  /**
+   * 🕸️ Build Per-Page Crawl Section (only for results produced by runCrawlAnalysis)
+   */
+  buildCrawlPagesSection() {
+    const crawlResults = this.reportData.results.filter(result => Array.isArray(result.pages));
+    
+    if (crawlResults.length === 0) {
+      return '';
+    }
+    
+    const userTables = crawlResults.map(result => {
+      const pageRows = result.pages.map(page => {
+        if (page.error) {
+          return `
+        <tr>
+            <td><strong>${page.path}</strong></td>
+            <td>${page.depth}</td>
+            <td colspan="12">❌ ${page.error}</td>
+        </tr>
+          `;
+        }
+        
+        const scores = page.principleScores || {};
+        return `
+        <tr>
+            <td><strong>${page.path}</strong><br><small>${page.via || ''}</small></td>
+            <td>${page.depth}</td>
+            <td><strong>${page.overallScore}/100</strong></td>
+            <td>${formatScore(scores.observability)}</td>
+            <td>${formatScore(scores.controllability)}</td>
+            <td>${formatScore(scores.algorithmicSimplicity)}</td>
+            <td>${formatScore(scores.algorithmicTransparency)}</td>
+            <td>${formatScore(scores.algorithmicStability)}</td>
+            <td>${formatScore(scores.explainability)}</td>
+            <td>${formatScore(scores.unbugginess)}</td>
+            <td>${formatScore(scores.smallness)}</td>
+            <td>${formatScore(scores.decomposability)}</td>
+            <td>${formatScore(scores.similarity)}</td>
+            <td>${page.grade || 'N/A'}</td>
+        </tr>
+        `;
+      }).join('');
+      
+      return `
+            <h3>👤 ${result.userType}: site score ${result.overallScore}/100 across ${result.crawl.pagesAnalyzed} pages (weakest: ${result.crawl.weakestPage})</h3>
+            <div style="overflow-x: auto;">
+                <table class="results-table">
+                    <thead>
+                        <tr>
+                            <th>Page</th>
+                            <th>Depth</th>
+                            <th>Overall</th>
+                            <th>🔍 OBS</th>
+                            <th>🎮 CTL</th>
+                            <th>🧩 SMP</th>
+                            <th>🔬 TRA</th>
+                            <th>⚖️ STA</th>
+                            <th>📖 EXP</th>
+                            <th>🐛 UNB</th>
+                            <th>📏 SMA</th>
+                            <th>🔧 DEC</th>
+                            <th>🎯 SIM</th>
+                            <th>Grade</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${pageRows}
+                    </tbody>
+                </table>
+            </div>
+      `;
+    }).join('');
+    
+    return `
+        <div class="section">
+            <h2><span class="emoji">🕸️</span>Per-Page Crawl Results</h2>
+            ${userTables}
+        </div>
+    `;
+  }
+
+  /**
+   * 🧭 Build Per-Step Journey Section (only for results produced by runJourneyAnalysis)
+   */
+  buildJourneySection() {
+    const journeyResults = this.reportData.results.filter(result => Array.isArray(result.steps));
+    
+    if (journeyResults.length === 0) {
+      return '';
+    }
+    
+    const principleKeys = [
+      'observability', 'controllability', 'algorithmicSimplicity', 'algorithmicTransparency', 'algorithmicStability',
+      'explainability', 'unbugginess', 'smallness', 'decomposability', 'similarity'
+    ];
+    const statusIcons = { passed: '✅', failed: '❌', skipped: '⏭️' };
+    
+    const journeyTables = journeyResults.map(result => {
+      const stepRows = result.steps.map(step => {
+        if (!step.principleScores) {
+          return `
+        <tr>
+            <td><strong>${step.index}. ${step.name}</strong></td>
+            <td>${statusIcons[step.status] || ''} ${step.status}</td>
+            <td colspan="11">${step.snapshotError || step.error || 'Not reached'}</td>
+        </tr>
+          `;
+        }
+        
+        // Scores that dropped past the threshold since the previous step are highlighted
+        const scoreCells = principleKeys.map(key => {
+          const delta = step.deltas?.[key];
+          const dropped = typeof delta === 'number' && delta <= -result.dropThreshold;
+          const deltaText = delta ? ` <small>(${delta > 0 ? '+' : ''}${delta})</small>` : '';
+          return `<td${dropped ? ' style="color: #e74c3c; font-weight: bold;"' : ''}>${formatScore(step.principleScores[key])}${deltaText}</td>`;
+        }).join('');
+        
+        return `
+        <tr>
+            <td><strong>${step.index}. ${step.name}</strong><br><small>${step.path}</small>${step.error ? `<br><small>❌ ${step.error}</small>` : ''}</td>
+            <td>${statusIcons[step.status] || ''} ${step.status}</td>
+            <td><strong>${step.overallScore}/100</strong></td>
+            ${scoreCells}
+        </tr>
+        `;
+      }).join('');
+      
+      return `
+            <h3>👤 ${result.userType} → ${result.journey}: ${result.overallScore}/100 ${result.completed ? '(completed)' : `(stopped at "${result.failedStep}")`}</h3>
+            <div style="overflow-x: auto;">
+                <table class="results-table">
+                    <thead>
+                        <tr>
+                            <th>Step</th>
+                            <th>Status</th>
+                            <th>Overall</th>
+                            <th>🔍 OBS</th>
+                            <th>🎮 CTL</th>
+                            <th>🧩 SMP</th>
+                            <th>🔬 TRA</th>
+                            <th>⚖️ STA</th>
+                            <th>📖 EXP</th>
+                            <th>🐛 UNB</th>
+                            <th>📏 SMA</th>
+                            <th>🔧 DEC</th>
+                            <th>🎯 SIM</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${stepRows}
+                    </tbody>
+                </table>
+            </div>
+      `;
+    }).join('');
+    
+    return `
+        <div class="section">
+            <h2><span class="emoji">🧭</span>User-Journey Step Scores</h2>
+            ${journeyTables}
+        </div>
+    `;
+  }
+
   /**
    * 💡 Build Recommendations Section
    */
@@ -653,6 +948,26 @@ class TestabilityHTMLReportGenerator {
    * 📊 Build Charts Section
    */
   buildChartsSection() {
+    const { principleAverages, results } = this.reportData;
+    // Unassessed principles have no average to plot, so they get no axis
+    const assessedAverages = Object.entries(principleAverages).filter(([, score]) => typeof score === 'number');
+    const principleChart = SVGCharts.radar({
+      labels: assessedAverages.map(([p]) => p.charAt(0).toUpperCase() + p.slice(1)),
+      values: assessedAverages.map(([, score]) => score),
+      title: 'Average principle scores'
+    });
+    const userChart = SVGCharts.bar({
+      labels: results.map(r => r.userType),
+      datasets: [{
+        label: 'Overall Score',
+        values: results.map(r => r.overallScore),
+        color: value => value >= 80 ? '#48bb78' : value >= 60 ? '#38b2ac' : value >= 40 ? '#ed8936' : '#e53e3e'
+      }],
+      max: 100,
+      yTitle: 'Score (0-100)',
+      xTitle: 'User Types'
+    });
+    
     return `
         <div class="section">
             <h2><span class="emoji">📊</span>Visual Analysis</h2>
@@ -661,14 +976,14 @@ class TestabilityHTMLReportGenerator {
                 <div>
                     <h3>Principle Scores Overview</h3>
                     <div class="chart-container">
-                        <canvas id="principleChart"></canvas>
+                        ${principleChart}
                     </div>
                 </div>
                 
                 <div>
                     <h3>User Performance Comparison</h3>
                     <div class="chart-container">
-                        <canvas id="userChart"></canvas>
+                        ${userChart}
                     </div>
                 </div>
             </div>
@@ -695,8 +1010,6 @@ class TestabilityHTMLReportGenerator {
    * 🔧 JavaScript for Interactivity
    */
   getJavaScript() {
-    const { principleAverages, results } = this.reportData;
-    
     return `
         // Toggle details visibility
         function toggleDetails(principleId) {
@@ -711,112 +1024,6 @@ class TestabilityHTMLReportGenerator {
                 btn.textContent = 'Show Details';
             }
         }
-        
-        // Initialize charts when page loads
-        document.addEventListener('DOMContentLoaded', function() {
-            // Principle Scores Chart
-            const principleCtx = document.getElementById('principleChart');
-            if (principleCtx) {
-                new Chart(principleCtx, {
-                    type: 'radar',
-                    data: {
-                        labels: ${JSON.stringify(Object.keys(principleAverages).map(p => p.charAt(0).toUpperCase() + p.slice(1)))},
-                        datasets: [{
-                            label: 'Average Scores',
-                            data: ${JSON.stringify(Object.values(principleAverages))},
-                            borderColor: 'rgb(102, 126, 234)',
-                            backgroundColor: 'rgba(102, 126, 234, 0.2)',
-                            borderWidth: 2,
-                            pointBackgroundColor: 'rgb(102, 126, 234)',
-                            pointBorderColor: '#fff',
-                            pointHoverBackgroundColor: '#fff',
-                            pointHoverBorderColor: 'rgb(102, 126, 234)'
-                        }]
-                    },
-                    options: {
-                        responsive: true,
-                        maintainAspectRatio: false,
-                        plugins: {
-                            legend: {
-                                display: false
-                            }
-                        },
-                        scales: {
-                            r: {
-                                angleLines: {
-                                    display: true
-                                },
-                                suggestedMin: 0,
-                                suggestedMax: 100,
-                                grid: {
-                                    circular: true
-                                },
-                                pointLabels: {
-                                    font: {
-                                        size: 12
-                                    }
-                                }
-                            }
-                        }
-                    }
-                });
-            }
-            
-            // User Performance Chart
-            const userCtx = document.getElementById('userChart');
-            if (userCtx) {
-                new Chart(userCtx, {
-                    type: 'bar',
-                    data: {
-                        labels: ${JSON.stringify(results.map(r => r.userType))},
-                        datasets: [{
-                            label: 'Overall Score',
-                            data: ${JSON.stringify(results.map(r => r.overallScore))},
-                            backgroundColor: function(context) {
-                                const value = context.parsed.y;
-                                if (value >= 80) return 'rgba(72, 187, 120, 0.8)';
-                                if (value >= 60) return 'rgba(56, 178, 172, 0.8)';
-                                if (value >= 40) return 'rgba(237, 137, 54, 0.8)';
-                                return 'rgba(229, 62, 62, 0.8)';
-                            },
-                            borderColor: function(context) {
-                                const value = context.parsed.y;
-                                if (value >= 80) return 'rgb(72, 187, 120)';
-                                if (value >= 60) return 'rgb(56, 178, 172)';
-                                if (value >= 40) return 'rgb(237, 137, 54)';
-                                return 'rgb(229, 62, 62)';
-                            },
-                            borderWidth: 2
-                        }]
-                    },
-                    options: {
-                        responsive: true,
-                        maintainAspectRatio: false,
-                        plugins: {
-                            legend: {
-                                display: false
-                            }
-                        },
-                        scales: {
-                            y: {
-                                beginAtZero: true,
-                                max: 100,
-                                title: {
-                                    display: true,
-                                    text: 'Score (0-100)'
-                                }
-                            },
-                            x: {
-                                title: {
-                                    display: true,
-                                    text: 'User Types'
-                                }
-                            }
-                        }
-                    }
-                });
-            }
-        });
     `;
   }
 
@@ -886,7 +1093,6 @@ class TestabilityHTMLReportGenerator {
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>🚨 Testability Failure Analysis</title>
-    <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
     <style>
         ${this.getFailureAnalysisCSS()}
     </style>
@@ -913,9 +1119,6 @@ class TestabilityHTMLReportGenerator {
         </footer>
     </div>
 
-    <script>
-        ${this.getFailureAnalysisJS(failureData)}
-    </script>
 </body>
 </html>`;
   }
@@ -948,6 +1151,26 @@ class TestabilityHTMLReportGenerator {
 
   buildFailureResultsSection(failureData) {
     const { userResults } = failureData;
+    const chartData = Object.entries(userResults).map(([user, result]) => ({
+      user: user.replace(/_/g, ' '),
+      score: result.score,
+      duration: result.duration,
+      status: result.status
+    }));
+    const failureChart = SVGCharts.bar({
+      labels: chartData.map(d => d.user),
+      datasets: [{
+        label: 'Testability Score',
+        values: chartData.map(d => d.score),
+        color: (value, index) => chartData[index].status === 'completed' ? '#27ae60' : '#e74c3c'
+      }, {
+        label: 'Duration (ms/100)',
+        values: chartData.map(d => d.duration / 100),
+        color: '#3498db'
+      }],
+      title: 'Testability Failure Analysis - Scores vs Duration',
+      yTitle: 'Score / Duration (ms/100)'
+    });
     
     let resultsHTML = `
         <section class="failure-results">
@@ -973,7 +1196,7 @@ class TestabilityHTMLReportGenerator {
     resultsHTML += `
             </div>
             <div class="chart-container">
-                <canvas id="failureChart" width="400" height="200"></canvas>
+                ${failureChart}
             </div>
         </section>`;
     
@@ -1100,64 +1323,6 @@ class TestabilityHTMLReportGenerator {
         }
     `;
   }
-
-  getFailureAnalysisJS(failureData) {
-    const { userResults } = failureData;
-    const chartData = Object.entries(userResults).map(([user, result]) => ({
-      user: user.replace(/_/g, ' '),
-      score: result.score,
-      duration: result.duration,
-      status: result.status
-    }));
-
-    return `
-        document.addEventListener('DOMContentLoaded', function() {
-            const ctx = document.getElementById('failureChart').getContext('2d');
-            new Chart(ctx, {
-                type: 'bar',
-                data: {
-                    labels: ${JSON.stringify(chartData.map(d => d.user))},
-                    datasets: [{
-                        label: 'Testability Score',
-                        data: ${JSON.stringify(chartData.map(d => d.score))},
-                        backgroundColor: ${JSON.stringify(chartData.map(d => 
-                          d.status === 'completed' ? '#27ae60' : '#e74c3c'
-                        ))},
-                        borderColor: '#2c3e50',
-                        borderWidth: 1
-                    }, {
-                        label: 'Duration (ms/100)',
-                        data: ${JSON.stringify(chartData.map(d => d.duration / 100))},
-                        backgroundColor: 'rgba(52, 152, 219, 0.7)',
-                        borderColor: '#3498db',
-                        borderWidth: 1
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    scales: {
-                        y: {
-                            beginAtZero: true,
-                            title: {
-                                display: true,
-                                text: 'Score / Duration (ms/100)'
-                            }
-                        }
-                    },
-                    plugins: {
-                        title: {
-                            display: true,
-                            text: 'Testability Failure Analysis - Scores vs Duration'
-                        },
-                        legend: {
-                            display: true
-                        }
-                    }
-                }
-            });
-        });
-    `;
-  }
 }
 
 module.exports = { TestabilityHTMLReportGenerator };
\ No newline at end of file
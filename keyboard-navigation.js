@@ -0,0 +1,420 @@
+// keyboard-navigation.js
+/**
+ * ⌨️ Keyboard Navigability Probe
+ *
+ * Walks the page's tab order with real Tab key presses and records where focus goes:
+ *
+ * { url, interactive, endedBy, durationMs,
+ *   sequence: [{ step, target, element, scope, tabindex, indicator, box: { x, y, width, height } }],
+ *   findings: [{ type, target, element, scope, message }] }
+ *
+ * interactive is the number of elements a keyboard user should be able to reach: native controls, links,
+ * elements with an interactive role, a tabindex or an onclick attribute. Radio groups and composite
+ * widgets (tablists, menus, listboxes, grids, toolbars) count once, since arrow keys move within them.
+ * While a modal dialog is open only the elements inside it count. Candidates come from the same scopes
+ * DomSnapshot walks (the top document, open shadow roots and same-origin frames), and scope names each
+ * element's one by its chain of hosts, as DomSnapshot.scopeLabel does.
+ *
+ * Finding types:
+ * - focus-trap: Tab keeps cycling through part of the page (or stays put) without reaching the rest.
+ *   A cycle inside an open modal dialog is expected and not reported.
+ * - unreachable: an interactive element Tab never focuses (not focusable, tabindex="-1", or cut off by a trap).
+ * - no-focus-indicator: focusing the element changes none of its outline, box-shadow, border,
+ *   background, text color or text decoration.
+ * - order-jump: focus moves back up the same column or back along the same row, against reading order.
+ *
+ * endedBy is 'wrapped' (focus came back to the first element), 'left-page' (focus left the document after
+ * the last element), 'trap', 'no-focus-stops' (Tab never focused anything), or 'max-steps' (the walk was cut short; elements it did not get to are not
+ * reported unless they cannot take focus at all). Pressing Tab fires focus and blur handlers, so the scorers
+ * run this as a probe: on a copy of the page in read-only mode.
+ */
+
+// Upper bound on Tab presses, whatever the number of interactive elements
+const MAX_TAB_STEPS = 500;
+
+const FINDING_TYPES = ['focus-trap', 'unreachable', 'no-focus-indicator', 'order-jump'];
+
+class KeyboardNavigation {
+  /**
+   * @param {Object} data - A serialized walk, as produced by KeyboardNavigation.probe
+   */
+  constructor(data) {
+    Object.assign(this, data);
+  }
+
+  /**
+   * ⌨️ Press Tab from the top of the page until focus wraps, leaves the page or is trapped
+   * Focus is cleared before the walk and after it.
+   * @param {import('@playwright/test').Page} page
+   * @param {Object} [options]
+   * @param {number} [options.maxSteps] - Tab presses allowed; defaults to twice the interactive elements plus 20
+   * @returns {Promise<KeyboardNavigation>}
+   */
+  static async probe(page, { maxSteps } = {}) {
+    const started = Date.now();
+    const { url, dir, candidates } = await page.evaluate(inspectKeyboardFocus, 'candidates');
+    const unfocused = new Map(candidates.map(candidate => [candidate.target, candidate.style]));
+    const limit = Math.min(maxSteps || candidates.length * 2 + 20, MAX_TAB_STEPS);
+
+    const sequence = [];
+    const visits = new Map();
+    let endedBy = 'max-steps';
+    let trap = null;
+
+    for (let step = 1; step <= limit; step++) {
+      await page.keyboard.press('Tab');
+      const focus = await page.evaluate(inspectKeyboardFocus, 'focus');
+
+      if (!focus) {
+        if (sequence.length > 0) {
+          endedBy = 'left-page';
+          break;
+        }
+        continue;
+      }
+      // A cross-origin frame keeps its inner focus to itself; keep tabbing until focus comes out of it
+      if (focus.opaqueFrame && sequence.length > 0 && sequence[sequence.length - 1].target === focus.target) {
+        continue;
+      }
+      if (sequence.length > 0 && focus.target === sequence[0].target) {
+        endedBy = 'wrapped';
+        break;
+      }
+      if (visits.has(focus.target)) {
+        endedBy = 'trap';
+        trap = { members: sequence.slice(visits.get(focus.target)), inModal: focus.inModal };
+        break;
+      }
+
+      visits.set(focus.target, sequence.length);
+      sequence.push({ step, ...focus, indicator: showsFocus(focus.style, unfocused.get(focus.target)) });
+    }
+
+    if (sequence.length === 0) endedBy = 'no-focus-stops';
+
+    await page.evaluate(() => {
+      if (document.activeElement && document.activeElement !== document.body) document.activeElement.blur();
+    });
+
+    return new KeyboardNavigation({
+      url,
+      interactive: candidates.length,
+      endedBy,
+      sequence: sequence.map(({ step, target, element, scope, tabindex, indicator, box }) => ({ step, target, element, scope, tabindex, indicator, box })),
+      findings: findIssues(candidates, sequence, { endedBy, trap, dir }),
+      durationMs: Date.now() - started
+    });
+  }
+
+  /**
+   * 🔎 Findings of one type
+   * @param {string} type - One of FINDING_TYPES
+   */
+  findingsOf(type) {
+    return this.findings.filter(finding => finding.type === type);
+  }
+
+  /**
+   * 🔎 A finding type's count and first few findings, in the evidence shape of DomSnapshot.sample
+   * @returns {{ selector: string, count: number, samples: string[] }}
+   */
+  sample(type, limit = 3) {
+    const findings = this.findingsOf(type);
+    return {
+      selector: type,
+      count: findings.length,
+      samples: findings.slice(0, limit).map(({ element, scope, message }) =>
+        `${scope && scope !== 'document' ? `${scope} >> ` : ''}${element}: ${message}`)
+    };
+  }
+
+  /**
+   * 📐 Value for the rubric's keyboardNavigation metric; null on a page with nothing to tab to
+   * reachable: share of interactive elements Tab reached; focusVisible: share of focus stops with a
+   * visible indicator; noTraps: no focus trap; orderMatchesLayout: share of Tab moves without an order jump.
+   */
+  metricValue() {
+    if (this.interactive === 0) return null;
+
+    const stops = this.sequence.length;
+    return {
+      reachable: Math.max(0, 1 - this.findingsOf('unreachable').length / this.interactive),
+      focusVisible: stops > 0 ? this.sequence.filter(stop => stop.indicator).length / stops : 0,
+      noTraps: this.findingsOf('focus-trap').length === 0,
+      orderMatchesLayout: stops > 1 ? 1 - this.findingsOf('order-jump').length / (stops - 1) : 1
+    };
+  }
+
+  /**
+   * 📊 Counts of focus stops and of each finding type
+   */
+  summary() {
+    return {
+      interactive: this.interactive,
+      focusStops: this.sequence.length,
+      endedBy: this.endedBy,
+      ...Object.fromEntries(FINDING_TYPES.map(type => [type, this.findingsOf(type).length]))
+    };
+  }
+
+  toJSON() {
+    return {
+      url: this.url,
+      durationMs: this.durationMs,
+      summary: this.summary(),
+      sequence: this.sequence,
+      findings: this.findings
+    };
+  }
+}
+
+/**
+ * Turn the candidates and the recorded focus sequence into findings
+ */
+function findIssues(candidates, sequence, { endedBy, trap, dir }) {
+  const findings = [];
+  const finding = (type, { target, element, scope }, message) => findings.push({ type, target, element, scope, message });
+
+  if (trap && !trap.inModal) {
+    const cycle = trap.members.map(member => member.element).join(' → ');
+    finding('focus-trap', trap.members[0],
+      trap.members.length === 1
+        ? 'Tab keeps focus on this element'
+        : `Tab cycles through ${trap.members.length} elements (${cycle}) without reaching the rest of the page`);
+  }
+
+  // Focus inside a frame also reaches the <iframe> itself
+  const reachedGroups = new Set(sequence.flatMap(stop => (stop.frame ? [stop.group, stop.frame] : [stop.group])));
+  // A walk cut short by max-steps says nothing about the focusable elements it did not get to
+  candidates
+    .filter(candidate => !reachedGroups.has(candidate.group) && (!candidate.focusable || endedBy !== 'max-steps'))
+    .forEach(candidate => {
+      const reason = !candidate.focusable
+        ? (candidate.tabindex === -1 ? 'tabindex="-1" takes it out of the tab order' : 'it cannot take focus (use a native control or add tabindex="0")')
+        : trap ? 'focus is trapped before it' : 'Tab never reaches it';
+      finding('unreachable', candidate, `Not reachable by keyboard: ${reason}`);
+    });
+
+  sequence.filter(stop => !stop.indicator).forEach(stop => {
+    finding('no-focus-indicator', stop, 'Focus changes none of its outline, box-shadow, border, background, color or text decoration');
+  });
+
+  const rtl = dir === 'rtl';
+  sequence.forEach((stop, index) => {
+    const previous = sequence[index - 1];
+    if (!previous || previous.frame !== stop.frame || !hasArea(previous.box) || !hasArea(stop.box)) return;
+
+    const a = previous.box;
+    const b = stop.box;
+    const sameColumn = b.x < a.x + a.width && a.x < b.x + b.width;
+    const sameRow = b.y < a.y + a.height && a.y < b.y + b.height;
+    const up = sameColumn && b.y + b.height <= a.y;
+    const back = sameRow && (rtl ? b.x >= a.x + a.width : b.x + b.width <= a.x);
+
+    if (up || back) {
+      const tabindex = stop.tabindex > 0 ? ` (tabindex="${stop.tabindex}")` : '';
+      finding('order-jump', stop, `Tab moves from ${previous.element} ${up ? 'back up' : 'backwards along the row'} to this element${tabindex}`);
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Whether focusing changed how the element looks; without its unfocused style (it was not a candidate),
+ * only an outline or box-shadow counts
+ */
+function showsFocus(focused, unfocused) {
+  if (!unfocused) return focused.outline !== 'none' || focused.boxShadow !== 'none';
+  return Object.keys(focused).some(property => focused[property] !== unfocused[property]);
+}
+
+function hasArea(box) {
+  return box && box.width > 0 && box.height > 0;
+}
+
+/**
+ * In-page inspector passed to page.evaluate; it must not reference anything outside itself.
+ * mode 'candidates': clear focus and list the elements a keyboard user should reach, with their unfocused style.
+ * mode 'focus': the element that has focus now (through open shadow roots and same-origin frames), or null.
+ */
+function inspectKeyboardFocus(mode) {
+  const text = value => (value || '').replace(/\s+/g, ' ').trim();
+  const escape = window.CSS && CSS.escape ? CSS.escape : value => value.replace(/([^\w-])/g, '\\$1');
+
+  // The shadow host or <iframe> an element's scope hangs from, or null in the top document
+  const hostOf = el => el.getRootNode().host || el.ownerDocument.defaultView.frameElement;
+
+  // Selector that finds the element again; elements in a shadow root or frame are prefixed with their host's
+  const targetOf = el => {
+    const steps = [];
+    for (let node = el; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+      if (node.id && node.getRootNode().querySelectorAll(`#${escape(node.id)}`).length === 1) {
+        steps.unshift(`#${escape(node.id)}`);
+        break;
+      }
+      const tag = node.tagName.toLowerCase();
+      const siblings = node.parentElement
+        ? Array.from(node.parentElement.children).filter(sibling => sibling.tagName === node.tagName)
+        : [node];
+      steps.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+    }
+    const path = steps.join(' > ');
+    const host = hostOf(el);
+    return host ? `${targetOf(host)} >> ${path}` : path;
+  };
+
+  const label = el => {
+    const tag = el.tagName.toLowerCase();
+    const className = typeof el.className === 'string' ? el.className.trim() : '';
+    const classes = className ? '.' + className.split(/\s+/).slice(0, 2).join('.') : '';
+    const dataTest = el.getAttribute('data-test');
+    return `${tag}${el.id ? `#${el.id}` : ''}${classes}${dataTest ? `[data-test="${dataTest}"]` : ''}`;
+  };
+
+  const describe = el => {
+    const content = text(el.getAttribute('aria-label') || el.textContent || el.getAttribute('placeholder')).slice(0, 40);
+    return `${label(el)}${content ? ` "${content}"` : ''}`;
+  };
+
+  // Scope name as DomSnapshot.scopeLabel gives it: "document", or the chain of hosts
+  const scopeOf = el => {
+    const host = hostOf(el);
+    if (!host) return 'document';
+    const parent = scopeOf(host);
+    return parent === 'document' ? label(host) : `${parent} >> ${label(host)}`;
+  };
+
+  // Matches under root in document order, entering open shadow roots and same-origin frames like DomSnapshot
+  const queryAll = (root, selector) => Array.from(root.querySelectorAll('*')).flatMap(el => {
+    const found = el.matches(selector) ? [el] : [];
+    if (el.shadowRoot) found.push(...queryAll(el.shadowRoot, selector));
+    if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+      let frameDocument = null;
+      try {
+        frameDocument = el.contentDocument;
+      } catch (error) {
+        // Cross-origin frames cannot be read
+      }
+      if (frameDocument && frameDocument.documentElement) found.push(...queryAll(frameDocument, selector));
+    }
+    return found;
+  });
+
+  // Radio groups and composite widgets are one Tab stop; arrow keys move within them
+  const COMPOSITES = '[role="tablist"], [role="menu"], [role="menubar"], [role="listbox"], [role="tree"], ' +
+    '[role="treegrid"], [role="grid"], [role="radiogroup"], [role="toolbar"]';
+  const groupOf = el => {
+    if (el.matches('input[type="radio" i]') && el.name) {
+      return `radio:${el.form ? targetOf(el.form) : ''}:${el.name}`;
+    }
+    const composite = el.parentElement && el.parentElement.closest(COMPOSITES);
+    return composite ? targetOf(composite) : targetOf(el);
+  };
+
+  // What a focus indicator changes: the element's own outline, box-shadow, border, background, color or decoration
+  const focusStyle = el => {
+    const style = el.ownerDocument.defaultView.getComputedStyle(el);
+    const outline = style.outlineStyle === 'none' || parseFloat(style.outlineWidth) === 0
+      ? 'none'
+      : `${style.outlineStyle} ${style.outlineWidth} ${style.outlineColor}`;
+    return { outline, boxShadow: style.boxShadow || 'none', border: `${style.borderColor} ${style.borderWidth}`, background: style.backgroundColor, color: style.color, decoration: style.textDecorationLine };
+  };
+
+  const openModal = () => queryAll(document, 'dialog[open], [aria-modal="true"]')
+    .find(el => el.getClientRects().length > 0 && (el.matches('[aria-modal="true"]') || el.matches(':modal')));
+
+  if (mode === 'candidates') {
+    if (document.activeElement && document.activeElement !== document.body) document.activeElement.blur();
+
+    const INTERACTIVE = [
+      'a[href]', 'area[href]', 'button', 'input:not([type="hidden" i])', 'select', 'textarea', 'summary', 'iframe',
+      '[contenteditable=""]', '[contenteditable="true"]', '[tabindex]:not([tabindex="-1"])', '[onclick]',
+      '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="radio"]', '[role="switch"]', '[role="tab"]',
+      '[role="menuitem"]', '[role="menuitemcheckbox"]', '[role="menuitemradio"]', '[role="option"]', '[role="treeitem"]',
+      '[role="slider"]', '[role="spinbutton"]', '[role="textbox"]', '[role="searchbox"]', '[role="combobox"]'
+    ].join(', ');
+
+    // While a modal dialog is open the rest of the page is out of reach by design
+    const container = openModal() || document;
+    const candidates = [];
+
+    queryAll(container, INTERACTIVE).forEach(el => {
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0 || el.ownerDocument.defaultView.getComputedStyle(el).visibility === 'hidden') return;
+      if (el.matches(':disabled') || el.closest('[inert]')) return;
+
+      const group = groupOf(el);
+      const focusable = el.tabIndex >= 0;
+      const existing = candidates.find(candidate => candidate.group === group);
+      if (existing) {
+        // A group counts once; it is focusable when any member is
+        existing.focusable = existing.focusable || focusable;
+        return;
+      }
+      candidates.push({
+        target: targetOf(el),
+        element: describe(el),
+        scope: scopeOf(el),
+        group,
+        focusable,
+        tabindex: el.hasAttribute('tabindex') ? el.tabIndex : null,
+        style: focusStyle(el)
+      });
+    });
+
+    return {
+      url: window.location.href,
+      dir: getComputedStyle(document.documentElement).direction,
+      candidates
+    };
+  }
+
+  let el = document.activeElement;
+  let opaqueFrame = false;
+  for (;;) {
+    if (el && el.shadowRoot && el.shadowRoot.activeElement) {
+      el = el.shadowRoot.activeElement;
+      continue;
+    }
+    if (el && el.tagName === 'IFRAME') {
+      const inner = el.contentDocument ? el.contentDocument.activeElement : null;
+      if (inner && inner !== el.contentDocument.body) {
+        el = inner;
+        continue;
+      }
+      opaqueFrame = !el.contentDocument;
+    }
+    break;
+  }
+  if (!el || el === document.body || el === document.documentElement) return null;
+
+  const rect = el.getBoundingClientRect();
+  const view = el.ownerDocument.defaultView;
+  const modal = openModal();
+  const frame = view.frameElement;
+
+  return {
+    target: targetOf(el),
+    element: describe(el),
+    scope: scopeOf(el),
+    group: groupOf(el),
+    tabindex: el.hasAttribute('tabindex') ? el.tabIndex : null,
+    style: focusStyle(el),
+    box: {
+      x: Math.round(rect.x + view.scrollX),
+      y: Math.round(rect.y + view.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height)
+    },
+    frame: frame ? targetOf(frame) : null,
+    opaqueFrame,
+    inModal: !!(modal && modal.contains(el))
+  };
+}
+
+module.exports = {
+  KeyboardNavigation,
+  FINDING_TYPES,
+  MAX_TAB_STEPS
+};
@@ -0,0 +1,112 @@
+// parallel-users.js
+/**
+ * 👥 Parallel Multi-User Analysis
+ *
+ * Runs one analysis per user type, each in its own browser.newContext(), so cookies, storage and
+ * login sessions never cross between users. Up to `concurrency` users run at once; the rest queue.
+ *
+ *   const results = await runUsersInParallel(browser, ['standard_user', 'problem_user'], async ({ page, userType }) => {
+ *     const analyzer = new ComprehensiveTestabilityAnalyzer();
+ *     return analyzer.runCompleteAnalysis(page, userType);
+ *   }, { contextOptions: contextOptionsFromProject(test.info().project.use) });
+ *
+ * A bare browser.newContext() knows nothing of the Playwright project, so pass contextOptionsFromProject()
+ * to keep its device emulation, viewport, userAgent, baseURL and locale.
+ *
+ * Analyzers keep their scores in instance fields (principles, detailedMetrics, the DOM snapshot), so the
+ * task must build a fresh analyzer for every user instead of sharing one across concurrent runs.
+ *
+ * Results come back in the order of userTypes. A task that throws becomes { userType, error }, like the
+ * analyzers' own failed results, and never stops the other users.
+ */
+
+const DEFAULT_CONCURRENCY = 3;
+
+// Project `use` settings that browser.newContext() accepts; the rest configure the launch or the test runner
+const CONTEXT_OPTION_KEYS = [
+  'acceptDownloads', 'baseURL', 'bypassCSP', 'colorScheme', 'deviceScaleFactor', 'extraHTTPHeaders',
+  'forcedColors', 'geolocation', 'hasTouch', 'httpCredentials', 'ignoreHTTPSErrors', 'isMobile',
+  'javaScriptEnabled', 'locale', 'offline', 'permissions', 'proxy', 'reducedMotion', 'screen',
+  'serviceWorkers', 'storageState', 'timezoneId', 'userAgent', 'viewport'
+];
+
+/**
+ * 🔢 How many users to run at once: the option, else TESTABILITY_CONCURRENCY, else DEFAULT_CONCURRENCY
+ * @param {number} [concurrency]
+ * @returns {number}
+ */
+function resolveConcurrency(concurrency = process.env.TESTABILITY_CONCURRENCY) {
+  if (concurrency === undefined || concurrency === '') return DEFAULT_CONCURRENCY;
+
+  const limit = Number(concurrency);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`Invalid concurrency "${concurrency}": expected a whole number of at least 1`);
+  }
+  return limit;
+}
+
+/**
+ * 📱 Context options for browser.newContext() from a Playwright project's `use` block
+ * Picks the emulation and context settings (from `use` and `use.contextOptions`) and leaves out launch,
+ * trace and video settings, which only the test runner's own fixtures understand.
+ * @param {Object} [use] - test.info().project.use
+ * @returns {Object}
+ */
+function contextOptionsFromProject(use = {}) {
+  const merged = { ...(use.contextOptions || {}), ...use };
+  return Object.fromEntries(CONTEXT_OPTION_KEYS.filter(key => merged[key] !== undefined).map(key => [key, merged[key]]));
+}
+
+/**
+ * 👥 Run a task for every user type, each in an isolated browser context
+ * @param {import('@playwright/test').Browser} browser
+ * @param {string[]} userTypes
+ * @param {(run: { page: import('@playwright/test').Page, context: import('@playwright/test').BrowserContext, userType: string }) => Promise<Object>} task
+ * @param {{ concurrency?: number, contextOptions?: Object }} [options] - contextOptions go to every browser.newContext()
+ * @returns {Promise<Object[]>} One result per user type, in input order
+ */
+async function runUsersInParallel(browser, userTypes, task, options = {}) {
+  const concurrency = Math.min(resolveConcurrency(options.concurrency), Math.max(userTypes.length, 1));
+  const results = new Array(userTypes.length);
+  let next = 0;
+
+  console.log(`\n👥 Running ${userTypes.length} user types in isolated contexts (${concurrency} at a time)`);
+
+  const runOne = async userType => {
+    const started = Date.now();
+    let context;
+
+    try {
+      context = await browser.newContext(options.contextOptions);
+      const page = await context.newPage();
+      const result = await task({ page, context, userType });
+      console.log(`👤 ${userType} finished in ${Date.now() - started}ms`);
+      return result;
+    } catch (error) {
+      console.log(`❌ Error processing ${userType}: ${error.message}`);
+      return { userType, error: error.message };
+    } finally {
+      if (context) {
+        await context.close().catch(error => console.log(`⚠️ Could not close context for ${userType}: ${error.message}`));
+      }
+    }
+  };
+
+  // Each worker takes the next waiting user until none are left
+  const worker = async () => {
+    while (next < userTypes.length) {
+      const index = next++;
+      results[index] = await runOne(userTypes[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  return results;
+}
+
+module.exports = {
+  runUsersInParallel,
+  contextOptionsFromProject,
+  resolveConcurrency,
+  DEFAULT_CONCURRENCY
+};
@@ -1,5 +1,20 @@
 // @ts-check
 const { defineConfig, devices } = require('@playwright/test');
+const { DEFAULT_PORT: REPLICA_DEFAULT_PORT } = require('./saucedemo-replica/server');
+
+/*
+ * SauceDemo specs run offline against the bundled replica (saucedemo-replica/) by default.
+ * SAUCEDEMO_LIVE=true scores https://www.saucedemo.com/ instead; TESTABILITY_BASE_URL or another
+ * TESTABILITY_PROFILE also leave the replica out.
+ */
+const REPLICA_URL = `http://127.0.0.1:${process.env.REPLICA_PORT || REPLICA_DEFAULT_PORT}/`;
+const useReplica = process.env.SAUCEDEMO_LIVE !== 'true'
+  && !process.env.TESTABILITY_BASE_URL
+  && [undefined, '', 'saucedemo'].includes(process.env.TESTABILITY_PROFILE);
+if (useReplica) {
+  // Worker processes inherit this, so every loadTargetProfile() call sees the replica
+  process.env.TESTABILITY_BASE_URL = REPLICA_URL;
+}
 
 /**
  * @see https://playwright.dev/docs/test-configuration
@@ -18,12 +33,14 @@ module.exports = defineConfig({
   reporter: [
     ['html'],
     ['json', { outputFile: 'test-results/results.json' }],
-    ['junit', { outputFile: 'test-results/results.xml' }]
+    ['junit', { outputFile: 'test-results/results.xml' }],
+    /* Collects testability snapshots attached by any test into one results file and HTML report */
+    ['./testability-reporter.js', { outputDir: 'tests/reports' }]
   ],
   /* Shared settings for all the projects below. See https://playwright.dev/docs/api/class-testoptions. */
   use: {
-    /* Base URL to use in actions like `await page.goto('/')`. */
-    // baseURL: 'http://127.0.0.1:3000',
+    /* Base URL to use in actions like `await page.goto('/')`: the SauceDemo replica unless told otherwise. */
+    baseURL: process.env.TESTABILITY_BASE_URL || 'https://www.saucedemo.com/',
 
     /* Collect trace when retrying the failed test. See https://playwright.dev/docs/trace-viewer */
     trace: 'on-first-retry',
@@ -123,10 +140,10 @@ module.exports = defineConfig({
     },
   },
 
-  /* Run your local dev server before starting the tests */
-  // webServer: {
-  //   command: 'npm run start',
-  //   url: 'http://127.0.0.1:3000',
-  //   reuseExistingServer: !process.env.CI,
-  // },
+  /* Serve the SauceDemo replica before starting the tests */
+  webServer: useReplica ? {
+    command: 'node saucedemo-replica/server.js',
+    url: REPLICA_URL,
+    reuseExistingServer: !process.env.CI,
+  } : undefined,
 });
\ No newline at end of file
@@ -0,0 +1,234 @@
+// quality-gate.js
+/**
+ * Quality Gate for Testability Results
+ * A thresholds document (./testability-thresholds.json by default, or $TESTABILITY_THRESHOLDS) says
+ * which results to gate and what they must meet:
+ *
+ * {
+ *   results: { kind: 'complete', browser: null },          // which results file counts as "latest"
+ *   minOverallScore: 60,                                     // summary.averageScore must reach this
+ *   principleMinimums: { observability: 60, ... },           // summary.principleAverages must reach these
+ *   maxDrop: { overall: 5, principle: 10 },                  // largest allowed drop below the baseline
+ *   baseline: 'testability-baseline.json'                    // written by `gate:baseline`, meant to be committed
+ * }                                                          // (relative to the thresholds file)
+ *
+ * A principle with a minimum that the results did not assess fails the gate; drop checks are
+ * skipped until a baseline has been stored. A baseline of another kind, target or browser than the
+ * gated results fails the gate instead of being compared.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PRINCIPLES } = require('./scoring-rubric');
+const { listResults, readResults, RESULT_KINDS } = require('./results-schema');
+const { DEFAULT_PROFILE } = require('./target-profile');
+
+const DEFAULT_THRESHOLDS_PATH = path.join(__dirname, 'testability-thresholds.json');
+
+class QualityGate {
+  /**
+   * @param {Object} definition - Parsed thresholds JSON
+   * @param {string} source - File the thresholds were loaded from; a relative baseline path is resolved
+   *   against its directory (against the working directory for inline thresholds)
+   */
+  constructor(definition, source = 'inline') {
+    const problems = thresholdProblems(definition);
+    if (problems.length > 0) {
+      throw new Error(`Invalid quality gate thresholds (${source}): ${problems.join('; ')}`);
+    }
+
+    this.source = source;
+    this.results = { kind: null, browser: null, ...(definition.results || {}) };
+    this.minOverallScore = definition.minOverallScore ?? null;
+    this.principleMinimums = definition.principleMinimums || {};
+    this.maxDrop = { overall: null, principle: null, ...(definition.maxDrop || {}) };
+    const baseDir = source === 'inline' ? process.cwd() : path.dirname(source);
+    this.baselinePath = path.resolve(baseDir, definition.baseline || 'testability-baseline.json');
+  }
+
+  /**
+   * 🔎 The results to gate: a given file, or the newest scored results of the configured kind and browser
+   * @param {string} reportsDir
+   * @param {string} [filePath]
+   * @returns {{ file: string, document: Object }|null}
+   */
+  selectResults(reportsDir, filePath = null) {
+    if (filePath) {
+      return { file: path.basename(filePath), document: readResults(filePath) };
+    }
+
+    return listResults(reportsDir).find(({ document }) =>
+      document.summary.averageScore !== null &&
+      (!this.results.kind || document.kind === this.results.kind) &&
+      (!this.results.browser || document.browser === this.results.browser)) || null;
+  }
+
+  /**
+   * 📌 The stored baseline, or null before one has been saved
+   * @returns {Object|null}
+   */
+  readBaseline() {
+    if (!fs.existsSync(this.baselinePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(this.baselinePath, 'utf8'));
+  }
+
+  /**
+   * 💾 Store a results document as the baseline for drop checks and diffs
+   * @param {Object} document
+   * @param {string} [sourceFile]
+   * @returns {Object} the baseline written
+   */
+  saveBaseline(document, sourceFile = null) {
+    const baseline = {
+      createdAt: new Date().toISOString(),
+      sourceFile,
+      kind: document.kind,
+      browser: document.browser,
+      target: document.target || null,
+      timestamp: document.timestamp,
+      averageScore: document.summary.averageScore,
+      principleAverages: document.summary.principleAverages,
+      // The full results, so `diff baseline <file>` still works after old reports are cleaned up
+      snapshot: document
+    };
+
+    fs.mkdirSync(path.dirname(this.baselinePath), { recursive: true });
+    fs.writeFileSync(this.baselinePath, JSON.stringify(baseline, null, 2));
+    return baseline;
+  }
+
+  /**
+   * 🚦 Check a results document against the thresholds
+   * @param {Object} document - A results document (see results-schema.js)
+   * @param {Object|null} [baseline] - See readBaseline()
+   * @returns {{ passed: boolean, checks: { check: string, actual: string, limit: string, passed: boolean }[],
+   *   baseline: Object|null, baselineMismatch: string[] }} baselineMismatch names the fields that differ
+   */
+  evaluate(document, baseline = null) {
+    const { averageScore, principleAverages } = document.summary;
+    const checks = [];
+    const baselineMismatch = baseline ? mismatchedFields(baseline, document) : [];
+
+    if (this.minOverallScore !== null) {
+      checks.push(minimumCheck('Overall score', averageScore, this.minOverallScore));
+    }
+
+    Object.entries(this.principleMinimums).forEach(([principle, minimum]) => {
+      checks.push(minimumCheck(principle, principleAverages[principle], minimum));
+    });
+
+    // Drops against a baseline of another kind, target or browser mean nothing, so the mismatch fails instead
+    baselineMismatch.forEach(field => {
+      checks.push({
+        check: `Baseline ${field}`,
+        actual: String(document[field] || 'none'),
+        limit: `= ${baseline[field] || 'none'}`,
+        passed: false
+      });
+    });
+
+    if (baseline && baselineMismatch.length === 0) {
+      if (this.maxDrop.overall !== null && typeof baseline.averageScore === 'number' && typeof averageScore === 'number') {
+        checks.push(dropCheck('Overall drop', baseline.averageScore, averageScore, this.maxDrop.overall));
+      }
+
+      if (this.maxDrop.principle !== null) {
+        Object.entries(baseline.principleAverages || {})
+          .filter(([principle]) => typeof principleAverages[principle] === 'number')
+          .forEach(([principle, before]) => {
+            checks.push(dropCheck(`${principle} drop`, before, principleAverages[principle], this.maxDrop.principle));
+          });
+      }
+    }
+
+    return { passed: checks.every(check => check.passed), checks, baseline, baselineMismatch };
+  }
+}
+
+/**
+ * Problems with a thresholds document, as readable strings
+ * @param {Object} definition
+ * @returns {string[]}
+ */
+function thresholdProblems(definition) {
+  const problems = [];
+  const isScore = value => typeof value === 'number' && value >= 0 && value <= 100;
+
+  if (!definition || typeof definition !== 'object') {
+    return ['thresholds must be an object'];
+  }
+
+  const { results = {}, minOverallScore, principleMinimums = {}, maxDrop = {} } = definition;
+
+  if (results.kind && !RESULT_KINDS.includes(results.kind)) {
+    problems.push(`"results.kind" must be one of ${RESULT_KINDS.join(', ')}`);
+  }
+  if (minOverallScore !== undefined && minOverallScore !== null && !isScore(minOverallScore)) {
+    problems.push('"minOverallScore" must be a number from 0 to 100');
+  }
+
+  Object.entries(principleMinimums).forEach(([principle, minimum]) => {
+    if (!PRINCIPLES.includes(principle)) {
+      problems.push(`minimum given for unknown principle "${principle}"`);
+    } else if (!isScore(minimum)) {
+      problems.push(`minimum for "${principle}" must be a number from 0 to 100`);
+    }
+  });
+
+  ['overall', 'principle'].forEach(scope => {
+    if (maxDrop[scope] !== undefined && maxDrop[scope] !== null && !isScore(maxDrop[scope])) {
+      problems.push(`"maxDrop.${scope}" must be a number from 0 to 100`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Load a thresholds document from disk
+ * Defaults to $TESTABILITY_THRESHOLDS, then the bundled testability-thresholds.json.
+ * @param {string} [thresholdsPath]
+ * @returns {QualityGate}
+ */
+function loadQualityGate(thresholdsPath = process.env.TESTABILITY_THRESHOLDS || DEFAULT_THRESHOLDS_PATH) {
+  const resolvedPath = path.resolve(thresholdsPath);
+
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Quality gate thresholds not found: ${resolvedPath}`);
+  }
+
+  return new QualityGate(JSON.parse(fs.readFileSync(resolvedPath, 'utf8')), resolvedPath);
+}
+
+/**
+ * The fields of kind, target and browser in which a baseline and a results document differ
+ * @returns {string[]}
+ */
+function mismatchedFields(baseline, document) {
+  // Results written without a target profile come from the SauceDemo-only suites
+  const valueOf = (source, field) => source[field] || (field === 'target' ? DEFAULT_PROFILE : null);
+  return ['kind', 'target', 'browser'].filter(field => valueOf(baseline, field) !== valueOf(document, field));
+}
+
+function minimumCheck(check, actual, minimum) {
+  return {
+    check,
+    actual: typeof actual === 'number' ? String(actual) : 'not assessed',
+    limit: `≥ ${minimum}`,
+    passed: typeof actual === 'number' && actual >= minimum
+  };
+}
+
+function dropCheck(check, before, after, maxDrop) {
+  const change = after - before;
+  return {
+    check,
+    actual: `${before} → ${after} (${change >= 0 ? '+' : ''}${change})`,
+    limit: `drop ≤ ${maxDrop}`,
+    passed: before - after <= maxDrop
+  };
+}
+
+module.exports = { QualityGate, loadQualityGate, thresholdProblems, DEFAULT_THRESHOLDS_PATH };
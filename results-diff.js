@@ -0,0 +1,431 @@
+// results-diff.js
+/**
+ * Structured Diff Between Two Testability Runs
+ * Compares two results documents user by user: overall and principle deltas, sub-metric deltas
+ * from detailedMetrics, recommendations that are new or resolved, and elements (from the evidence
+ * trail) that appeared or disappeared. The diff renders as text for the console and as an offline HTML page.
+ *
+ * A run can be named by:
+ * - a results file path
+ * - history:<n>  the n-th most recent run in the score history (history:0 is the latest)
+ * - baseline     the snapshot stored by `gate:baseline`
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readResults, createResults } = require('./results-schema');
+const { HistoryStore } = require('./history-store');
+const { loadQualityGate } = require('./quality-gate');
+
+/**
+ * Resolve a run reference to a results document
+ * @param {string} reference - File path, "history:<n>" or "baseline"
+ * @param {{ reportsDir?: string, store?: HistoryStore }} [options]
+ * @returns {{ label: string, document: Object }}
+ */
+function resolveRun(reference, { reportsDir = path.join(process.cwd(), 'tests', 'reports'), store = HistoryStore.beside(reportsDir) } = {}) {
+  if (reference === 'baseline') {
+    const gate = loadQualityGate();
+    const baseline = gate.readBaseline();
+    if (!baseline || !baseline.snapshot) {
+      throw new Error(`No baseline snapshot in ${gate.baselinePath}. Run "gate:baseline" first.`);
+    }
+    return { label: `baseline (${baseline.sourceFile || baseline.createdAt})`, document: baseline.snapshot };
+  }
+
+  const historyMatch = /^history:(\d+)$/.exec(reference);
+  if (historyMatch) {
+    const runs = historyRuns(store);
+    const run = runs[runs.length - 1 - Number(historyMatch[1])];
+    if (!run) {
+      throw new Error(`${reference} not found: the history holds ${runs.length} runs`);
+    }
+
+    // The results file behind a history entry carries the sub-metrics and evidence; fall back to the scores alone
+    const sourcePath = run.sourceFile && path.join(reportsDir, run.sourceFile);
+    if (sourcePath && fs.existsSync(sourcePath)) {
+      return { label: `${reference} (${run.sourceFile})`, document: readResults(sourcePath) };
+    }
+    return {
+      label: `${reference} (${run.timestamp})`,
+      document: createResults(run.kind, {
+        timestamp: run.timestamp,
+        browser: run.browser,
+        target: run.target,
+        results: run.entries.map(({ userType, overallScore, principleScores }) => ({ userType, overallScore, principleScores }))
+      })
+    };
+  }
+
+  if (!fs.existsSync(reference)) {
+    throw new Error(`Results file not found: ${reference}`);
+  }
+  return { label: path.basename(reference), document: readResults(reference) };
+}
+
+/**
+ * History entries grouped into runs (one results file each), oldest first
+ * @param {HistoryStore} store
+ * @returns {{ timestamp: string, kind: string, browser: string|null, target: string, sourceFile: string|null, entries: Object[] }[]}
+ */
+function historyRuns(store) {
+  const runs = new Map();
+
+  store.read().forEach(entry => {
+    const key = [entry.sourceFile, entry.timestamp, entry.kind, entry.browser, entry.target].join('|');
+    if (!runs.has(key)) {
+      runs.set(key, { timestamp: entry.timestamp, kind: entry.kind, browser: entry.browser, target: entry.target, sourceFile: entry.sourceFile, entries: [] });
+    }
+    runs.get(key).entries.push(entry);
+  });
+
+  return Array.from(runs.values());
+}
+
+/**
+ * 🔀 Compare two results documents
+ * Results are matched by user type. Reporter documents hold one snapshot per test and label, so theirs are
+ * matched by user type, test, label and project. Two scored results with the same key in one document throw.
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Object} { before, after, users: [...] } - see diffUser()
+ */
+function diffResults(before, after) {
+  const describe = document => ({
+    timestamp: document.timestamp,
+    kind: document.kind,
+    browser: document.browser,
+    target: document.target || null,
+    averageScore: document.summary ? document.summary.averageScore : null
+  });
+  const beforeResults = keyedResults(before, 'before');
+  const afterResults = keyedResults(after, 'after');
+  const keys = Array.from(new Set(beforeResults.all.concat(afterResults.all)));
+
+  return {
+    before: describe(before),
+    after: describe(after),
+    users: keys.map(key => diffUser(
+      key,
+      beforeResults.scored.get(key),
+      afterResults.scored.get(key)
+    ))
+  };
+}
+
+/**
+ * The key a result is matched on: its user type, plus test, label and project for reporter snapshots
+ */
+function resultKey(document, result) {
+  if (document.kind !== 'reporter') {
+    return result.userType;
+  }
+  return [result.userType, result.testTitle, result.label].filter(Boolean).join(' › ') + (result.project ? ` [${result.project}]` : '');
+}
+
+/**
+ * Every result key of a document in order, and its scored results by key
+ * @returns {{ all: string[], scored: Map<string, Object> }}
+ */
+function keyedResults(document, side) {
+  const all = [];
+  const scored = new Map();
+
+  document.results.forEach(result => {
+    const key = resultKey(document, result);
+    all.push(key);
+    if (result.error) return;
+
+    if (scored.has(key)) {
+      throw new Error(`Cannot diff: the ${side} run has more than one scored result for "${key}"`);
+    }
+    scored.set(key, result);
+  });
+
+  return { all, scored };
+}
+
+/**
+ * One user's changes between two runs
+ * key is what the results were matched on (see resultKey). status is "changed" when both runs scored the
+ * user, otherwise "added" or "removed".
+ */
+function diffUser(key, before, after) {
+  const userType = (before || after || {}).userType || key;
+  if (!before || !after) {
+    return {
+      key,
+      userType,
+      status: before ? 'removed' : after ? 'added' : 'unscored',
+      overall: delta(before && before.overallScore, after && after.overallScore),
+      principles: [],
+      metrics: [],
+      recommendations: { added: [], resolved: [] },
+      elements: []
+    };
+  }
+
+  const principles = Array.from(new Set(Object.keys(before.principleScores).concat(Object.keys(after.principleScores))))
+    .map(principle => ({ principle, ...delta(before.principleScores[principle], after.principleScores[principle]) }));
+
+  const metrics = [];
+  const beforeMetrics = before.detailedMetrics || {};
+  const afterMetrics = after.detailedMetrics || {};
+  Array.from(new Set(Object.keys(beforeMetrics).concat(Object.keys(afterMetrics)))).forEach(principle => {
+    const names = new Set(Object.keys(beforeMetrics[principle] || {}).concat(Object.keys(afterMetrics[principle] || {})));
+    names.forEach(metric => {
+      const change = delta((beforeMetrics[principle] || {})[metric], (afterMetrics[principle] || {})[metric]);
+      if (change.change !== 0) {
+        metrics.push({ principle, metric, ...change });
+      }
+    });
+  });
+
+  const recommendationKey = rec => `${rec.principle}: ${rec.suggestion}`;
+  const beforeRecs = new Map((before.aiRecommendations || []).map(rec => [recommendationKey(rec), rec]));
+  const afterRecs = new Map((after.aiRecommendations || []).map(rec => [recommendationKey(rec), rec]));
+
+  return {
+    key,
+    userType,
+    status: 'changed',
+    overall: delta(before.overallScore, after.overallScore),
+    principles,
+    metrics,
+    recommendations: {
+      added: Array.from(afterRecs.keys()).filter(key => !beforeRecs.has(key)).map(key => afterRecs.get(key)),
+      resolved: Array.from(beforeRecs.keys()).filter(key => !afterRecs.has(key)).map(key => beforeRecs.get(key))
+    },
+    elements: diffElements(before.evidence || {}, after.evidence || {})
+  };
+}
+
+/**
+ * Element counts and samples per evidence selector that changed between two runs
+ */
+function diffElements(beforeEvidence, afterEvidence) {
+  const beforeSelectors = evidenceSelectors(beforeEvidence);
+  const afterSelectors = evidenceSelectors(afterEvidence);
+
+  return Array.from(new Set(Object.keys(beforeSelectors).concat(Object.keys(afterSelectors))))
+    .map(key => {
+      const was = beforeSelectors[key] || { count: 0, samples: [] };
+      const now = afterSelectors[key] || { count: 0, samples: [] };
+      const { principle, metric, selector } = was.selector ? was : now;
+      return {
+        principle,
+        metric,
+        selector,
+        ...delta(was.count, now.count),
+        appeared: now.samples.filter(sample => !was.samples.includes(sample)),
+        disappeared: was.samples.filter(sample => !now.samples.includes(sample))
+      };
+    })
+    .filter(element => element.change !== 0 || element.appeared.length > 0 || element.disappeared.length > 0);
+}
+
+// Flatten evidence into { 'principle.metric.selector': { principle, metric, selector, count, samples } }
+function evidenceSelectors(evidence) {
+  const selectors = {};
+
+  Object.entries(evidence).forEach(([principle, metrics]) => {
+    Object.entries(metrics || {}).forEach(([metric, item]) => {
+      const observations = item.selector ? [item] : Object.values(item.matched || {});
+      observations
+        .filter(observation => observation && observation.selector)
+        .forEach(({ selector, count, samples = [] }) => {
+          selectors[`${principle}.${metric}.${selector}`] = { principle, metric, selector, count, samples };
+        });
+    });
+  });
+
+  return selectors;
+}
+
+function delta(before, after) {
+  const was = typeof before === 'number' ? before : null;
+  const now = typeof after === 'number' ? after : null;
+  return { before: was, after: now, change: was !== null && now !== null ? now - was : null };
+}
+
+function signed(value) {
+  if (value === null) return 'n/a';
+  return `${value > 0 ? '+' : ''}${value}`;
+}
+
+function arrow(value) {
+  return value > 0 ? '↗️' : value < 0 ? '↘️' : '➡️';
+}
+
+/**
+ * 📝 Plain-text rendering for the console and the -diff.txt file
+ * @param {Object} diff - See diffResults()
+ * @param {{ before: string, after: string }} labels
+ * @returns {string}
+ */
+function formatDiffText(diff, labels = { before: 'before', after: 'after' }) {
+  const lines = [
+    '🔀 TESTABILITY DIFF',
+    '='.repeat(80),
+    `Before: ${labels.before} - ${diff.before.kind}, ${diff.before.browser || 'Unknown'}, ${diff.before.timestamp}`,
+    `After:  ${labels.after} - ${diff.after.kind}, ${diff.after.browser || 'Unknown'}, ${diff.after.timestamp}`
+  ];
+
+  if (diff.before.kind !== diff.after.kind) {
+    lines.push(`⚠️ Comparing ${diff.before.kind} results with ${diff.after.kind} results: scores come from different scorers`);
+  }
+
+  diff.users.forEach(user => {
+    lines.push('', `👤 ${user.key.toUpperCase()}`, '-'.repeat(50));
+
+    if (user.status !== 'changed') {
+      lines.push(user.status === 'added'
+        ? `Only scored in the after run (${user.overall.after})`
+        : user.status === 'removed' ? `Only scored in the before run (${user.overall.before})` : 'Not scored in either run');
+      return;
+    }
+
+    lines.push(`Overall: ${user.overall.before} → ${user.overall.after} ${arrow(user.overall.change)} ${signed(user.overall.change)}`);
+
+    lines.push('', 'Principles:');
+    user.principles.forEach(({ principle, before, after, change }) => {
+      lines.push(`  ${principle.padEnd(25)} ${String(before ?? '-').padStart(3)} → ${String(after ?? '-').padStart(3)}  ${signed(change)}`);
+    });
+
+    if (user.metrics.length > 0) {
+      lines.push('', 'Sub-metrics that changed:');
+      user.metrics.forEach(({ principle, metric, before, after, change }) => {
+        lines.push(`  ${`${principle}.${metric}`.padEnd(45)} ${String(before ?? '-').padStart(3)} → ${String(after ?? '-').padStart(3)}  ${signed(change)}`);
+      });
+    }
+
+    if (user.recommendations.added.length > 0 || user.recommendations.resolved.length > 0) {
+      lines.push('', 'Recommendations:');
+      user.recommendations.added.forEach(rec => lines.push(`  ➕ [${rec.priority}] ${rec.principle}: ${rec.suggestion}`));
+      user.recommendations.resolved.forEach(rec => lines.push(`  ✅ resolved: ${rec.principle}: ${rec.suggestion}`));
+    }
+
+    if (user.elements.length > 0) {
+      lines.push('', 'Elements:');
+      user.elements.forEach(element => {
+        lines.push(`  ${element.principle}.${element.metric} ${element.selector}: ${element.before ?? 0} → ${element.after ?? 0} (${signed(element.change)})`);
+        element.appeared.forEach(sample => lines.push(`    + ${sample}`));
+        element.disappeared.forEach(sample => lines.push(`    - ${sample}`));
+      });
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * 🎨 Single-file HTML rendering of a diff
+ * @param {Object} diff - See diffResults()
+ * @param {{ before: string, after: string }} labels
+ * @returns {string}
+ */
+function buildDiffHTML(diff, labels = { before: 'before', after: 'after' }) {
+  const changeCell = change => `<td class="${change > 0 ? 'up' : change < 0 ? 'down' : ''}">${signed(change)}</td>`;
+  const row = (name, { before, after, change }) => `
+                <tr><td>${escapeHtml(name)}</td><td>${before ?? '-'}</td><td>${after ?? '-'}</td>${changeCell(change)}</tr>`;
+
+  const users = diff.users.map(user => {
+    if (user.status !== 'changed') {
+      return `
+        <section class="user">
+            <h2>👤 ${escapeHtml(user.key)}</h2>
+            <p>${user.status === 'added' ? `Only scored in the after run (${user.overall.after})` : user.status === 'removed' ? `Only scored in the before run (${user.overall.before})` : 'Not scored in either run'}</p>
+        </section>`;
+    }
+
+    const recommendations = user.recommendations.added.map(rec => `
+                <li class="new-rec">➕ <strong>[${escapeHtml(rec.priority)}] ${escapeHtml(rec.principle)}</strong>: ${escapeHtml(rec.suggestion)}</li>`)
+      .concat(user.recommendations.resolved.map(rec => `
+                <li class="resolved-rec">✅ <strong>${escapeHtml(rec.principle)}</strong>: ${escapeHtml(rec.suggestion)}</li>`)).join('');
+
+    const elements = user.elements.map(element => `
+                <tr>
+                    <td>${escapeHtml(`${element.principle}.${element.metric}`)}</td>
+                    <td><code>${escapeHtml(element.selector)}</code></td>
+                    <td>${element.before ?? 0} → ${element.after ?? 0}</td>
+                    <td>${element.appeared.map(sample => `<div class="appeared">+ <code>${escapeHtml(sample)}</code></div>`).join('')}${element.disappeared.map(sample => `<div class="disappeared">- <code>${escapeHtml(sample)}</code></div>`).join('')}</td>
+                </tr>`).join('');
+
+    return `
+        <section class="user">
+            <h2>👤 ${escapeHtml(user.key)} <span class="overall">${user.overall.before} → ${user.overall.after} (${signed(user.overall.change)})</span></h2>
+            <h3>Principles</h3>
+            <table>
+                <thead><tr><th>Principle</th><th>Before</th><th>After</th><th>Change</th></tr></thead>
+                <tbody>${user.principles.map(item => row(item.principle, item)).join('')}
+                </tbody>
+            </table>
+            ${user.metrics.length > 0 ? `
+            <h3>Sub-metrics that changed</h3>
+            <table>
+                <thead><tr><th>Metric</th><th>Before</th><th>After</th><th>Change</th></tr></thead>
+                <tbody>${user.metrics.map(item => row(`${item.principle}.${item.metric}`, item)).join('')}
+                </tbody>
+            </table>` : ''}
+            ${recommendations ? `
+            <h3>Recommendations</h3>
+            <ul>${recommendations}
+            </ul>` : ''}
+            ${elements ? `
+            <h3>Elements</h3>
+            <table>
+                <thead><tr><th>Metric</th><th>Selector</th><th>Count</th><th>Samples</th></tr></thead>
+                <tbody>${elements}
+                </tbody>
+            </table>` : ''}
+        </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>🔀 Testability Diff</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f7fafc; color: #2d3748; }
+        .container { max-width: 1200px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 24px 30px; border-radius: 12px; margin-bottom: 24px; }
+        .header h1 { margin: 0 0 8px; }
+        .header p { margin: 4px 0; opacity: 0.9; }
+        .warning { background: #fffaf0; border-left: 4px solid #ed8936; padding: 12px; border-radius: 4px; margin-bottom: 16px; }
+        .user { background: white; border-radius: 12px; padding: 24px; margin-bottom: 24px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.08); }
+        .overall { font-size: 16px; color: #718096; font-weight: normal; }
+        table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e2e8f0; font-size: 14px; vertical-align: top; }
+        .up, .resolved-rec { color: #2f855a; }
+        .down { color: #c53030; }
+        .new-rec { color: #c05621; }
+        .appeared { color: #2b6cb0; }
+        .disappeared { color: #718096; }
+        ul { padding-left: 20px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <header class="header">
+            <h1>🔀 Testability Diff</h1>
+            <p><strong>Before:</strong> ${escapeHtml(labels.before)} · ${escapeHtml(diff.before.kind)} · ${escapeHtml(diff.before.browser || 'Unknown')} · ${escapeHtml(diff.before.timestamp)}</p>
+            <p><strong>After:</strong> ${escapeHtml(labels.after)} · ${escapeHtml(diff.after.kind)} · ${escapeHtml(diff.after.browser || 'Unknown')} · ${escapeHtml(diff.after.timestamp)}</p>
+        </header>
+        ${diff.before.kind !== diff.after.kind ? `<div class="warning">⚠️ Comparing ${escapeHtml(diff.before.kind)} results with ${escapeHtml(diff.after.kind)} results: scores come from different scorers.</div>` : ''}
+        ${users}
+    </div>
+</body>
+</html>`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = { resolveRun, historyRuns, diffResults, formatDiffText, buildDiffHTML };
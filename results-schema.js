@@ -0,0 +1,327 @@
+// results-schema.js
+/**
+ * Versioned Results Schema for Testability Reports
+ * Every JSON file under tests/reports/ is written through this module, so history tools read one shape:
+ *
+ * {
+ *   schema: 'testability-results', schemaVersion: 1,
+ *   kind: 'complete' | 'ai' | 'quick' | 'scorer' | 'crawl' | 'journey' | 'reporter' | 'failure-analysis' | 'impact-matrix' | 'user-comparison',
+ *   timestamp, browser, framework, target,
+ *   results: [{ userType, overallScore, principleScores: { <principle>: number | null }, grade?, error?, ... }],
+ *   summary: { totalAssessed, successful, failed, averageScore, principleAverages, ... },
+ *   ...kind-specific payload (aiMetrics, teachingPoints, impactMatrix, ...)
+ * }
+ *
+ * Files written before the schema existed (no "schemaVersion") are upgraded on read,
+ * using the file name prefix and their shape to tell which writer produced them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PRINCIPLES } = require('./scoring-rubric');
+const { HistoryStore } = require('./history-store');
+
+const RESULTS_SCHEMA = 'testability-results';
+const RESULTS_SCHEMA_VERSION = 1;
+
+const RESULT_KINDS = [
+  'complete', 'ai', 'quick', 'scorer', 'crawl', 'journey', 'reporter', 'failure-analysis', 'impact-matrix', 'user-comparison'
+];
+
+// File name prefix → kind, for files written before the schema existed
+const LEGACY_PREFIXES = {
+  'complete-testability-': 'complete',
+  'ai-testability-': 'ai',
+  'quick-testability-': 'quick',
+  'testability-scores': 'scorer',
+  'crawl-testability-': 'crawl',
+  'journey-testability-': 'journey',
+  'testability-failure-analysis-': 'failure-analysis',
+  'testability-impact-matrix-': 'impact-matrix',
+  'user-type-comparison': 'user-comparison'
+};
+
+/**
+ * Build a results document in the current schema and validate it
+ * @param {string} kind - One of RESULT_KINDS
+ * @param {Object} data - { timestamp, browser, framework, target, results, summary, ...kind-specific payload }
+ * @returns {Object}
+ */
+function createResults(kind, { timestamp, browser = null, framework = null, target = null, results = [], summary = {}, ...payload } = {}) {
+  const normalized = results.map(normalizeResult);
+  const document = {
+    schema: RESULTS_SCHEMA,
+    schemaVersion: RESULTS_SCHEMA_VERSION,
+    kind,
+    timestamp: timestamp || new Date().toISOString(),
+    browser,
+    framework,
+    target,
+    results: normalized,
+    summary: { ...summarizeResults(normalized), ...summary },
+    ...payload
+  };
+
+  const problems = resultsProblems(document);
+  if (problems.length > 0) {
+    throw new Error(`Invalid testability results (${kind}): ${problems.join('; ')}`);
+  }
+
+  return document;
+}
+
+/**
+ * Problems with a results document, as readable strings
+ * @param {Object} document
+ * @returns {string[]}
+ */
+function resultsProblems(document) {
+  const problems = [];
+
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return ['results must be an object'];
+  }
+
+  if (document.schema !== RESULTS_SCHEMA) {
+    problems.push(`"schema" must be "${RESULTS_SCHEMA}"`);
+  }
+  if (document.schemaVersion !== RESULTS_SCHEMA_VERSION) {
+    problems.push(`"schemaVersion" must be ${RESULTS_SCHEMA_VERSION}`);
+  }
+  if (!RESULT_KINDS.includes(document.kind)) {
+    problems.push(`"kind" must be one of ${RESULT_KINDS.join(', ')}`);
+  }
+  if (typeof document.timestamp !== 'string' || Number.isNaN(Date.parse(document.timestamp))) {
+    problems.push('"timestamp" must be an ISO date string');
+  }
+  if (document.browser !== null && typeof document.browser !== 'string') {
+    problems.push('"browser" must be a string or null');
+  }
+  if (document.target !== undefined && document.target !== null && typeof document.target !== 'string') {
+    problems.push('"target" must be a string or null');
+  }
+
+  if (!Array.isArray(document.results)) {
+    problems.push('"results" must be an array');
+  } else {
+    document.results.forEach((result, index) => {
+      const where = `results[${index}]`;
+      if (typeof result.userType !== 'string') {
+        problems.push(`${where}.userType must be a string`);
+      }
+      if (result.overallScore !== null && typeof result.overallScore !== 'number') {
+        problems.push(`${where}.overallScore must be a number or null`);
+      }
+      if (!result.principleScores || typeof result.principleScores !== 'object') {
+        problems.push(`${where}.principleScores must be an object`);
+        return;
+      }
+      Object.entries(result.principleScores).forEach(([principle, score]) => {
+        if (!PRINCIPLES.includes(principle)) {
+          problems.push(`${where}.principleScores has unknown principle "${principle}"`);
+        } else if (score !== null && typeof score !== 'number') {
+          problems.push(`${where}.principleScores.${principle} must be a number or null`);
+        }
+      });
+    });
+  }
+
+  if (!document.summary || typeof document.summary !== 'object') {
+    problems.push('"summary" must be an object');
+  } else if (document.summary.averageScore !== null && typeof document.summary.averageScore !== 'number') {
+    problems.push('"summary.averageScore" must be a number or null');
+  }
+
+  return problems;
+}
+
+/**
+ * Bring a parsed results file up to the current schema version
+ * @param {Object|Array} raw - Parsed JSON
+ * @param {string} [fileName] - Helps identify files written before the schema existed
+ * @returns {Object}
+ */
+function upgradeResults(raw, fileName = '') {
+  if (raw && raw.schema === RESULTS_SCHEMA) {
+    if (raw.schemaVersion > RESULTS_SCHEMA_VERSION) {
+      throw new Error(`${fileName || 'Results'} use schema version ${raw.schemaVersion}; this tool reads up to ${RESULTS_SCHEMA_VERSION}`);
+    }
+    return raw;
+  }
+
+  const baseName = path.basename(fileName);
+  const kind = legacyKind(raw, baseName);
+  const data = LEGACY_READERS[kind](raw);
+  const browserInName = baseName.match(/-(chromium|firefox|webkit)-/);
+
+  return {
+    ...createResults(kind, { ...data, browser: data.browser || (browserInName ? browserInName[1] : null) }),
+    upgradedFrom: 'legacy'
+  };
+}
+
+/**
+ * Read one results file, upgrading older shapes
+ * @param {string} filePath
+ * @returns {Object}
+ */
+function readResults(filePath) {
+  return upgradeResults(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath);
+}
+
+/**
+ * Validate and write a results document, creating the directory if needed
+ * With recordHistory, scored runs are also appended to the score history next to the file (see history-store.js).
+ * @param {string} filePath
+ * @param {string} kind
+ * @param {Object} data - See createResults
+ * @param {{ recordHistory?: boolean }} [options]
+ * @returns {Object} the document written
+ */
+function writeResults(filePath, kind, data, { recordHistory = false } = {}) {
+  const document = createResults(kind, data);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(document, null, 2));
+  if (recordHistory) {
+    HistoryStore.beside(path.dirname(filePath)).recordResults(document, { sourceFile: path.basename(filePath) });
+  }
+  return document;
+}
+
+/**
+ * Every readable results file in a directory, newest first
+ * Files that cannot be parsed or upgraded are skipped with a warning.
+ * @param {string} reportsDir
+ * @returns {{ file: string, document: Object }[]}
+ */
+function listResults(reportsDir) {
+  if (!fs.existsSync(reportsDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(reportsDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      try {
+        return { file, document: readResults(path.join(reportsDir, file)) };
+      } catch (error) {
+        console.log(`⚠️ Skipping ${file}: ${error.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => Date.parse(b.document.timestamp) - Date.parse(a.document.timestamp));
+}
+
+function normalizeResult(result) {
+  const { scores, ...rest } = result;
+  const principleScores = result.principleScores || scores || {};
+
+  return {
+    ...rest,
+    userType: result.userType || 'unknown',
+    overallScore: typeof result.overallScore === 'number' ? result.overallScore : null,
+    principleScores: Object.fromEntries(Object.entries(principleScores)
+      .filter(([principle]) => PRINCIPLES.includes(principle))
+      .map(([principle, score]) => [principle, typeof score === 'number' ? score : null]))
+  };
+}
+
+function summarizeResults(results) {
+  const scored = results.filter(result => !result.error && typeof result.overallScore === 'number');
+  const principleAverages = {};
+
+  PRINCIPLES.forEach(principle => {
+    const values = scored.map(result => result.principleScores[principle]).filter(score => typeof score === 'number');
+    if (values.length > 0) {
+      principleAverages[principle] = Math.round(values.reduce((sum, score) => sum + score, 0) / values.length);
+    }
+  });
+
+  return {
+    totalAssessed: results.length,
+    successful: scored.length,
+    failed: results.length - scored.length,
+    averageScore: scored.length > 0
+      ? Math.round(scored.reduce((sum, result) => sum + result.overallScore, 0) / scored.length)
+      : null,
+    principleAverages
+  };
+}
+
+function legacyKind(raw, fileName) {
+  const prefix = Object.keys(LEGACY_PREFIXES).find(candidate => fileName.startsWith(candidate));
+  if (prefix) return LEGACY_PREFIXES[prefix];
+
+  if (Array.isArray(raw)) return 'journey';
+  if (raw.failureAnalysis) return 'failure-analysis';
+  if (raw.impactMatrix) return 'impact-matrix';
+  if (raw.userScores) return 'user-comparison';
+  if (raw.pages) return 'crawl';
+  if (raw.principleScores && !raw.results) return 'scorer';
+  if (raw.aiMetrics) return 'ai';
+  if (Array.isArray(raw.results) && raw.results.some(result => result.scores)) return 'quick';
+  if (Array.isArray(raw.results)) return 'complete';
+
+  throw new Error(`Unrecognized results file ${fileName || ''}`.trim());
+}
+
+// Legacy shape → createResults() input, per kind
+const LEGACY_READERS = {
+  complete: legacyEnvelope,
+  ai: legacyEnvelope,
+  quick: legacyEnvelope,
+  scorer: ({ timestamp, overallScore, principleScores, ...rest }) => ({
+    timestamp,
+    results: [{ userType: 'standard_user', overallScore, principleScores, ...rest }]
+  }),
+  crawl: (result) => ({ timestamp: result.timestamp, results: [result] }),
+  journey: (results) => ({ timestamp: results[0] && results[0].timestamp, results }),
+  'failure-analysis': ({ timestamp, browser, failureAnalysis, ...payload }) => ({
+    timestamp,
+    browser,
+    results: Object.entries(failureAnalysis).map(([userType, outcome]) => failureResult(userType, outcome)),
+    ...payload
+  }),
+  'impact-matrix': ({ timestamp, ...payload }) => ({ timestamp, results: [], ...payload }),
+  'user-comparison': ({ timestamp, userScores, summary, ...payload }) => ({
+    timestamp,
+    results: Object.entries(userScores).map(([userType, scores]) => userComparisonResult(userType, scores)),
+    ...payload
+  })
+};
+
+function legacyEnvelope({ timestamp, browser, framework, results, summary = {}, ...payload }) {
+  const { averageScore, totalAssessed, successful, failed, totalUsers, successfulAnalyses, failedAnalyses, ...extraSummary } = summary;
+  return { timestamp, browser, framework, results, summary: extraSummary, ...payload };
+}
+
+/**
+ * One user's row in a failure analysis, in the shared result shape
+ */
+function failureResult(userType, { score, principles = {}, ...outcome }) {
+  return { userType, ...outcome, overallScore: outcome.status === 'completed' ? score : null, principleScores: principles };
+}
+
+/**
+ * One user's row in a user-type comparison, in the shared result shape
+ */
+function userComparisonResult(userType, { average, error, ...scores }) {
+  return error
+    ? { userType, error, overallScore: null, principleScores: {} }
+    : { userType, overallScore: average, principleScores: scores };
+}
+
+module.exports = {
+  createResults,
+  resultsProblems,
+  upgradeResults,
+  readResults,
+  writeResults,
+  listResults,
+  failureResult,
+  userComparisonResult,
+  RESULTS_SCHEMA,
+  RESULTS_SCHEMA_VERSION,
+  RESULT_KINDS
+};
@@ -10,12 +10,23 @@
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { listResults } = require('./results-schema');
+const { HistoryStore, HISTORY_KINDS } = require('./history-store');
+const { TestabilityTrendDashboard } = require('./trend-dashboard');
+const { loadQualityGate } = require('./quality-gate');
+const { resolveRun, diffResults, formatDiffText, buildDiffHTML } = require('./results-diff');
 
 const SCRIPTS = {
   score: 'npx playwright test testability-scorer.spec.js --workers=1',
   compare: 'npx playwright test testability-scorer.spec.js --grep="Comparison" --workers=1',
   full: 'npx playwright test testability-scorer.spec.js --workers=1',
-  report: 'generateReport'
+  report: 'generateReport',
+  history: 'showHistory',
+  'history:import': 'importHistory',
+  trends: 'generateTrends',
+  gate: 'runQualityGate',
+  'gate:baseline': 'saveGateBaseline',
+  diff: 'diffRuns'
 };
 
 function runCommand(command) {
@@ -72,58 +83,51 @@ function generateReport() {
     return;
   }
   
-  const jsonFiles = fs.readdirSync(reportsDir)
-    .filter(file => (file.startsWith('testability-scores-') || file.startsWith('quick-testability-')) && file.endsWith('.json'))
-    .map(file => ({
-      name: file,
-      time: fs.statSync(path.join(reportsDir, file)).mtime,
-      data: JSON.parse(fs.readFileSync(path.join(reportsDir, file), 'utf8'))
-    }))
-    .sort((a, b) => b.time - a.time);
+  // Every results file, upgraded to the current schema, newest first
+  const scoredFiles = listResults(reportsDir)
+    .filter(({ document }) => HISTORY_KINDS.includes(document.kind) && document.summary.averageScore !== null);
   
-  if (jsonFiles.length === 0) {
+  if (scoredFiles.length === 0) {
     console.log('📊 No testability score files found. Run scoring first.');
     return;
   }
   
   console.log('\n📈 TESTABILITY SCORE HISTORY');
   console.log('=' .repeat(80));
-  console.log('Timestamp                | Overall | Type     | Browser  | Grade');
+  console.log('Timestamp                | Overall | Type             | Browser  | Grade');
   console.log('-' .repeat(80));
   
-  jsonFiles.slice(0, 10).forEach(file => {
-    const data = file.data;
-    const timestamp = new Date(data.timestamp).toLocaleString();
-    const overall = data.summary ? data.summary.averageScore : (data.overallScore || 'N/A');
-    const type = file.name.includes('quick') ? 'Quick' : 'Full';
-    const browser = data.browser || 'Unknown';
+  scoredFiles.slice(0, 10).forEach(({ document }) => {
+    const timestamp = new Date(document.timestamp).toLocaleString();
+    const overall = document.summary.averageScore;
+    const browser = document.browser || 'Unknown';
     const grade = overall >= 90 ? 'A' : overall >= 80 ? 'B' : overall >= 70 ? 'C' : overall >= 60 ? 'D' : 'F';
     
-    console.log(`${timestamp.padEnd(24)} | ${overall.toString().padStart(7)} | ${type.padEnd(8)} | ${browser.padEnd(8)} | ${grade}`);
+    console.log(`${timestamp.padEnd(24)} | ${overall.toString().padStart(7)} | ${document.kind.padEnd(16)} | ${browser.padEnd(8)} | ${grade}`);
   });
   
-  if (jsonFiles.length >= 2) {
-    const latest = jsonFiles[0].data;
-    const previous = jsonFiles[1].data;
+  const latest = scoredFiles[0].document;
+  const previousRun = scoredFiles.slice(1)
+    .find(({ document }) => document.kind === latest.kind && document.browser === latest.browser);
+  
+  if (previousRun) {
+    const previous = previousRun.document;
     
-    console.log('\n📊 SCORE CHANGES (Latest vs Previous):');
+    console.log(`\n📊 SCORE CHANGES (Latest vs Previous ${latest.kind} run):`);
     console.log('-' .repeat(50));
     
-    const latestScore = latest.summary ? latest.summary.averageScore : latest.overallScore;
-    const previousScore = previous.summary ? previous.summary.averageScore : previous.overallScore;
+    const latestScore = latest.summary.averageScore;
+    const previousScore = previous.summary.averageScore;
+    const change = latestScore - previousScore;
+    const arrow = change > 0 ? '↗️' : change < 0 ? '↘️' : '➡️';
+    console.log(`Overall Score: ${latestScore} ${arrow} ${change >= 0 ? '+' : ''}${change} (from ${previousScore})`);
     
-    if (latestScore && previousScore) {
-      const change = latestScore - previousScore;
-      const arrow = change > 0 ? '↗️' : change < 0 ? '↘️' : '➡️';
-      console.log(`Overall Score: ${latestScore} ${arrow} ${change >= 0 ? '+' : ''}${change} (from ${previousScore})`);
-    }
+    // Show principle changes
+    const latestScores = latest.summary.principleAverages;
+    const previousScores = previous.summary.principleAverages;
     
-    // Show principle changes if available
-    if (latest.results && latest.results[0] && latest.results[0].scores) {
+    if (Object.keys(latestScores).length > 0) {
       console.log('\nPrinciple Changes:');
-      const latestScores = latest.results[0].scores;
-      const previousScores = previous.results && previous.results[0] ? previous.results[0].scores : {};
-      
       Object.entries(latestScores).forEach(([principle, score]) => {
         const previousScore = previousScores[principle] || 0;
         const change = score - previousScore;
@@ -134,6 +138,162 @@ function generateReport() {
   }
 }
 
+function showHistory() {
+  const store = new HistoryStore();
+  const series = store.series();
+  
+  if (series.length === 0) {
+    console.log(`📈 No score history in ${store.filePath}. Run scoring or "history:import" first.`);
+    return;
+  }
+  
+  console.log('\n📈 TESTABILITY SCORE TRENDS');
+  console.log('=' .repeat(100));
+  console.log('Target       | Suite            | User Type               | Browser  | Runs | Latest | Change | Commit');
+  console.log('-' .repeat(100));
+  
+  series.forEach(({ target, kind, userType, browser, entries }) => {
+    const latest = entries[entries.length - 1];
+    const previous = entries[entries.length - 2];
+    const change = previous ? latest.overallScore - previous.overallScore : null;
+    const changeText = change === null ? '-' : `${change >= 0 ? '+' : ''}${change}`;
+    
+    console.log(`${target.padEnd(12)} | ${kind.padEnd(16)} | ${userType.padEnd(23)} | ${(browser || 'Unknown').padEnd(8)} | ${entries.length.toString().padStart(4)} | ${latest.overallScore.toString().padStart(6)} | ${changeText.padStart(6)} | ${latest.commit || '-'}`);
+  });
+  
+  const regressions = store.regressions();
+  if (regressions.length > 0) {
+    console.log('\n📉 REGRESSIONS (latest vs previous run of each series):');
+    console.log('-' .repeat(50));
+    regressions.forEach(regression => {
+      console.log(`${regression.series} - ${regression.principle}: ${regression.from} ↘️ ${regression.to} (${regression.change}) ${regression.fromCommit || '?'} → ${regression.toCommit || '?'}`);
+    });
+  } else {
+    console.log('\n✅ No regressions in the latest runs');
+  }
+}
+
+function importHistory() {
+  const reportsDir = path.join(process.cwd(), 'tests', 'reports');
+  const store = HistoryStore.beside(reportsDir);
+  
+  // Oldest first, so the history reads in run order; files already recorded are skipped.
+  // The commit of an older file is unknown, so imported entries carry none.
+  const imported = listResults(reportsDir)
+    .reverse()
+    .flatMap(({ file, document }) => store.recordResults(document, { sourceFile: file, commit: null }));
+  
+  console.log(`📥 Imported ${imported.length} history entries into ${store.filePath}`);
+}
+
+function generateTrends() {
+  new TestabilityTrendDashboard().generate();
+}
+
+function runQualityGate(resultsFile) {
+  const reportsDir = path.join(process.cwd(), 'tests', 'reports');
+  const gate = loadQualityGate();
+  const selected = gate.selectResults(reportsDir, resultsFile);
+  
+  if (!selected) {
+    console.log(`❌ QUALITY GATE FAILED: no scored ${gate.results.kind || ''} results found in ${reportsDir}`);
+    process.exitCode = 1;
+    return;
+  }
+  
+  const { file, document } = selected;
+  const evaluation = gate.evaluate(document, gate.readBaseline());
+  
+  console.log('\n🚦 TESTABILITY QUALITY GATE');
+  console.log('=' .repeat(80));
+  console.log(`Results:    ${file} (${document.kind}, ${document.browser || 'Unknown'})`);
+  console.log(`Thresholds: ${gate.source}`);
+  console.log(`Baseline:   ${evaluation.baseline ? `${evaluation.baseline.sourceFile || gate.baselinePath} (${evaluation.baseline.createdAt})` : 'none stored - drop checks skipped (run "gate:baseline")'}`);
+  if (evaluation.baselineMismatch.length > 0) {
+    console.log(`            ⚠️ baseline ${evaluation.baselineMismatch.join(', ')} differs from these results - drop checks skipped (run "gate:baseline" for them)`);
+  }
+  console.log('-' .repeat(80));
+  console.log('Check                            | Actual               | Limit      | Result');
+  console.log('-' .repeat(80));
+  
+  evaluation.checks.forEach(check => {
+    console.log(`${check.check.padEnd(32)} | ${check.actual.padEnd(20)} | ${check.limit.padEnd(10)} | ${check.passed ? '✅ PASS' : '❌ FAIL'}`);
+  });
+  
+  const failures = evaluation.checks.filter(check => !check.passed);
+  console.log('-' .repeat(80));
+  
+  if (evaluation.passed) {
+    console.log(`✅ QUALITY GATE PASSED (${evaluation.checks.length} checks)`);
+  } else {
+    console.log(`❌ QUALITY GATE FAILED: ${failures.length} of ${evaluation.checks.length} checks failed`);
+    process.exitCode = 1;
+  }
+}
+
+function saveGateBaseline(resultsFile) {
+  const reportsDir = path.join(process.cwd(), 'tests', 'reports');
+  const gate = loadQualityGate();
+  const selected = gate.selectResults(reportsDir, resultsFile);
+  
+  if (!selected) {
+    console.log(`❌ No scored ${gate.results.kind || ''} results found in ${reportsDir}. Run scoring first.`);
+    process.exitCode = 1;
+    return;
+  }
+  
+  const baseline = gate.saveBaseline(selected.document, selected.file);
+  console.log(`📌 Baseline saved to ${gate.baselinePath} from ${selected.file} (overall ${baseline.averageScore})`);
+}
+
+function diffRuns(beforeRef, afterRef) {
+  const reportsDir = path.join(process.cwd(), 'tests', 'reports');
+  let before;
+  let after;
+  
+  if (beforeRef && afterRef) {
+    before = resolveRun(beforeRef, { reportsDir });
+    after = resolveRun(afterRef, { reportsDir });
+  } else {
+    // Compare with the latest results; without a run named, against the previous run of the same kind and browser
+    const scoredFiles = listResults(reportsDir)
+      .filter(({ document }) => HISTORY_KINDS.includes(document.kind) && document.summary.averageScore !== null);
+    const latest = scoredFiles[0];
+    
+    if (!latest) {
+      console.log('📊 No testability score files found. Run scoring first.');
+      process.exitCode = 1;
+      return;
+    }
+    
+    after = { label: latest.file, document: latest.document };
+    if (beforeRef) {
+      before = resolveRun(beforeRef, { reportsDir });
+    } else {
+      const previous = scoredFiles.slice(1)
+        .find(({ document }) => document.kind === latest.document.kind && document.browser === latest.document.browser);
+      if (!previous) {
+        console.log(`📊 Only one ${latest.document.kind} run for ${latest.document.browser || 'this browser'}; name two runs to compare.`);
+        process.exitCode = 1;
+        return;
+      }
+      before = { label: previous.file, document: previous.document };
+    }
+  }
+  
+  const diff = diffResults(before.document, after.document);
+  const labels = { before: before.label, after: after.label };
+  const text = formatDiffText(diff, labels);
+  const basePath = path.join(reportsDir, `testability-diff-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+  
+  fs.mkdirSync(reportsDir, { recursive: true });
+  fs.writeFileSync(`${basePath}.txt`, text);
+  fs.writeFileSync(`${basePath}.html`, buildDiffHTML(diff, labels));
+  
+  console.log(`\n${text}`);
+  console.log(`\n🎨 Diff saved: ${basePath}.html (text: ${basePath}.txt)`);
+}
+
 function showHelp() {
   console.log(`
 🎯 TESTABILITY SCORER - HELP
@@ -144,13 +304,21 @@ Commands:
   score     - Run complete testability assessment
   compare   - Run user type comparison only  
   full      - Run all testability tests
-  report    - Show score history and trends
+  report    - Show the latest results files and compare the last two runs
+  history   - Show score trends per target, user type and browser, with regressions
+  history:import - Add results files written before the history existed
+  trends    - Generate the HTML trend dashboard (tests/reports/testability-trends.html)
+  gate [file]          - Check the latest results against testability-thresholds.json; exits 1 on failure
+  gate:baseline [file] - Store the latest results as the baseline for the gate's drop checks
+  diff [before] [after] - Diff two runs (file, history:<n> or baseline); defaults to the latest two
   help      - Show this help message
 
 Examples:
   node run-testability-scorer.js score
   node run-testability-scorer.js compare
   node run-testability-scorer.js report
+  node run-testability-scorer.js trends
+  node run-testability-scorer.js gate
 
 The scorer evaluates your application against all 10 Intrinsic Testability principles:
 1. Observability       6. Explainability
@@ -170,6 +338,31 @@ if (!command || command === 'help') {
   showHelp();
 } else if (command === 'report') {
   generateReport();
+} else if (command === 'history') {
+  showHistory();
+} else if (command === 'history:import') {
+  importHistory();
+} else if (command === 'trends') {
+  generateTrends();
+} else if (command === 'diff') {
+  try {
+    diffRuns(process.argv[3], process.argv[4]);
+  } catch (error) {
+    console.log(`❌ Diff error: ${error.message}`);
+    process.exitCode = 1;
+  }
+} else if (command === 'gate' || command === 'gate:baseline') {
+  try {
+    const resultsFile = process.argv[3];
+    if (command === 'gate') {
+      runQualityGate(resultsFile);
+    } else {
+      saveGateBaseline(resultsFile);
+    }
+  } catch (error) {
+    console.log(`❌ Quality gate error: ${error.message}`);
+    process.exitCode = 1;
+  }
 } else if (SCRIPTS[command]) {
   if (command === 'report') {
     generateReport();
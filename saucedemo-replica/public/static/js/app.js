@@ -0,0 +1,576 @@
+// app.js
+/**
+ * Swag Labs replica: renders the page for the current URL and reproduces each user type's quirks.
+ *
+ * State lives where the real storefront keeps it: the logged-in user in the session-username cookie
+ * and the cart in localStorage["cart-contents"] (a JSON array of product ids).
+ *
+ * User types (password secret_sauce for all):
+ * - standard_user:           everything works
+ * - locked_out_user:         login is refused with the locked-out error
+ * - problem_user:            every product image is the same 404 dog, item links open the next item,
+ *                            some add/remove buttons do nothing, sorting does nothing and typing a last
+ *                            name overwrites the first name
+ * - performance_glitch_user: login takes PERFORMANCE_GLITCH_DELAY_MS before the inventory opens
+ * - error_user:              some add/remove buttons log errors instead of working, sorting raises an
+ *                            alert, the last name cannot be typed and Finish logs an error
+ * - visual_user:             misplaced cart icon and buttons, wrong prices and a wrong backpack image
+ */
+(function () {
+  const PASSWORD = 'secret_sauce';
+  const USER_TYPES = ['standard_user', 'locked_out_user', 'problem_user', 'performance_glitch_user', 'error_user', 'visual_user'];
+  const SESSION_COOKIE = 'session-username';
+  const CART_KEY = 'cart-contents';
+  const TAX_RATE = 0.08;
+  const PERFORMANCE_GLITCH_DELAY_MS = 3000;
+
+  // Products whose Add to cart / Remove buttons misbehave for problem_user and error_user
+  const BROKEN_ADD_TO_CART = [1, 5, 3];
+  const BROKEN_REMOVE = [4, 0, 2];
+
+  // Fixed wrong prices for visual_user (the real site randomizes them; these stay put between runs)
+  const VISUAL_PRICES = { 4: 49.99, 0: 15.99, 1: 29.99, 5: 7.99, 2: 9.99, 3: 49.99 };
+
+  const DOG_IMAGE = '/static/media/sl-404.svg';
+  const PROTECTED_PATHS = ['/inventory.html', '/inventory-item.html', '/cart.html', '/checkout-step-one.html', '/checkout-step-two.html', '/checkout-complete.html'];
+
+  const SORTS = {
+    az: { label: 'Name (A to Z)', compare: (a, b) => a.name.localeCompare(b.name) },
+    za: { label: 'Name (Z to A)', compare: (a, b) => b.name.localeCompare(a.name) },
+    lohi: { label: 'Price (low to high)', compare: (a, b) => a.price - b.price },
+    hilo: { label: 'Price (high to low)', compare: (a, b) => b.price - a.price }
+  };
+
+  const NOT_FOUND_ITEM = {
+    id: -1,
+    slug: 'item-not-found',
+    name: 'ITEM NOT FOUND',
+    price: NaN,
+    image: DOG_IMAGE,
+    description: 'We\'re sorry, but your call could not be completed as dialled. Please check your number, and try your call again. If you are in need of help, please dial 911. Good bye.'
+  };
+
+  const root = document.getElementById('root');
+  let sortOrder = 'az';
+
+  // ---------------------------------------------------------------- state
+
+  function getCookie(name) {
+    const match = document.cookie.split('; ').find(entry => entry.startsWith(`${name}=`));
+    return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+  }
+
+  function currentUser() {
+    const user = getCookie(SESSION_COOKIE);
+    return USER_TYPES.includes(user) && user !== 'locked_out_user' ? user : null;
+  }
+
+  function readCart() {
+    try {
+      const cart = JSON.parse(localStorage.getItem(CART_KEY) || '[]');
+      return Array.isArray(cart) ? cart : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function writeCart(cart) {
+    if (cart.length > 0) {
+      localStorage.setItem(CART_KEY, JSON.stringify(cart));
+    } else {
+      localStorage.removeItem(CART_KEY);
+    }
+  }
+
+  function findProduct(id) {
+    return window.SWAG_PRODUCTS.find(product => product.id === id) || null;
+  }
+
+  function navigate(path) {
+    window.location.assign(path);
+  }
+
+  // ---------------------------------------------------------------- quirks
+
+  function imageFor(user, product) {
+    if (user === 'problem_user') return DOG_IMAGE;
+    if (user === 'visual_user' && product.id === 4) return DOG_IMAGE;
+    return product.image;
+  }
+
+  function priceFor(user, product) {
+    return user === 'visual_user' ? VISUAL_PRICES[product.id] : product.price;
+  }
+
+  function formatPrice(price) {
+    return Number.isNaN(price) ? '$√-1' : `$${price.toFixed(2)}`;
+  }
+
+  /**
+   * Add or remove a product, honouring the user's broken buttons
+   * @returns {boolean} whether the cart changed
+   */
+  function toggleCart(user, productId, adding) {
+    const broken = adding ? BROKEN_ADD_TO_CART : BROKEN_REMOVE;
+    if (broken.includes(productId) && (user === 'problem_user' || user === 'error_user')) {
+      if (user === 'error_user') {
+        console.error(adding ? 'Failed to add item to the cart.' : 'Failed to remove item from cart.');
+      }
+      return false;
+    }
+
+    const cart = readCart().filter(id => id !== productId);
+    if (adding) cart.push(productId);
+    writeCart(cart);
+    return true;
+  }
+
+  // ---------------------------------------------------------------- markup
+
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function cartButton(user, product, inCart, testId) {
+    const misaligned = user === 'visual_user' && product.id === 3 ? ' btn_inventory_misaligned' : '';
+    return inCart
+      ? `<button class="btn btn_secondary btn_small btn_inventory${misaligned}" data-test="${escapeHtml(testId('remove'))}" id="${escapeHtml(testId('remove'))}" name="${escapeHtml(testId('remove'))}" data-product="${product.id}" data-action="remove">Remove</button>`
+      : `<button class="btn btn_primary btn_small btn_inventory${misaligned}" data-test="${escapeHtml(testId('add-to-cart'))}" id="${escapeHtml(testId('add-to-cart'))}" name="${escapeHtml(testId('add-to-cart'))}" data-product="${product.id}" data-action="add">Add to cart</button>`;
+  }
+
+  function header(user, { title = '', secondary = '' } = {}) {
+    const cart = readCart();
+    const cartClass = user === 'visual_user' ? 'shopping_cart_container visual_failure' : 'shopping_cart_container';
+    const aboutHref = user === 'problem_user' ? 'https://saucelabs.com/error/404' : 'https://saucelabs.com/';
+
+    return `
+      <div class="header_container" id="header_container" data-test="header-container">
+        <div class="primary_header" data-test="primary-header">
+          <div id="menu_button_container">
+            <div class="bm-burger-button">
+              <button type="button" id="react-burger-menu-btn" aria-expanded="false" aria-controls="menu_wrap">Open Menu</button>
+            </div>
+            <div class="bm-menu-wrap" id="menu_wrap" hidden>
+              <nav class="bm-item-list" aria-label="Main menu">
+                <a id="inventory_sidebar_link" class="bm-item menu-item" data-test="inventory-sidebar-link" href="#">All Items</a>
+                <a id="about_sidebar_link" class="bm-item menu-item" data-test="about-sidebar-link" href="${aboutHref}">About</a>
+                <a id="logout_sidebar_link" class="bm-item menu-item" data-test="logout-sidebar-link" href="#">Logout</a>
+                <a id="reset_sidebar_link" class="bm-item menu-item" data-test="reset-sidebar-link" href="#">Reset App State</a>
+              </nav>
+              <button type="button" id="react-burger-cross-btn" class="bm-cross-button">Close Menu</button>
+            </div>
+          </div>
+          <div class="header_label"><div class="app_logo">Swag Labs</div></div>
+          <div id="shopping_cart_container" class="${cartClass}">
+            <a class="shopping_cart_link" data-test="shopping-cart-link">${cart.length > 0 ? `<span class="shopping_cart_badge" data-test="shopping-cart-badge">${cart.length}</span>` : ''}</a>
+          </div>
+        </div>
+        <div class="header_secondary_container" data-test="secondary-header">
+          ${title ? `<span class="title" data-test="title">${title}</span>` : ''}
+          ${secondary}
+        </div>
+      </div>`;
+  }
+
+  function footer() {
+    return `
+      <footer class="footer" data-test="footer">
+        <ul class="social">
+          <li class="social_twitter"><a href="https://twitter.com/saucelabs" target="_blank" rel="noreferrer" data-test="social-twitter">Twitter</a></li>
+          <li class="social_facebook"><a href="https://www.facebook.com/saucelabs" target="_blank" rel="noreferrer" data-test="social-facebook">Facebook</a></li>
+          <li class="social_linkedin"><a href="https://www.linkedin.com/company/sauce-labs/" target="_blank" rel="noreferrer" data-test="social-linkedin">LinkedIn</a></li>
+        </ul>
+        <div class="footer_copy" data-test="footer-copy">© 2025 Sauce Labs. All Rights Reserved. Terms of Service | Privacy Policy</div>
+      </footer>`;
+  }
+
+  function page(user, content, headerOptions) {
+    return `
+      <div class="page_wrapper" id="page_wrapper">
+        <div id="contents_wrapper">
+          ${header(user, headerOptions)}
+          ${content}
+        </div>
+        ${footer()}
+      </div>`;
+  }
+
+  function errorMessage(message) {
+    return message
+      ? `<div class="error-message-container error"><h3 data-test="error"><button type="button" class="error-button" data-test="error-button" aria-label="Dismiss error">✕</button>${escapeHtml(message)}</h3></div>`
+      : '<div class="error-message-container"></div>';
+  }
+
+  function cartItemRows(user, cart, { removable }) {
+    return cart.map(findProduct).filter(Boolean).map(product => `
+      <div class="cart_item" data-test="inventory-item">
+        <div class="cart_quantity" data-test="item-quantity">1</div>
+        <div class="cart_item_label">
+          <a href="#" id="item_${product.id}_title_link" data-test="item-${product.id}-title-link" data-product-link="${product.id}">
+            <div class="inventory_item_name" data-test="inventory-item-name">${escapeHtml(product.name)}</div>
+          </a>
+          <div class="inventory_item_desc" data-test="inventory-item-desc">${escapeHtml(product.description)}</div>
+          <div class="item_pricebar">
+            <div class="inventory_item_price" data-test="inventory-item-price">${formatPrice(priceFor(user, product))}</div>
+            ${removable ? cartButton(user, product, true, action => `${action}-${product.slug}`) : ''}
+          </div>
+        </div>
+      </div>`).join('');
+  }
+
+  // ---------------------------------------------------------------- pages
+
+  function renderLogin(error = '') {
+    document.title = 'Swag Labs';
+    root.innerHTML = `
+      <div class="login_container">
+        <div class="login_logo">Swag Labs</div>
+        <div class="login_wrapper">
+          <div class="login_wrapper-inner">
+            <div id="login_button_container" class="form_column">
+              <div class="login-box">
+                <form>
+                  <div class="form_group"><input class="form_input${error ? ' input_error' : ''}" placeholder="Username" type="text" data-test="username" id="user-name" name="user-name" autocorrect="off" autocapitalize="none" value=""></div>
+                  <div class="form_group"><input class="form_input${error ? ' input_error' : ''}" placeholder="Password" type="password" data-test="password" id="password" name="password" autocorrect="off" autocapitalize="none" value=""></div>
+                  ${errorMessage(error)}
+                  <input type="submit" class="submit-button btn_action" data-test="login-button" id="login-button" name="login-button" value="Login">
+                </form>
+              </div>
+            </div>
+          </div>
+          <div class="login_credentials_wrap">
+            <div class="login_credentials_wrap-inner">
+              <div id="login_credentials" class="login_credentials" data-test="login-credentials">
+                <h4>Accepted usernames are:</h4>${USER_TYPES.join('<br>')}<br>
+              </div>
+              <div class="login_password" data-test="login-password">
+                <h4>Password for all users:</h4>${PASSWORD}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>`;
+
+    root.querySelector('form').addEventListener('submit', event => {
+      event.preventDefault();
+      const username = root.querySelector('[data-test="username"]').value;
+      const password = root.querySelector('[data-test="password"]').value;
+
+      if (!username) return renderLogin('Epic sadface: Username is required');
+      if (!password) return renderLogin('Epic sadface: Password is required');
+      if (!USER_TYPES.includes(username) || password !== PASSWORD) {
+        return renderLogin('Epic sadface: Username and password do not match any user in this service');
+      }
+      if (username === 'locked_out_user') {
+        return renderLogin('Epic sadface: Sorry, this user has been locked out.');
+      }
+
+      document.cookie = `${SESSION_COOKIE}=${encodeURIComponent(username)}; path=/`;
+      const delay = username === 'performance_glitch_user' ? PERFORMANCE_GLITCH_DELAY_MS : 0;
+      setTimeout(() => navigate('/inventory.html'), delay);
+    });
+
+    bindErrorDismiss(() => renderLogin());
+  }
+
+  function renderInventory(user) {
+    const products = window.SWAG_PRODUCTS.slice();
+    if (user !== 'problem_user') products.sort(SORTS[sortOrder].compare);
+    const cart = readCart();
+
+    const sortControl = `
+      <div class="right_component">
+        <span class="select_container">
+          <span class="active_option" data-test="active-option">${SORTS[sortOrder].label}</span>
+          <select class="product_sort_container" data-test="product-sort-container" aria-label="Sort products">
+            ${Object.entries(SORTS).map(([value, sort]) => `<option value="${value}"${value === sortOrder ? ' selected' : ''}>${sort.label}</option>`).join('')}
+          </select>
+        </span>
+      </div>`;
+
+    const items = products.map(product => {
+      const linkId = user === 'problem_user' ? product.id + 1 : product.id;
+      return `
+        <div class="inventory_item" data-test="inventory-item">
+          <div class="inventory_item_img">
+            <a href="#" id="item_${product.id}_img_link" data-test="item-${product.id}-img-link" data-product-link="${linkId}">
+              <img alt="${escapeHtml(product.name)}" class="inventory_item_img" src="${imageFor(user, product)}" data-test="inventory-item-${escapeHtml(product.slug)}-img">
+            </a>
+          </div>
+          <div class="inventory_item_description" data-test="inventory-item-description">
+            <div class="inventory_item_label">
+              <a href="#" id="item_${product.id}_title_link" data-test="item-${product.id}-title-link" data-product-link="${linkId}">
+                <div class="inventory_item_name" data-test="inventory-item-name">${escapeHtml(product.name)}</div>
+              </a>
+              <div class="inventory_item_desc" data-test="inventory-item-desc">${escapeHtml(product.description)}</div>
+            </div>
+            <div class="pricebar">
+              <div class="inventory_item_price" data-test="inventory-item-price">${formatPrice(priceFor(user, product))}</div>
+              ${cartButton(user, product, cart.includes(product.id), action => `${action}-${product.slug}`)}
+            </div>
+          </div>
+        </div>`;
+    }).join('');
+
+    document.title = 'Swag Labs';
+    root.innerHTML = page(user, `
+      <div id="inventory_container" class="inventory_container">
+        <div id="inventory_container" class="inventory_container" data-test="inventory-container">
+          <div class="inventory_list" data-test="inventory-list">${items}</div>
+        </div>
+      </div>`, { title: 'Products', secondary: sortControl });
+
+    root.querySelector('[data-test="product-sort-container"]').addEventListener('change', event => {
+      if (user === 'error_user') {
+        window.alert('Sorting is broken! This error has been reported to Backtrace.');
+        return;
+      }
+      if (user !== 'problem_user') sortOrder = event.target.value;
+      renderInventory(user);
+    });
+
+    bindCommon(user, () => renderInventory(user));
+  }
+
+  function renderItem(user) {
+    const id = Number(new URLSearchParams(window.location.search).get('id'));
+    const product = findProduct(id) || NOT_FOUND_ITEM;
+    const inCart = readCart().includes(product.id);
+
+    const backButton = '<button type="button" class="btn btn_secondary back btn_large inventory_details_back_button" data-test="back-to-products" id="back-to-products" name="back-to-products">Back to products</button>';
+
+    document.title = 'Swag Labs';
+    root.innerHTML = page(user, `
+      <div class="inventory_details" data-test="inventory-container">
+        <div class="inventory_details_container">
+          <div class="inventory_details_img_container">
+            <img alt="${escapeHtml(product.name)}" class="inventory_details_img" src="${imageFor(user, product)}" data-test="item-${escapeHtml(product.slug)}-img">
+          </div>
+          <div class="inventory_details_desc_container">
+            <div class="inventory_details_name large_size" data-test="inventory-item-name">${escapeHtml(product.name)}</div>
+            <div class="inventory_details_desc large_size" data-test="inventory-item-desc">${escapeHtml(product.description)}</div>
+            <div class="inventory_details_price" data-test="inventory-item-price">${formatPrice(priceFor(user, product))}</div>
+            ${product.id >= 0 ? cartButton(user, product, inCart, action => action) : ''}
+          </div>
+        </div>
+      </div>`, { secondary: backButton });
+
+    root.querySelector('[data-test="back-to-products"]').addEventListener('click', () => navigate('/inventory.html'));
+    bindCommon(user, () => renderItem(user));
+  }
+
+  function renderCart(user) {
+    const checkoutClass = user === 'visual_user' ? 'btn btn_action btn_medium checkout_button visual_failure' : 'btn btn_action btn_medium checkout_button';
+
+    document.title = 'Swag Labs';
+    root.innerHTML = page(user, `
+      <div id="cart_contents_container" class="cart_contents_container">
+        <div class="cart_list" data-test="cart-list">
+          <div class="cart_quantity_label" data-test="cart-quantity-label">QTY</div>
+          <div class="cart_desc_label" data-test="cart-desc-label">Description</div>
+          ${cartItemRows(user, readCart(), { removable: true })}
+        </div>
+        <div class="cart_footer">
+          <button type="button" class="btn btn_secondary back btn_medium" data-test="continue-shopping" id="continue-shopping" name="continue-shopping">Continue Shopping</button>
+          <button type="button" class="${checkoutClass}" data-test="checkout" id="checkout" name="checkout">Checkout</button>
+        </div>
+      </div>`, { title: 'Your Cart' });
+
+    root.querySelector('[data-test="continue-shopping"]').addEventListener('click', () => navigate('/inventory.html'));
+    root.querySelector('[data-test="checkout"]').addEventListener('click', () => navigate('/checkout-step-one.html'));
+    bindCommon(user, () => renderCart(user));
+  }
+
+  function renderCheckoutInformation(user, error = '', values = {}) {
+    const field = (testId, id, placeholder) => `
+      <div class="form_group"><input class="input_error form_input" placeholder="${placeholder}" type="text" data-test="${testId}" id="${id}" name="${id}" autocorrect="off" autocapitalize="none" value="${escapeHtml(values[testId] || '')}"></div>`;
+
+    document.title = 'Swag Labs';
+    root.innerHTML = page(user, `
+      <div id="checkout_info_container" class="checkout_info_container">
+        <div class="checkout_info_wrapper">
+          <form>
+            <div class="checkout_info" data-test="checkout-info-container">
+              ${field('firstName', 'first-name', 'First Name')}
+              ${field('lastName', 'last-name', 'Last Name')}
+              ${field('postalCode', 'postal-code', 'Zip/Postal Code')}
+              ${errorMessage(error)}
+            </div>
+            <div class="checkout_buttons">
+              <button type="button" class="btn btn_secondary back btn_medium cart_cancel_link" data-test="cancel" id="cancel" name="cancel">Cancel</button>
+              <input type="submit" class="submit-button btn btn_primary cart_button btn_action" data-test="continue" id="continue" name="continue" value="Continue">
+            </div>
+          </form>
+        </div>
+      </div>`, { title: 'Checkout: Your Information' });
+
+    const input = testId => root.querySelector(`[data-test="${testId}"]`);
+
+    input('lastName').addEventListener('input', event => {
+      if (user === 'problem_user') {
+        // Typing a last name lands in the first name field instead
+        input('firstName').value = event.target.value;
+        event.target.value = '';
+      } else if (user === 'error_user') {
+        event.target.value = '';
+      }
+    });
+
+    root.querySelector('form').addEventListener('submit', event => {
+      event.preventDefault();
+      const current = { firstName: input('firstName').value, lastName: input('lastName').value, postalCode: input('postalCode').value };
+
+      // error_user is let through without a last name
+      if (!current.firstName) return renderCheckoutInformation(user, 'Error: First Name is required', current);
+      if (!current.lastName && user !== 'error_user') return renderCheckoutInformation(user, 'Error: Last Name is required', current);
+      if (!current.postalCode) return renderCheckoutInformation(user, 'Error: Postal Code is required', current);
+      navigate('/checkout-step-two.html');
+    });
+
+    root.querySelector('[data-test="cancel"]').addEventListener('click', () => navigate('/cart.html'));
+    bindErrorDismiss(() => renderCheckoutInformation(user, '', {
+      firstName: input('firstName').value,
+      lastName: input('lastName').value,
+      postalCode: input('postalCode').value
+    }));
+    bindCommon(user, () => renderCheckoutInformation(user));
+  }
+
+  function renderCheckoutOverview(user) {
+    const cart = readCart();
+    const subtotal = cart.map(findProduct).filter(Boolean).reduce((sum, product) => sum + priceFor(user, product), 0);
+    const tax = Math.round(subtotal * TAX_RATE * 100) / 100;
+
+    document.title = 'Swag Labs';
+    root.innerHTML = page(user, `
+      <div id="checkout_summary_container" class="checkout_summary_container">
+        <div class="cart_list" data-test="cart-list">
+          <div class="cart_quantity_label" data-test="cart-quantity-label">QTY</div>
+          <div class="cart_desc_label" data-test="cart-desc-label">Description</div>
+          ${cartItemRows(user, cart, { removable: false })}
+        </div>
+        <div class="summary_info">
+          <div class="summary_info_label" data-test="payment-info-label">Payment Information:</div>
+          <div class="summary_value_label" data-test="payment-info-value">SauceCard #31337</div>
+          <div class="summary_info_label" data-test="shipping-info-label">Shipping Information:</div>
+          <div class="summary_value_label" data-test="shipping-info-value">Free Pony Express Delivery!</div>
+          <div class="summary_info_label" data-test="total-info-label">Price Total</div>
+          <div class="summary_subtotal_label" data-test="subtotal-label">Item total: ${formatPrice(subtotal)}</div>
+          <div class="summary_tax_label" data-test="tax-label">Tax: ${formatPrice(tax)}</div>
+          <div class="summary_info_label summary_total_label" data-test="total-label">Total: ${formatPrice(subtotal + tax)}</div>
+          <div class="cart_footer">
+            <button type="button" class="btn btn_secondary back btn_medium cart_cancel_link" data-test="cancel" id="cancel" name="cancel">Cancel</button>
+            <button type="button" class="btn btn_action btn_medium cart_button" data-test="finish" id="finish" name="finish">Finish</button>
+          </div>
+        </div>
+      </div>`, { title: 'Checkout: Overview' });
+
+    root.querySelector('[data-test="cancel"]').addEventListener('click', () => navigate('/inventory.html'));
+    root.querySelector('[data-test="finish"]').addEventListener('click', () => {
+      if (user === 'error_user') {
+        console.error('Failed to complete the order: the checkout service returned an error.');
+        return;
+      }
+      writeCart([]);
+      navigate('/checkout-complete.html');
+    });
+    bindCommon(user, () => renderCheckoutOverview(user));
+  }
+
+  function renderCheckoutComplete(user) {
+    document.title = 'Swag Labs';
+    root.innerHTML = page(user, `
+      <div id="checkout_complete_container" class="checkout_complete_container" data-test="checkout-complete-container">
+        <img alt="Pony Express" class="pony_express" src="/static/media/pony-express.svg" data-test="pony-express">
+        <h2 class="complete-header" data-test="complete-header">Thank you for your order!</h2>
+        <div class="complete-text" data-test="complete-text">Your order has been dispatched, and will arrive just as fast as the pony can get there!</div>
+        <button type="button" class="btn btn_primary btn_small" data-test="back-to-products" id="back-to-products" name="back-to-products">Back Home</button>
+      </div>`, { title: 'Checkout: Complete!' });
+
+    root.querySelector('[data-test="back-to-products"]').addEventListener('click', () => navigate('/inventory.html'));
+    bindCommon(user, () => renderCheckoutComplete(user));
+  }
+
+  // ---------------------------------------------------------------- shared behaviour
+
+  function bindErrorDismiss(rerender) {
+    const dismiss = root.querySelector('[data-test="error-button"]');
+    if (dismiss) dismiss.addEventListener('click', rerender);
+  }
+
+  /**
+   * Menu, cart link, product links and cart buttons shared by every logged-in page
+   */
+  function bindCommon(user, rerender) {
+    const menu = root.querySelector('#menu_wrap');
+    const menuButton = root.querySelector('#react-burger-menu-btn');
+    const setMenuOpen = open => {
+      menu.hidden = !open;
+      menuButton.setAttribute('aria-expanded', String(open));
+    };
+
+    menuButton.addEventListener('click', () => setMenuOpen(true));
+    root.querySelector('#react-burger-cross-btn').addEventListener('click', () => setMenuOpen(false));
+
+    root.querySelector('#inventory_sidebar_link').addEventListener('click', event => {
+      event.preventDefault();
+      navigate('/inventory.html');
+    });
+    root.querySelector('#logout_sidebar_link').addEventListener('click', event => {
+      event.preventDefault();
+      document.cookie = `${SESSION_COOKIE}=; path=/; expires=Thu, 01 Jan 1970 00:00:00 GMT`;
+      writeCart([]);
+      navigate('/');
+    });
+    root.querySelector('#reset_sidebar_link').addEventListener('click', event => {
+      event.preventDefault();
+      writeCart([]);
+      setMenuOpen(false);
+      rerender();
+    });
+
+    root.querySelector('[data-test="shopping-cart-link"]').addEventListener('click', () => navigate('/cart.html'));
+
+    root.querySelectorAll('[data-product-link]').forEach(link => {
+      link.addEventListener('click', event => {
+        event.preventDefault();
+        navigate(`/inventory-item.html?id=${link.getAttribute('data-product-link')}`);
+      });
+    });
+
+    root.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', () => {
+        const productId = Number(button.getAttribute('data-product'));
+        if (toggleCart(user, productId, button.getAttribute('data-action') === 'add')) rerender();
+      });
+    });
+  }
+
+  // ---------------------------------------------------------------- routing
+
+  const ROUTES = {
+    '/inventory.html': renderInventory,
+    '/inventory-item.html': renderItem,
+    '/cart.html': renderCart,
+    '/checkout-step-one.html': renderCheckoutInformation,
+    '/checkout-step-two.html': renderCheckoutOverview,
+    '/checkout-complete.html': renderCheckoutComplete
+  };
+
+  const path = window.location.pathname;
+  const user = currentUser();
+
+  if (PROTECTED_PATHS.includes(path) && !user) {
+    // Like the real storefront: back to the login page, which explains why
+    window.history.replaceState(null, '', '/');
+    renderLogin(`Epic sadface: You can only access '${path}' when you are logged in.`);
+  } else if (ROUTES[path]) {
+    ROUTES[path](user);
+  } else {
+    renderLogin();
+  }
+})();
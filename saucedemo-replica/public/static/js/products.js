@@ -0,0 +1,54 @@
+// products.js
+/**
+ * The six SauceDemo products, keyed by the id the real storefront uses in inventory-item.html?id=N
+ */
+window.SWAG_PRODUCTS = [
+  {
+    id: 4,
+    slug: 'sauce-labs-backpack',
+    name: 'Sauce Labs Backpack',
+    price: 29.99,
+    image: '/static/media/sauce-backpack.svg',
+    description: 'carry.allTheThings() with the sleek, streamlined Sly Pack that melds uncompromising style with unequaled laptop and tablet protection.'
+  },
+  {
+    id: 0,
+    slug: 'sauce-labs-bike-light',
+    name: 'Sauce Labs Bike Light',
+    price: 9.99,
+    image: '/static/media/bike-light.svg',
+    description: 'A red light isn\'t the desired state in testing but it sure helps when riding your bike at night. Water-resistant with 3 lighting modes, 1 AAA battery included.'
+  },
+  {
+    id: 1,
+    slug: 'sauce-labs-bolt-t-shirt',
+    name: 'Sauce Labs Bolt T-Shirt',
+    price: 15.99,
+    image: '/static/media/bolt-shirt.svg',
+    description: 'Get your testing superhero on with the Sauce Labs bolt T-shirt. From American Apparel, 100% ringspun combed cotton, heather gray with red bolt.'
+  },
+  {
+    id: 5,
+    slug: 'sauce-labs-fleece-jacket',
+    name: 'Sauce Labs Fleece Jacket',
+    price: 49.99,
+    image: '/static/media/sauce-pullover.svg',
+    description: 'It\'s not every day that you come across a midweight quarter-zip fleece jacket capable of handling everything from a relaxing day outdoors to a busy day at the office.'
+  },
+  {
+    id: 2,
+    slug: 'sauce-labs-onesie',
+    name: 'Sauce Labs Onesie',
+    price: 7.99,
+    image: '/static/media/red-onesie.svg',
+    description: 'Rib snap infant onesie for the junior automation engineer in development. Reinforced 3-snap bottom closure, two-needle hemmed sleeved and bottom won\'t unravel.'
+  },
+  {
+    id: 3,
+    slug: 'test.allthethings()-t-shirt-(red)',
+    name: 'Test.allTheThings() T-Shirt (Red)',
+    price: 15.99,
+    image: '/static/media/red-tatt.svg',
+    description: 'This classic Sauce Labs t-shirt is perfect to wear when cozying up to your keyboard to automate a few tests. Super-soft and comfy ringspun combed cotton.'
+  }
+];
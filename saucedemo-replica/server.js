@@ -0,0 +1,130 @@
+// saucedemo-replica/server.js
+/**
+ * 🏪 Local SauceDemo Replica Server
+ *
+ * Serves a stand-in for https://www.saucedemo.com/ so every analyzer and spec can run offline and
+ * score the same markup on every run. Like the real storefront it is a client-rendered app: every
+ * page route returns the same shell and public/static/js/app.js renders the page for the URL.
+ *
+ * Routes: / (login), /inventory.html, /inventory-item.html?id=N, /cart.html,
+ * /checkout-step-one.html, /checkout-step-two.html, /checkout-complete.html and /static/*.
+ *
+ * Run it on its own with `npm run replica`; playwright.config.js starts it as the webServer.
+ * REPLICA_PORT (default 4321) and REPLICA_HOST (default 127.0.0.1) choose where it listens.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const DEFAULT_PORT = 4321;
+const DEFAULT_HOST = '127.0.0.1';
+
+// Every client-side route is answered with the app shell
+const APP_ROUTES = [
+  '/',
+  '/index.html',
+  '/inventory.html',
+  '/inventory-item.html',
+  '/cart.html',
+  '/checkout-step-one.html',
+  '/checkout-step-two.html',
+  '/checkout-complete.html'
+];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.json': 'application/json; charset=utf-8'
+};
+
+/**
+ * Create the replica's HTTP server without starting it
+ * @returns {http.Server}
+ */
+function createReplicaServer() {
+  return http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://replica.local');
+
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      response.writeHead(405, { Allow: 'GET, HEAD' });
+      response.end();
+      return;
+    }
+
+    const filePath = APP_ROUTES.includes(pathname)
+      ? path.join(PUBLIC_DIR, 'index.html')
+      : resolvePublicPath(pathname);
+
+    // Nothing outside public/ is served, whatever the path says
+    if (!filePath || !filePath.startsWith(PUBLIC_DIR + path.sep)) {
+      sendNotFound(response);
+      return;
+    }
+
+    fs.readFile(filePath, (error, body) => {
+      if (error) {
+        sendNotFound(response);
+        return;
+      }
+
+      response.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+        'Cache-Control': 'no-store'
+      });
+      response.end(request.method === 'HEAD' ? undefined : body);
+    });
+  });
+}
+
+function resolvePublicPath(pathname) {
+  try {
+    return path.join(PUBLIC_DIR, path.normalize(decodeURIComponent(pathname)));
+  } catch {
+    return null; // Malformed percent-encoding
+  }
+}
+
+function sendNotFound(response) {
+  response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+  response.end('Not Found');
+}
+
+/**
+ * 🚀 Start the replica and resolve once it is listening
+ * @param {{ port?: number, host?: string }} [options]
+ * @returns {Promise<{ server: http.Server, url: string }>}
+ */
+function startReplicaServer(options = {}) {
+  const port = options.port ?? Number(process.env.REPLICA_PORT || DEFAULT_PORT);
+  const host = options.host || process.env.REPLICA_HOST || DEFAULT_HOST;
+  const server = createReplicaServer();
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({ server, url: `http://${host}:${address.port}/` });
+    });
+  });
+}
+
+module.exports = {
+  createReplicaServer,
+  startReplicaServer,
+  APP_ROUTES,
+  DEFAULT_PORT,
+  DEFAULT_HOST
+};
+
+if (require.main === module) {
+  startReplicaServer()
+    .then(({ url }) => console.log(`🏪 SauceDemo replica listening on ${url}`))
+    .catch(error => {
+      console.error(`❌ Could not start the SauceDemo replica: ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,426 @@
+// scoring-rubric.js
+/**
+ * Declarative Scoring Rubric for Testability Analysis
+ * One JSON document (./testability-rubric.json by default) defines, for each of the 10 principles,
+ * its weight and its sub-metrics: max points, thresholds and how a measured value becomes points.
+ * Every scorer measures raw values (counts, flags, ratios) and asks the rubric for points,
+ * so teams can tune scoring by editing the rubric instead of forking code.
+ *
+ * Rule types (a metric's result is always clamped to 0..maxPoints):
+ * - linear:    offset + value * perUnit (or value / unitsPerPoint), floored, optionally bounded below by min
+ * - bands:     first matching band wins ({ below | upTo | above | atLeast, points }), else "otherwise"
+ * - boolean:   whenTrue / whenFalse
+ * - choice:    points[value] for a named outcome
+ * - composite: base + the sum of its parts; a numeric part awards its points when that flag is truthy,
+ *              an object part ({ maxPoints?, rule }) scores value[part] with a nested rule
+ * A measured value of null/undefined means "could not be measured" and earns the metric's "unknown" points.
+ * Metrics flagged "bonus" add points without counting towards the points available.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RUBRIC_PATH = path.join(__dirname, 'testability-rubric.json');
+
+const PRINCIPLES = [
+  'observability', 'controllability', 'algorithmicSimplicity', 'algorithmicTransparency', 'algorithmicStability',
+  'explainability', 'unbugginess', 'smallness', 'decomposability', 'similarity'
+];
+
+const RULE_TYPES = ['linear', 'bands', 'boolean', 'choice', 'composite'];
+
+class ScoringRubric {
+  /**
+   * @param {Object} definition - Parsed rubric JSON
+   * @param {string} source - File the rubric was loaded from
+   */
+  constructor(definition, source = 'inline') {
+    this.source = source;
+    this.name = definition.name || path.basename(source, '.json');
+    this.version = definition.version || 1;
+    this.principles = definition.principles || {};
+
+    this.validate();
+  }
+
+  /**
+   * Fail fast on rubrics with missing principles, unknown rule types or bad point values
+   */
+  validate() {
+    const problems = [];
+
+    PRINCIPLES.forEach(principle => {
+      const definition = this.principles[principle];
+      if (!definition) {
+        problems.push(`principle "${principle}" is missing`);
+        return;
+      }
+
+      if (definition.weight !== undefined && !(typeof definition.weight === 'number' && definition.weight >= 0)) {
+        problems.push(`principle "${principle}" weight must be a non-negative number`);
+      }
+
+      Object.entries(definition.metrics || {}).forEach(([metric, spec]) => {
+        if (!(typeof spec.maxPoints === 'number' && spec.maxPoints > 0)) {
+          problems.push(`${principle}.${metric} needs a positive "maxPoints"`);
+        }
+        this.collectRuleProblems(spec.rule, `${principle}.${metric}`, problems);
+      });
+    });
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid scoring rubric "${this.name}" (${this.source}): ${problems.join('; ')}`);
+    }
+  }
+
+  collectRuleProblems(rule, where, problems) {
+    if (!rule || !RULE_TYPES.includes(rule.type)) {
+      problems.push(`${where} needs a rule with a type of ${RULE_TYPES.join(', ')}`);
+      return;
+    }
+
+    if (rule.type === 'linear' && typeof rule.perUnit !== 'number' && typeof rule.unitsPerPoint !== 'number') {
+      problems.push(`${where} linear rule needs "perUnit" or "unitsPerPoint"`);
+    }
+
+    if (rule.type === 'bands' && !Array.isArray(rule.bands)) {
+      problems.push(`${where} bands rule needs a "bands" array`);
+    }
+
+    if (rule.type === 'choice' && typeof rule.points !== 'object') {
+      problems.push(`${where} choice rule needs a "points" map`);
+    }
+
+    if (rule.type === 'composite') {
+      Object.entries(rule.parts || {}).forEach(([part, partSpec]) => {
+        if (typeof partSpec !== 'number') {
+          this.collectRuleProblems(partSpec.rule, `${where}.${part}`, problems);
+        }
+      });
+    }
+  }
+
+  /**
+   * Relative weight of a principle in the overall score
+   * @param {string} principle
+   */
+  weight(principle) {
+    const weight = this.principles[principle]?.weight;
+    return weight === undefined ? 1 : weight;
+  }
+
+  /**
+   * Weights of all 10 principles
+   * @returns {Object<string, number>}
+   */
+  get weights() {
+    return Object.fromEntries(PRINCIPLES.map(principle => [principle, this.weight(principle)]));
+  }
+
+  getMetric(principle, metric) {
+    const spec = this.principles[principle]?.metrics?.[metric];
+    if (!spec) {
+      throw new Error(`Scoring rubric "${this.name}" has no metric "${metric}" under "${principle}"`);
+    }
+    return spec;
+  }
+
+  /**
+   * Max points available for a sub-metric
+   */
+  maxPoints(principle, metric) {
+    return this.getMetric(principle, metric).maxPoints;
+  }
+
+  /**
+   * Convert a measured value into points for a sub-metric
+   * @param {string} principle
+   * @param {string} metric
+   * @param {*} value - Count, flag, ratio, named outcome or (for composite rules) an object of them
+   * @returns {number}
+   */
+  scoreMetric(principle, metric, value) {
+    const spec = this.getMetric(principle, metric);
+
+    if (value === null || value === undefined) {
+      return Math.min(spec.maxPoints, spec.unknown || 0);
+    }
+
+    return clamp(this.evaluateRule(spec.rule, value), 0, spec.maxPoints);
+  }
+
+  evaluateRule(rule, value) {
+    switch (rule.type) {
+      case 'linear': {
+        const perUnit = rule.perUnit !== undefined ? rule.perUnit : 1 / rule.unitsPerPoint;
+        const points = Math.floor((rule.offset || 0) + Number(value) * perUnit + 1e-9);
+        return rule.min !== undefined ? Math.max(rule.min, points) : points;
+      }
+
+      case 'bands': {
+        const band = rule.bands.find(candidate => bandMatches(candidate, value));
+        return band ? band.points : (rule.otherwise || 0);
+      }
+
+      case 'boolean':
+        return value ? (rule.whenTrue || 0) : (rule.whenFalse || 0);
+
+      case 'choice':
+        return rule.points[value] || 0;
+
+      case 'composite':
+        return Object.entries(rule.parts || {}).reduce((sum, [part, partSpec]) => {
+          if (typeof partSpec === 'number') {
+            return sum + (value[part] ? partSpec : 0);
+          }
+
+          if (value[part] === null || value[part] === undefined) {
+            return sum;
+          }
+
+          const points = this.evaluateRule(partSpec.rule, value[part]);
+          return sum + (partSpec.maxPoints !== undefined ? clamp(points, 0, partSpec.maxPoints) : points);
+        }, rule.base || 0);
+
+      default:
+        throw new Error(`Unknown rubric rule type "${rule.type}"`);
+    }
+  }
+
+  /**
+   * Points for a sub-metric together with how they were reached: the rule,
+   * the threshold or band that applied and why any points were withheld
+   * @returns {{ points: number, maxPoints: number, value: *, rule: string, applied: string, withheld: string|null }}
+   */
+  explainMetric(principle, metric, value) {
+    const spec = this.getMetric(principle, metric);
+    const points = this.scoreMetric(principle, metric, value);
+    const measured = value !== null && value !== undefined;
+    const explanation = this.explainRule(spec.rule, measured ? value : undefined, spec.maxPoints);
+
+    if (!measured) {
+      explanation.applied = `not measured → ${points} "unknown" points`;
+      explanation.shortfall = 'the value could not be measured';
+    }
+
+    return {
+      points,
+      maxPoints: spec.maxPoints,
+      value: measured ? value : null,
+      rule: explanation.rule,
+      applied: explanation.applied,
+      withheld: points < spec.maxPoints ? `${spec.maxPoints - points} points withheld: ${explanation.shortfall}` : null
+    };
+  }
+
+  explainRule(rule, value, maxPoints) {
+    switch (rule.type) {
+      case 'linear': {
+        const perUnit = rule.perUnit !== undefined ? rule.perUnit : 1 / rule.unitsPerPoint;
+        const rate = rule.unitsPerPoint !== undefined ? `1 point per ${rule.unitsPerPoint} units` : `${rule.perUnit} points per unit`;
+        const neededForMax = Math.ceil(((maxPoints - (rule.offset || 0)) / perUnit) * 100) / 100;
+        return {
+          rule: `${rule.offset ? `${rule.offset} + ` : ''}${rate}${rule.min !== undefined ? `, at least ${rule.min}` : ''}`,
+          applied: `${formatValue(value)} → ${this.evaluateRule(rule, value)}`,
+          shortfall: `${formatValue(value)} is below the ${neededForMax} needed for full points`
+        };
+      }
+
+      case 'bands': {
+        const describeBand = band => ['below', 'upTo', 'above', 'atLeast']
+          .filter(key => band[key] !== undefined)
+          .map(key => `${{ below: '<', upTo: '≤', above: '>', atLeast: '≥' }[key]} ${band[key]}`)[0];
+        const matched = rule.bands.find(band => bandMatches(band, value));
+        const best = rule.bands.reduce((top, band) => band.points > top.points ? band : top, rule.bands[0]);
+        return {
+          rule: rule.bands.map(band => `${describeBand(band)}: ${band.points}`).concat(`otherwise: ${rule.otherwise || 0}`).join(', '),
+          applied: matched ? `${formatValue(value)} is ${describeBand(matched)} → ${matched.points}` : `${formatValue(value)} matched no band → ${rule.otherwise || 0}`,
+          shortfall: `${formatValue(value)} misses the best band (${describeBand(best)}: ${best.points})`
+        };
+      }
+
+      case 'boolean':
+        return {
+          rule: `true: ${rule.whenTrue || 0}, false: ${rule.whenFalse || 0}`,
+          applied: `${!!value} → ${value ? (rule.whenTrue || 0) : (rule.whenFalse || 0)}`,
+          shortfall: value ? 'the rubric caps this check below its max' : `check was false (true earns ${rule.whenTrue || 0})`
+        };
+
+      case 'choice': {
+        const [bestOutcome, bestPoints] = Object.entries(rule.points).reduce((top, entry) => entry[1] > top[1] ? entry : top);
+        return {
+          rule: Object.entries(rule.points).map(([outcome, points]) => `${outcome}: ${points}`).join(', '),
+          applied: `"${value}" → ${rule.points[value] || 0}`,
+          shortfall: `outcome was "${value}", best is "${bestOutcome}" (${bestPoints})`
+        };
+      }
+
+      case 'composite': {
+        const parts = Object.entries(rule.parts || {}).map(([part, partSpec]) => {
+          const partValue = value ? value[part] : undefined;
+          if (typeof partSpec === 'number') {
+            return { part, points: partValue ? partSpec : 0, max: partSpec, detail: partValue ? 'present' : 'absent' };
+          }
+
+          const earned = partValue === null || partValue === undefined ? 0 : this.evaluateRule(partSpec.rule, partValue);
+          const max = partSpec.maxPoints !== undefined ? partSpec.maxPoints : null;
+          return { part, points: max !== null ? clamp(earned, 0, max) : earned, max, detail: formatValue(partValue) };
+        });
+        // Capped parts that fell short of their max, and uncapped parts that took points away
+        const short = parts.filter(part => (part.max !== null && part.points < part.max) || (part.max === null && part.points < 0));
+        return {
+          rule: `${rule.base ? `base ${rule.base} + ` : ''}${parts.map(part => `${part.part} (${part.max !== null ? `max ${part.max}` : 'uncapped'})`).join(' + ')}`,
+          applied: parts.map(part => `${part.part}=${part.detail} → ${part.points}`).join(', '),
+          shortfall: short.length > 0
+            ? short.map(part => `${part.part} ${part.detail} (${part.max !== null ? `${part.points}/${part.max}` : part.points})`).join(', ')
+            : 'combined points stay below the max'
+        };
+      }
+
+      default:
+        throw new Error(`Unknown rubric rule type "${rule.type}"`);
+    }
+  }
+
+  /**
+   * Principle score (0-100) from the points earned on the sub-metrics a scorer measured.
+   * Only measured, non-bonus metrics count towards the points available; a sub-metric whose points
+   * are null was not assessed (e.g. a probe skipped in read-only mode) and counts towards nothing.
+   * When nothing was assessed the principle itself is null, so weighPrinciples leaves it out.
+   * @param {string} principle
+   * @param {Object<string, number|null>} metricPoints - Points per sub-metric, as returned by scoreMetric
+   * @returns {number|null}
+   */
+  scorePrinciple(principle, metricPoints) {
+    let earned = 0;
+    let available = 0;
+
+    Object.entries(metricPoints).forEach(([metric, points]) => {
+      if (points === null) return;
+      const spec = this.getMetric(principle, metric);
+      earned += points;
+      if (!spec.bonus) available += spec.maxPoints;
+    });
+
+    if (available === 0) return null;
+    return Math.round(Math.min(100, (earned / available) * 100));
+  }
+
+  /**
+   * Weighted average of principle scores; principles without a numeric score are left out
+   * @param {Object<string, number|null>} principleScores
+   * @param {Object} [weighting] - Per-project weight overrides and exclusions (see weighPrinciples)
+   */
+  overallScore(principleScores, weighting = {}) {
+    return this.weighPrinciples(principleScores, weighting).overallScore;
+  }
+
+  /**
+   * Overall score together with the weights that produced it.
+   * A principle listed in weighting.notAssessed, or without a numeric score, is excluded
+   * from the aggregate instead of counting as 0.
+   * @param {Object<string, number|null>} principleScores
+   * @param {Object} [weighting]
+   * @param {Object<string, number>} [weighting.weights] - Overrides of the rubric weights
+   * @param {string[]} [weighting.notAssessed] - Principles to exclude
+   * @returns {{ overallScore: number, appliedWeights: Object<string, number>, notAssessed: string[] }}
+   */
+  weighPrinciples(principleScores, { weights = {}, notAssessed = [] } = {}) {
+    const appliedWeights = {};
+    const excluded = [];
+    let weightedSum = 0;
+    let totalWeight = 0;
+
+    PRINCIPLES.forEach(principle => {
+      const score = principleScores[principle];
+      if (notAssessed.includes(principle) || typeof score !== 'number') {
+        excluded.push(principle);
+        return;
+      }
+
+      const weight = weights[principle] !== undefined ? weights[principle] : this.weight(principle);
+      appliedWeights[principle] = weight;
+      weightedSum += score * weight;
+      totalWeight += weight;
+    });
+
+    return {
+      overallScore: totalWeight > 0 ? Math.round(weightedSum / totalWeight) : 0,
+      appliedWeights,
+      notAssessed: excluded
+    };
+  }
+
+  /**
+   * One-line "metric points/max" summary for console output
+   */
+  describe(principle, metricPoints) {
+    return Object.entries(metricPoints)
+      .map(([metric, points]) => points === null
+        ? `${metric}: not assessed`
+        : `${metric}: ${points}/${this.maxPoints(principle, metric)}`)
+      .join(', ');
+  }
+}
+
+/**
+ * Problems with a per-project weighting ({ weights, notAssessed }), as readable strings
+ * @param {Object} weighting
+ * @returns {string[]}
+ */
+function weightingProblems({ weights = {}, notAssessed = [] } = {}) {
+  const problems = [];
+
+  Object.entries(weights).forEach(([principle, weight]) => {
+    if (!PRINCIPLES.includes(principle)) {
+      problems.push(`weight given for unknown principle "${principle}"`);
+    } else if (!(typeof weight === 'number' && weight >= 0)) {
+      problems.push(`weight for "${principle}" must be a non-negative number`);
+    }
+  });
+
+  if (!Array.isArray(notAssessed)) {
+    problems.push('"notAssessed" must be an array of principle names');
+  } else {
+    notAssessed.filter(principle => !PRINCIPLES.includes(principle)).forEach(principle => {
+      problems.push(`"notAssessed" lists unknown principle "${principle}"`);
+    });
+  }
+
+  return problems;
+}
+
+function bandMatches(band, value) {
+  return (band.below !== undefined && value < band.below) ||
+    (band.upTo !== undefined && value <= band.upTo) ||
+    (band.above !== undefined && value > band.above) ||
+    (band.atLeast !== undefined && value >= band.atLeast);
+}
+
+function formatValue(value) {
+  if (typeof value === 'number' && !Number.isInteger(value)) return value.toFixed(2);
+  if (value === null || value === undefined) return 'n/a';
+  return String(value);
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Load a scoring rubric from a JSON file.
+ * Defaults to $TESTABILITY_RUBRIC, then the bundled ./testability-rubric.json.
+ * @param {string} [rubricPath]
+ * @returns {ScoringRubric}
+ */
+function loadScoringRubric(rubricPath = process.env.TESTABILITY_RUBRIC || DEFAULT_RUBRIC_PATH) {
+  const resolvedPath = path.resolve(rubricPath);
+
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Scoring rubric not found: ${resolvedPath}`);
+  }
+
+  return new ScoringRubric(JSON.parse(fs.readFileSync(resolvedPath, 'utf8')), resolvedPath);
+}
+
+module.exports = { ScoringRubric, loadScoringRubric, weightingProblems, DEFAULT_RUBRIC_PATH, PRINCIPLES };
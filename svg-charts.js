@@ -0,0 +1,209 @@
+/**
+ * 📊 SVG Charts - server-side chart rendering for the HTML reports
+ *
+ * Renders radar and bar charts as inline SVG markup so a saved report is a single
+ * file that displays fully offline (no charting library, no CDN).
+ */
+
+const PALETTE = ['#667eea', '#3498db', '#ed8936', '#48bb78', '#e53e3e', '#38b2ac'];
+
+class SVGCharts {
+  /**
+   * 🕸️ Radar chart of 0..max values, one axis per label
+   * @param {{ labels: string[], values: number[], max?: number, color?: string, title?: string }} options
+   * @returns {string} SVG markup
+   */
+  static radar({ labels, values, max = 100, color = PALETTE[0], title = 'Radar chart' }) {
+    const width = 720;
+    const height = 400;
+    const cx = width / 2;
+    const cy = height / 2;
+    const radius = 140;
+    const angleAt = index => (Math.PI * 2 * index) / labels.length - Math.PI / 2;
+    const pointAt = (index, value) => {
+      const distance = (Math.max(0, Math.min(value, max)) / max) * radius;
+      return [cx + Math.cos(angleAt(index)) * distance, cy + Math.sin(angleAt(index)) * distance];
+    };
+
+    const rings = [0.2, 0.4, 0.6, 0.8, 1].map(fraction => `
+      <circle cx="${cx}" cy="${cy}" r="${round(radius * fraction)}" fill="none" stroke="#e2e8f0" />
+      <text x="${cx + 3}" y="${round(cy - radius * fraction - 2)}" font-size="9" fill="#a0aec0">${round(max * fraction)}</text>`).join('');
+
+    const spokes = labels.map((label, index) => {
+      const [x, y] = pointAt(index, max);
+      const [lx, ly] = [cx + Math.cos(angleAt(index)) * (radius + 16), cy + Math.sin(angleAt(index)) * (radius + 16)];
+      const anchor = Math.abs(lx - cx) < 5 ? 'middle' : lx > cx ? 'start' : 'end';
+      return `
+      <line x1="${cx}" y1="${cy}" x2="${round(x)}" y2="${round(y)}" stroke="#e2e8f0" />
+      <text x="${round(lx)}" y="${round(ly + 4)}" font-size="12" fill="#4a5568" text-anchor="${anchor}">${escapeXml(label)}</text>`;
+    }).join('');
+
+    const points = values.map((value, index) => pointAt(index, Number(value) || 0));
+    const polygon = points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ');
+    const dots = points.map(([x, y], index) => `
+      <circle cx="${round(x)}" cy="${round(y)}" r="4" fill="${color}" stroke="#fff" stroke-width="1.5">
+        <title>${escapeXml(labels[index])}: ${values[index]}</title>
+      </circle>`).join('');
+
+    return `
+    <svg class="svg-chart" viewBox="0 0 ${width} ${height}" width="100%" height="100%" role="img" aria-label="${escapeXml(title)}" xmlns="http://www.w3.org/2000/svg">
+      ${rings}
+      ${spokes}
+      <polygon points="${polygon}" fill="${color}" fill-opacity="0.2" stroke="${color}" stroke-width="2" />
+      ${dots}
+    </svg>`;
+  }
+
+  /**
+   * 📊 Grouped bar chart
+   * A dataset's color may be a function of (value, index) to color bars individually.
+   * @param {{ labels: string[], datasets: { label: string, values: number[], color?: string|Function }[],
+   *   max?: number, title?: string, xTitle?: string, yTitle?: string }} options
+   * @returns {string} SVG markup
+   */
+  static bar({ labels, datasets, max = null, title = '', xTitle = '', yTitle = '' }) {
+    const width = 640;
+    const height = 400;
+    const margin = { top: title ? 40 : 20, right: 20, bottom: xTitle ? 70 : 50, left: yTitle ? 70 : 50 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const allValues = datasets.flatMap(dataset => dataset.values.map(value => Number(value) || 0));
+    const top = max || niceMax(Math.max(0, ...allValues));
+    const yAt = value => margin.top + plotHeight - (Math.max(0, Math.min(value, top)) / top) * plotHeight;
+
+    const ticks = [0, 0.2, 0.4, 0.6, 0.8, 1].map(fraction => {
+      const y = round(yAt(top * fraction));
+      return `
+      <line x1="${margin.left}" y1="${y}" x2="${width - margin.right}" y2="${y}" stroke="#edf2f7" />
+      <text x="${margin.left - 8}" y="${y + 4}" font-size="11" fill="#718096" text-anchor="end">${round(top * fraction)}</text>`;
+    }).join('');
+
+    const groupWidth = plotWidth / Math.max(labels.length, 1);
+    const barWidth = Math.min(60, (groupWidth * 0.7) / Math.max(datasets.length, 1));
+    const bars = labels.map((label, index) => {
+      const groupStart = margin.left + groupWidth * index + (groupWidth - barWidth * datasets.length) / 2;
+      const groupBars = datasets.map((dataset, datasetIndex) => {
+        const value = Number(dataset.values[index]) || 0;
+        const color = typeof dataset.color === 'function'
+          ? dataset.color(value, index)
+          : dataset.color || PALETTE[datasetIndex % PALETTE.length];
+        const x = round(groupStart + barWidth * datasetIndex);
+        const y = round(yAt(value));
+        return `
+        <rect x="${x}" y="${y}" width="${round(barWidth - 2)}" height="${round(margin.top + plotHeight - y)}" fill="${color}" rx="2">
+          <title>${escapeXml(label)} - ${escapeXml(dataset.label)}: ${round(value)}</title>
+        </rect>
+        <text x="${round(x + barWidth / 2 - 1)}" y="${y - 4}" font-size="10" fill="#4a5568" text-anchor="middle">${round(value)}</text>`;
+      }).join('');
+      return `${groupBars}
+        <text x="${round(margin.left + groupWidth * (index + 0.5))}" y="${margin.top + plotHeight + 18}" font-size="11" fill="#4a5568" text-anchor="middle">${escapeXml(truncate(label, Math.max(6, Math.floor(groupWidth / 7))))}</text>`;
+    }).join('');
+
+    const legend = datasets.length > 1 ? datasets.map((dataset, index) => {
+      const x = margin.left + index * 180;
+      const color = typeof dataset.color === 'string' ? dataset.color : PALETTE[index % PALETTE.length];
+      return `
+      <rect x="${x}" y="${height - 18}" width="12" height="12" fill="${color}" />
+      <text x="${x + 18}" y="${height - 8}" font-size="11" fill="#4a5568">${escapeXml(dataset.label)}</text>`;
+    }).join('') : '';
+
+    return `
+    <svg class="svg-chart" viewBox="0 0 ${width} ${height}" width="100%" height="100%" role="img" aria-label="${escapeXml(title || datasets.map(dataset => dataset.label).join(', '))}" xmlns="http://www.w3.org/2000/svg">
+      ${title ? `<text x="${width / 2}" y="22" font-size="14" font-weight="bold" fill="#2d3748" text-anchor="middle">${escapeXml(title)}</text>` : ''}
+      ${ticks}
+      <line x1="${margin.left}" y1="${margin.top + plotHeight}" x2="${width - margin.right}" y2="${margin.top + plotHeight}" stroke="#a0aec0" />
+      ${bars}
+      ${yTitle ? `<text transform="translate(16 ${margin.top + plotHeight / 2}) rotate(-90)" font-size="12" fill="#4a5568" text-anchor="middle">${escapeXml(yTitle)}</text>` : ''}
+      ${xTitle ? `<text x="${margin.left + plotWidth / 2}" y="${margin.top + plotHeight + 42}" font-size="12" fill="#4a5568" text-anchor="middle">${escapeXml(xTitle)}</text>` : ''}
+      ${legend}
+    </svg>`;
+  }
+
+  /**
+   * 📈 Line chart over a shared x axis; null values leave a point out of a series
+   * @param {{ labels: string[], datasets: { label: string, values: (number|null)[], color?: string }[],
+   *   max?: number, title?: string }} options
+   * @returns {string} SVG markup
+   */
+  static line({ labels, datasets, max = 100, title = '' }) {
+    const width = 640;
+    const plotHeight = 200;
+    // The legend wraps three to a row and the chart grows to fit it
+    const margin = { top: title ? 36 : 16, right: 20, bottom: 40 + Math.ceil(datasets.length / 3) * 16, left: 44 };
+    const height = margin.top + plotHeight + margin.bottom;
+    const plotWidth = width - margin.left - margin.right;
+    const xAt = index => margin.left + (labels.length > 1 ? (plotWidth * index) / (labels.length - 1) : plotWidth / 2);
+    const yAt = value => margin.top + plotHeight - (Math.max(0, Math.min(value, max)) / max) * plotHeight;
+
+    const ticks = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+      const y = round(yAt(max * fraction));
+      return `
+      <line x1="${margin.left}" y1="${y}" x2="${width - margin.right}" y2="${y}" stroke="#edf2f7" />
+      <text x="${margin.left - 6}" y="${y + 4}" font-size="10" fill="#718096" text-anchor="end">${round(max * fraction)}</text>`;
+    }).join('');
+
+    // Label at most ~8 points along the x axis
+    const labelEvery = Math.max(1, Math.ceil(labels.length / 8));
+    const xLabels = labels.map((label, index) => (index % labelEvery === 0 || index === labels.length - 1) ? `
+      <text x="${round(xAt(index))}" y="${margin.top + plotHeight + 16}" font-size="10" fill="#718096" text-anchor="middle">${escapeXml(truncate(label, 16))}</text>` : '').join('');
+
+    const lines = datasets.map((dataset, datasetIndex) => {
+      const color = dataset.color || PALETTE[datasetIndex % PALETTE.length];
+      const points = dataset.values
+        .map((value, index) => (value === null || value === undefined ? null : { x: round(xAt(index)), y: round(yAt(value)), value, index }))
+        .filter(Boolean);
+      const dots = points.map(point => `
+        <circle cx="${point.x}" cy="${point.y}" r="3" fill="${color}">
+          <title>${escapeXml(dataset.label)} @ ${escapeXml(labels[point.index])}: ${point.value}</title>
+        </circle>`).join('');
+      return `
+      <polyline points="${points.map(point => `${point.x},${point.y}`).join(' ')}" fill="none" stroke="${color}" stroke-width="2" />
+      ${dots}`;
+    }).join('');
+
+    const legend = datasets.map((dataset, index) => {
+      const x = margin.left + (index % 3) * 200;
+      const y = height - margin.bottom + 30 + Math.floor(index / 3) * 16;
+      const color = dataset.color || PALETTE[index % PALETTE.length];
+      return `
+      <rect x="${x}" y="${y - 9}" width="10" height="10" fill="${color}" />
+      <text x="${x + 15}" y="${y}" font-size="10" fill="#4a5568">${escapeXml(truncate(dataset.label, 30))}</text>`;
+    }).join('');
+
+    return `
+    <svg class="svg-chart" viewBox="0 0 ${width} ${height}" width="100%" height="100%" role="img" aria-label="${escapeXml(title || 'Line chart')}" xmlns="http://www.w3.org/2000/svg">
+      ${title ? `<text x="${width / 2}" y="20" font-size="13" font-weight="bold" fill="#2d3748" text-anchor="middle">${escapeXml(title)}</text>` : ''}
+      ${ticks}
+      <line x1="${margin.left}" y1="${margin.top + plotHeight}" x2="${width - margin.right}" y2="${margin.top + plotHeight}" stroke="#a0aec0" />
+      ${xLabels}
+      ${lines}
+      ${legend}
+    </svg>`;
+  }
+}
+
+// Round an axis maximum up to 1, 2, 2.5 or 5 times a power of ten
+function niceMax(value) {
+  if (value <= 0) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 2.5, 5, 10].find(candidate => candidate * magnitude >= value);
+  return step * magnitude;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = { SVGCharts };
@@ -0,0 +1,259 @@
+// target-profile.js
+/**
+ * Target Profiles for Testability Analysis
+ * A profile describes the application under assessment: where it lives, how to log in,
+ * how to recognise a successful login and which user roles (with credentials) exist.
+ * It can also re-weight the 10 principles for the project or mark some as not assessed.
+ * Bundled profiles live in ./profiles/<name>.json; any other JSON file can be loaded by path.
+ * TESTABILITY_BASE_URL points a loaded profile at another deployment of the same app, such as the
+ * local SauceDemo replica that playwright.config.js starts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AITestUtils } = require('./ai-test-utils');
+const { weightingProblems } = require('./scoring-rubric');
+
+const PROFILES_DIR = path.join(__dirname, 'profiles');
+const DEFAULT_PROFILE = 'saucedemo';
+
+// The crawl never follows or clicks anything labelled like this, whatever the profile excludes on top
+const DEFAULT_CRAWL_EXCLUDE = ['logout', 'log out', 'sign out', 'signout', 'delete', 'remove', 'submit'];
+
+class TargetProfile {
+  /**
+   * @param {Object} definition - Parsed profile JSON
+   * @param {string} source - File the profile was loaded from
+   */
+  constructor(definition, source = 'inline') {
+    this.source = source;
+    this.name = definition.name || path.basename(source, '.json');
+    this.description = definition.description || '';
+    this.baseUrl = definition.baseUrl;
+    this.login = definition.login || { path: '/', steps: [], success: {} };
+    this.users = definition.users || {};
+    this.crawl = {
+      maxDepth: 2,
+      maxPages: 10,
+      ignoreQuery: false,
+      clickButtons: false,
+      ...(definition.crawl || {})
+    };
+    if (Array.isArray(this.crawl.exclude || [])) {
+      this.crawl.exclude = Array.from(new Set([...DEFAULT_CRAWL_EXCLUDE, ...(this.crawl.exclude || [])]));
+    }
+    this.journeys = definition.journeys || {};
+    this.scoring = {
+      weights: {},
+      notAssessed: [],
+      ...(definition.scoring || {})
+    };
+
+    this.validate();
+  }
+
+  /**
+   * Fail fast on profiles that cannot possibly drive a login
+   */
+  validate() {
+    const problems = [];
+
+    if (!this.baseUrl) problems.push('"baseUrl" is required');
+    if (!Array.isArray(this.login.steps)) problems.push('"login.steps" must be an array');
+    if (Object.keys(this.users).length === 0) problems.push('"users" must define at least one user type');
+
+    (this.login.steps || []).forEach((step, index) => {
+      if (!step.selector && !step.target) {
+        problems.push(`login step ${index + 1} needs a "selector" or a "target" description`);
+      }
+    });
+
+    Object.entries(this.journeys).forEach(([journeyName, journey]) => {
+      if (!Array.isArray(journey.steps) || journey.steps.length === 0) {
+        problems.push(`journey "${journeyName}" needs a non-empty "steps" array`);
+        return;
+      }
+
+      journey.steps.forEach((step, index) => {
+        if (!Array.isArray(step.actions)) {
+          problems.push(`journey "${journeyName}" step ${index + 1} needs an "actions" array`);
+          return;
+        }
+
+        step.actions.forEach((action, actionIndex) => {
+          if (!['goto', 'wait'].includes(action.action) && !action.selector && !action.target) {
+            problems.push(`journey "${journeyName}" step ${index + 1} action ${actionIndex + 1} needs a "selector" or a "target" description`);
+          }
+        });
+      });
+    });
+
+    if (!Array.isArray(this.crawl.exclude) || !this.crawl.exclude.every(pattern => typeof pattern === 'string')) {
+      problems.push('"crawl.exclude" must be an array of strings');
+    }
+
+    weightingProblems(this.scoring).forEach(problem => problems.push(`scoring: ${problem}`));
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid target profile "${this.name}" (${this.source}): ${problems.join('; ')}`);
+    }
+  }
+
+  /**
+   * User types defined by this profile, in declaration order
+   * @returns {string[]}
+   */
+  get userTypes() {
+    return Object.keys(this.users);
+  }
+
+  /**
+   * Resolve credentials for a user type, expanding {{env.NAME}} placeholders
+   * @param {string} userType
+   */
+  getUser(userType) {
+    const user = this.users[userType];
+    if (!user) {
+      throw new Error(`Unknown user type "${userType}" for target profile "${this.name}" (known: ${this.userTypes.join(', ')})`);
+    }
+
+    return Object.fromEntries(
+      Object.entries(user).map(([key, value]) => [key, this.expand(String(value), {})])
+    );
+  }
+
+  /**
+   * Look up a named user journey
+   * @param {string} journeyName
+   */
+  getJourney(journeyName) {
+    const journey = this.journeys[journeyName];
+    if (!journey) {
+      const known = Object.keys(this.journeys);
+      throw new Error(`Unknown journey "${journeyName}" for target profile "${this.name}" (known: ${known.join(', ') || 'none'})`);
+    }
+
+    return { name: journeyName, ...journey };
+  }
+
+  /**
+   * Resolve a path relative to the profile's base URL
+   * @param {string} urlPath
+   */
+  resolveUrl(urlPath = '/') {
+    return new URL(urlPath, this.baseUrl).toString();
+  }
+
+  /**
+   * Replace {{username}}, {{password}} (or any user field) and {{env.NAME}} placeholders
+   * @param {string} template
+   * @param {Object} user
+   */
+  expand(template, user) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+      if (key.startsWith('env.')) {
+        const envName = key.slice(4);
+        if (process.env[envName] === undefined) {
+          throw new Error(`Target profile "${this.name}" references unset environment variable ${envName}`);
+        }
+        return process.env[envName];
+      }
+      return user[key] !== undefined ? user[key] : match;
+    });
+  }
+
+  /**
+   * Navigate to the login page and run the profile's login steps for a user type
+   * @param {import('@playwright/test').Page} page
+   * @param {string} userType
+   * @returns {Promise<boolean>} whether the success predicate held afterwards
+   */
+  async performLogin(page, userType) {
+    const user = this.getUser(userType);
+
+    await page.goto(this.resolveUrl(this.login.path || '/'), { timeout: 30000 });
+    await AITestUtils.waitForPageReady(page);
+
+    for (const step of this.login.steps) {
+      const locator = step.selector
+        ? page.locator(step.selector)
+        : AITestUtils.smartLocator(page, step.target);
+      const value = step.value !== undefined ? this.expand(String(step.value), user) : null;
+
+      switch (step.action) {
+        case 'fill':
+          await locator.fill(value);
+          break;
+        case 'click':
+          await locator.click();
+          break;
+        case 'press':
+          await locator.press(value);
+          break;
+        case 'select':
+          await locator.selectOption(value);
+          break;
+        case 'check':
+          await locator.check();
+          break;
+        default:
+          throw new Error(`Unsupported login action "${step.action}" in target profile "${this.name}"`);
+      }
+    }
+
+    return this.isLoggedIn(page);
+  }
+
+  /**
+   * Evaluate the success predicate: every configured condition must hold
+   * @param {import('@playwright/test').Page} page
+   */
+  async isLoggedIn(page) {
+    const success = this.login.success || {};
+    const timeout = success.timeout || 10000;
+
+    try {
+      if (success.urlIncludes) {
+        await page.waitForURL(url => url.toString().includes(success.urlIncludes), { timeout });
+      }
+
+      if (success.urlMatches) {
+        await page.waitForURL(new RegExp(success.urlMatches), { timeout });
+      }
+
+      if (success.selector) {
+        await page.locator(success.selector).first().waitFor({ state: success.state || 'visible', timeout });
+      }
+
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+/**
+ * Load a target profile by bundled name or by JSON file path.
+ * Defaults to $TESTABILITY_PROFILE, then the bundled SauceDemo profile.
+ * $TESTABILITY_BASE_URL, when set, replaces the profile's baseUrl.
+ * @param {string} [nameOrPath]
+ * @returns {TargetProfile}
+ */
+function loadTargetProfile(nameOrPath = process.env.TESTABILITY_PROFILE || DEFAULT_PROFILE) {
+  const bundledPath = path.join(PROFILES_DIR, `${nameOrPath}.json`);
+  const profilePath = fs.existsSync(bundledPath) ? bundledPath : path.resolve(nameOrPath);
+
+  if (!fs.existsSync(profilePath)) {
+    const bundled = fs.readdirSync(PROFILES_DIR).map(file => path.basename(file, '.json'));
+    throw new Error(`Target profile "${nameOrPath}" not found (bundled profiles: ${bundled.join(', ')})`);
+  }
+
+  const definition = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+  if (process.env.TESTABILITY_BASE_URL) {
+    definition.baseUrl = process.env.TESTABILITY_BASE_URL;
+  }
+
+  return new TargetProfile(definition, profilePath);
+}
+
+module.exports = { TargetProfile, loadTargetProfile, DEFAULT_PROFILE, DEFAULT_CRAWL_EXCLUDE };
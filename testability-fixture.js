@@ -0,0 +1,81 @@
+// testability-fixture.js
+/**
+ * 🧪 Playwright Fixture Exposing the Testability Analyzer
+ *
+ * Import `test` from here instead of @playwright/test and any test can score the page it is on,
+ * after getting there with its own navigation and login:
+ *
+ *   const { test, expect } = require('../testability-fixture');
+ *
+ *   test('cart', async ({ page, testability }) => {
+ *     await page.goto('/cart');
+ *     const cart = await testability.snapshot('cart page');
+ *     expect(cart.overallScore).toBeGreaterThan(50);
+ *   });
+ *
+ * The fixture starts an aiDebugger session on the test's page before the test and ends it afterwards,
+ * so every snapshot sees the console errors and network traffic of the whole test. Each snapshot is
+ * attached to the test for TestabilityReporter to collect.
+ *
+ * Options (set with test.use or in a project's "use"):
+ * - testabilityOptions:  passed to ComprehensiveTestabilityAnalyzer (profile, rubric, weights, notAssessed, readOnly,
+ *                        contextOptions); use { readOnly: true } when the test's page holds state that a reload or
+ *                        typing would lose. Read-only copies get the project's context options by default
+ * - testabilityUserType: the user type recorded on snapshots (default "current_user")
+ */
+
+const base = require('@playwright/test');
+const { ComprehensiveTestabilityAnalyzer } = require('./comprehensive-testability-analyzer');
+const { aiDebugger } = require('./ai-debug-config');
+const { attachTestabilitySnapshot } = require('./testability-reporter');
+const { contextOptionsFromProject } = require('./parallel-users');
+
+const test = base.test.extend({
+  testabilityOptions: [{}, { option: true }],
+  testabilityUserType: ['current_user', { option: true }],
+
+  testability: async ({ page, testabilityOptions, testabilityUserType }, use, testInfo) => {
+    const analyzer = new ComprehensiveTestabilityAnalyzer({
+      contextOptions: contextOptionsFromProject(testInfo.project.use),
+      ...testabilityOptions
+    });
+    const debugSessionId = await aiDebugger.startDebugSession(`fixture-${testInfo.title}`, page);
+    const snapshots = [];
+
+    try {
+      await use({
+        analyzer,
+        debugSessionId,
+        snapshots,
+
+        /**
+         * 📸 Score all 10 principles on the page as it is now
+         * @param {string} label - What the page is showing, e.g. "cart page"
+         * @param {{ userType?: string }} [options]
+         * @returns {Promise<Object>} A result in the shared results shape, plus label and url
+         */
+        snapshot: async (label, { userType = testabilityUserType } = {}) => {
+          console.log(`\n📸 Testability snapshot: ${label}`);
+          const analysis = await analyzer.analyzeCurrentPage(page, userType, { debugSessionId });
+          const result = {
+            label,
+            ...analysis,
+            timestamp: new Date().toISOString(),
+            target: analyzer.profile.name,
+            // A snapshot is about one page; the session's other pages are in earlier snapshots
+            errorStats: aiDebugger.getErrorStats(debugSessionId, analysis.url)
+          };
+
+          console.log(`🎯 ${label}: ${result.overallScore}/100 (${result.grade})`);
+          snapshots.push(result);
+          await attachTestabilitySnapshot(testInfo, result);
+          return result;
+        }
+      });
+    } finally {
+      aiDebugger.endDebugSession(debugSessionId);
+    }
+  }
+});
+
+module.exports = { test, expect: base.expect };
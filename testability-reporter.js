@@ -0,0 +1,135 @@
+// testability-reporter.js
+/**
+ * 📋 Playwright Reporter for Testability Snapshots
+ *
+ * Any test can hand the reporter a testability result (the object runCompleteAnalysis() returns,
+ * or anything with userType / overallScore / principleScores), either as an attachment:
+ *
+ *   await attachTestabilitySnapshot(test.info(), result);
+ *
+ * or as an annotation:
+ *
+ *   test.info().annotations.push({ type: 'testability', description: JSON.stringify(result) });
+ *
+ * Attachments travel from every worker to the runner process, where this reporter collects them.
+ * At the end of the run it writes one results document (kind "reporter", see results-schema.js)
+ * and one HTML report covering every snapshot. Register it in playwright.config.js:
+ *
+ *   reporter: [['list'], ['./testability-reporter.js', { outputDir: 'tests/reports' }]]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeResults } = require('./results-schema');
+const { TestabilityHTMLReportGenerator } = require('./html-report-generator');
+
+const TESTABILITY_ATTACHMENT = 'testability-snapshot';
+const TESTABILITY_ANNOTATION = 'testability';
+
+/**
+ * Attach a testability result to the running test for TestabilityReporter to collect
+ * @param {import('@playwright/test').TestInfo} testInfo
+ * @param {Object|Object[]} snapshot - One result or several
+ */
+async function attachTestabilitySnapshot(testInfo, snapshot) {
+  await testInfo.attach(TESTABILITY_ATTACHMENT, {
+    body: JSON.stringify(snapshot),
+    contentType: 'application/json'
+  });
+}
+
+class TestabilityReporter {
+  /**
+   * @param {{ outputDir?: string, html?: boolean }} [options] - outputDir defaults to tests/reports
+   */
+  constructor({ outputDir = path.join('tests', 'reports'), html = true } = {}) {
+    this.outputDir = path.resolve(outputDir);
+    this.html = html;
+    // Keyed by test id so only the final retry of a test counts
+    this.snapshots = new Map();
+  }
+
+  onBegin() {
+    this.startedAt = new Date().toISOString();
+  }
+
+  onTestEnd(test, result) {
+    const snapshots = snapshotsFrom(result, test);
+    if (snapshots.length === 0) {
+      this.snapshots.delete(test.id);
+      return;
+    }
+
+    const project = test.parent.project();
+    const browser = project ? project.use.browserName || project.use.defaultBrowserType || project.name : null;
+    this.snapshots.set(test.id, snapshots.map(snapshot => ({
+      ...snapshot,
+      testTitle: test.titlePath().filter(Boolean).join(' › '),
+      project: project ? project.name : null,
+      browser: snapshot.browser || browser
+    })));
+  }
+
+  async onEnd(result) {
+    const results = Array.from(this.snapshots.values()).flat();
+    if (results.length === 0) {
+      return;
+    }
+
+    const browsers = Array.from(new Set(results.map(snapshot => snapshot.browser).filter(Boolean)));
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const resultsPath = path.join(this.outputDir, `reporter-testability-${timestamp}.json`);
+
+    try {
+      const document = writeResults(resultsPath, 'reporter', {
+        timestamp: this.startedAt,
+        framework: 'Playwright Testability Reporter',
+        browser: browsers.length === 1 ? browsers[0] : null,
+        target: results.find(snapshot => snapshot.target)?.target || null,
+        results,
+        summary: { runStatus: result.status, testsWithSnapshots: this.snapshots.size }
+      }, { recordHistory: true });
+
+      console.log(`\n📋 Testability reporter: ${results.length} snapshots from ${this.snapshots.size} tests (average ${document.summary.averageScore ?? 'n/a'})`);
+      console.log(`💾 Results: ${resultsPath}`);
+
+      if (this.html) {
+        new TestabilityHTMLReportGenerator().generateHTMLReport(results, resultsPath.replace(/\.json$/, '.html'));
+      }
+    } catch (error) {
+      console.log(`⚠️ Testability reporter could not write its report: ${error.message}`);
+    }
+  }
+
+  printsToStdio() {
+    return false;
+  }
+}
+
+// Snapshots carried by a test result's attachments and annotations
+function snapshotsFrom(result, test) {
+  const fromAttachments = result.attachments
+    .filter(attachment => attachment.name === TESTABILITY_ATTACHMENT)
+    .map(attachment => parseSnapshot(attachment.body ? attachment.body.toString('utf8') : fs.readFileSync(attachment.path, 'utf8')));
+  const fromAnnotations = (result.annotations || test.annotations)
+    .filter(annotation => annotation.type === TESTABILITY_ANNOTATION && annotation.description)
+    .map(annotation => parseSnapshot(annotation.description));
+
+  return fromAttachments.concat(fromAnnotations).flat().filter(Boolean);
+}
+
+function parseSnapshot(json) {
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    console.log(`⚠️ Ignoring unreadable testability snapshot: ${error.message}`);
+    return null;
+  }
+}
+
+// Playwright loads a reporter from the module's export itself
+module.exports = TestabilityReporter;
+module.exports.TestabilityReporter = TestabilityReporter;
+module.exports.attachTestabilitySnapshot = attachTestabilitySnapshot;
+module.exports.TESTABILITY_ATTACHMENT = TESTABILITY_ATTACHMENT;
+module.exports.TESTABILITY_ANNOTATION = TESTABILITY_ANNOTATION;
@@ -0,0 +1,177 @@
+const { test, expect } = require('@playwright/test');
+const { AccessibilityAudit, AUDIT_RULES, RULE_GROUPS } = require('../accessibility-audit');
+
+/**
+ * Accessibility Audit Tests
+ *
+ * Checks the ratios and summaries derived from a serialized audit without a browser, then that each
+ * rule finds the violations planted in a page and leaves a clean page alone
+ */
+
+function violation(target, message = 'failed') {
+  return { target, element: target, message };
+}
+
+function cartAudit() {
+  return new AccessibilityAudit({
+    url: 'https://example.test/cart',
+    rules: {
+      'input-name': { checked: 3, violationCount: 1, violations: [violation('#zip')] },
+      'button-name': { checked: 1, violationCount: 0, violations: [] },
+      'aria-roles': { checked: 0, violationCount: 0, violations: [] },
+      'region': { checked: 4, violationCount: 2, violations: [violation('body > p'), violation('body > img')] },
+      'color-contrast': { checked: 10, violationCount: 1, violations: [violation('#hint', 'Contrast 2.1:1 is below 4.5:1')] }
+    }
+  });
+}
+
+test.describe('♿ Accessibility Audit', () => {
+
+  test('rule groups become the rubric values both scorers use', async () => {
+    const audit = cartAudit();
+
+    expect(audit.passRatio(RULE_GROUPS.names)).toBe(0.75);
+    expect(audit.passRatio(['aria-roles'])).toBeNull();
+    expect(audit.passed(RULE_GROUPS.landmarks)).toBe(false);
+    expect(audit.passed(RULE_GROUPS.headingOrder)).toBe(true);
+
+    expect(audit.metricValues()).toEqual({
+      accessibleNames: 0.75,
+      accessibilityAudit: { names: 0.75, aria: 1, headingOrder: true, landmarks: false, contrast: 0.9 }
+    });
+    expect(new AccessibilityAudit({ rules: {} }).metricValues().accessibleNames).toBeNull();
+  });
+
+  test('violations, samples and the summary carry each rule\'s impact', async () => {
+    const audit = cartAudit();
+
+    expect(audit.violations.map(({ rule, impact }) => `${impact} ${rule}`)).toEqual([
+      'critical input-name', 'serious color-contrast', 'moderate region', 'moderate region'
+    ]);
+    expect(audit.sample('color-contrast')).toEqual({
+      selector: 'color-contrast',
+      count: 1,
+      samples: ['#hint: Contrast 2.1:1 is below 4.5:1']
+    });
+    expect(Object.keys(audit.samples(Object.values(RULE_GROUPS).flat()))).toEqual(['input-name', 'region', 'color-contrast']);
+
+    const { summary, rules } = audit.toJSON();
+    expect(summary).toMatchObject({
+      violations: 4,
+      failedRules: ['input-name', 'region', 'color-contrast'],
+      byImpact: { critical: 1, serious: 1, moderate: 2, minor: 0 }
+    });
+    expect(rules.map(rule => rule.id)).toEqual(Object.keys(AUDIT_RULES));
+  });
+
+  test('every rule reports the elements that break it', async ({ page }) => {
+    await page.setContent(`
+      <!DOCTYPE html>
+      <html lang="en">
+      <body>
+        <p>Outside every landmark</p>
+        <main>
+          <h1>Checkout</h1>
+          <h3>Skipped a level</h3>
+          <input id="zip">
+          <label for="city">City</label><input id="city">
+          <button data-test="icon"></button>
+          <button>Continue</button>
+          <div role="buton">Fake button</div>
+          <span aria-hidden="maybe" aria-colour="red">Bad ARIA</span>
+          <span id="dup">One</span><span id="dup">Two</span>
+          <div aria-labelledby="dup">Labelled</div>
+          <p style="color: #aaa; background: #fff">Faint hint</p>
+          <div style="display: none"><input></div>
+        </main>
+      </body>
+      </html>`);
+
+    const audit = await AccessibilityAudit.run(page);
+    const byRule = audit.summary().byRule;
+
+    expect(byRule).toEqual({
+      'input-name': 1,
+      'button-name': 1,
+      'aria-roles': 1,
+      'aria-valid-attr': 1,
+      'aria-labelledby-ids': 1,
+      'heading-order': 1,
+      'landmark-main': 0,
+      'region': 1,
+      'color-contrast': 1
+    });
+    expect(audit.rule('input-name').checked).toBe(2);
+    expect(audit.rule('input-name').violations[0].target).toBe('#zip');
+    expect(audit.rule('button-name').violations[0].element).toBe('button[data-test="icon"]');
+    expect(audit.rule('aria-valid-attr').violations[0].message).toBe('aria-hidden="maybe" is not allowed; aria-colour is not an ARIA attribute');
+    expect(audit.rule('aria-labelledby-ids').violations[0].message).toContain('"dup", which 2 elements share');
+    expect(audit.rule('heading-order').violations[0].message).toBe('Heading level 3 follows level 1');
+    expect(audit.rule('color-contrast').violations[0].message).toMatch(/^Contrast 2\.\d+:1 is below 4\.5:1 \(#aaaaaa on #ffffff/);
+
+    // The selector a violation reports finds the element again
+    await expect(page.locator(audit.rule('region').violations[0].target)).toHaveText('Outside every landmark');
+  });
+
+  test('a well-built page passes every rule', async ({ page }) => {
+    await page.setContent(`
+      <!DOCTYPE html>
+      <html lang="en">
+      <body>
+        <header><nav aria-label="Main"><a href="/">Home</a></nav></header>
+        <main>
+          <h1>Sign in</h1>
+          <form aria-labelledby="form-title">
+            <h2 id="form-title">Your account</h2>
+            <label for="user">Username</label><input id="user">
+            <input type="password" aria-label="Password">
+            <button type="submit"><svg aria-label="Sign in" role="img"></svg></button>
+          </form>
+          <p style="color: #fff; background: #1a1a1a">High contrast</p>
+        </main>
+        <footer>© 2026</footer>
+      </body>
+      </html>`);
+
+    const audit = await AccessibilityAudit.run(page);
+
+    expect(audit.summary().violations).toBe(0);
+    expect(audit.metricValues().accessibilityAudit).toEqual({ names: 1, aria: 1, headingOrder: true, landmarks: true, contrast: 1 });
+  });
+
+  test('violations inside shadow roots and same-origin frames carry their scope', async ({ page }) => {
+    await page.setContent(`
+      <!DOCTYPE html>
+      <html lang="en">
+      <body>
+        <main>
+          <h1>Checkout</h1>
+          <checkout-form id="checkout"></checkout-form>
+          <iframe id="payment" srcdoc="<main><h2>Card</h2><button></button></main>"></iframe>
+        </main>
+        <script>
+          const root = document.getElementById('checkout').attachShadow({ mode: 'open' });
+          root.innerHTML = '<h3>Details</h3><span id="zip-label">Zip</span><input aria-labelledby="zip-label"><input id="city">';
+        </script>
+      </body>
+      </html>`);
+    await page.frameLocator('#payment').locator('button').waitFor({ state: 'attached' });
+
+    const audit = await AccessibilityAudit.run(page);
+
+    // The shadow root's own id resolves its aria-labelledby; its <h3> follows the document's <h1>
+    expect(audit.rule('aria-labelledby-ids').violationCount).toBe(0);
+    expect(audit.rule('heading-order').violations).toEqual([expect.objectContaining({ scope: 'checkout-form#checkout' })]);
+    expect(audit.rule('input-name').violations).toEqual([
+      { target: '#checkout >> #city', element: 'input#city', scope: 'checkout-form#checkout', message: expect.any(String) }
+    ]);
+    // A frame document is a page of its own: its <h2> and <main> break no rule of the top document
+    expect(audit.rule('landmark-main').violationCount).toBe(0);
+    expect(audit.sample('button-name')).toEqual({
+      selector: 'button-name',
+      count: 1,
+      samples: [expect.stringMatching(/^iframe#payment >> button: Button has no accessible name/)],
+      byScope: { 'iframe#payment': 1 }
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const { test, expect } = require('@playwright/test');
+const { EventEmitter } = require('events');
+const { AIDebugger } = require('../ai-debug-config');
+
+/**
+ * AI Debugger Tests
+ *
+ * Drives a debug session with a stand-in page so the error bookkeeping can be checked without a browser
+ */
+
+function fakePage() {
+  const page = new EventEmitter();
+  const mainFrame = { url: () => page.currentUrl };
+  page.currentUrl = 'about:blank';
+  page.initScripts = [];
+  page.url = () => page.currentUrl;
+  page.mainFrame = () => mainFrame;
+  page.addInitScript = async (script, arg) => page.initScripts.push({ script, arg });
+  page.navigate = (url) => {
+    page.currentUrl = url;
+    page.emit('framenavigated', mainFrame);
+  };
+  page.log = (type, text) => page.emit('console', { type: () => type, text: () => text });
+  page.fetch = (url, { method = 'GET', status = 200, duration = 50, size = 1000, failure = null, redirectedFrom = null } = {}) => {
+    const request = {
+      url: () => url,
+      method: () => method,
+      resourceType: () => 'fetch',
+      redirectedFrom: () => redirectedFrom,
+      timing: () => ({ responseEnd: duration }),
+      sizes: async () => ({ responseHeadersSize: 100, responseBodySize: size - 100 }),
+      failure: () => (failure ? { errorText: failure } : null)
+    };
+    page.emit('request', request);
+    if (failure) {
+      page.emit('requestfailed', request);
+    } else {
+      page.emit('response', { status: () => status, request: () => request });
+      page.emit('requestfinished', request);
+    }
+    return request;
+  };
+  return page;
+}
+
+test.describe('AI Debugger', () => {
+
+  test('error stats separate console errors, uncaught exceptions and unhandled rejections per page', async () => {
+    const debug = new AIDebugger();
+    const page = fakePage();
+    const sessionId = await debug.startDebugSession('errors', page);
+
+    expect(page.initScripts).toHaveLength(1);
+
+    page.navigate('https://example.test/inventory');
+    page.log('error', 'Failed to load resource');
+    page.log('warning', 'deprecated API');
+    page.emit('pageerror', new Error('x is not defined'));
+    page.log('error', `${page.initScripts[0].arg} cart request failed`);
+
+    page.navigate('https://example.test/inventory');
+    page.log('error', 'Failed to load resource');
+
+    page.navigate('https://example.test/cart');
+    page.log('info', 'cart ready');
+
+    const inventory = debug.getErrorStats(sessionId, 'https://example.test/inventory');
+    expect(inventory).toMatchObject({
+      pageLoads: 2,
+      consoleErrors: 2,
+      consoleWarnings: 1,
+      uncaughtExceptions: 1,
+      unhandledRejections: 1,
+      totalErrors: 4,
+      errorRate: 2
+    });
+    expect(inventory.samples).toContain('rejection: cart request failed');
+
+    const byPage = debug.getErrorStatsByPage(sessionId);
+    expect(byPage['https://example.test/cart'].totalErrors).toBe(0);
+    expect(debug.getErrorStats(sessionId).totalErrors).toBe(4);
+
+    debug.endDebugSession(sessionId);
+    expect(debug.getErrorStats(sessionId)).toBeNull();
+  });
+
+  test('network capture follows each request through timing, size, failure and redirects', async () => {
+    const debug = new AIDebugger();
+    const page = fakePage();
+    const sessionId = await debug.startDebugSession('network', page);
+
+    const login = page.fetch('https://app.test/login', { method: 'POST', status: 302, duration: 80 });
+    page.fetch('https://app.test/inventory', { duration: 120, redirectedFrom: login });
+    page.fetch('https://cdn.test/app.js', { duration: 1500, size: 50000 });
+    page.fetch('https://api.test/cart', { status: 500, duration: 40 });
+    page.fetch('https://api.test/track', { failure: 'net::ERR_BLOCKED_BY_CLIENT' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const requests = debug.debugSessions.get(sessionId).networkRequests;
+    expect(requests[0]).toMatchObject({ method: 'POST', status: 302, duration: 80, transferSize: 1000, redirectedTo: 'https://app.test/inventory' });
+    expect(requests[4].failure).toBe('net::ERR_BLOCKED_BY_CLIENT');
+
+    const summary = debug.summarizeNetworkRequests(requests);
+    expect(summary.failed.map(req => req.url)).toEqual(['https://api.test/cart', 'https://api.test/track']);
+    expect(summary.slow.map(req => req.url)).toEqual(['https://cdn.test/app.js']);
+    expect(summary.redirects).toBe(1);
+    expect(summary.percentiles.p50).toBe(80);
+    expect(summary.byDomain['api.test']).toMatchObject({ requests: 2, failed: 2 });
+    expect(summary.byDomain['cdn.test'].transferSize).toBe(50000);
+
+    const issues = debug.analyzeNetworkRequests(requests);
+    expect(issues[0]).toBe('2 failed network requests');
+    expect(issues.some(issue => issue.includes('slow requests') && issue.includes('1500ms'))).toBe(true);
+
+    const insights = await debug.generatePerformanceInsights(sessionId);
+    expect(insights.network.failedRequests).toBe(2);
+    expect(insights.recommendations.some(rec => rec.includes('requests failed'))).toBe(true);
+  });
+
+  test('sessions on the same page share one init script and stop listening when they end', async () => {
+    const debug = new AIDebugger();
+    const page = fakePage();
+
+    const first = await debug.startDebugSession('first', page);
+    debug.endDebugSession(first);
+    expect(page.eventNames()).toEqual([]);
+
+    const second = await debug.startDebugSession('second', page);
+    const third = await debug.startDebugSession('third', page);
+    expect(page.initScripts).toHaveLength(1);
+
+    page.navigate('https://app.test/cart');
+    page.log('error', `${page.initScripts[0].arg} Checkout failed`);
+    expect(debug.getErrorStats(second, 'https://app.test/cart').unhandledRejections).toBe(1);
+    expect(debug.getErrorStats(third, 'https://app.test/cart').unhandledRejections).toBe(1);
+
+    debug.endDebugSession(second);
+    debug.endDebugSession(third);
+    expect(page.eventNames()).toEqual([]);
+  });
+});
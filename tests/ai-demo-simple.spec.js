@@ -10,7 +10,7 @@ test.describe('🤖 AI-Enhanced Simple Demo', () => {
   test('AI Demo: Standard User Login and Basic Navigation', async ({ page }) => {
     try {
       // Navigate to SauceDemo
-      await page.goto('https://www.saucedemo.com/');
+      await page.goto('/');
       await AITestUtils.waitForPageReady(page);
       
       // Use traditional locators for reliability in demo
@@ -55,7 +55,7 @@ test.describe('🤖 AI-Enhanced Simple Demo', () => {
 
   test('AI Demo: Error Handling and Debug Assistance', async ({ page }) => {
     try {
-      await page.goto('https://www.saucedemo.com/');
+      await page.goto('/');
       
       // Intentionally use wrong credentials to trigger AI error handling
       await page.locator('[data-test="username"]').fill('invalid_user');
@@ -100,7 +100,7 @@ test.describe('🤖 AI-Enhanced Simple Demo', () => {
 
     const startTime = Date.now();
     
-    await page.goto('https://www.saucedemo.com/');
+    await page.goto('/');
     await AITestUtils.waitForPageReady(page);
     
     const loadTime = Date.now() - startTime;
@@ -1,5 +1,6 @@
 const { test, expect } = require('@playwright/test');
 const { AITestUtils } = require('../ai-test-utils');
+const { loadTargetProfile } = require('../target-profile');
 
 /**
  * AI-Enhanced SauceDemo E2E Tests - Comprehensive User Journey Testing
@@ -50,7 +51,8 @@ const USERS = {
   }
 };
 
-const BASE_URL = 'https://www.saucedemo.com/';
+// The SauceDemo replica when run through playwright.config.js, else the live site
+const BASE_URL = loadTargetProfile('saucedemo').resolveUrl('/');
 
 /**
  * AI-Enhanced SauceDemo Page Object with Smart Locators
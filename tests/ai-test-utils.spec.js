@@ -0,0 +1,84 @@
+const http = require('http');
+const { test, expect } = require('@playwright/test');
+const { AITestUtils } = require('../ai-test-utils');
+
+/**
+ * AI Test Utilities Tests
+ *
+ * Checks that read-only probe copies are opened in the same environment as the page they copy
+ */
+
+// Serve one small page on a free local port
+async function startServer() {
+  const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'text/html' });
+    response.end('<!doctype html><title>probe</title><button>Go</button>');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}/` };
+}
+
+test.describe('AI Test Utilities', () => {
+
+  test('a cloned page keeps the viewport and userAgent of its context', async ({ browser }) => {
+    const { server, url } = await startServer();
+    const context = await browser.newContext({ viewport: { width: 390, height: 700 }, userAgent: 'TestabilityProbe/1.0 (Mobile)' });
+    try {
+      const page = await context.newPage();
+      await page.goto(url);
+
+      const outcome = await AITestUtils.onClonedPage(page, async copy => ({
+        viewport: copy.viewportSize(),
+        innerWidth: await copy.evaluate(() => window.innerWidth),
+        userAgent: await copy.evaluate(() => navigator.userAgent),
+        sameContext: copy.context() === page.context()
+      }));
+
+      expect(outcome.result).toEqual({
+        viewport: { width: 390, height: 700 },
+        innerWidth: 390,
+        userAgent: 'TestabilityProbe/1.0 (Mobile)',
+        sameContext: false
+      });
+    } finally {
+      await context.close();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('context options from the caller reach the copy alongside the storage state', async () => {
+    const created = [];
+    const copy = { goto: async () => {} };
+    const storageState = { cookies: [{ name: 'session', value: 'abc' }], origins: [] };
+    const page = {
+      url: () => 'https://shop.example/cart',
+      viewportSize: () => ({ width: 1280, height: 720 }),
+      evaluate: async () => ({ userAgent: 'Desktop/1.0', locale: 'en-US' }),
+      context: () => ({
+        storageState: async () => storageState,
+        browser: () => ({
+          newContext: async options => {
+            created.push(options);
+            return { newPage: async () => copy, close: async () => {} };
+          }
+        })
+      })
+    };
+
+    const outcome = await AITestUtils.onClonedPage(page, async probePage => probePage === copy, {
+      isMobile: true,
+      httpCredentials: { username: 'qa', password: 'secret' },
+      locale: 'de-DE'
+    });
+
+    expect(outcome.result).toBe(true);
+    expect(created).toEqual([{
+      viewport: { width: 1280, height: 720 },
+      userAgent: 'Desktop/1.0',
+      locale: 'de-DE',
+      isMobile: true,
+      httpCredentials: { username: 'qa', password: 'secret' },
+      storageState
+    }]);
+  });
+});
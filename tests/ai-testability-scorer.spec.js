@@ -1,6 +1,9 @@
 const { test, expect } = require('@playwright/test');
 const { AITestabilityScorer } = require('../ai-testability-scorer');
 const { AITestUtils } = require('../ai-test-utils');
+const { DomSnapshot } = require('../dom-snapshot');
+const { writeResults } = require('../results-schema');
+const { runUsersInParallel, contextOptionsFromProject } = require('../parallel-users');
 const fs = require('fs');
 const path = require('path');
 
@@ -19,37 +22,30 @@ test.describe('🤖 AI-Enhanced Testability Assessment', () => {
     aiScorer = new AITestabilityScorer();
   });
 
-  test('AI Testability Assessment: All SauceDemo User Types', async ({ page, browserName }) => {
-    const userTypes = ['standard_user', 'problem_user'];
-    // Removed timeout-prone users: 'performance_glitch_user', 'visual_user'
+  test('AI Testability Assessment: All SauceDemo User Types', async ({ browser, browserName }) => {
+    // The profile's first two user types; SauceDemo's later ones are timeout-prone
+    const userTypes = aiScorer.profile.userTypes.slice(0, 2);
     
     console.log('\n🚀 STARTING AI-ENHANCED TESTABILITY ASSESSMENT');
     console.log(`🤖 AI Framework: Playwright 1.49.0 with Smart Analysis`);
     console.log(`🌐 Browser: ${browserName}`);
     console.log('=' .repeat(100));
     
-    const results = [];
-    
-    for (const userType of userTypes) {
+    // One scorer per user: scores and insights are instance state, and the users run side by side
+    const contextOptions = contextOptionsFromProject(test.info().project.use);
+    const results = await runUsersInParallel(browser, userTypes, async ({ page, userType }) => {
       console.log(`\n🎯 Processing ${userType}...`);
       
-      try {
-        const result = await aiScorer.runAIAssessment(page, userType);
-        results.push(result);
-        
-        // Take AI-enhanced screenshot for analysis
-        if (!result.error) {
-          await AITestUtils.smartScreenshot(page, `ai-testability-${userType}`, 'assessment-complete');
-        }
-        
-        // Small delay between assessments
-        await page.waitForTimeout(2000);
-        
-      } catch (error) {
-        console.log(`❌ Error processing ${userType}: ${error.message}`);
-        results.push({ userType, error: error.message });
+      const result = await new AITestabilityScorer({ contextOptions }).runAIAssessment(page, userType);
+      
+      // Take AI-enhanced screenshot for analysis
+      if (!result.error) {
+        await AITestUtils.smartScreenshot(page, `ai-testability-${userType}`, 'assessment-complete');
       }
-    }
+      
+      return result;
+    }, { contextOptions });
+    const improvementSuggestions = results.flatMap(r => r.recommendations || []);
     
     // Generate and display AI-enhanced report
     const aiReport = aiScorer.generateAIReport(results);
@@ -60,31 +56,19 @@ test.describe('🤖 AI-Enhanced Testability Assessment', () => {
     const resultsPath = path.join(process.cwd(), 'tests', 'reports', `ai-testability-${browserName}-${timestamp}.json`);
     const reportPath = path.join(process.cwd(), 'tests', 'reports', `ai-testability-${browserName}-${timestamp}-report.txt`);
     
-    const aiReportData = {
+    // Save JSON results
+    const aiReportData = writeResults(resultsPath, 'ai', {
       timestamp: aiScorer.timestamp,
       framework: 'AI-Enhanced Playwright 1.49.0',
       browser: browserName,
+      target: aiScorer.profile.name,
+      // Each result carries its own user's aiMetrics and aiInsights; only the suggestions are pooled
       results,
-      aiMetrics: aiScorer.aiMetrics,
-      aiInsights: aiScorer.aiInsights,
+      improvementSuggestions,
       summary: {
-        totalAssessed: results.length,
-        successful: results.filter(r => !r.error).length,
-        failed: results.filter(r => r.error).length,
-        averageScore: results.filter(r => !r.error).length > 0 ? 
-          Math.round(results.filter(r => !r.error).reduce((sum, r) => sum + r.overallScore, 0) / results.filter(r => !r.error).length) : 0,
         aiReadiness: results.filter(r => !r.error && r.overallScore > 75).length
       }
-    };
-    
-    // Ensure reports directory exists
-    const reportsDir = path.dirname(resultsPath);
-    if (!fs.existsSync(reportsDir)) {
-      fs.mkdirSync(reportsDir, { recursive: true });
-    }
-    
-    // Save JSON results
-    fs.writeFileSync(resultsPath, JSON.stringify(aiReportData, null, 2));
+    }, { recordHistory: true });
     
     // Save text report
     fs.writeFileSync(reportPath, aiReport);
@@ -104,9 +88,16 @@ test.describe('🤖 AI-Enhanced Testability Assessment', () => {
       // Expect reasonable AI testability scores
       expect(averageScore).toBeGreaterThan(30); // Minimum acceptable AI score
       
+      // Every principle is measured by the AI scorer, none is left out of the overall score
+      successfulResults.forEach(result => {
+        Object.values(result.principleScores).forEach(score => expect(typeof score).toBe('number'));
+        expect(result.notAssessed).toEqual([]);
+        expect(Object.keys(result.evidence).sort()).toEqual(Object.keys(result.principleScores).sort());
+      });
+      
       // Verify AI insights were generated
-      expect(aiScorer.aiInsights.improvementSuggestions).toBeDefined();
-      console.log(`🧠 AI generated ${aiScorer.aiInsights.improvementSuggestions.length} improvement suggestions`);
+      successfulResults.forEach(result => expect(result.recommendations).toBeDefined());
+      console.log(`🧠 AI generated ${improvementSuggestions.length} improvement suggestions`);
     }
   });
 
@@ -115,16 +106,9 @@ test.describe('🤖 AI-Enhanced Testability Assessment', () => {
     console.log('=' .repeat(60));
     
     try {
-      // Navigate and login
-      await page.goto('https://www.saucedemo.com/');
-      await AITestUtils.waitForPageReady(page);
-      
-      await page.locator('[data-test="username"]').fill('standard_user');
-      await page.locator('[data-test="password"]').fill('secret_sauce');
-      await page.locator('[data-test="login-button"]').click();
-      
-      // Wait for inventory page
-      await expect(page.locator('[data-test="inventory-container"]')).toBeVisible();
+      // Navigate and login using the target profile
+      const loggedIn = await aiScorer.profile.performLogin(page, aiScorer.profile.userTypes[0]);
+      expect(loggedIn).toBe(true);
       
       // Perform individual AI principle analysis
       console.log('\n🤖 Performing detailed AI analysis...');
@@ -170,7 +154,7 @@ test.describe('🤖 AI-Enhanced Testability Assessment', () => {
     console.log('=' .repeat(50));
     
     try {
-      await page.goto('https://www.saucedemo.com/');
+      await page.goto(aiScorer.profile.resolveUrl('/'));
       await AITestUtils.waitForPageReady(page);
       
       // Perform smart element discovery
@@ -219,14 +203,9 @@ test.describe('🤖 AI-Enhanced Testability Assessment', () => {
     console.log('=' .repeat(50));
     
     try {
-      await page.goto('https://www.saucedemo.com/');
-      await AITestUtils.waitForPageReady(page);
-      
       // Login to get to main interface
-      await page.locator('[data-test="username"]').fill('standard_user');
-      await page.locator('[data-test="password"]').fill('secret_sauce');
-      await page.locator('[data-test="login-button"]').click();
-      await expect(page.locator('[data-test="inventory-container"]')).toBeVisible();
+      const loggedIn = await aiScorer.profile.performLogin(page, aiScorer.profile.userTypes[0]);
+      expect(loggedIn).toBe(true);
       
       // Perform AI semantic analysis
       const semanticIntelligence = await aiScorer.performSemanticAnalysis(page);
@@ -263,7 +242,7 @@ test.describe('🤖 AI-Enhanced Testability Assessment', () => {
     try {
       const startTime = Date.now();
       
-      await page.goto('https://www.saucedemo.com/');
+      await page.goto(aiScorer.profile.resolveUrl('/'));
       await AITestUtils.waitForPageReady(page);
       
       const loadTime = Date.now() - startTime;
@@ -311,27 +290,17 @@ test.describe('🤖 AI-Enhanced Testability Assessment', () => {
     }
   });
 
-  test('AI Testability Comparison: Problem vs Standard User', async ({ page }) => {
+  test('AI Testability Comparison: Problem vs Standard User', async ({ browser }) => {
     console.log('\n🆚 AI COMPARATIVE TESTABILITY ANALYSIS');
     console.log('=' .repeat(60));
     
-    const comparisonResults = [];
-    
-    for (const userType of ['standard_user', 'problem_user']) {
+    // The profile's happy-path user and the user compared against it
+    const userTypes = aiScorer.profile.userTypes.slice(0, 2);
+    const contextOptions = contextOptionsFromProject(test.info().project.use);
+    const comparisonResults = await runUsersInParallel(browser, userTypes, async ({ page, userType }) => {
       console.log(`\n🎯 Analyzing ${userType}...`);
-      
-      try {
-        const scorer = new AITestabilityScorer();
-        const result = await scorer.runAIAssessment(page, userType);
-        comparisonResults.push(result);
-        
-        await page.waitForTimeout(1000);
-        
-      } catch (error) {
-        console.log(`❌ Error analyzing ${userType}: ${error.message}`);
-        comparisonResults.push({ userType, error: error.message });
-      }
-    }
+      return new AITestabilityScorer({ contextOptions }).runAIAssessment(page, userType);
+    }, { contextOptions });
     
     // Generate AI comparison
     const validResults = comparisonResults.filter(r => !r.error);
@@ -346,7 +315,7 @@ test.describe('🤖 AI-Enhanced Testability Assessment', () => {
       console.log(`AI Score Difference: ${Math.abs(standard.overallScore - problem.overallScore)} points`);
       
       // AI insights on differences
-      const betterUser = standard.overallScore > problem.overallScore ? 'standard_user' : 'problem_user';
+      const betterUser = standard.overallScore > problem.overallScore ? standard.userType : problem.userType;
       console.log(`\n🧠 AI Analysis: ${betterUser} shows better testability characteristics`);
       
       // Compare AI insights
@@ -364,6 +333,39 @@ test.describe('🤖 AI-Enhanced Testability Assessment', () => {
     
     console.log('\n✅ AI Comparative Analysis completed');
   });
+
+  test('AI principles whose analysis fails are not assessed instead of given a fallback score', async () => {
+    // A page that throws on every call, like one closed mid-analysis
+    const closedPage = new Proxy({}, { get: (target, prop) => (prop === 'then' ? undefined : () => { throw new Error('Target page has been closed'); }) });
+    const scorer = new AITestabilityScorer({ readOnly: false });
+
+    expect(await scorer.scoreAIControllability(closedPage, 'standard_user', null)).toBeNull();
+    expect(await scorer.scoreAISmallness(closedPage, 'standard_user', null)).toBeNull();
+    expect(scorer.rubric.weighPrinciples({ observability: 70, controllability: null }, scorer.weighting).notAssessed).toContain('controllability');
+  });
+
+  test('AI scorer metrics record their evidence, or why they were not assessed', async () => {
+    const element = (tag, attributes = {}, parent = -1, depth = 0) => ({ tag, attributes, role: null, text: '', depth, parent, scope: 0, visible: true, box: { x: 0, y: 0, width: 0, height: 0 }, properties: {} });
+    const scorer = new AITestabilityScorer({ readOnly: true });
+    scorer.dom = new DomSnapshot({ elements: [element('body'), element('form', {}, 0, 1), element('button', { 'data-test': 'login' }, 1, 2)] });
+    // A page that cannot be reopened, so read-only probes are not assessed
+    const page = { url: () => 'about:blank', context: () => ({ browser: () => null }) };
+
+    const stateControl = await scorer.analyzeStateControl(page, { interactive: 1 });
+    expect(await scorer.analyzeDeterminism(page)).toBeNull();
+
+    expect(scorer.detailedEvidence.controllability.stateControlSignals).toMatchObject({
+      points: stateControl,
+      value: { enabledButtons: true, forms: true, testIds: 1 },
+      applied: expect.any(String)
+    });
+    expect(scorer.detailedEvidence.controllability.reloadConsistency).toEqual({
+      points: null,
+      maxPoints: scorer.rubric.maxPoints('controllability', 'reloadConsistency'),
+      value: null,
+      notAssessed: 'read-only mode: about:blank cannot be reopened in a copy'
+    });
+  });
 });
 
 // AI-Enhanced Test Hooks
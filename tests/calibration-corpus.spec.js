@@ -0,0 +1,86 @@
+const { test, expect } = require('@playwright/test');
+const { CalibrationCorpus, loadCalibrationCorpus, SCORERS } = require('../calibration-corpus');
+const { ComprehensiveTestabilityAnalyzer } = require('../comprehensive-testability-analyzer');
+const { AITestabilityScorer } = require('../ai-testability-scorer');
+const { aiDebugger } = require('../ai-debug-config');
+const { loadScoringRubric, DEFAULT_RUBRIC_PATH, PRINCIPLES } = require('../scoring-rubric');
+
+/**
+ * Calibration Corpus Tests
+ *
+ * Scores every fixture page in ./calibration with both scorers and fails when the principle the page
+ * exercises leaves its expected range. When a scoring change is intended, re-measure the affected pages
+ * and update their ranges in calibration/corpus.json in the same change.
+ */
+
+const corpus = loadCalibrationCorpus();
+
+// The bundled rubric and live probes, whatever TESTABILITY_RUBRIC or TESTABILITY_READ_ONLY say
+const scorerOptions = () => ({ rubric: loadScoringRubric(DEFAULT_RUBRIC_PATH), readOnly: false });
+
+/**
+ * Open a corpus page in a fresh tab watched by its own debug session, and score it
+ */
+async function scoreCorpusPage(context, entry, score) {
+  const page = await context.newPage();
+  const debugSessionId = await aiDebugger.startDebugSession(`calibration-${entry.page}`, page);
+
+  try {
+    await page.goto(corpus.urlFor(entry), { waitUntil: 'load' });
+    return await score(page, debugSessionId);
+  } finally {
+    aiDebugger.endDebugSession(debugSessionId);
+    await page.close();
+  }
+}
+
+test.describe('🎯 Calibration Corpus', () => {
+
+  test('every principle has a strong and a weak page whose ranges do not overlap', async () => {
+    for (const principle of PRINCIPLES) {
+      const strong = corpus.pages.find(entry => entry.principle === principle && entry.strength === 'strong');
+      const weak = corpus.pages.find(entry => entry.principle === principle && entry.strength === 'weak');
+
+      expect(strong, `strong page for ${principle}`).toBeDefined();
+      expect(weak, `weak page for ${principle}`).toBeDefined();
+      for (const scorer of SCORERS) {
+        expect(strong.expected[scorer][0], `${principle} (${scorer})`).toBeGreaterThan(weak.expected[scorer][1]);
+      }
+    }
+  });
+
+  test('drift is reported per scorer and invalid corpora are rejected', async () => {
+    const entry = corpus.pages.find(page => page.page === 'smallness-strong.html');
+
+    expect(corpus.findDrift(entry, { comprehensive: 100, ai: 100 })).toEqual([]);
+    expect(corpus.findDrift(entry, { comprehensive: 42, ai: null })).toEqual([
+      { page: 'smallness-strong.html', principle: 'smallness', scorer: 'comprehensive', score: 42, expected: entry.expected.comprehensive },
+      { page: 'smallness-strong.html', principle: 'smallness', scorer: 'ai', score: null, expected: entry.expected.ai }
+    ]);
+
+    expect(() => new CalibrationCorpus({
+      pages: [{ page: 'missing.html', principle: 'speed', strength: 'strong', expected: { comprehensive: [80, 60] } }]
+    }, corpus.source)).toThrow(/file not found.*unknown principle "speed".*expected\.comprehensive.*expected\.ai/);
+  });
+
+  for (const entry of corpus.pages) {
+    test(`${entry.page} keeps ${entry.principle} in range`, async ({ context }) => {
+      await corpus.route(context);
+
+      const comprehensive = await scoreCorpusPage(context, entry, async (page, debugSessionId) => {
+        const analyzer = new ComprehensiveTestabilityAnalyzer(scorerOptions());
+        const result = await analyzer.analyzeCurrentPage(page, 'calibration', { debugSessionId });
+        return result.principleScores[entry.principle];
+      });
+
+      const ai = await scoreCorpusPage(context, entry, async (page, debugSessionId) => {
+        const scorer = new AITestabilityScorer(scorerOptions());
+        await scorer.scoreAllPrinciples(page, debugSessionId);
+        return scorer.principleScores[entry.principle];
+      });
+
+      console.log(`🎯 ${entry.page} (${entry.strength} ${entry.principle}): comprehensive ${comprehensive}, ai ${ai}`);
+      expect(corpus.findDrift(entry, { comprehensive, ai })).toEqual([]);
+    });
+  }
+});
@@ -2,6 +2,9 @@ const { test, expect } = require('@playwright/test');
 const { ComprehensiveTestabilityAnalyzer } = require('../comprehensive-testability-analyzer');
 const { TestabilityHTMLReportGenerator } = require('../html-report-generator');
 const { AITestUtils } = require('../ai-test-utils');
+const { writeResults } = require('../results-schema');
+const { attachTestabilitySnapshot } = require('../testability-reporter');
+const { runUsersInParallel, contextOptionsFromProject } = require('../parallel-users');
 const fs = require('fs');
 const path = require('path');
 
@@ -30,13 +33,9 @@ test.describe('🎯 Complete 10-Principle Testability Assessment', () => {
     analyzer = new ComprehensiveTestabilityAnalyzer();
   });
 
-  test('Complete Analysis: All SauceDemo User Types - 10 Principles', async ({ page, browserName }) => {
-    const userTypes = [
-      'standard_user',
-      'locked_out_user', 
-      'problem_user'
-      // Removed timeout-prone users: 'performance_glitch_user', 'error_user', 'visual_user'
-    ];
+  test('Complete Analysis: All SauceDemo User Types - 10 Principles', async ({ browser, browserName }) => {
+    // The profile's first three user types; SauceDemo's later ones are timeout-prone
+    const userTypes = analyzer.profile.userTypes.slice(0, 3);
     
     console.log('\n🚀 STARTING COMPLETE 10-PRINCIPLE TESTABILITY ASSESSMENT');
     console.log(`🤖 AI-Enhanced Framework: Playwright 1.49.0`);
@@ -44,29 +43,22 @@ test.describe('🎯 Complete 10-Principle Testability Assessment', () => {
     console.log(`📊 Analyzing: 10 Testability Principles per User Type`);
     console.log('=' .repeat(100));
     
-    const results = [];
-    
-    for (const userType of userTypes) {
+    // Each user type gets its own browser context and analyzer, so the runs can overlap
+    const contextOptions = contextOptionsFromProject(test.info().project.use);
+    const results = await runUsersInParallel(browser, userTypes, async ({ page, userType }) => {
       console.log(`\n🎯 Processing ${userType}...`);
       
-      try {
-        const testAnalyzer = new ComprehensiveTestabilityAnalyzer();
-        const result = await testAnalyzer.runCompleteAnalysis(page, userType);
-        results.push(result);
-        
-        // Take comprehensive screenshot
-        if (!result.error) {
-          await AITestUtils.smartScreenshot(page, `complete-testability-${userType}`, 'analysis-complete');
-        }
-        
-        // Brief pause between assessments
-        await page.waitForTimeout(1500);
-        
-      } catch (error) {
-        console.log(`❌ Error processing ${userType}: ${error.message}`);
-        results.push({ userType, error: error.message });
+      const testAnalyzer = new ComprehensiveTestabilityAnalyzer({ contextOptions });
+      const result = await testAnalyzer.runCompleteAnalysis(page, userType);
+      
+      // Take comprehensive screenshot
+      if (!result.error) {
+        await attachTestabilitySnapshot(test.info(), { ...result, target: testAnalyzer.profile.name });
+        await AITestUtils.smartScreenshot(page, `complete-testability-${userType}`, 'analysis-complete');
       }
-    }
+      
+      return result;
+    }, { contextOptions });
     
     // Generate comprehensive report
     const comprehensiveReport = analyzer.generateComprehensiveReport(results);
@@ -77,32 +69,20 @@ test.describe('🎯 Complete 10-Principle Testability Assessment', () => {
     const resultsPath = path.join(process.cwd(), 'tests', 'reports', `complete-testability-${browserName}-${timestamp}.json`);
     const reportPath = path.join(process.cwd(), 'tests', 'reports', `complete-testability-${browserName}-${timestamp}-report.txt`);
     
-    const comprehensiveData = {
+    // Save comprehensive results
+    const comprehensiveData = writeResults(resultsPath, 'complete', {
       timestamp: analyzer.timestamp,
       framework: 'Complete 10-Principle AI-Enhanced Analysis',
       browser: browserName,
+      target: analyzer.profile.name,
       principlesAnalyzed: 10,
       results,
       summary: {
-        totalUsers: userTypes.length,
-        successfulAnalyses: results.filter(r => !r.error).length,
-        failedAnalyses: results.filter(r => r.error).length,
-        averageScore: results.filter(r => !r.error).length > 0 ? 
-          Math.round(results.filter(r => !r.error).reduce((sum, r) => sum + r.overallScore, 0) / results.filter(r => !r.error).length) : 0,
         principleBreakdown: calculatePrincipleBreakdown(results.filter(r => !r.error)),
         criticalIssues: identifyCriticalIssues(results.filter(r => !r.error)),
         topRecommendations: getTopRecommendations(results.filter(r => !r.error))
       }
-    };
-    
-    // Ensure reports directory exists
-    const reportsDir = path.dirname(resultsPath);
-    if (!fs.existsSync(reportsDir)) {
-      fs.mkdirSync(reportsDir, { recursive: true });
-    }
-    
-    // Save comprehensive results
-    fs.writeFileSync(resultsPath, JSON.stringify(comprehensiveData, null, 2));
+    }, { recordHistory: true });
     fs.writeFileSync(reportPath, comprehensiveReport);
     
     // 🎨 Generate Interactive HTML Report
@@ -145,7 +125,7 @@ test.describe('🎯 Complete 10-Principle Testability Assessment', () => {
     console.log('=' .repeat(80));
     
     try {
-      const result = await analyzer.runCompleteAnalysis(page, 'standard_user');
+      const result = await analyzer.runCompleteAnalysis(page, analyzer.profile.userTypes[0]);
       
       if (result.error) {
         throw new Error(result.error);
@@ -169,6 +149,10 @@ test.describe('🎯 Complete 10-Principle Testability Assessment', () => {
       
       principles.forEach(principle => {
         const score = result.principleScores[principle.key];
+        if (typeof score !== 'number') {
+          console.log(`${principle.icon} ${principle.name.padEnd(25)}:   - not assessed`);
+          return;
+        }
         const grade = score >= 80 ? '🟢' : score >= 60 ? '🟡' : '🔴';
         console.log(`${principle.icon} ${principle.name.padEnd(25)}: ${score.toString().padStart(3)}/100 ${grade}`);
       });
@@ -204,7 +188,10 @@ test.describe('🎯 Complete 10-Principle Testability Assessment', () => {
       expect(result.overallScore).toBeGreaterThan(0);
       expect(result.principleScores).toBeDefined();
       expect(Object.keys(result.principleScores)).toHaveLength(10);
+      expect(Object.keys(result.appliedWeights)).toHaveLength(10 - result.notAssessed.length);
       expect(result.detailedMetrics).toBeDefined();
+      expect(result.evidence.observability.dataTestAttributes).toMatchObject({ selector: '[data-test]', maxPoints: 25 });
+      expect(result.evidence.observability.dataTestAttributes.count).toBeGreaterThan(0);
       
       console.log('\n✅ Detailed Analysis Complete!');
       
@@ -219,28 +206,108 @@ test.describe('🎯 Complete 10-Principle Testability Assessment', () => {
     }
   });
 
-  test('Comparative Analysis: Problem User vs Standard User', async ({ page }) => {
+  test('Crawl Analysis: Standard User Across Discovered Pages', async ({ page, browserName }) => {
+    test.setTimeout(300000); // every page runs all 10 analyzers plus click discovery
+
+    const result = await analyzer.runCrawlAnalysis(page, analyzer.profile.userTypes[0], { maxDepth: 2, maxPages: 6 });
+
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    const crawlReport = analyzer.generateCrawlReport([result]);
+    console.log(crawlReport);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const resultsPath = path.join(process.cwd(), 'tests', 'reports', `crawl-testability-${browserName}-${timestamp}.json`);
+    writeResults(resultsPath, 'crawl', { timestamp: analyzer.timestamp, browser: browserName, target: analyzer.profile.name, results: [result] }, { recordHistory: true });
+
+    const htmlGenerator = new TestabilityHTMLReportGenerator();
+    const htmlReportPath = htmlGenerator.generateHTMLReport([result]);
+    console.log(`\n💾 Crawl results: ${resultsPath}`);
+    console.log(`🎨 Crawl HTML Report: ${htmlReportPath}`);
+
+    // More than the post-login page must have been scored, within budget
+    const analyzedPages = result.pages.filter(p => !p.error);
+    expect(analyzedPages.length).toBeGreaterThan(1);
+    expect(result.pages.length).toBeLessThanOrEqual(6);
+    expect(new Set(result.pages.map(p => p.path)).size).toBe(result.pages.length);
+
+    // Cart is reachable from the inventory page and must be scored
+    expect(analyzedPages.some(p => p.path.includes('cart'))).toBe(true);
+
+    analyzedPages.forEach(p => {
+      expect(p.depth).toBeLessThanOrEqual(2);
+      expect(Object.keys(p.principleScores)).toHaveLength(10);
+    });
+
+    // Site scores are the per-principle averages of the page scores
+    const expectedObservability = Math.round(
+      analyzedPages.reduce((sum, p) => sum + p.principleScores.observability, 0) / analyzedPages.length
+    );
+    expect(result.principleScores.observability).toBe(expectedObservability);
+    expect(Object.keys(result.principleScores)).toHaveLength(10);
+  });
+
+  test('Journey Analysis: Checkout Flow Per-Step Snapshots', async ({ browser, browserName }) => {
+    test.setTimeout(300000); // one full 10-principle snapshot per step, per user
+
+    const userTypes = analyzer.profile.userTypes.slice(0, 2);
+    const journey = analyzer.profile.getJourney('checkout');
+    const contextOptions = contextOptionsFromProject(test.info().project.use);
+    const results = await runUsersInParallel(
+      browser, userTypes,
+      ({ page, userType }) => new ComprehensiveTestabilityAnalyzer({ contextOptions }).runJourneyAnalysis(page, userType, 'checkout'),
+      { contextOptions }
+    );
+
+    console.log(analyzer.generateJourneyReport(results));
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const resultsPath = path.join(process.cwd(), 'tests', 'reports', `journey-testability-${browserName}-${timestamp}.json`);
+    writeResults(resultsPath, 'journey', { timestamp: analyzer.timestamp, browser: browserName, target: analyzer.profile.name, results }, { recordHistory: true });
+
+    const htmlGenerator = new TestabilityHTMLReportGenerator();
+    const htmlReportPath = htmlGenerator.generateHTMLReport(results);
+    console.log(`\n💾 Journey results: ${resultsPath}`);
+    console.log(`🎨 Journey HTML Report: ${htmlReportPath}`);
+
+    results.forEach(result => {
+      expect(result.error).toBeUndefined();
+      // Post-login snapshot plus one entry per scripted step
+      expect(result.steps).toHaveLength(journey.steps.length + 1);
+      expect(result.steps[0].name).toBe('Logged in');
+    });
+
+    // The happy path (the profile's first user) must complete with a full snapshot after every step
+    const standard = results.find(r => r.userType === userTypes[0]);
+    expect(standard.completed).toBe(true);
+    standard.steps.forEach(step => {
+      expect(step.status).toBe('passed');
+      expect(Object.keys(step.principleScores)).toHaveLength(10);
+      // Snapshots probe on a copy, so the journey's own page is never reloaded or typed into
+      expect(step.evidence.controllability.determinism.observed.probedOn).toBe('copy');
+    });
+    expect(standard.steps[standard.steps.length - 1].path).toContain('checkout-complete');
+
+    // Every reported drop must match the step deltas
+    results.flatMap(r => r.drops).forEach(drop => {
+      expect(drop.delta).toBe(drop.to - drop.from);
+      expect(drop.delta).toBeLessThanOrEqual(-10);
+    });
+  });
+
+  test('Comparative Analysis: Problem User vs Standard User', async ({ browser }) => {
     console.log('\n🆚 COMPARATIVE 10-PRINCIPLE ANALYSIS');
     console.log('=' .repeat(60));
     
-    const userTypes = ['standard_user', 'problem_user'];
-    const comparisonResults = [];
-    
-    for (const userType of userTypes) {
+    // The profile's happy-path user and the user compared against it
+    const userTypes = analyzer.profile.userTypes.slice(0, 2);
+    const contextOptions = contextOptionsFromProject(test.info().project.use);
+    const comparisonResults = await runUsersInParallel(browser, userTypes, async ({ page, userType }) => {
       console.log(`\n📊 Analyzing ${userType}...`);
-      
-      try {
-        const testAnalyzer = new ComprehensiveTestabilityAnalyzer();
-        const result = await testAnalyzer.runCompleteAnalysis(page, userType);
-        comparisonResults.push(result);
-        
-        await page.waitForTimeout(1000);
-        
-      } catch (error) {
-        console.log(`❌ Error analyzing ${userType}: ${error.message}`);
-        comparisonResults.push({ userType, error: error.message });
-      }
-    }
+      return new ComprehensiveTestabilityAnalyzer({ contextOptions }).runCompleteAnalysis(page, userType);
+    }, { contextOptions });
     
     // Compare results
     const validResults = comparisonResults.filter(r => !r.error);
@@ -263,11 +330,11 @@ test.describe('🎯 Complete 10-Principle Testability Assessment', () => {
       principleNames.forEach(principle => {
         const standardScore = standard.principleScores[principle];
         const problemScore = problem.principleScores[principle];
-        const diff = standardScore - problemScore;
-        const diffStr = diff > 0 ? `+${diff}` : diff.toString();
+        const diff = scoreDifference(standardScore, problemScore);
+        const diffStr = diff === null ? '-' : diff > 0 ? `+${diff}` : diff.toString();
         
         console.log(
-          `${principle.padEnd(23)} | ${standardScore.toString().padStart(8)} | ${problemScore.toString().padStart(7)} | ${diffStr.padStart(4)}`
+          `${principle.padEnd(23)} | ${String(standardScore ?? '-').padStart(8)} | ${String(problemScore ?? '-').padStart(7)} | ${diffStr.padStart(4)}`
         );
       });
       
@@ -277,7 +344,7 @@ test.describe('🎯 Complete 10-Principle Testability Assessment', () => {
       );
       
       // Analysis insights
-      const betterUser = standard.overallScore > problem.overallScore ? 'standard_user' : 'problem_user';
+      const betterUser = standard.overallScore > problem.overallScore ? standard.userType : problem.userType;
       const scoreDiff = Math.abs(standard.overallScore - problem.overallScore);
       
       console.log(`\n🎯 COMPARATIVE INSIGHTS:`);
@@ -289,8 +356,10 @@ test.describe('🎯 Complete 10-Principle Testability Assessment', () => {
       // Find biggest differences
       const differences = principleNames.map(principle => ({
         principle,
-        diff: Math.abs(standard.principleScores[principle] - problem.principleScores[principle])
-      })).sort((a, b) => b.diff - a.diff);
+        diff: scoreDifference(standard.principleScores[principle], problem.principleScores[principle])
+      })).filter(item => item.diff !== null)
+        .map(item => ({ ...item, diff: Math.abs(item.diff) }))
+        .sort((a, b) => b.diff - a.diff);
       
       console.log(`\n📊 LARGEST DIFFERENCES:`);
       differences.slice(0, 3).forEach((item, index) => {
@@ -306,22 +375,45 @@ test.describe('🎯 Complete 10-Principle Testability Assessment', () => {
     }
   });
 
+  test('Current Page Analysis: Seeded Session via storageState', async ({ page, browser }) => {
+    // Log in once, then score a fresh context that starts from the saved session
+    const loggedIn = await analyzer.profile.performLogin(page, analyzer.profile.userTypes[0]);
+    expect(loggedIn).toBe(true);
+    const storageState = await page.context().storageState();
+
+    const seededContext = await browser.newContext({ storageState });
+    try {
+      const seededPage = await seededContext.newPage();
+      await seededPage.goto(analyzer.profile.resolveUrl('/cart.html'));
+
+      const result = await analyzer.analyzeCurrentPage(seededPage, analyzer.profile.userTypes[0]);
+
+      expect(result.error).toBeUndefined();
+      expect(result.url).toContain('cart');
+      expect(seededPage.url()).toContain('cart');
+      expect(Object.keys(result.principleScores)).toHaveLength(10);
+      expect(result.overallScore).toBeGreaterThan(0);
+
+      // No debug session watched the page load, so its error counts are not taken as "0 errors"
+      expect(result.errorStats).toBeNull();
+      expect(result.detailedMetrics.unbugginess.errorRate).toBeNull();
+      expect(result.evidence.unbugginess.errorRate.notAssessed).toContain('no debug session');
+      expect(result.evidence.algorithmicTransparency.blackBoxReduction.points).toBeNull();
+    } finally {
+      await seededContext.close();
+    }
+  });
+
   test('Principle-Specific Deep Analysis: Observability Focus', async ({ page }) => {
     console.log('\n🔍 OBSERVABILITY DEEP ANALYSIS');
     console.log('=' .repeat(50));
     
     try {
-      await page.goto('https://www.saucedemo.com/');
-      await AITestUtils.waitForPageReady(page);
-      
-      await page.locator('[data-test="username"]').fill('standard_user');
-      await page.locator('[data-test="password"]').fill('secret_sauce');
-      await page.locator('[data-test="login-button"]').click();
-      
-      await expect(page.locator('[data-test="inventory-container"]')).toBeVisible();
+      const loggedIn = await analyzer.profile.performLogin(page, analyzer.profile.userTypes[0]);
+      expect(loggedIn).toBe(true);
       
       // Focus specifically on observability metrics
-      const observabilityScore = await analyzer.analyzeObservability(page, 'standard_user', null);
+      const observabilityScore = await analyzer.analyzeObservability(page, analyzer.profile.userTypes[0], null);
       
       console.log(`\n🔍 OBSERVABILITY DETAILED BREAKDOWN:`);
       console.log(`   Overall Score: ${observabilityScore}/100`);
@@ -355,9 +447,38 @@ test.describe('🎯 Complete 10-Principle Testability Assessment', () => {
       throw error;
     }
   });
+
+  test('Principles whose analysis fails are not assessed instead of given a fallback score', async () => {
+    // A page that throws on every call, like one closed mid-analysis
+    const closedPage = new Proxy({}, { get: (target, prop) => (prop === 'then' ? undefined : () => { throw new Error('Target page has been closed'); }) });
+
+    const result = await new ComprehensiveTestabilityAnalyzer({ readOnly: false }).analyzeAllPrinciples(closedPage, 'standard_user', null);
+
+    expect(Object.values(result.principleScores).every(score => score === null)).toBe(true);
+    expect(result.notAssessed).toHaveLength(10);
+  });
+
+  test('Journey Analysis: an unknown journey name is an error result', async () => {
+    const result = await analyzer.runJourneyAnalysis(null, 'standard_user', 'no-such-journey');
+
+    expect(result).toMatchObject({ userType: 'standard_user', mode: 'journey', journey: 'no-such-journey' });
+    expect(result.error).toContain('Unknown journey "no-such-journey"');
+  });
 });
 
 // Helper functions for comprehensive data analysis
+
+// Unassessed principles score null: they have no difference and stay out of averages
+function scoreDifference(a, b) {
+  return typeof a === 'number' && typeof b === 'number' ? a - b : null;
+}
+
+function averageAssessed(results, principle, rounded = true) {
+  const scores = results.map(r => r.principleScores[principle]).filter(score => typeof score === 'number');
+  if (scores.length === 0) return null;
+  const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  return rounded ? Math.round(average) : average;
+}
 function calculatePrincipleBreakdown(results) {
   if (results.length === 0) return {};
   
@@ -369,9 +490,7 @@ function calculatePrincipleBreakdown(results) {
   
   const breakdown = {};
   principleNames.forEach(principle => {
-    breakdown[principle] = Math.round(
-      results.reduce((sum, r) => sum + r.principleScores[principle], 0) / results.length
-    );
+    breakdown[principle] = averageAssessed(results, principle);
   });
   
   return breakdown;
@@ -386,7 +505,8 @@ function identifyCriticalIssues(results) {
   ];
   
   principleNames.forEach(principle => {
-    const averageScore = results.reduce((sum, r) => sum + r.principleScores[principle], 0) / results.length;
+    const averageScore = averageAssessed(results, principle, false);
+    if (averageScore === null) return;
     if (averageScore < 40) {
       issues.push({
         principle,
@@ -0,0 +1,177 @@
+const { test, expect } = require('@playwright/test');
+const { DomSnapshot, parseSelectorList } = require('../dom-snapshot');
+
+/**
+ * DOM Snapshot Tests
+ *
+ * Checks selector matching on serialized snapshots without a browser, then that a captured
+ * snapshot counts the same elements as Playwright locators, shadow roots and frames included
+ */
+
+function element(tag, attributes = {}, parent = -1, depth = 0, properties = {}, scope = 0) {
+  return { tag, attributes, role: null, text: '', depth, parent, scope, visible: true, box: { x: 0, y: 0, width: 0, height: 0 }, properties };
+}
+
+function cartSnapshot() {
+  return new DomSnapshot({
+    elements: [
+      element('html'),
+      element('body', {}, 0, 1),
+      element('div', { class: 'cart error-box', 'data-test': 'cart' }, 1, 2),
+      element('button', { 'data-test': 'checkout', id: 'checkout' }, 2, 3, { type: 'submit', disabled: false }),
+      element('img', { src: 'logo.png' }, 1, 2, { complete: true, naturalWidth: 0 }),
+      element('input', { type: 'text', required: '', 'aria-label': 'Zip Code' }, 1, 2, { type: 'text' })
+    ]
+  });
+}
+
+test.describe('DOM Snapshot', () => {
+
+  test('selector lists of compound selectors match like the browser', async () => {
+    const dom = cartSnapshot();
+
+    expect(dom.count('*')).toBe(6);
+    expect(dom.count('div[class], section')).toBe(1);
+    expect(dom.count('[class*="error"]')).toBe(1);
+    expect(dom.count('.error')).toBe(0);
+    expect(dom.count('.cart.error-box')).toBe(1);
+    expect(dom.count('img:not([alt])')).toBe(1);
+    expect(dom.count('input[type]:not([type="text"])')).toBe(0);
+    expect(dom.count('#checkout, input[required]')).toBe(2);
+    expect(dom.count('[data-test]:not([data-test*="-"]):not([data-test*="_"])')).toBe(2);
+    expect(dom.count('[aria-label^="zip" i]')).toBe(1);
+    expect(dom.has('[data-test*=""]')).toBe(false);
+  });
+
+  test('samples, nesting and descendants come from the serialized tree', async () => {
+    const dom = cartSnapshot();
+
+    expect(dom.sample('[data-test]', 1)).toEqual({
+      selector: '[data-test]',
+      count: 2,
+      samples: ['div.cart.error-box[data-test="cart"]']
+    });
+    expect(dom.maxDepth()).toBe(3);
+    expect(dom.within(dom.elements[2], 'button')).toHaveLength(1);
+    expect(dom.within(dom.elements[3], '*')).toHaveLength(0);
+  });
+
+  test('elements in shadow roots and frames are attributed to their host', async () => {
+    const dom = new DomSnapshot({
+      url: 'https://shop.test/checkout',
+      scopes: [
+        { kind: 'document', host: -1, url: 'https://shop.test/checkout' },
+        { kind: 'shadow', host: 2 },
+        { kind: 'frame', host: 5, url: 'https://shop.test/pay' },
+        { kind: 'frame', host: 8, url: 'https://ads.test/', crossOrigin: true }
+      ],
+      elements: [
+        element('html'),
+        element('body', {}, 0, 1),
+        element('checkout-form', { id: 'checkout' }, 1, 2),
+        element('input', { 'data-test': 'zip' }, 2, 3, {}, 1),
+        element('button', { 'data-test': 'continue' }, 2, 3, {}, 1),
+        element('iframe', { title: 'Payment' }, 3, 4, {}, 1),
+        element('html', {}, 5, 5, {}, 2),
+        element('input', { 'data-test': 'card-number' }, 6, 6, {}, 2),
+        element('iframe', { class: 'ad' }, 1, 2),
+        element('a', { href: '/help', 'data-test': 'help' }, 1, 2)
+      ]
+    });
+
+    expect(dom.count('[data-test]')).toBe(4);
+    expect(dom.sample('input')).toEqual({
+      selector: 'input',
+      count: 2,
+      samples: ['checkout-form#checkout >> input[data-test="zip"]', 'checkout-form#checkout >> iframe >> input[data-test="card-number"]'],
+      byScope: { 'checkout-form#checkout': 1, 'checkout-form#checkout >> iframe': 1 }
+    });
+    expect(dom.countByScope('[data-test]')).toEqual({ document: 1, 'checkout-form#checkout': 2, 'checkout-form#checkout >> iframe': 1 });
+    expect(dom.within(dom.elements[2], 'input')).toHaveLength(2);
+    expect(dom.scopeSummary().map(({ scope, kind, crossOrigin, elements }) => [scope, kind, crossOrigin, elements])).toEqual([
+      ['document', 'document', false, 5],
+      ['checkout-form#checkout', 'shadow', false, 3],
+      ['checkout-form#checkout >> iframe', 'frame', false, 2],
+      ['iframe.ad', 'frame', true, 0]
+    ]);
+
+    // Snapshots of plain pages have one scope and keep their evidence as it was
+    expect(cartSnapshot().scopeSummary()).toEqual([{ scope: 'document', kind: 'document', url: null, crossOrigin: false, elements: 6 }]);
+    expect(cartSnapshot().sample('[data-test]')).not.toHaveProperty('byScope');
+  });
+
+  test('selectors the snapshot cannot answer are rejected', async () => {
+    expect(() => parseSelectorList('nav a')).toThrow('combinators');
+    expect(() => parseSelectorList('ul > li')).toThrow('combinators');
+    expect(() => parseSelectorList('button:has-text("Login")')).toThrow('pseudo-classes');
+    expect(() => parseSelectorList('[data-test')).toThrow('expected "]"');
+  });
+
+  test('a captured snapshot counts what page locators count', async ({ page }) => {
+    await page.setContent(`
+      <!DOCTYPE html>
+      <header><nav aria-label="breadcrumb"><a href="/">Home</a></nav></header>
+      <main>
+        <h1>Checkout</h1>
+        <form>
+          <label for="zip">Zip</label><input id="zip" data-test="postalCode">
+          <input type="password" data-test="password" disabled>
+          <button data-test="continue" class="btn btn_primary">Continue</button>
+        </form>
+        <div style="visibility: hidden" data-test="error">Error</div>
+      </main>`);
+
+    const dom = await DomSnapshot.capture(page);
+    const selectors = ['*', '[data-test]', 'input:not([type="password"])', 'nav[aria-label*="breadcrumb"]', 'button.btn_primary', 'a[href]'];
+    for (const selector of selectors) {
+      expect(dom.count(selector), selector).toBe(await page.locator(selector).count());
+    }
+
+    const [zip, password] = dom.query('input');
+    expect(zip).toMatchObject({ role: 'textbox', properties: { type: 'text', labelled: true, disabled: false } });
+    expect(password.properties.disabled).toBe(true);
+    expect(dom.query('[data-test="error"]')[0].visible).toBe(false);
+    expect(dom.doctype).toBe('html');
+    expect(dom.htmlCharacters).toBe((await page.content()).length);
+  });
+
+  test('a captured snapshot enters open shadow roots and same-origin frames', async ({ page }) => {
+    await page.setContent(`
+      <!DOCTYPE html>
+      <button data-test="menu">Menu</button>
+      <checkout-form id="checkout"><span slot="title">Your details</span></checkout-form>
+      <iframe id="payment" srcdoc="<button data-test='pay'>Pay</button>"></iframe>
+      <iframe id="ads" src="data:text/html,<button data-test='ad'>Ad</button>"></iframe>
+      <closed-widget></closed-widget>
+      <script>
+        const root = document.getElementById('checkout').attachShadow({ mode: 'open' });
+        root.innerHTML = '<form><slot name="title"></slot><input data-test="zip" aria-label="Zip"><button data-test="continue">Continue</button></form>';
+        document.querySelector('closed-widget').attachShadow({ mode: 'closed' }).innerHTML = '<button data-test="hidden">Hidden</button>';
+      </script>`);
+
+    const dom = await DomSnapshot.capture(page);
+
+    // Open shadow roots: the same elements Playwright's CSS locators pierce into
+    expect(dom.count('[data-test]')).toBe(4);
+    expect(dom.countByScope('[data-test]')).toEqual({ document: 1, 'checkout-form#checkout': 2, 'iframe#payment': 1 });
+    expect(dom.count('input, button')).toBe(await page.locator('input, button').count() + 1);
+
+    const [zip] = dom.query('[data-test="zip"]');
+    expect(zip).toMatchObject({ tag: 'input', role: 'textbox', visible: true });
+    expect(dom.elements[zip.parent].tag).toBe('form');
+    expect(dom.within(dom.query('checkout-form')[0], 'input')).toEqual([zip]);
+
+    // Frame contents sit below their <iframe> in top-document coordinates
+    const [pay] = dom.query('[data-test="pay"]');
+    const frameBox = await page.locator('#payment').boundingBox();
+    expect(pay.box.y).toBeGreaterThanOrEqual(Math.floor(frameBox.y));
+    expect(dom.describe(pay)).toBe('iframe#payment >> button[data-test="pay"] "Pay"');
+
+    expect(dom.scopeSummary().map(({ scope, kind, crossOrigin }) => [scope, kind, crossOrigin])).toEqual([
+      ['document', 'document', false],
+      ['checkout-form#checkout', 'shadow', false],
+      ['iframe#payment', 'frame', false],
+      ['iframe#ads', 'frame', true]
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HistoryStore } = require('../history-store');
+const { createResults, writeResults } = require('../results-schema');
+const { TestabilityTrendDashboard } = require('../trend-dashboard');
+
+/**
+ * Score History Tests
+ *
+ * Checks the append-only history, regression detection and the trend dashboard without a browser
+ */
+
+function run(timestamp, target, scores) {
+  return createResults('complete', {
+    timestamp,
+    browser: 'chromium',
+    target,
+    results: Object.entries(scores).map(([userType, principleScores]) => ({
+      userType,
+      overallScore: principleScores.observability,
+      principleScores
+    })).concat([{ userType: 'locked_out_user', error: 'Login failed' }])
+  });
+}
+
+test.describe('Score History', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'testability-history-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('scored results are appended once per file and run, keyed by target, user type, browser and commit', async () => {
+    const store = new HistoryStore(path.join(dir, 'history.jsonl'));
+    const first = run('2025-10-01T10:00:00.000Z', 'shop', { standard_user: { observability: 80, smallness: 60 } });
+
+    expect(store.recordResults(first, { sourceFile: 'a.json', commit: 'abc123' })).toHaveLength(1);
+    expect(store.recordResults(first, { sourceFile: 'a.json', commit: 'abc123' })).toHaveLength(0);
+    expect(store.recordResults(createResults('impact-matrix', { results: [] }), { sourceFile: 'b.json' })).toHaveLength(0);
+    expect(store.hasRecorded('a.json', first.timestamp)).toBe(true);
+    expect(store.hasRecorded('a.json', '2025-10-02T10:00:00.000Z')).toBe(false);
+
+    expect(store.read()).toEqual([expect.objectContaining({
+      target: 'shop', kind: 'complete', userType: 'standard_user', browser: 'chromium', commit: 'abc123',
+      overallScore: 80, principleScores: { observability: 80, smallness: 60 }, sourceFile: 'a.json'
+    })]);
+    expect(store.read({ target: 'other' })).toEqual([]);
+
+    // A later run written to the same file name is a new run
+    const rerun = run('2025-10-02T10:00:00.000Z', 'shop', { standard_user: { observability: 82, smallness: 60 } });
+    expect(store.recordResults(rerun, { sourceFile: 'a.json', commit: 'def456' })).toHaveLength(1);
+  });
+
+  test('writeResults records history next to the results file only when asked', async () => {
+    const data = {
+      browser: 'chromium',
+      results: [{ userType: 'standard_user', overallScore: 70, principleScores: { observability: 70 } }]
+    };
+
+    writeResults(path.join(dir, 'complete-testability-chromium-0.json'), 'complete', data);
+    expect(HistoryStore.beside(dir).read()).toEqual([]);
+
+    writeResults(path.join(dir, 'complete-testability-chromium-1.json'), 'complete', data, { recordHistory: true });
+    const [entry] = HistoryStore.beside(dir).read();
+    expect(entry).toMatchObject({ target: 'saucedemo', sourceFile: 'complete-testability-chromium-1.json', overallScore: 70 });
+  });
+
+  test('regressions compare the last two runs of each series and feed the dashboard', async () => {
+    const store = new HistoryStore(path.join(dir, 'history.jsonl'));
+    store.recordResults(run('2025-10-01T10:00:00.000Z', 'shop', { standard_user: { observability: 80, smallness: 60 } }), { commit: 'aaa' });
+    store.recordResults(run('2025-10-02T10:00:00.000Z', 'shop', { standard_user: { observability: 72, smallness: 62 } }), { commit: 'bbb' });
+
+    expect(store.series()).toHaveLength(1);
+    expect(store.regressions()).toEqual([
+      expect.objectContaining({ principle: 'overall', from: 80, to: 72, change: -8, fromCommit: 'aaa', toCommit: 'bbb' }),
+      expect.objectContaining({ principle: 'observability', change: -8 })
+    ]);
+
+    const outputPath = new TestabilityTrendDashboard(store).generate(path.join(dir, 'trends.html'));
+    const html = fs.readFileSync(outputPath, 'utf8');
+    expect(html).not.toMatch(/<script/);
+    expect(html.match(/<svg class="svg-chart"/g)).toHaveLength(3);
+    expect(html).toContain('<code>aaa</code> → <code>bbb</code>');
+  });
+});
@@ -0,0 +1,133 @@
+const { test, expect } = require('@playwright/test');
+const { KeyboardNavigation } = require('../keyboard-navigation');
+
+/**
+ * Keyboard Navigation Tests
+ *
+ * Checks the metric value and summary derived from a recorded walk without a browser, then walks
+ * real pages with planted keyboard problems
+ */
+
+function stop(step, element, indicator = true) {
+  return { step, target: `#${element}`, element, tabindex: null, indicator, box: { x: 0, y: step * 40, width: 100, height: 30 } };
+}
+
+test.describe('⌨️ Keyboard Navigation', () => {
+
+  test('a recorded walk becomes the rubric value and summary', async () => {
+    const walk = new KeyboardNavigation({
+      interactive: 4,
+      endedBy: 'left-page',
+      sequence: [stop(1, 'search'), stop(2, 'cart', false), stop(3, 'checkout')],
+      findings: [
+        { type: 'unreachable', target: '#menu', element: 'div#menu "Menu"', message: 'Not reachable by keyboard: it cannot take focus' },
+        { type: 'no-focus-indicator', target: '#cart', element: 'cart', message: 'Focus changes nothing' }
+      ]
+    });
+
+    expect(walk.metricValue()).toEqual({ reachable: 0.75, focusVisible: 2 / 3, noTraps: true, orderMatchesLayout: 1 });
+    expect(walk.summary()).toEqual({
+      interactive: 4,
+      focusStops: 3,
+      endedBy: 'left-page',
+      'focus-trap': 0,
+      unreachable: 1,
+      'no-focus-indicator': 1,
+      'order-jump': 0
+    });
+    expect(walk.sample('unreachable')).toEqual({
+      selector: 'unreachable',
+      count: 1,
+      samples: ['div#menu "Menu": Not reachable by keyboard: it cannot take focus']
+    });
+    expect(new KeyboardNavigation({ interactive: 0, sequence: [], findings: [] }).metricValue()).toBeNull();
+  });
+
+  test('unreachable controls, hidden focus and order jumps are reported per element', async ({ page }) => {
+    await page.setContent(`
+      <!DOCTYPE html>
+      <style>
+        button { display: block; width: 200px; height: 30px; margin: 10px; }
+        .flat:focus { outline: none; }
+      </style>
+      <button id="first">First</button>
+      <button id="second">Second</button>
+      <button id="flat" class="flat">No ring</button>
+      <div id="fake" role="button" onclick="void 0">Fake button</div>
+      <button id="skipped" tabindex="-1">Skipped</button>
+      <button id="last">Last</button>
+      <button id="jumper" tabindex="1" style="position: absolute; top: 400px">Jumps ahead</button>`);
+
+    const walk = await KeyboardNavigation.probe(page);
+
+    expect(walk.sequence.map(stop => stop.target)).toEqual(['#jumper', '#first', '#second', '#flat', '#last']);
+    expect(walk.endedBy).not.toBe('trap');
+    expect(walk.findingsOf('unreachable').map(finding => [finding.target, finding.message])).toEqual([
+      ['#fake', 'Not reachable by keyboard: it cannot take focus (use a native control or add tabindex="0")'],
+      ['#skipped', 'Not reachable by keyboard: tabindex="-1" takes it out of the tab order']
+    ]);
+    expect(walk.findingsOf('no-focus-indicator').map(finding => finding.target)).toEqual(['#flat']);
+    expect(walk.findingsOf('order-jump').map(finding => finding.target)).toEqual(['#first']);
+    expect(walk.findingsOf('focus-trap')).toEqual([]);
+
+    // Focus is cleared once the walk is over
+    expect(await page.evaluate(() => document.activeElement === document.body)).toBe(true);
+  });
+
+  test('a widget that swallows Tab is reported as a focus trap', async ({ page }) => {
+    await page.setContent(`
+      <!DOCTYPE html>
+      <button id="before">Before</button>
+      <div id="editor">
+        <input id="title" aria-label="Title">
+        <input id="body" aria-label="Body">
+      </div>
+      <button id="after">After</button>
+      <script>
+        document.getElementById('body').addEventListener('keydown', event => {
+          if (event.key === 'Tab') {
+            event.preventDefault();
+            document.getElementById('title').focus();
+          }
+        });
+      </script>`);
+
+    const walk = await KeyboardNavigation.probe(page);
+
+    expect(walk.endedBy).toBe('trap');
+    expect(walk.findingsOf('focus-trap')).toEqual([expect.objectContaining({
+      target: '#title',
+      message: 'Tab cycles through 2 elements (input#title "Title" → input#body "Body") without reaching the rest of the page'
+    })]);
+    expect(walk.findingsOf('unreachable')).toEqual([expect.objectContaining({
+      target: '#after',
+      message: 'Not reachable by keyboard: focus is trapped before it'
+    })]);
+    expect(walk.metricValue().noTraps).toBe(false);
+  });
+
+  test('controls inside shadow roots and same-origin frames are candidates tagged with their scope', async ({ page }) => {
+    await page.setContent(`
+      <!DOCTYPE html>
+      <button id="top">Top</button>
+      <search-box id="search"></search-box>
+      <iframe id="payment" srcdoc="<button>Pay</button><div role='button'>Later</div>"></iframe>
+      <script>
+        document.getElementById('search').attachShadow({ mode: 'open' }).innerHTML = '<input aria-label="Search">';
+      </script>`);
+    await page.frameLocator('#payment').locator('button').waitFor({ state: 'attached' });
+
+    const walk = await KeyboardNavigation.probe(page);
+
+    expect(walk.sequence.map(stop => [stop.scope, stop.target])).toEqual(expect.arrayContaining([
+      ['document', '#top'],
+      ['search-box#search', '#search >> input'],
+      ['iframe#payment', '#payment >> html > body > button']
+    ]));
+    expect(walk.findingsOf('unreachable')).toEqual([expect.objectContaining({
+      target: '#payment >> html > body > div',
+      scope: 'iframe#payment'
+    })]);
+    expect(walk.sample('unreachable').samples[0]).toMatch(/^iframe#payment >> div "Later": Not reachable by keyboard/);
+  });
+});
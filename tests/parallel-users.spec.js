@@ -0,0 +1,114 @@
+const { test, expect, devices } = require('@playwright/test');
+const { runUsersInParallel, contextOptionsFromProject, resolveConcurrency, DEFAULT_CONCURRENCY } = require('../parallel-users');
+
+/**
+ * Parallel Multi-User Tests
+ *
+ * Drives the orchestrator with a stand-in browser, so context isolation and the concurrency
+ * limit can be checked without launching one
+ */
+
+function fakeBrowser() {
+  const browser = { contexts: [], open: 0, maxOpen: 0 };
+  browser.newContext = async options => {
+    const context = {
+      options,
+      closed: false,
+      newPage: async () => ({ context }),
+      close: async () => {
+        context.closed = true;
+        browser.open--;
+      }
+    };
+    browser.contexts.push(context);
+    browser.open++;
+    browser.maxOpen = Math.max(browser.maxOpen, browser.open);
+    return context;
+  };
+  return browser;
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test.describe('Parallel Multi-User Analysis', () => {
+
+  test('every user gets its own context and results keep input order', async () => {
+    const browser = fakeBrowser();
+    const userTypes = ['standard_user', 'problem_user', 'error_user', 'visual_user'];
+
+    const results = await runUsersInParallel(browser, userTypes, async ({ page, context, userType }) => {
+      // Finish in reverse order so input order has to be restored
+      await delay(10 * (userTypes.length - userTypes.indexOf(userType)));
+      return { userType, page, context };
+    }, { concurrency: 2, contextOptions: { locale: 'en-GB' } });
+
+    expect(results.map(r => r.userType)).toEqual(userTypes);
+    expect(new Set(results.map(r => r.context)).size).toBe(userTypes.length);
+    results.forEach(result => expect(result.page.context).toBe(result.context));
+
+    expect(browser.maxOpen).toBe(2);
+    expect(browser.contexts.every(context => context.closed)).toBe(true);
+    expect(browser.contexts[0].options).toEqual({ locale: 'en-GB' });
+  });
+
+  test('a failing user is recorded and the others still run', async () => {
+    const browser = fakeBrowser();
+
+    const results = await runUsersInParallel(browser, ['standard_user', 'locked_out_user', 'problem_user'], async ({ userType }) => {
+      if (userType === 'locked_out_user') throw new Error('Login failed');
+      return { userType, overallScore: 70 };
+    }, { concurrency: 1 });
+
+    expect(results).toEqual([
+      { userType: 'standard_user', overallScore: 70 },
+      { userType: 'locked_out_user', error: 'Login failed' },
+      { userType: 'problem_user', overallScore: 70 }
+    ]);
+    expect(browser.maxOpen).toBe(1);
+    expect(browser.contexts.every(context => context.closed)).toBe(true);
+  });
+
+  test('concurrency comes from the option, then TESTABILITY_CONCURRENCY', async () => {
+    const saved = process.env.TESTABILITY_CONCURRENCY;
+
+    try {
+      delete process.env.TESTABILITY_CONCURRENCY;
+      expect(resolveConcurrency()).toBe(DEFAULT_CONCURRENCY);
+
+      process.env.TESTABILITY_CONCURRENCY = '5';
+      expect(resolveConcurrency()).toBe(5);
+      expect(resolveConcurrency(2)).toBe(2);
+
+      expect(() => resolveConcurrency(0)).toThrow('Invalid concurrency');
+      expect(() => resolveConcurrency('many')).toThrow('Invalid concurrency');
+    } finally {
+      if (saved === undefined) delete process.env.TESTABILITY_CONCURRENCY;
+      else process.env.TESTABILITY_CONCURRENCY = saved;
+    }
+  });
+
+  test('context options keep the project\'s device emulation and drop runner settings', async () => {
+    const options = contextOptionsFromProject({
+      ...devices['Pixel 5'],
+      baseURL: 'http://127.0.0.1:4321/',
+      locale: 'de-DE',
+      trace: 'on-first-retry',
+      actionTimeout: 10000,
+      launchOptions: { slowMo: 0 },
+      contextOptions: { recordVideo: { mode: 'retain-on-failure' }, timezoneId: 'Europe/Berlin' }
+    });
+
+    expect(options).toEqual({
+      baseURL: 'http://127.0.0.1:4321/',
+      deviceScaleFactor: devices['Pixel 5'].deviceScaleFactor,
+      hasTouch: true,
+      isMobile: true,
+      locale: 'de-DE',
+      screen: devices['Pixel 5'].screen,
+      timezoneId: 'Europe/Berlin',
+      userAgent: devices['Pixel 5'].userAgent,
+      viewport: devices['Pixel 5'].viewport
+    });
+    expect(contextOptionsFromProject()).toEqual({});
+  });
+});
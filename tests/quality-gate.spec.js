@@ -0,0 +1,110 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QualityGate, loadQualityGate, thresholdProblems, DEFAULT_THRESHOLDS_PATH } = require('../quality-gate');
+const { createResults } = require('../results-schema');
+
+/**
+ * Quality Gate Tests
+ *
+ * Checks thresholds, baseline drops and the bundled thresholds file without a browser
+ */
+
+function results(overallScore, principleScores, { kind = 'complete', browser = 'chromium' } = {}) {
+  return createResults(kind, {
+    browser,
+    results: [{ userType: 'standard_user', overallScore, principleScores }]
+  });
+}
+
+test.describe('Quality Gate', () => {
+
+  test('minimums fail on low or unassessed principles', async () => {
+    const gate = new QualityGate({ minOverallScore: 60, principleMinimums: { observability: 70, smallness: 50 } });
+
+    const evaluation = gate.evaluate(results(65, { observability: 68 }));
+    expect(evaluation.passed).toBe(false);
+    expect(evaluation.checks).toEqual([
+      { check: 'Overall score', actual: '65', limit: '≥ 60', passed: true },
+      { check: 'observability', actual: '68', limit: '≥ 70', passed: false },
+      { check: 'smallness', actual: 'not assessed', limit: '≥ 50', passed: false }
+    ]);
+
+    expect(gate.evaluate(results(75, { observability: 80, smallness: 50 })).passed).toBe(true);
+  });
+
+  test('drops are measured against the stored baseline', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'testability-gate-'));
+    try {
+      const gate = new QualityGate({ maxDrop: { overall: 5, principle: 10 }, baseline: path.join(dir, 'baseline.json') });
+      expect(gate.readBaseline()).toBeNull();
+      expect(gate.evaluate(results(40, { observability: 40 }), gate.readBaseline()).checks).toEqual([]);
+
+      gate.saveBaseline(results(70, { observability: 80, controllability: 60 }), 'baseline-run.json');
+      const evaluation = gate.evaluate(results(66, { observability: 69, controllability: 65 }), gate.readBaseline());
+
+      expect(evaluation.baseline.sourceFile).toBe('baseline-run.json');
+      expect(evaluation.baseline.snapshot.results[0].userType).toBe('standard_user');
+      expect(evaluation.checks.map(check => [check.check, check.passed])).toEqual([
+        ['Overall drop', true],
+        ['observability drop', false],
+        ['controllability drop', true]
+      ]);
+      expect(evaluation.checks[1].actual).toBe('80 → 69 (-11)');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('the baseline path is relative to the thresholds file, not the working directory', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'testability-gate-'));
+    try {
+      const thresholdsPath = path.join(dir, 'thresholds.json');
+      fs.writeFileSync(thresholdsPath, JSON.stringify({ maxDrop: { overall: 5 }, baseline: 'baselines/main.json' }));
+
+      expect(loadQualityGate(thresholdsPath).baselinePath).toBe(path.join(dir, 'baselines', 'main.json'));
+      expect(loadQualityGate().baselinePath).toBe(path.join(path.dirname(DEFAULT_THRESHOLDS_PATH), 'testability-baseline.json'));
+      expect(new QualityGate({}).baselinePath).toBe(path.resolve('testability-baseline.json'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('a baseline of another kind fails the gate instead of being compared', async () => {
+    const gate = new QualityGate({ maxDrop: { overall: 5, principle: 10 } });
+    const baseline = { kind: 'crawl', browser: 'chromium', target: 'saucedemo', averageScore: 90, principleAverages: { observability: 90 } };
+
+    const evaluation = gate.evaluate(results(60, { observability: 60 }, { kind: 'journey' }), baseline);
+    expect(evaluation.passed).toBe(false);
+    expect(evaluation.baselineMismatch).toEqual(['kind']);
+    expect(evaluation.checks).toEqual([{ check: 'Baseline kind', actual: 'journey', limit: '= crawl', passed: false }]);
+  });
+
+  test('a baseline from another browser fails the gate instead of being compared', async () => {
+    const gate = new QualityGate({ maxDrop: { overall: 5, principle: 10 } });
+    const baseline = { kind: 'complete', browser: 'chromium', target: null, averageScore: 90, principleAverages: { observability: 90 } };
+
+    const evaluation = gate.evaluate(results(60, { observability: 60 }, { browser: 'webkit' }), baseline);
+    expect(evaluation.passed).toBe(false);
+    expect(evaluation.baselineMismatch).toEqual(['browser']);
+    expect(evaluation.checks).toEqual([{ check: 'Baseline browser', actual: 'webkit', limit: '= chromium', passed: false }]);
+
+    // No target on either side means the default profile, so that alone is no mismatch
+    expect(gate.evaluate(results(88, { observability: 88 }), baseline).passed).toBe(true);
+  });
+
+  test('thresholds are validated and the bundled file loads', async () => {
+    expect(thresholdProblems({ results: { kind: 'nightly' }, minOverallScore: 120, principleMinimums: { speed: 10 }, maxDrop: { overall: -1 } })).toEqual([
+      '"results.kind" must be one of complete, ai, quick, scorer, crawl, journey, reporter, failure-analysis, impact-matrix, user-comparison',
+      '"minOverallScore" must be a number from 0 to 100',
+      'minimum given for unknown principle "speed"',
+      '"maxDrop.overall" must be a number from 0 to 100'
+    ]);
+    expect(() => new QualityGate({ principleMinimums: { observability: 'high' } })).toThrow(/Invalid quality gate thresholds/);
+
+    const gate = loadQualityGate();
+    expect(gate.results.kind).toBe('complete');
+    expect(gate.selectResults(path.join(__dirname, 'reports')).document.kind).toBe('complete');
+  });
+});
@@ -0,0 +1,127 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveRun, diffResults, formatDiffText, buildDiffHTML } = require('../results-diff');
+const { createResults, writeResults } = require('../results-schema');
+const { HistoryStore } = require('../history-store');
+
+/**
+ * Results Diff Tests
+ *
+ * Checks score, sub-metric, recommendation and element changes between two runs without a browser
+ */
+
+function run(timestamp, { overallScore, observability, dataTestAttributes, samples, recommendations }) {
+  return createResults('complete', {
+    timestamp,
+    browser: 'chromium',
+    results: [
+      {
+        userType: 'standard_user',
+        overallScore,
+        principleScores: { observability },
+        detailedMetrics: { observability: { dataTestAttributes, errorVisibility: 10 } },
+        aiRecommendations: recommendations.map(principle => ({ principle, priority: 'High', suggestion: `Improve ${principle}` })),
+        evidence: {
+          observability: {
+            dataTestAttributes: { selector: '[data-test]', count: samples.length, samples },
+            errorVisibility: { matched: { errors: { selector: '.error', count: 1, samples: ['div.error'] } } }
+          }
+        }
+      },
+      { userType: 'locked_out_user', error: 'Login failed' }
+    ]
+  });
+}
+
+test.describe('Results Diff', () => {
+
+  test('diffs scores, sub-metrics, recommendations and elements per user', async () => {
+    const before = run('2025-10-01T10:00:00.000Z', {
+      overallScore: 70, observability: 80, dataTestAttributes: 20,
+      samples: ['button#login', 'input#user'], recommendations: ['explainability', 'smallness']
+    });
+    const after = run('2025-10-02T10:00:00.000Z', {
+      overallScore: 64, observability: 72, dataTestAttributes: 10,
+      samples: ['input#user'], recommendations: ['explainability', 'observability']
+    });
+
+    const diff = diffResults(before, after);
+    const [user, locked] = diff.users;
+
+    expect(user.overall).toEqual({ before: 70, after: 64, change: -6 });
+    expect(user.principles).toEqual([{ principle: 'observability', before: 80, after: 72, change: -8 }]);
+    expect(user.metrics).toEqual([{ principle: 'observability', metric: 'dataTestAttributes', before: 20, after: 10, change: -10 }]);
+    expect(user.recommendations.added.map(rec => rec.principle)).toEqual(['observability']);
+    expect(user.recommendations.resolved.map(rec => rec.principle)).toEqual(['smallness']);
+    expect(user.elements).toEqual([{
+      principle: 'observability', metric: 'dataTestAttributes', selector: '[data-test]',
+      before: 2, after: 1, change: -1, appeared: [], disappeared: ['button#login']
+    }]);
+    expect(locked.status).toBe('unscored');
+
+    const text = formatDiffText(diff, { before: 'a.json', after: 'b.json' });
+    expect(text).toContain('Overall: 70 → 64 ↘️ -6');
+    expect(text).toContain('    - button#login');
+
+    const html = buildDiffHTML(diff, { before: 'a.json', after: 'b.json' });
+    expect(html).not.toMatch(/<script/);
+    expect(html).toContain('<code>[data-test]</code>');
+  });
+
+  test('reporter snapshots that share a user type are matched by test and label', async () => {
+    const reporterRun = (timestamp, scores) => createResults('reporter', {
+      timestamp,
+      browser: 'chromium',
+      results: Object.entries(scores).map(([label, overallScore]) => ({
+        userType: 'current_user',
+        testTitle: 'checkout › buys a backpack',
+        label,
+        project: 'chromium',
+        overallScore,
+        principleScores: { observability: overallScore }
+      }))
+    });
+
+    const diff = diffResults(
+      reporterRun('2025-10-01T10:00:00.000Z', { 'cart page': 70, 'payment page': 60 }),
+      reporterRun('2025-10-02T10:00:00.000Z', { 'cart page': 72, 'payment page': 50 })
+    );
+
+    expect(diff.users.map(user => [user.key, user.userType, user.overall.change])).toEqual([
+      ['current_user › checkout › buys a backpack › cart page [chromium]', 'current_user', 2],
+      ['current_user › checkout › buys a backpack › payment page [chromium]', 'current_user', -10]
+    ]);
+    expect(formatDiffText(diff)).toContain('PAYMENT PAGE [CHROMIUM]');
+
+    // Without the test and label to tell them apart, the snapshots cannot be matched one to one
+    const ambiguous = reporterRun('2025-10-01T10:00:00.000Z', { 'cart page': 70 });
+    ambiguous.results.push({ ...ambiguous.results[0], overallScore: 65 });
+    expect(() => diffResults(ambiguous, ambiguous)).toThrow('Cannot diff: the before run has more than one scored result for "current_user › checkout › buys a backpack › cart page [chromium]"');
+  });
+
+  test('runs resolve from files and from the score history', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'testability-diff-'));
+    try {
+      const store = HistoryStore.beside(dir);
+      const options = { overallScore: 70, observability: 80, dataTestAttributes: 20, samples: [], recommendations: [] };
+      writeResults(path.join(dir, 'first.json'), 'complete', run('2025-10-01T10:00:00.000Z', options), { recordHistory: true });
+      store.recordResults(run('2025-10-02T10:00:00.000Z', { ...options, overallScore: 75 }), { sourceFile: 'deleted.json' });
+
+      expect(resolveRun(path.join(dir, 'first.json'), { reportsDir: dir }).label).toBe('first.json');
+
+      const latest = resolveRun('history:0', { reportsDir: dir, store });
+      expect(latest.label).toBe('history:0 (2025-10-02T10:00:00.000Z)');
+      expect(latest.document.results[0]).toMatchObject({ userType: 'standard_user', overallScore: 75 });
+
+      const previous = resolveRun('history:1', { reportsDir: dir, store });
+      expect(previous.label).toBe('history:1 (first.json)');
+      expect(previous.document.results[0].detailedMetrics).toBeDefined();
+
+      expect(() => resolveRun('history:5', { reportsDir: dir, store })).toThrow(/holds 2 runs/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,85 @@
+const { test, expect } = require('@playwright/test');
+const path = require('path');
+const {
+  createResults, resultsProblems, upgradeResults, listResults, RESULTS_SCHEMA_VERSION
+} = require('../results-schema');
+
+/**
+ * Results Schema Tests
+ *
+ * Checks the versioned results envelope, its validator and the upgrade of older report files
+ */
+
+test.describe('Results Schema', () => {
+
+  test('documents are built in one shape with a computed summary', async () => {
+    const document = createResults('quick', {
+      timestamp: '2025-10-07T17:09:26.378Z',
+      browser: 'chromium',
+      results: [
+        { userType: 'standard_user', overallScore: 60, scores: { observability: 80, controllability: 40 } },
+        { userType: 'locked_out_user', error: 'Login failed' }
+      ]
+    });
+
+    expect(document).toMatchObject({ schema: 'testability-results', schemaVersion: RESULTS_SCHEMA_VERSION, kind: 'quick' });
+    expect(document.results[0].principleScores).toEqual({ observability: 80, controllability: 40 });
+    expect(document.results[0].scores).toBeUndefined();
+    expect(document.results[1]).toMatchObject({ overallScore: null, principleScores: {} });
+    expect(document.summary).toMatchObject({ totalAssessed: 2, successful: 1, failed: 1, averageScore: 60 });
+    expect(document.summary.principleAverages.observability).toBe(80);
+  });
+
+  test('invalid documents are rejected with readable problems', async () => {
+    expect(() => createResults('nightly', { results: [] })).toThrow(/"kind" must be one of/);
+    expect(() => createResults('complete', { timestamp: 'yesterday' })).toThrow(/ISO date/);
+
+    const document = createResults('complete', { results: [{ userType: 'standard_user', overallScore: 70, principleScores: {} }] });
+    document.results[0].principleScores = { speed: 5, smallness: 'big' };
+    expect(resultsProblems(document)).toEqual([
+      'results[0].principleScores has unknown principle "speed"',
+      'results[0].principleScores.smallness must be a number or null'
+    ]);
+  });
+
+  test('older report shapes are upgraded on read', async () => {
+    const complete = upgradeResults({
+      timestamp: '2025-10-07T17:26:34.796Z',
+      browser: 'chromium',
+      results: [{ userType: 'standard_user', overallScore: 73, principleScores: { observability: 83 } }],
+      summary: { totalUsers: 1, averageScore: 73, criticalIssues: ['x'] }
+    }, 'complete-testability-chromium-2025-10-07T17-26-48-775Z.json');
+    expect(complete).toMatchObject({ kind: 'complete', upgradedFrom: 'legacy' });
+    expect(complete.summary).toMatchObject({ averageScore: 73, criticalIssues: ['x'] });
+
+    const scorer = upgradeResults(
+      { timestamp: '2025-10-07T17:09:42.085Z', overallScore: 59, principleScores: { observability: 89 } },
+      'testability-scores-webkit-2025-10-07T17-10-06-273Z.json'
+    );
+    expect(scorer).toMatchObject({ kind: 'scorer', browser: 'webkit', summary: { averageScore: 59 } });
+
+    const failures = upgradeResults({
+      timestamp: '2025-10-07T17:40:44.576Z',
+      failureAnalysis: { performance_glitch_user: { status: 'failed', error: 'Timeout', score: 0, duration: 20018 } }
+    });
+    expect(failures.kind).toBe('failure-analysis');
+    expect(failures.results[0]).toMatchObject({ userType: 'performance_glitch_user', overallScore: null, error: 'Timeout' });
+
+    const comparison = upgradeResults({
+      timestamp: '2025-10-07T17:10:39.756Z',
+      userScores: { standard_user: { observability: 79, average: 45 }, problem_user: { error: 'closed' } }
+    });
+    expect(comparison.results.map(result => result.overallScore)).toEqual([45, null]);
+
+    expect(() => upgradeResults({ schema: 'testability-results', schemaVersion: RESULTS_SCHEMA_VERSION + 1 })).toThrow(/reads up to/);
+  });
+
+  test('every archived report in tests/reports upgrades cleanly', async () => {
+    const documents = listResults(path.join(__dirname, 'reports'));
+
+    expect(documents.length).toBeGreaterThan(0);
+    documents.forEach(({ file, document }) => {
+      expect(resultsProblems(document), file).toEqual([]);
+    });
+  });
+});
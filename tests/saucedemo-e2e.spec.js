@@ -1,4 +1,6 @@
 const { test, expect } = require('@playwright/test');
+const { loadTargetProfile } = require('../target-profile');
+const { KeyboardNavigation } = require('../keyboard-navigation');
 
 /**
  * SauceDemo E2E Tests - Comprehensive User Journey Testing
@@ -60,7 +62,8 @@ const USERS = {
   }
 };
 
-const BASE_URL = 'https://www.saucedemo.com/';
+// The SauceDemo replica when run through playwright.config.js, else the live site
+const BASE_URL = loadTargetProfile('saucedemo').resolveUrl('/');
 
 // Helper functions demonstrating Decomposability principle
 class SauceDemoPage {
@@ -472,12 +475,14 @@ test.describe('SauceDemo E2E Tests - User Type Analysis', () => {
       console.log(`Elements with data-test attributes: ${elementsWithDataTest}`);
       console.log(`Elements with aria-labels: ${elementsWithAriaLabels}`);
       
-      // Test keyboard navigation (Controllability)
-      await page.keyboard.press('Tab');
-      await page.keyboard.press('Tab');
-      await page.keyboard.press('Enter');
+      // Walk the whole tab order (Controllability)
+      const keyboard = await KeyboardNavigation.probe(page);
+      const { focusStops, endedBy, unreachable } = keyboard.summary();
       
-      console.log('✅ Keyboard navigation tested');
+      console.log(`Keyboard: ${focusStops} focus stops, ended by ${endedBy}, ${unreachable} unreachable controls`);
+      keyboard.findings.slice(0, 5).forEach(finding => console.log(`  ⌨️ ${finding.type}: ${finding.element}`));
+      expect(keyboard.findingsOf('focus-trap')).toEqual([]);
+      expect(keyboard.sequence.some(stop => stop.target.includes('add-to-cart'))).toBe(true);
       
       // Verify semantic HTML structure (Explainability)
       const headings = await page.locator('h1, h2, h3, h4, h5, h6').count();
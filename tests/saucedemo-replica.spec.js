@@ -0,0 +1,118 @@
+const { test, expect } = require('@playwright/test');
+const { startReplicaServer, APP_ROUTES } = require('../saucedemo-replica/server');
+const { TargetProfile, loadTargetProfile } = require('../target-profile');
+
+/**
+ * SauceDemo Replica Tests
+ *
+ * Starts its own replica on a free port, checks what the server answers, then that the pages
+ * reproduce the SauceDemo user types the analyzers and specs rely on
+ */
+
+test.describe('SauceDemo Replica', () => {
+  let server;
+  let baseUrl;
+  let profile;
+
+  test.beforeAll(async () => {
+    ({ server, url: baseUrl } = await startReplicaServer({ port: 0 }));
+
+    // The bundled SauceDemo profile, pointed at this replica
+    const { source, ...definition } = loadTargetProfile('saucedemo');
+    profile = new TargetProfile({ ...definition, baseUrl }, source);
+  });
+
+  test.afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('every page route returns the app shell and static files are served', async () => {
+    for (const route of APP_ROUTES) {
+      const response = await fetch(new URL(route, baseUrl));
+      expect(response.status, route).toBe(200);
+      expect(await response.text(), route).toContain('/static/js/app.js');
+    }
+
+    const script = await fetch(new URL('/static/js/products.js', baseUrl));
+    expect(script.headers.get('content-type')).toContain('javascript');
+
+    expect((await fetch(new URL('/static/media/sl-404.svg', baseUrl))).status).toBe(200);
+    expect((await fetch(new URL('/missing.html', baseUrl))).status).toBe(404);
+    expect((await fetch(new URL('/static/%2e%2e/server.js', baseUrl))).status).toBe(404);
+    expect((await fetch(new URL('/static/%E0%A4%A', baseUrl))).status).toBe(404);
+  });
+
+  test('standard_user completes the checkout journey', async ({ page }) => {
+    expect(await profile.performLogin(page, 'standard_user')).toBe(true);
+    await expect(page.locator('[data-test="inventory-item"]')).toHaveCount(6);
+
+    await page.locator('[data-test="add-to-cart-sauce-labs-backpack"]').click();
+    await page.locator('[data-test="add-to-cart-sauce-labs-bike-light"]').click();
+    await expect(page.locator('[data-test="shopping-cart-badge"]')).toHaveText('2');
+
+    await page.locator('[data-test="shopping-cart-link"]').click();
+    await expect(page).toHaveURL(/cart\.html/);
+    await page.locator('[data-test="checkout"]').click();
+
+    await page.locator('[data-test="firstName"]').fill('Test');
+    await page.locator('[data-test="lastName"]').fill('User');
+    await page.locator('[data-test="postalCode"]').fill('12345');
+    await page.locator('[data-test="continue"]').click();
+    await expect(page.locator('[data-test="subtotal-label"]')).toHaveText('Item total: $39.98');
+    await expect(page.locator('[data-test="total-label"]')).toHaveText('Total: $43.18');
+
+    await page.locator('[data-test="finish"]').click();
+    await expect(page.locator('[data-test="complete-header"]')).toHaveText('Thank you for your order!');
+    await expect(page.locator('[data-test="shopping-cart-badge"]')).toHaveCount(0);
+  });
+
+  test('locked_out_user and unknown users are refused on the login page', async ({ page }) => {
+    expect(await profile.performLogin(page, 'locked_out_user')).toBe(false);
+    await expect(page.locator('[data-test="error"]')).toHaveText('Epic sadface: Sorry, this user has been locked out.');
+
+    await page.goto(profile.resolveUrl('/inventory.html'));
+    await expect(page).toHaveURL(baseUrl);
+    await expect(page.locator('[data-test="error"]')).toContainText('when you are logged in');
+  });
+
+  test('problem_user, error_user and visual_user reproduce their defects', async ({ browser }) => {
+    const loggedInPage = async userType => {
+      const context = await browser.newContext();
+      const page = await context.newPage();
+      expect(await profile.performLogin(page, userType)).toBe(true);
+      return page;
+    };
+
+    const problem = await loggedInPage('problem_user');
+    const imageSources = await problem.locator('img.inventory_item_img').evaluateAll(images => images.map(img => img.getAttribute('src')));
+    expect(new Set(imageSources)).toEqual(new Set(['/static/media/sl-404.svg']));
+    await problem.locator('[data-test="add-to-cart-sauce-labs-bolt-t-shirt"]').click();
+    await expect(problem.locator('[data-test="shopping-cart-badge"]')).toHaveCount(0);
+    await problem.goto(profile.resolveUrl('/checkout-step-one.html'));
+    await problem.locator('[data-test="lastName"]').fill('User');
+    await expect(problem.locator('[data-test="firstName"]')).toHaveValue('User');
+    await expect(problem.locator('[data-test="lastName"]')).toHaveValue('');
+
+    const error = await loggedInPage('error_user');
+    const consoleErrors = [];
+    error.on('console', message => message.type() === 'error' && consoleErrors.push(message.text()));
+    await error.locator('[data-test="add-to-cart-sauce-labs-fleece-jacket"]').click();
+    expect(consoleErrors).toEqual(['Failed to add item to the cart.']);
+    await error.locator('[data-test="add-to-cart-sauce-labs-backpack"]').click();
+    await error.goto(profile.resolveUrl('/checkout-step-two.html'));
+    await error.locator('[data-test="finish"]').click();
+    await expect(error).toHaveURL(/checkout-step-two/);
+
+    const visual = await loggedInPage('visual_user');
+    await expect(visual.locator('#shopping_cart_container')).toHaveClass(/visual_failure/);
+    await expect(visual.locator('[data-test="inventory-item-price"]').first()).not.toHaveText('$29.99');
+
+    await Promise.all([problem, error, visual].map(page => page.context().close()));
+  });
+
+  test('performance_glitch_user logs in, but slowly', async ({ page }) => {
+    const started = Date.now();
+    expect(await profile.performLogin(page, 'performance_glitch_user')).toBe(true);
+    expect(Date.now() - started).toBeGreaterThan(2500);
+  });
+});
@@ -0,0 +1,119 @@
+const { test, expect } = require('@playwright/test');
+const { ScoringRubric, loadScoringRubric, weightingProblems, PRINCIPLES } = require('../scoring-rubric');
+
+/**
+ * Scoring Rubric Tests
+ *
+ * Checks the rule engine and the bundled rubric without opening a browser
+ */
+
+function rubricWith(metrics, principle = 'observability') {
+  const principles = Object.fromEntries(PRINCIPLES.map(name => [name, { weight: 1, metrics: {} }]));
+  principles[principle].metrics = metrics;
+  return new ScoringRubric({ name: 'test', principles });
+}
+
+test.describe('Scoring Rubric', () => {
+
+  test('bundled rubric loads with all 10 principles', async () => {
+    const rubric = loadScoringRubric();
+
+    expect(Object.keys(rubric.weights)).toEqual(PRINCIPLES);
+    expect(rubric.maxPoints('observability', 'dataTestAttributes')).toBe(25);
+    expect(rubric.scoreMetric('observability', 'dataTestAttributes', 7)).toBe(17);
+    expect(rubric.scoreMetric('observability', 'dataTestAttributes', 100)).toBe(25);
+  });
+
+  test('rule types convert measured values into clamped points', async () => {
+    const rubric = rubricWith({
+      count: { maxPoints: 10, rule: { type: 'linear', perUnit: 2 } },
+      size: { maxPoints: 20, rule: { type: 'bands', bands: [{ below: 10, points: 20 }, { upTo: 50, points: 10 }], otherwise: 2 } },
+      visible: { maxPoints: 5, rule: { type: 'boolean', whenTrue: 5, whenFalse: 1 } },
+      precision: { maxPoints: 8, rule: { type: 'choice', points: { exact: 8, partial: 4 } } },
+      state: { maxPoints: 10, rule: { type: 'composite', base: 1, parts: { cookies: 4, forms: { maxPoints: 3, rule: { type: 'linear', perUnit: 1 } } } } },
+      network: { maxPoints: 10, unknown: 6, rule: { type: 'boolean', whenTrue: 10 } }
+    });
+
+    expect(rubric.scoreMetric('observability', 'count', 3)).toBe(6);
+    expect(rubric.scoreMetric('observability', 'count', 30)).toBe(10);
+    expect(rubric.scoreMetric('observability', 'size', 5)).toBe(20);
+    expect(rubric.scoreMetric('observability', 'size', 40)).toBe(10);
+    expect(rubric.scoreMetric('observability', 'size', 400)).toBe(2);
+    expect(rubric.scoreMetric('observability', 'visible', false)).toBe(1);
+    expect(rubric.scoreMetric('observability', 'precision', 'partial')).toBe(4);
+    expect(rubric.scoreMetric('observability', 'precision', 'absent')).toBe(0);
+    expect(rubric.scoreMetric('observability', 'state', { cookies: true, forms: 9 })).toBe(8);
+    expect(rubric.scoreMetric('observability', 'network', null)).toBe(6);
+  });
+
+  test('principle and overall scores normalize over what was measured', async () => {
+    const rubric = rubricWith({
+      a: { maxPoints: 40, rule: { type: 'linear', perUnit: 1 } },
+      b: { maxPoints: 60, rule: { type: 'linear', perUnit: 1 } },
+      extra: { maxPoints: 10, bonus: true, rule: { type: 'linear', perUnit: 1 } }
+    });
+
+    expect(rubric.scorePrinciple('observability', { a: 20, b: 30 })).toBe(50);
+    expect(rubric.scorePrinciple('observability', { a: 20 })).toBe(50);
+    expect(rubric.scorePrinciple('observability', { a: 40, b: 60, extra: 10 })).toBe(100);
+    // null points: the sub-metric was not assessed and counts towards nothing
+    expect(rubric.scorePrinciple('observability', { a: 20, b: null })).toBe(50);
+    expect(rubric.scorePrinciple('observability', { a: null, b: null })).toBeNull();
+    expect(rubric.scorePrinciple('observability', {})).toBeNull();
+    expect(rubric.describe('observability', { a: 20, b: null })).toBe('a: 20/40, b: not assessed');
+    expect(rubric.overallScore({ observability: 80, controllability: 40, smallness: 'n/a' })).toBe(60);
+  });
+
+  test('per-project weights and not-assessed principles shape the overall score', async () => {
+    const rubric = loadScoringRubric();
+    const scores = Object.fromEntries(PRINCIPLES.map(principle => [principle, 50]));
+    scores.observability = 90;
+    scores.smallness = null;
+
+    const weighed = rubric.weighPrinciples(scores, { weights: { observability: 3 }, notAssessed: ['similarity'] });
+
+    expect(weighed.notAssessed).toEqual(['smallness', 'similarity']);
+    expect(weighed.appliedWeights.observability).toBe(3);
+    expect(Object.keys(weighed.appliedWeights)).toHaveLength(8);
+    expect(weighed.overallScore).toBe(Math.round((90 * 3 + 50 * 7) / 10));
+    expect(rubric.overallScore({ observability: 80, controllability: 60, smallness: null })).toBe(70);
+  });
+
+  test('per-project weighting is validated', async () => {
+    expect(weightingProblems({ weights: { observability: 2 }, notAssessed: ['smallness'] })).toEqual([]);
+    expect(weightingProblems({ weights: { speed: 1, smallness: -1 }, notAssessed: ['vibes'] })).toEqual([
+      'weight given for unknown principle "speed"',
+      'weight for "smallness" must be a non-negative number',
+      '"notAssessed" lists unknown principle "vibes"'
+    ]);
+  });
+
+  test('explanations name the threshold that applied and why points were withheld', async () => {
+    const rubric = rubricWith({
+      count: { maxPoints: 10, rule: { type: 'linear', perUnit: 2 } },
+      size: { maxPoints: 20, rule: { type: 'bands', bands: [{ below: 10, points: 20 }, { upTo: 50, points: 10 }], otherwise: 2 } },
+      network: { maxPoints: 10, unknown: 6, rule: { type: 'boolean', whenTrue: 10 } }
+    });
+
+    const partial = rubric.explainMetric('observability', 'count', 3);
+    expect(partial).toMatchObject({ points: 6, maxPoints: 10, value: 3, rule: '2 points per unit' });
+    expect(partial.withheld).toBe('4 points withheld: 3 is below the 5 needed for full points');
+    expect(rubric.explainMetric('observability', 'count', 30).withheld).toBeNull();
+
+    const banded = rubric.explainMetric('observability', 'size', 40);
+    expect(banded.points).toBe(10);
+    expect(banded.applied).toContain('≤ 50');
+    expect(banded.withheld).toContain('misses the best band');
+
+    const unmeasured = rubric.explainMetric('observability', 'network', null);
+    expect(unmeasured.points).toBe(6);
+    expect(unmeasured.applied).toContain('not measured');
+  });
+
+  test('invalid rubrics fail at load time', async () => {
+    expect(() => new ScoringRubric({ principles: {} })).toThrow(/principle "observability" is missing/);
+    expect(() => rubricWith({ broken: { maxPoints: 5, rule: { type: 'magic' } } })).toThrow(/observability\.broken needs a rule/);
+    expect(() => rubricWith({ broken: { rule: { type: 'boolean' } } })).toThrow(/positive "maxPoints"/);
+    expect(() => loadScoringRubric().getMetric('observability', 'nope')).toThrow(/no metric "nope"/);
+  });
+});
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { SVGCharts } = require('../svg-charts');
+const { TestabilityHTMLReportGenerator } = require('../html-report-generator');
+
+/**
+ * SVG Chart Tests
+ *
+ * Reports must render offline: charts are inline SVG and nothing is loaded from the network
+ */
+
+test.describe('SVG Charts', () => {
+
+  test('radar and bar charts render as escaped inline SVG', async () => {
+    const radar = SVGCharts.radar({ labels: ['Observability', 'A<B'], values: [80, 40] });
+    expect(radar).toContain('<svg');
+    expect(radar).toContain('A&lt;B');
+    expect(radar.match(/<circle[^>]*r="4"/g)).toHaveLength(2);
+
+    const bar = SVGCharts.bar({
+      labels: ['standard_user', 'problem_user'],
+      datasets: [{ label: 'Score', values: [72, 38], color: value => (value >= 60 ? 'green' : 'red') }],
+      max: 100
+    });
+    expect(bar.match(/<rect[^>]*fill="green"/g)).toHaveLength(1);
+    expect(bar.match(/<rect[^>]*fill="red"/g)).toHaveLength(1);
+  });
+
+  test('line charts skip missing points in a series', async () => {
+    const line = SVGCharts.line({
+      labels: ['run 1', 'run 2', 'run 3'],
+      datasets: [{ label: 'standard_user', values: [60, null, 70] }, { label: 'problem_user', values: [40, 45, 50] }]
+    });
+
+    expect(line.match(/<polyline/g)).toHaveLength(2);
+    expect(line.match(/<circle/g)).toHaveLength(5);
+    expect(line).not.toContain('NaN');
+  });
+
+  test('reports are single self-contained files', async () => {
+    const generator = new TestabilityHTMLReportGenerator();
+    generator.reportData = generator.processResults([
+      { userType: 'standard_user', overallScore: 72, principleScores: { observability: 80, smallness: 60 } }
+    ]);
+
+    const html = generator.buildHTMLContent();
+    expect(html).not.toMatch(/<script[^>]+src=/);
+    expect(html).not.toContain('new Chart(');
+    expect(html.match(/<svg class="svg-chart"/g)).toHaveLength(2);
+  });
+
+  test('unassessed principles show N/A and get no radar axis', async () => {
+    const generator = new TestabilityHTMLReportGenerator();
+    generator.reportData = generator.processResults([
+      { userType: 'standard_user', overallScore: 72, principleScores: { observability: 80, smallness: 60, similarity: null } }
+    ]);
+
+    expect(generator.reportData.principleAverages).toMatchObject({ observability: 80, smallness: 60, similarity: null });
+    const html = generator.buildHTMLContent();
+    expect(html).toContain('<div class="principle-score ">N/A</div>');
+    expect(html).not.toMatch(/NaN|>null</);
+    expect(generator.buildChartsSection().match(/<circle[^>]*r="4"/g)).toHaveLength(2);
+  });
+
+  test('archived reports load nothing from the network', async () => {
+    const reportsDir = path.join(__dirname, 'reports');
+    const reports = fs.readdirSync(reportsDir).filter(file => file.endsWith('.html'));
+
+    reports.forEach(file => {
+      const html = fs.readFileSync(path.join(reportsDir, file), 'utf8');
+      expect(html, file).not.toMatch(/<script[^>]+src=/);
+      expect(html, file).not.toContain('new Chart(');
+    });
+  });
+});
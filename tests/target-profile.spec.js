@@ -0,0 +1,109 @@
+const fs = require('fs');
+const { test, expect } = require('@playwright/test');
+const { TargetProfile, loadTargetProfile, DEFAULT_CRAWL_EXCLUDE } = require('../target-profile');
+
+/**
+ * Target Profile Tests
+ *
+ * Checks profile validation, credential expansion and loading without opening a browser
+ */
+
+function profileWith(overrides = {}) {
+  return new TargetProfile({
+    name: 'shop',
+    baseUrl: 'https://shop.example/app/',
+    login: { path: '/signin', steps: [{ action: 'fill', selector: '#email', value: '{{username}}' }] },
+    users: {
+      buyer: { username: 'buyer@shop.example', password: '{{env.SHOP_BUYER_PASSWORD}}' },
+      admin: { username: 'admin@shop.example', password: 'plain' }
+    },
+    ...overrides
+  });
+}
+
+// Run fn with environment variables set (undefined unsets one), then put them back
+function withEnv(values, fn) {
+  const saved = Object.fromEntries(Object.keys(values).map(name => [name, process.env[name]]));
+  const apply = entries => Object.entries(entries).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+
+  apply(values);
+  try {
+    return fn();
+  } finally {
+    apply(saved);
+  }
+}
+
+test.describe('Target Profile', () => {
+
+  test('invalid profiles are rejected with every problem named', async () => {
+    expect(() => new TargetProfile({ name: 'empty' })).toThrow(
+      'Invalid target profile "empty" (inline): "baseUrl" is required; "users" must define at least one user type'
+    );
+
+    expect(() => profileWith({
+      login: { steps: [{ action: 'click' }] },
+      journeys: {
+        browse: { steps: [] },
+        buy: { steps: [{ actions: [{ action: 'goto', url: '/' }, { action: 'click' }] }] }
+      },
+      crawl: { exclude: 'logout' },
+      scoring: { weights: { observability: -1 } }
+    })).toThrow(new RegExp([
+      'login step 1 needs a "selector" or a "target" description',
+      'journey "browse" needs a non-empty "steps" array',
+      'journey "buy" step 1 action 2 needs a "selector" or a "target" description',
+      '"crawl.exclude" must be an array of strings',
+      'scoring: '
+    ].join('.*')));
+  });
+
+  test('user types keep their declaration order and credentials expand {{env.NAME}}', async () => {
+    const profile = profileWith();
+
+    expect(profile.userTypes).toEqual(['buyer', 'admin']);
+    expect(profile.getUser('admin')).toEqual({ username: 'admin@shop.example', password: 'plain' });
+    withEnv({ SHOP_BUYER_PASSWORD: 's3cret' }, () => {
+      expect(profile.getUser('buyer')).toEqual({ username: 'buyer@shop.example', password: 's3cret' });
+    });
+    withEnv({ SHOP_BUYER_PASSWORD: undefined }, () => {
+      expect(() => profile.getUser('buyer')).toThrow('Target profile "shop" references unset environment variable SHOP_BUYER_PASSWORD');
+    });
+    expect(() => profile.getUser('guest')).toThrow('Unknown user type "guest" for target profile "shop" (known: buyer, admin)');
+
+    expect(profile.expand('{{username}} / {{missing}}', { username: 'buyer' })).toBe('buyer / {{missing}}');
+    expect(profile.resolveUrl('/cart')).toBe('https://shop.example/cart');
+    expect(profile.resolveUrl('cart')).toBe('https://shop.example/app/cart');
+  });
+
+  test('crawl defaults are safe and always keep the default exclusions', async () => {
+    const profile = profileWith({ crawl: { maxPages: 3, exclude: ['Checkout', 'logout'] } });
+
+    expect(profile.crawl).toMatchObject({ maxDepth: 2, maxPages: 3, ignoreQuery: false, clickButtons: false });
+    expect(profile.crawl.exclude).toEqual([...DEFAULT_CRAWL_EXCLUDE, 'Checkout']);
+    expect(profileWith().crawl.exclude).toEqual(DEFAULT_CRAWL_EXCLUDE);
+  });
+
+  test('profiles load by bundled name or by path, with TESTABILITY_BASE_URL taking over the base URL', async () => {
+    withEnv({ TESTABILITY_BASE_URL: undefined }, () => {
+      const bundled = loadTargetProfile('saucedemo');
+      expect(bundled.name).toBe('saucedemo');
+      expect(bundled.baseUrl).toBe('https://www.saucedemo.com/');
+      expect(bundled.userTypes.slice(0, 2)).toEqual(['standard_user', 'problem_user']);
+    });
+
+    const file = test.info().outputPath('shop.json');
+    fs.writeFileSync(file, JSON.stringify({ baseUrl: 'https://shop.example/', users: { buyer: { username: 'buyer' } } }));
+    withEnv({ TESTABILITY_BASE_URL: 'http://localhost:3100/' }, () => {
+      const loaded = loadTargetProfile(file);
+      expect(loaded.name).toBe('shop');
+      expect(loaded.source).toBe(file);
+      expect(loaded.baseUrl).toBe('http://localhost:3100/');
+    });
+
+    expect(() => loadTargetProfile('no-such-profile')).toThrow('Target profile "no-such-profile" not found (bundled profiles: saucedemo)');
+  });
+});
@@ -20,6 +20,7 @@
 const { test, expect } = require('@playwright/test');
 const { ComprehensiveTestabilityAnalyzer } = require('../comprehensive-testability-analyzer');
 const { TestabilityHTMLReportGenerator } = require('../html-report-generator');
+const { writeResults, failureResult } = require('../results-schema');
 
 test.describe('🚨 Testability Failure Examples - Learning Opportunities', () => {
   let analyzer;
@@ -263,17 +264,16 @@ test.describe('🚨 Testability Failure Examples - Learning Opportunities', () =
     
     // Save results for educational purposes
     const reportPath = `tests/reports/testability-failure-analysis-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
-    require('fs').writeFileSync(reportPath, JSON.stringify({
-      timestamp: new Date().toISOString(),
+    writeResults(reportPath, 'failure-analysis', {
       browser: browserName,
-      failureAnalysis: results,
+      results: Object.entries(results).map(([userType, outcome]) => failureResult(userType, outcome)),
       teachingPoints: [
         'Performance issues affect algorithmic stability',
         'Error states reduce controllability and unbugginess', 
         'Visual problems impact observability',
         'Different failures reveal different testability weaknesses'
       ]
-    }, null, 2));
+    });
     
     console.log(`\n💾 Failure analysis report saved: ${reportPath}`);
     console.log('📊 Perfect for educational discussions and learning!');
@@ -373,15 +373,14 @@ test.describe('🚨 Testability Failure Examples - Learning Opportunities', () =
     
     // Save matrix for educational materials
     const matrixPath = `tests/reports/testability-impact-matrix-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
-    require('fs').writeFileSync(matrixPath, JSON.stringify({
-      timestamp: new Date().toISOString(),
+    writeResults(matrixPath, 'impact-matrix', {
       impactMatrix: impactMatrix,
       educationalNotes: {
         objective: 'Demonstrate how different failure types map to testability principles',
         audience: 'Students and professionals learning about intrinsic testability',
         keyMessage: 'Understanding testability principles helps diagnose and prevent common testing challenges'
       }
-    }, null, 2));
+    });
     
     console.log(`\n💾 Impact matrix saved: ${matrixPath}`);
     console.log('🎤 Ready for educational use!');
@@ -0,0 +1,68 @@
+const { test, expect } = require('../testability-fixture');
+const { TESTABILITY_ATTACHMENT } = require('../testability-reporter');
+
+/**
+ * Testability Fixture Tests
+ *
+ * Scores pages the test itself puts together, with no navigation or login by the analyzer
+ */
+
+const CART_PAGE = `
+  <main>
+    <h1 data-test="title">Your Cart</h1>
+    <ul>
+      <li data-test="cart-item"><span data-test="item-name">Backpack</span> <button data-test="remove-backpack">Remove</button></li>
+    </ul>
+    <button id="checkout" data-test="checkout" aria-label="Checkout">Checkout</button>
+  </main>`;
+
+test.describe('🧪 Testability Fixture', () => {
+
+  test('snapshots score the page as the test left it', async ({ page, testability }) => {
+    await page.setContent(CART_PAGE);
+
+    const cart = await testability.snapshot('cart page');
+
+    expect(cart).toMatchObject({ label: 'cart page', userType: 'current_user', grade: expect.any(String) });
+    expect(Object.keys(cart.principleScores)).toHaveLength(10);
+    expect(cart.evidence.observability.dataTestAttributes.count).toBe(5);
+    expect(cart.errorStats.totalErrors).toBe(0);
+
+    const attachments = test.info().attachments.filter(attachment => attachment.name === TESTABILITY_ATTACHMENT);
+    expect(attachments).toHaveLength(1);
+  });
+
+  test.describe('with a user type set', () => {
+    test.use({ testabilityUserType: 'seeded_admin' });
+
+    test('runtime errors during the test reach the snapshot', async ({ page, testability }) => {
+      await page.setContent(`${CART_PAGE}<script>console.error('cart failed to load')</script>`);
+
+      const first = await testability.snapshot('cart with console error');
+      const second = await testability.snapshot('cart again', { userType: 'guest' });
+
+      expect(first.userType).toBe('seeded_admin');
+      expect(first.errorStats.consoleErrors).toBeGreaterThan(0);
+      expect(second.userType).toBe('guest');
+      expect(testability.snapshots).toHaveLength(2);
+    });
+  });
+
+  test.describe('in read-only mode', () => {
+    test.use({ testabilityOptions: { readOnly: true } });
+
+    test('probes leave a half-filled form alone', async ({ page, testability }) => {
+      await page.setContent(`${CART_PAGE}<input data-test="postal-code" value="">`);
+      await page.fill('[data-test="postal-code"]', '90210');
+
+      const checkout = await testability.snapshot('half-filled checkout');
+
+      await expect(page.locator('[data-test="postal-code"]')).toHaveValue('90210');
+      // A setContent page has no URL to reopen in a copy, so the reload and typing probes are skipped
+      expect(checkout.detailedMetrics.controllability).toMatchObject({ inputPrecision: null, determinism: null });
+      expect(checkout.detailedMetrics.algorithmicStability.changeResilience).toBeNull();
+      expect(checkout.evidence.controllability.inputPrecision.notAssessed).toContain('read-only mode');
+      expect(checkout.principleScores.controllability).toBeGreaterThan(0);
+    });
+  });
+});
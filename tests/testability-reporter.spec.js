@@ -0,0 +1,59 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TestabilityReporter = require('../testability-reporter');
+const { TESTABILITY_ATTACHMENT, TESTABILITY_ANNOTATION } = require('../testability-reporter');
+const { readResults } = require('../results-schema');
+
+/**
+ * Testability Reporter Tests
+ *
+ * Feeds the reporter test results the way the Playwright runner does, without a browser
+ */
+
+function fakeTest(id, projectName, browserName) {
+  return {
+    id,
+    annotations: [],
+    titlePath: () => ['', projectName, 'shop.spec.js', id],
+    parent: { project: () => ({ name: projectName, use: { browserName } }) }
+  };
+}
+
+function snapshot(userType, overallScore) {
+  return { userType, overallScore, principleScores: { observability: overallScore } };
+}
+
+test.describe('Testability Reporter', () => {
+
+  test('snapshots from attachments and annotations end up in one results file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'testability-reporter-'));
+    try {
+      const reporter = new TestabilityReporter({ outputDir: dir, html: false });
+      reporter.onBegin();
+
+      const retried = fakeTest('checkout', 'chromium', 'chromium');
+      reporter.onTestEnd(retried, { attachments: [{ name: TESTABILITY_ATTACHMENT, body: Buffer.from(JSON.stringify(snapshot('standard_user', 40))) }], annotations: [] });
+      reporter.onTestEnd(retried, { attachments: [{ name: TESTABILITY_ATTACHMENT, body: Buffer.from(JSON.stringify(snapshot('standard_user', 70))) }], annotations: [] });
+      reporter.onTestEnd(fakeTest('cart', 'firefox', 'firefox'), {
+        attachments: [{ name: 'screenshot', body: Buffer.from('png') }],
+        annotations: [{ type: TESTABILITY_ANNOTATION, description: JSON.stringify([snapshot('problem_user', 50)]) }]
+      });
+      reporter.onTestEnd(fakeTest('login', 'chromium', 'chromium'), { attachments: [], annotations: [] });
+
+      await reporter.onEnd({ status: 'passed' });
+
+      const [file] = fs.readdirSync(dir).filter(name => name.endsWith('.json'));
+      const document = readResults(path.join(dir, file));
+      expect(document).toMatchObject({ kind: 'reporter', browser: null, summary: { averageScore: 60, testsWithSnapshots: 2, runStatus: 'passed' } });
+      expect(document.results.map(result => [result.userType, result.overallScore, result.browser])).toEqual([
+        ['standard_user', 70, 'chromium'],
+        ['problem_user', 50, 'firefox']
+      ]);
+      expect(document.results[0].testTitle).toBe('chromium › shop.spec.js › checkout');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
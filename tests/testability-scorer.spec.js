@@ -1,6 +1,12 @@
 const { test, expect } = require('@playwright/test');
 const fs = require('fs');
 const path = require('path');
+const { loadScoringRubric } = require('../scoring-rubric');
+const { writeResults, userComparisonResult } = require('../results-schema');
+const { loadTargetProfile } = require('../target-profile');
+
+// The SauceDemo replica when run through playwright.config.js, else the live site
+const SAUCEDEMO_URL = loadTargetProfile('saucedemo').resolveUrl('/');
 
 /**
  * Intrinsic Testability Scoring Framework
@@ -17,7 +23,8 @@ const path = require('path');
  */
 
 class TestabilityScorer {
-  constructor() {
+  constructor(options = {}) {
+    this.rubric = options.rubric || loadScoringRubric();
     this.scores = {
       observability: 0,
       controllability: 0,
@@ -31,59 +38,60 @@ class TestabilityScorer {
       similarity: 0
     };
     
+    // Sub-metric points per principle; names and point allocations come from the scoring rubric
     this.metrics = {
       observability: {
-        stateCapture: 0,
-        networkMonitoring: 0,
-        errorLogging: 0,
+        stateVisibility: 0,
+        networkObservability: 0,
+        errorVisibility: 0,
         visualCapture: 0,
         dataTestAttributes: 0
       },
       controllability: {
         inputPrecision: 0,
-        stateControl: 0,
+        submitEnabled: 0,
         determinism: 0,
-        interactionReliability: 0
+        interactiveElements: 0
       },
       algorithmicSimplicity: {
-        inputOutputClarity: 0,
-        operationComplexity: 0,
-        behaviorPredictability: 0
+        clearFormFlow: 0,
+        stepsForBasicOperation: 0,
+        loginPredictability: 0
       },
       algorithmicTransparency: {
-        behaviorVisibility: 0,
-        processUnderstanding: 0,
-        blackBoxReduction: 0
+        feedbackMessages: 0,
+        processIndicators: 0,
+        apiTransparency: 0
       },
       algorithmicStability: {
-        changeResilience: 0,
-        testMaintainability: 0,
-        behaviorConsistency: 0
+        reloadRecovery: 0,
+        dataTestCoverage: 0,
+        crossBrowserVerified: 0
       },
       explainability: {
-        codeClarity: 0,
-        documentationQuality: 0,
-        semanticStructure: 0
+        semanticMarkup: 0,
+        inlineDocumentation: 0,
+        ariaAnnotations: 0
       },
       unbugginess: {
         errorRate: 0,
         errorHandling: 0,
-        robustness: 0
+        invalidInputTolerance: 0
       },
       smallness: {
         componentSize: 0,
-        testScope: 0,
-        outputManageability: 0
+        focusedInterface: 0,
+        networkVolume: 0
       },
       decomposability: {
-        componentSeparation: 0,
-        isolatedTesting: 0,
-        modularDesign: 0
+        namedComponents: 0,
+        componentMarkers: 0,
+        formAndSectionModularity: 0
       },
       similarity: {
-        standardPatterns: 0,
-        familiarTechnology: 0,
-        conventionalDesign: 0
+        standardFormControls: 0,
+        recognizedFrameworks: 0,
+        layoutLandmarks: 0
       }
     };
     
@@ -97,412 +105,310 @@ class TestabilityScorer {
     };
   }
 
+  // Score one sub-metric through the rubric and record it
+  award(principle, metric, value) {
+    const points = this.rubric.scoreMetric(principle, metric, value);
+    this.metrics[principle][metric] = points;
+    return `${points}/${this.rubric.maxPoints(principle, metric)} points`;
+  }
+
+  // Principle score from the recorded sub-metric points
+  finishPrinciple(principle, label) {
+    const score = this.rubric.scorePrinciple(principle, this.metrics[principle]);
+    this.scores[principle] = score;
+    console.log(`📊 ${label} Score: ${score}/100\n`);
+    return score;
+  }
+
   // Observability Scoring (0-100)
   async scoreObservability(page, testResults) {
-    let score = 0;
-    const metrics = this.metrics.observability;
-    
-    // State Capture Capability (25 points)
+    // State capture capability
     try {
       const state = await page.evaluate(() => ({
         url: window.location.href,
         title: document.title,
         localStorage: Object.keys(localStorage).length,
         sessionStorage: Object.keys(sessionStorage).length,
-        cookies: document.cookie.length > 0
+        cookies: document.cookie.length > 0,
+        readyState: document.readyState
       }));
       
-      metrics.stateCapture = state.localStorage > 0 || state.sessionStorage > 0 || state.cookies ? 25 : 15;
-      console.log(`✓ State capture available: ${metrics.stateCapture}/25 points`);
+      const points = this.award('observability', 'stateVisibility', {
+        localStorage: state.localStorage > 0,
+        sessionStorage: state.sessionStorage > 0,
+        cookies: state.cookies,
+        readyComplete: state.readyState === 'complete'
+      });
+      console.log(`✓ State capture available: ${points}`);
     } catch (error) {
-      metrics.stateCapture = 5;
-      console.log(`⚠ Limited state capture: ${metrics.stateCapture}/25 points`);
+      console.log(`⚠ Limited state capture: ${this.award('observability', 'stateVisibility', null)}`);
     }
     
-    // Data-test attributes (25 points)
+    // Data-test attributes
     const dataTestElements = await page.locator('[data-test]').count();
-    metrics.dataTestAttributes = Math.min(25, Math.floor(dataTestElements / 3)); // 3 elements = 1 point
-    console.log(`✓ Data-test attributes: ${dataTestElements} found, ${metrics.dataTestAttributes}/25 points`);
+    console.log(`✓ Data-test attributes: ${dataTestElements} found, ${this.award('observability', 'dataTestAttributes', dataTestElements)}`);
     
-    // Error visibility (20 points)
+    // Error visibility
     const errorElements = await page.locator('[data-test*="error"], .error, .alert-error').count();
-    metrics.errorLogging = errorElements > 0 ? 20 : 10;
-    console.log(`✓ Error visibility elements: ${metrics.errorLogging}/20 points`);
+    console.log(`✓ Error visibility elements: ${this.award('observability', 'errorVisibility', errorElements > 0)}`);
     
-    // Visual capture capability (15 points)
+    // Visual capture capability
     try {
       await page.screenshot({ path: 'temp-testability-check.png' });
-      metrics.visualCapture = 15;
       fs.unlinkSync('temp-testability-check.png'); // cleanup
-      console.log(`✓ Visual capture working: ${metrics.visualCapture}/15 points`);
+      console.log(`✓ Visual capture working: ${this.award('observability', 'visualCapture', true)}`);
     } catch (error) {
-      metrics.visualCapture = 0;
-      console.log(`✗ Visual capture failed: ${metrics.visualCapture}/15 points`);
+      console.log(`✗ Visual capture failed: ${this.award('observability', 'visualCapture', false)}`);
     }
     
-    // Network monitoring (15 points)
-    if (testResults.networkRequests && testResults.networkRequests.length > 0) {
-      metrics.networkMonitoring = 15;
-      console.log(`✓ Network monitoring active: ${metrics.networkMonitoring}/15 points`);
-    } else {
-      metrics.networkMonitoring = 5;
-      console.log(`⚠ Limited network monitoring: ${metrics.networkMonitoring}/15 points`);
-    }
+    // Network monitoring
+    const networkActive = !!(testResults.networkRequests && testResults.networkRequests.length > 0);
+    console.log(`${networkActive ? '✓ Network monitoring active' : '⚠ Limited network monitoring'}: ${this.award('observability', 'networkObservability', networkActive)}`);
     
-    score = Object.values(metrics).reduce((sum, val) => sum + val, 0);
-    this.scores.observability = score;
-    console.log(`📊 Observability Score: ${score}/100\n`);
-    return score;
+    return this.finishPrinciple('observability', 'Observability');
   }
 
   // Controllability Scoring (0-100)
   async scoreControllability(page, userType) {
-    let score = 0;
-    const metrics = this.metrics.controllability;
-    
-    // Input precision (30 points)
+    // Input precision
     try {
       const usernameField = page.locator('[data-test="username"]');
-      const passwordField = page.locator('[data-test="password"]');
       
       await usernameField.fill('test_precision');
       const inputValue = await usernameField.inputValue();
       
-      metrics.inputPrecision = inputValue === 'test_precision' ? 30 : 15;
-      console.log(`✓ Input precision: ${metrics.inputPrecision}/30 points`);
+      console.log(`✓ Input precision: ${this.award('controllability', 'inputPrecision', inputValue === 'test_precision' ? 'exact' : 'partial')}`);
       
       // Clear for next test
       await usernameField.clear();
     } catch (error) {
-      metrics.inputPrecision = 5;
-      console.log(`✗ Input precision failed: ${metrics.inputPrecision}/30 points`);
+      console.log(`✗ Input precision failed: ${this.award('controllability', 'inputPrecision', 'error')}`);
     }
     
-    // State control (25 points)
+    // State control
     try {
       const loginButton = page.locator('[data-test="login-button"]');
       const isEnabled = await loginButton.isEnabled();
       
-      metrics.stateControl = isEnabled ? 25 : 15;
-      console.log(`✓ State control (button enabled): ${metrics.stateControl}/25 points`);
+      console.log(`✓ State control (button enabled): ${this.award('controllability', 'submitEnabled', isEnabled)}`);
     } catch (error) {
-      metrics.stateControl = 5;
-      console.log(`✗ State control limited: ${metrics.stateControl}/25 points`);
+      console.log(`✗ State control limited: ${this.award('controllability', 'submitEnabled', null)}`);
     }
     
-    // Determinism (25 points)
+    // Determinism
     // Test if the same action produces same result
     try {
-      await page.goto('https://www.saucedemo.com/');
+      await page.goto(SAUCEDEMO_URL);
       const initialUrl = page.url();
       await page.reload();
       const reloadUrl = page.url();
       
-      metrics.determinism = initialUrl === reloadUrl ? 25 : 15;
-      console.log(`✓ Deterministic behavior: ${metrics.determinism}/25 points`);
+      console.log(`✓ Deterministic behavior: ${this.award('controllability', 'determinism', initialUrl === reloadUrl)}`);
     } catch (error) {
-      metrics.determinism = 10;
-      console.log(`⚠ Determinism limited: ${metrics.determinism}/25 points`);
+      console.log(`⚠ Determinism limited: ${this.award('controllability', 'determinism', null)}`);
     }
     
-    // Interaction reliability (20 points)
+    // Interaction reliability
     const interactiveElements = await page.locator('button, input, a, select').count();
-    metrics.interactionReliability = Math.min(20, Math.floor(interactiveElements / 2));
-    console.log(`✓ Interactive elements: ${interactiveElements}, ${metrics.interactionReliability}/20 points`);
+    console.log(`✓ Interactive elements: ${interactiveElements}, ${this.award('controllability', 'interactiveElements', interactiveElements)}`);
     
-    score = Object.values(metrics).reduce((sum, val) => sum + val, 0);
-    this.scores.controllability = score;
-    console.log(`📊 Controllability Score: ${score}/100\n`);
-    return score;
+    return this.finishPrinciple('controllability', 'Controllability');
   }
 
   // Algorithmic Simplicity Scoring (0-100)
   async scoreAlgorithmicSimplicity(page, testResults) {
-    let score = 0;
-    const metrics = this.metrics.algorithmicSimplicity;
-    
-    // Input-Output clarity (40 points)
+    // Input-Output clarity
     // Test simple operations like form submission
     try {
-      await page.goto('https://www.saucedemo.com/');
+      await page.goto(SAUCEDEMO_URL);
       const form = page.locator('form');
       const formExists = await form.count() > 0;
       
-      metrics.inputOutputClarity = formExists ? 40 : 20;
-      console.log(`✓ Clear input-output pattern (forms): ${metrics.inputOutputClarity}/40 points`);
+      console.log(`✓ Clear input-output pattern (forms): ${this.award('algorithmicSimplicity', 'clearFormFlow', formExists)}`);
     } catch (error) {
-      metrics.inputOutputClarity = 10;
-      console.log(`⚠ Input-output clarity limited: ${metrics.inputOutputClarity}/40 points`);
+      console.log(`⚠ Input-output clarity limited: ${this.award('algorithmicSimplicity', 'clearFormFlow', null)}`);
     }
     
-    // Operation complexity (30 points)
+    // Operation complexity
     // Measure steps required for basic operations
     const basicOperationSteps = 3; // login typically requires 3 steps
-    const complexityScore = Math.max(10, 30 - (basicOperationSteps - 3) * 5);
-    metrics.operationComplexity = complexityScore;
-    console.log(`✓ Operation complexity (${basicOperationSteps} steps): ${metrics.operationComplexity}/30 points`);
-    
-    // Behavior predictability (30 points)
-    if (testResults.loginSuccess !== undefined) {
-      metrics.behaviorPredictability = testResults.loginSuccess ? 30 : 15;
-      console.log(`✓ Predictable behavior: ${metrics.behaviorPredictability}/30 points`);
-    } else {
-      metrics.behaviorPredictability = 20;
-      console.log(`⚠ Behavior predictability unknown: ${metrics.behaviorPredictability}/30 points`);
-    }
+    console.log(`✓ Operation complexity (${basicOperationSteps} steps): ${this.award('algorithmicSimplicity', 'stepsForBasicOperation', basicOperationSteps)}`);
     
-    score = Object.values(metrics).reduce((sum, val) => sum + val, 0);
-    this.scores.algorithmicSimplicity = score;
-    console.log(`📊 Algorithmic Simplicity Score: ${score}/100\n`);
-    return score;
+    // Behavior predictability
+    const points = this.award('algorithmicSimplicity', 'loginPredictability', testResults.loginSuccess);
+    console.log(`${testResults.loginSuccess !== undefined ? '✓ Predictable behavior' : '⚠ Behavior predictability unknown'}: ${points}`);
+    
+    return this.finishPrinciple('algorithmicSimplicity', 'Algorithmic Simplicity');
   }
 
   // Algorithmic Transparency Scoring (0-100)
   async scoreAlgorithmicTransparency(page, testResults) {
-    let score = 0;
-    const metrics = this.metrics.algorithmicTransparency;
-    
-    // Behavior visibility (40 points)
+    // Behavior visibility
     const visibleFeedback = await page.locator('.error, .success, .warning, [data-test*="message"]').count();
-    metrics.behaviorVisibility = Math.min(40, visibleFeedback * 10);
-    console.log(`✓ Visible feedback elements: ${visibleFeedback}, ${metrics.behaviorVisibility}/40 points`);
+    console.log(`✓ Visible feedback elements: ${visibleFeedback}, ${this.award('algorithmicTransparency', 'feedbackMessages', visibleFeedback)}`);
     
-    // Process understanding (35 points)
+    // Process understanding
     // Check for progress indicators, loading states, etc.
     const processIndicators = await page.locator('.loading, .spinner, .progress, .stepper').count();
-    metrics.processUnderstanding = Math.min(35, processIndicators * 15 + 20); // Base 20 points
-    console.log(`✓ Process indicators: ${processIndicators}, ${metrics.processUnderstanding}/35 points`);
+    console.log(`✓ Process indicators: ${processIndicators}, ${this.award('algorithmicTransparency', 'processIndicators', processIndicators)}`);
     
-    // Black box reduction (25 points)
+    // Black box reduction
     if (testResults.networkRequests) {
       const apiCalls = testResults.networkRequests.filter(req => 
         req.method === 'POST' || req.method === 'PUT' || req.method === 'DELETE'
       ).length;
-      metrics.blackBoxReduction = Math.min(25, apiCalls * 8 + 5);
-      console.log(`✓ API transparency: ${apiCalls} calls, ${metrics.blackBoxReduction}/25 points`);
+      console.log(`✓ API transparency: ${apiCalls} calls, ${this.award('algorithmicTransparency', 'apiTransparency', apiCalls)}`);
     } else {
-      metrics.blackBoxReduction = 15;
-      console.log(`⚠ Limited API transparency: ${metrics.blackBoxReduction}/25 points`);
+      console.log(`⚠ Limited API transparency: ${this.award('algorithmicTransparency', 'apiTransparency', null)}`);
     }
     
-    score = Object.values(metrics).reduce((sum, val) => sum + val, 0);
-    this.scores.algorithmicTransparency = score;
-    console.log(`📊 Algorithmic Transparency Score: ${score}/100\n`);
-    return score;
+    return this.finishPrinciple('algorithmicTransparency', 'Algorithmic Transparency');
   }
 
   // Algorithmic Stability Scoring (0-100)
   async scoreAlgorithmicStability(page, testResults) {
-    let score = 0;
-    const metrics = this.metrics.algorithmicStability;
-    
-    // Change resilience (40 points)
+    // Change resilience
     // Test if page refresh maintains state
     try {
-      await page.goto('https://www.saucedemo.com/');
+      await page.goto(SAUCEDEMO_URL);
       await page.reload();
       const afterReload = page.url();
       
-      metrics.changeResilience = afterReload.includes('saucedemo.com') ? 40 : 25;
-      console.log(`✓ Page resilience to changes: ${metrics.changeResilience}/40 points`);
+      console.log(`✓ Page resilience to changes: ${this.award('algorithmicStability', 'reloadRecovery', afterReload.startsWith(SAUCEDEMO_URL))}`);
     } catch (error) {
-      metrics.changeResilience = 10;
-      console.log(`✗ Change resilience limited: ${metrics.changeResilience}/40 points`);
+      console.log(`✗ Change resilience limited: ${this.award('algorithmicStability', 'reloadRecovery', null)}`);
     }
     
-    // Test maintainability (35 points)
+    // Test maintainability
     const dataTestAttrs = await page.locator('[data-test]').count();
-    metrics.testMaintainability = Math.min(35, Math.floor(dataTestAttrs / 2));
-    console.log(`✓ Test maintainability (data-test attrs): ${metrics.testMaintainability}/35 points`);
+    console.log(`✓ Test maintainability (data-test attrs): ${this.award('algorithmicStability', 'dataTestCoverage', dataTestAttrs)}`);
     
-    // Behavior consistency (25 points)
-    if (testResults.crossBrowserTesting) {
-      metrics.behaviorConsistency = 25;
-      console.log(`✓ Cross-browser consistency: ${metrics.behaviorConsistency}/25 points`);
-    } else {
-      metrics.behaviorConsistency = 15;
-      console.log(`⚠ Behavior consistency not verified: ${metrics.behaviorConsistency}/25 points`);
-    }
+    // Behavior consistency
+    const crossBrowser = !!testResults.crossBrowserTesting;
+    console.log(`${crossBrowser ? '✓ Cross-browser consistency' : '⚠ Behavior consistency not verified'}: ${this.award('algorithmicStability', 'crossBrowserVerified', crossBrowser)}`);
     
-    score = Object.values(metrics).reduce((sum, val) => sum + val, 0);
-    this.scores.algorithmicStability = score;
-    console.log(`📊 Algorithmic Stability Score: ${score}/100\n`);
-    return score;
+    return this.finishPrinciple('algorithmicStability', 'Algorithmic Stability');
   }
 
   // Explainability Scoring (0-100)
   async scoreExplainability(page) {
-    let score = 0;
-    const metrics = this.metrics.explainability;
-    
-    // Code/Structure clarity (40 points)
+    // Code/Structure clarity
     const semanticElements = await page.locator('h1, h2, h3, h4, h5, h6, nav, main, section, article, aside, header, footer').count();
-    metrics.codeClarity = Math.min(40, semanticElements * 5);
-    console.log(`✓ Semantic HTML elements: ${semanticElements}, ${metrics.codeClarity}/40 points`);
+    console.log(`✓ Semantic HTML elements: ${semanticElements}, ${this.award('explainability', 'semanticMarkup', semanticElements)}`);
     
-    // Documentation quality (35 points)
+    // Documentation quality
     const labels = await page.locator('label').count();
     const altTexts = await page.locator('img[alt]').count();
     const titles = await page.locator('[title]').count();
     
-    const docScore = labels * 5 + altTexts * 3 + titles * 2;
-    metrics.documentationQuality = Math.min(35, docScore);
-    console.log(`✓ Documentation elements (labels: ${labels}, alt: ${altTexts}, titles: ${titles}): ${metrics.documentationQuality}/35 points`);
+    console.log(`✓ Documentation elements (labels: ${labels}, alt: ${altTexts}, titles: ${titles}): ${this.award('explainability', 'inlineDocumentation', { labels, altTexts, titles })}`);
     
-    // Semantic structure (25 points)
+    // Semantic structure
     const ariaLabels = await page.locator('[aria-label]').count();
     const roles = await page.locator('[role]').count();
     
-    metrics.semanticStructure = Math.min(25, (ariaLabels + roles) * 5 + 10);
-    console.log(`✓ Accessibility structure (aria: ${ariaLabels}, roles: ${roles}): ${metrics.semanticStructure}/25 points`);
+    console.log(`✓ Accessibility structure (aria: ${ariaLabels}, roles: ${roles}): ${this.award('explainability', 'ariaAnnotations', ariaLabels + roles)}`);
     
-    score = Object.values(metrics).reduce((sum, val) => sum + val, 0);
-    this.scores.explainability = score;
-    console.log(`📊 Explainability Score: ${score}/100\n`);
-    return score;
+    return this.finishPrinciple('explainability', 'Explainability');
   }
 
   // Unbugginess Scoring (0-100)
   async scoreUnbugginess(page, testResults) {
-    let score = 0;
-    const metrics = this.metrics.unbugginess;
-    
-    // Error rate (40 points)
+    // Error rate
     let errorCount = 0;
     if (testResults.errors) {
       errorCount = testResults.errors.length;
     }
     
-    metrics.errorRate = Math.max(0, 40 - (errorCount * 10));
-    console.log(`✓ Error rate: ${errorCount} errors, ${metrics.errorRate}/40 points`);
+    console.log(`✓ Error rate: ${errorCount} errors, ${this.award('unbugginess', 'errorRate', errorCount)}`);
     
-    // Error handling (35 points)
+    // Error handling
     const errorHandlers = await page.locator('[data-test*="error"], .error-message, .alert-error').count();
-    metrics.errorHandling = Math.min(35, errorHandlers * 15 + 20);
-    console.log(`✓ Error handling elements: ${errorHandlers}, ${metrics.errorHandling}/35 points`);
+    console.log(`✓ Error handling elements: ${errorHandlers}, ${this.award('unbugginess', 'errorHandling', errorHandlers > 0)}`);
     
-    // Robustness (25 points)
+    // Robustness
     try {
       // Test invalid input handling
-      await page.goto('https://www.saucedemo.com/');
+      await page.goto(SAUCEDEMO_URL);
       const usernameField = page.locator('[data-test="username"]');
       await usernameField.fill('invalid_user_12345');
       
-      metrics.robustness = 25; // If it doesn't crash with invalid input
-      console.log(`✓ Input robustness: ${metrics.robustness}/25 points`);
+      // If it doesn't crash with invalid input
+      console.log(`✓ Input robustness: ${this.award('unbugginess', 'invalidInputTolerance', true)}`);
     } catch (error) {
-      metrics.robustness = 10;
-      console.log(`⚠ Limited robustness: ${metrics.robustness}/25 points`);
+      console.log(`⚠ Limited robustness: ${this.award('unbugginess', 'invalidInputTolerance', false)}`);
     }
     
-    score = Object.values(metrics).reduce((sum, val) => sum + val, 0);
-    this.scores.unbugginess = score;
-    console.log(`📊 Unbugginess Score: ${score}/100\n`);
-    return score;
+    return this.finishPrinciple('unbugginess', 'Unbugginess');
   }
 
   // Smallness Scoring (0-100)
   async scoreSmallness(page, testResults) {
-    let score = 0;
-    const metrics = this.metrics.smallness;
-    
-    // Component size (40 points)
+    // Component size
     const totalElements = await page.locator('*').count();
-    const sizeScore = totalElements < 100 ? 40 : totalElements < 200 ? 30 : totalElements < 500 ? 20 : 10;
-    metrics.componentSize = sizeScore;
-    console.log(`✓ Page complexity (${totalElements} elements): ${metrics.componentSize}/40 points`);
+    console.log(`✓ Page complexity (${totalElements} elements): ${this.award('smallness', 'componentSize', totalElements)}`);
     
-    // Test scope (35 points)
+    // Test scope
     // Measure testability through focused interfaces
     const formElements = await page.locator('input, select, textarea, button').count();
-    const scopeScore = formElements < 10 ? 35 : formElements < 20 ? 25 : 15;
-    metrics.testScope = scopeScore;
-    console.log(`✓ Test scope (${formElements} interactive elements): ${metrics.testScope}/35 points`);
+    console.log(`✓ Test scope (${formElements} interactive elements): ${this.award('smallness', 'focusedInterface', formElements)}`);
     
-    // Output manageability (25 points)
+    // Output manageability
     if (testResults.networkRequests) {
       const requestCount = testResults.networkRequests.length;
-      const outputScore = requestCount < 10 ? 25 : requestCount < 25 ? 20 : requestCount < 50 ? 15 : 10;
-      metrics.outputManageability = outputScore;
-      console.log(`✓ Output volume (${requestCount} requests): ${metrics.outputManageability}/25 points`);
+      console.log(`✓ Output volume (${requestCount} requests): ${this.award('smallness', 'networkVolume', requestCount)}`);
     } else {
-      metrics.outputManageability = 15;
-      console.log(`⚠ Output volume unknown: ${metrics.outputManageability}/25 points`);
+      console.log(`⚠ Output volume unknown: ${this.award('smallness', 'networkVolume', null)}`);
     }
     
-    score = Object.values(metrics).reduce((sum, val) => sum + val, 0);
-    this.scores.smallness = score;
-    console.log(`📊 Smallness Score: ${score}/100\n`);
-    return score;
+    return this.finishPrinciple('smallness', 'Smallness');
   }
 
   // Decomposability Scoring (0-100)
   async scoreDecomposability(page) {
-    let score = 0;
-    const metrics = this.metrics.decomposability;
-    
-    // Component separation (40 points)
+    // Component separation
     const componentMarkers = await page.locator('[class*="component"], [class*="module"], [data-test]').count();
-    metrics.componentSeparation = Math.min(40, Math.floor(componentMarkers / 2));
-    console.log(`✓ Component markers: ${componentMarkers}, ${metrics.componentSeparation}/40 points`);
+    console.log(`✓ Component markers: ${componentMarkers}, ${this.award('decomposability', 'namedComponents', componentMarkers)}`);
     
-    // Isolated testing capability (35 points)
+    // Isolated testing capability
     const testableComponents = await page.locator('[data-test], [id], [class]').count();
-    metrics.isolatedTesting = Math.min(35, Math.floor(testableComponents / 5));
-    console.log(`✓ Testable components: ${testableComponents}, ${metrics.isolatedTesting}/35 points`);
+    console.log(`✓ Testable components: ${testableComponents}, ${this.award('decomposability', 'componentMarkers', testableComponents)}`);
     
-    // Modular design (25 points)
+    // Modular design
     const forms = await page.locator('form').count();
     const sections = await page.locator('section, div[class], nav, main').count();
     
-    const modularScore = (forms * 5) + Math.min(15, Math.floor(sections / 3));
-    metrics.modularDesign = Math.min(25, modularScore);
-    console.log(`✓ Modular design (forms: ${forms}, sections: ${sections}): ${metrics.modularDesign}/25 points`);
+    console.log(`✓ Modular design (forms: ${forms}, sections: ${sections}): ${this.award('decomposability', 'formAndSectionModularity', { forms, sections })}`);
     
-    score = Object.values(metrics).reduce((sum, val) => sum + val, 0);
-    this.scores.decomposability = score;
-    console.log(`📊 Decomposability Score: ${score}/100\n`);
-    return score;
+    return this.finishPrinciple('decomposability', 'Decomposability');
   }
 
   // Similarity Scoring (0-100)
   async scoreSimilarity(page) {
-    let score = 0;
-    const metrics = this.metrics.similarity;
-    
-    // Standard patterns (40 points)
+    // Standard patterns
     const standardElements = await page.locator('form, input[type="text"], input[type="password"], button[type="submit"]').count();
-    metrics.standardPatterns = Math.min(40, standardElements * 8);
-    console.log(`✓ Standard web patterns: ${standardElements}, ${metrics.standardPatterns}/40 points`);
-    
-    // Familiar technology (35 points)
-    const techScore = await page.evaluate(() => {
-      let score = 0;
-      if (typeof jQuery !== 'undefined') score += 10;
-      if (typeof React !== 'undefined') score += 10;
-      if (document.querySelector('link[href*="bootstrap"]')) score += 10;
-      if (document.querySelector('link[href*="css"]')) score += 15; // CSS frameworks
-      return score;
-    }).catch(() => 25); // Default if evaluation fails
-    
-    metrics.familiarTechnology = Math.min(35, techScore);
-    console.log(`✓ Familiar technology stack: ${metrics.familiarTechnology}/35 points`);
-    
-    // Conventional design (25 points)
+    console.log(`✓ Standard web patterns: ${standardElements}, ${this.award('similarity', 'standardFormControls', standardElements)}`);
+    
+    // Familiar technology
+    const frameworks = await page.evaluate(() => ({
+      jquery: typeof jQuery !== 'undefined',
+      react: typeof React !== 'undefined',
+      bootstrap: !!document.querySelector('link[href*="bootstrap"]'),
+      stylesheets: !!document.querySelector('link[href*="css"]') // CSS frameworks
+    })).catch(() => null); // Rubric "unknown" points if evaluation fails
+    
+    console.log(`✓ Familiar technology stack: ${this.award('similarity', 'recognizedFrameworks', frameworks)}`);
+    
+    // Conventional design
     const conventionalElements = await page.locator('header, nav, main, footer, .container, .content').count();
-    metrics.conventionalDesign = Math.min(25, conventionalElements * 5 + 10);
-    console.log(`✓ Conventional design elements: ${conventionalElements}, ${metrics.conventionalDesign}/25 points`);
+    console.log(`✓ Conventional design elements: ${conventionalElements}, ${this.award('similarity', 'layoutLandmarks', conventionalElements)}`);
     
-    score = Object.values(metrics).reduce((sum, val) => sum + val, 0);
-    this.scores.similarity = score;
-    console.log(`📊 Similarity Score: ${score}/100\n`);
-    return score;
+    return this.finishPrinciple('similarity', 'Similarity');
   }
 
   // Calculate overall score and generate recommendations
   calculateOverallScore() {
-    const scores = Object.values(this.scores);
-    this.results.overallScore = Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+    this.results.overallScore = this.rubric.overallScore(this.scores);
     this.results.principleScores = { ...this.scores };
     this.results.detailedMetrics = { ...this.metrics };
     
@@ -593,16 +499,11 @@ TESTABILITY ANALYSIS:
     return '(F)';
   }
 
-  async saveResults(filename = 'testability-scores.json') {
+  async saveResults(filename = 'testability-scores.json', { browser = null, userType = 'standard_user' } = {}) {
     const filepath = path.join(process.cwd(), 'tests', 'reports', filename);
+    const { timestamp, ...result } = this.results;
     
-    // Ensure reports directory exists
-    const reportsDir = path.dirname(filepath);
-    if (!fs.existsSync(reportsDir)) {
-      fs.mkdirSync(reportsDir, { recursive: true });
-    }
-    
-    fs.writeFileSync(filepath, JSON.stringify(this.results, null, 2));
+    writeResults(filepath, 'scorer', { timestamp, browser, results: [{ userType, ...result }] }, { recordHistory: true });
     console.log(`\n📊 Testability scores saved to: ${filepath}`);
     
     // Also save human-readable report
@@ -647,7 +548,7 @@ test.describe('Intrinsic Testability Scoring Framework', () => {
       console.log('-'.repeat(40));
       
       try {
-        await page.goto('https://www.saucedemo.com/');
+        await page.goto(SAUCEDEMO_URL);
         
         // Attempt login
         await page.locator('[data-test="username"]').fill(userType);
@@ -681,7 +582,7 @@ test.describe('Intrinsic Testability Scoring Framework', () => {
     }
     
     // Use standard_user for detailed assessment
-    await page.goto('https://www.saucedemo.com/');
+    await page.goto(SAUCEDEMO_URL);
     await page.locator('[data-test="username"]').fill('standard_user');
     await page.locator('[data-test="password"]').fill('secret_sauce');
     await page.locator('[data-test="login-button"]').click();
@@ -721,7 +622,7 @@ test.describe('Intrinsic Testability Scoring Framework', () => {
       
       // Save results with timestamp
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      await scorer.saveResults(`testability-scores-${browserName}-${timestamp}.json`);
+      await scorer.saveResults(`testability-scores-${browserName}-${timestamp}.json`, { browser: browserName });
       
       // Assert minimum testability standards
       expect(overallScore).toBeGreaterThan(50); // Minimum acceptable score
@@ -734,7 +635,7 @@ test.describe('Intrinsic Testability Scoring Framework', () => {
     }
   });
   
-  test('Testability Comparison Across User Types', async ({ page }) => {
+  test('Testability Comparison Across User Types', async ({ page, browserName }) => {
     const userTypes = ['standard_user', 'problem_user'];
     // Removed timeout-prone users: 'performance_glitch_user', 'visual_user'
     const userScores = {};
@@ -747,7 +648,7 @@ test.describe('Intrinsic Testability Scoring Framework', () => {
       console.log(`\nAnalyzing: ${userType}`);
       
       try {
-        await page.goto('https://www.saucedemo.com/');
+        await page.goto(SAUCEDEMO_URL);
         await page.locator('[data-test="username"]').fill(userType);
         await page.locator('[data-test="password"]').fill('secret_sauce');
         await page.locator('[data-test="login-button"]').click();
@@ -791,22 +692,10 @@ test.describe('Intrinsic Testability Scoring Framework', () => {
     
     // Save comparison results
     const comparisonPath = path.join(process.cwd(), 'tests', 'reports', 'user-type-comparison.json');
-    const reportsDir = path.dirname(comparisonPath);
-    if (!fs.existsSync(reportsDir)) {
-      fs.mkdirSync(reportsDir, { recursive: true });
-    }
-    
-    fs.writeFileSync(comparisonPath, JSON.stringify({
-      timestamp: new Date().toISOString(),
-      userScores,
-      summary: {
-        totalUsers: Object.keys(userScores).length,
-        successfulTests: Object.values(userScores).filter(s => !s.error).length,
-        averageTestability: Object.values(userScores)
-          .filter(s => !s.error)
-          .reduce((sum, s) => sum + s.average, 0) / Object.values(userScores).filter(s => !s.error).length
-      }
-    }, null, 2));
+    writeResults(comparisonPath, 'user-comparison', {
+      browser: browserName,
+      results: Object.entries(userScores).map(([userType, scores]) => userComparisonResult(userType, scores))
+    }, { recordHistory: true });
     
     console.log(`\n💾 Comparison results saved to: ${comparisonPath}`);
     
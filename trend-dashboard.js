@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const { SVGCharts } = require('./svg-charts');
+const { HistoryStore, REGRESSION_THRESHOLD } = require('./history-store');
+const { PRINCIPLES } = require('./scoring-rubric');
+
+/**
+ * 📈 Testability Trend Dashboard
+ *
+ * Turns the score history (history-store.js) into a single offline HTML page:
+ * - One overall line chart per target, one line per user type / browser / suite
+ * - One line chart per principle, on the same time axis
+ * - A table of regressions between the last two runs of each series
+ */
+
+class TestabilityTrendDashboard {
+  /**
+   * @param {HistoryStore} [store]
+   */
+  constructor(store = new HistoryStore()) {
+    this.store = store;
+    this.timestamp = new Date().toISOString();
+  }
+
+  /**
+   * 🎨 Write the dashboard and return its path
+   * @param {string} [outputPath] - Defaults to tests/reports/testability-trends.html
+   * @returns {string|null} null when there is no history yet
+   */
+  generate(outputPath = path.join(process.cwd(), 'tests', 'reports', 'testability-trends.html')) {
+    const entries = this.store.read();
+    if (entries.length === 0) {
+      console.log(`📈 No score history in ${this.store.filePath}. Run an assessment or "history:import" first.`);
+      return null;
+    }
+
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, this.buildHTML(entries));
+
+    console.log(`\n📈 Trend Dashboard Generated: ${outputPath}`);
+    console.log(`📊 ${entries.length} history entries across ${new Set(entries.map(entry => entry.target)).size} target(s)`);
+    return outputPath;
+  }
+
+  /**
+   * 🏗️ Build the complete page
+   */
+  buildHTML(entries) {
+    const targets = Array.from(new Set(entries.map(entry => entry.target)));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>📈 Testability Trends</title>
+    <style>
+        ${this.getCSS()}
+    </style>
+</head>
+<body>
+    <div class="container">
+        <header class="header">
+            <h1>📈 Testability Trends</h1>
+            <p>${entries.length} scores recorded from ${formatTime(entries[0].timestamp)} to ${formatTime(entries[entries.length - 1].timestamp)} · generated ${formatTime(this.timestamp)}</p>
+        </header>
+        ${targets.map(target => this.buildTargetSection(target)).join('')}
+    </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * 🎯 Charts and regressions for one target
+   */
+  buildTargetSection(target) {
+    const series = this.store.series({ target });
+    const times = Array.from(new Set(series.flatMap(({ entries }) => entries.map(entry => entry.timestamp))))
+      .sort((a, b) => Date.parse(a) - Date.parse(b));
+    const labels = times.map(formatTime);
+    const datasetsFor = (scoreOf) => series.map(({ kind, userType, browser, entries }) => ({
+      label: `${userType} · ${browser || 'unknown'} · ${kind}`,
+      values: times.map(time => {
+        const entry = entries.find(candidate => candidate.timestamp === time);
+        return entry ? scoreOf(entry) : null;
+      })
+    }));
+
+    const principleCharts = PRINCIPLES.map(principle => {
+      const datasets = datasetsFor(entry => valueOrNull(entry.principleScores[principle]))
+        .filter(dataset => dataset.values.some(value => value !== null));
+      return `
+            <div class="chart-card">
+                <h3>${escapeHtml(formatPrinciple(principle))}</h3>
+                ${datasets.length > 0
+                  ? SVGCharts.line({ labels, datasets })
+                  : '<p class="empty">Not assessed in any recorded run</p>'}
+            </div>`;
+    }).join('');
+
+    return `
+        <section class="target">
+            <h2>🎯 ${escapeHtml(target)}</h2>
+            <div class="chart-card wide">
+                <h3>Overall Score</h3>
+                ${SVGCharts.line({ labels, datasets: datasetsFor(entry => entry.overallScore) })}
+            </div>
+            ${this.buildRegressionTable(target)}
+            <div class="chart-grid">${principleCharts}
+            </div>
+        </section>`;
+  }
+
+  /**
+   * 📉 Drops of REGRESSION_THRESHOLD points or more between the last two runs
+   */
+  buildRegressionTable(target) {
+    const regressions = this.store.regressions({ target });
+
+    if (regressions.length === 0) {
+      return `<p class="no-regressions">✅ No principle dropped by ${REGRESSION_THRESHOLD} points or more in the latest run of any series.</p>`;
+    }
+
+    const rows = regressions.map(regression => `
+                <tr>
+                    <td>${escapeHtml(regression.series)}</td>
+                    <td>${escapeHtml(regression.principle === 'overall' ? 'Overall' : formatPrinciple(regression.principle))}</td>
+                    <td>${regression.from} → ${regression.to}</td>
+                    <td class="drop">${regression.change}</td>
+                    <td><code>${escapeHtml(regression.fromCommit || '?')}</code> → <code>${escapeHtml(regression.toCommit || '?')}</code></td>
+                </tr>`).join('');
+
+    return `
+            <h3>📉 Regressions in the latest run</h3>
+            <table class="regressions">
+                <thead><tr><th>Series</th><th>Principle</th><th>Score</th><th>Change</th><th>Commits</th></tr></thead>
+                <tbody>${rows}
+                </tbody>
+            </table>`;
+  }
+
+  getCSS() {
+    return `
+        * { box-sizing: border-box; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f7fafc; color: #2d3748; }
+        .container { max-width: 1400px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 24px 30px; border-radius: 12px; margin-bottom: 24px; }
+        .header h1 { margin: 0 0 8px; }
+        .header p { margin: 0; opacity: 0.9; }
+        .target { background: white; border-radius: 12px; padding: 24px; margin-bottom: 24px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.08); }
+        .chart-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); gap: 16px; }
+        .chart-card { border: 1px solid #e2e8f0; border-radius: 8px; padding: 12px; }
+        .chart-card.wide { margin-bottom: 16px; }
+        .chart-card h3 { margin: 0 0 8px; font-size: 15px; }
+        .empty { color: #a0aec0; font-style: italic; }
+        .no-regressions { color: #2f855a; }
+        .regressions { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
+        .regressions th, .regressions td { text-align: left; padding: 8px; border-bottom: 1px solid #e2e8f0; font-size: 14px; }
+        .regressions .drop { color: #c53030; font-weight: bold; }
+    `;
+  }
+}
+
+function valueOrNull(value) {
+  return typeof value === 'number' ? value : null;
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+function formatPrinciple(principle) {
+  return principle.replace(/([A-Z])/g, ' $1').replace(/^./, letter => letter.toUpperCase());
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = { TestabilityTrendDashboard };